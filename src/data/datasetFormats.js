@@ -0,0 +1,385 @@
+/**
+ * Structured Dataset Formats for LoRA Lab
+ * Parses instruction and chat datasets into a common list of conversations
+ * ({ role, content } messages) that the training worker renders through the
+ * tokenizer's chat template.
+ *
+ * Supported record shapes (JSONL, one record per line, or a JSON array):
+ *   prompt-completion  { "prompt": "...", "completion": "..." }
+ *   alpaca             { "instruction": "...", "input": "...", "output": "..." }
+ *   sharegpt           { "conversations": [{ "from": "human", "value": "..." }, ...] }
+ *   openai-messages    { "messages": [{ "role": "user", "content": "..." }, ...] }
+ *   preference         { "prompt": "...", "chosen": "...", "rejected": "..." }
+ *                      (prompt may also be a messages array, chosen/rejected assistant messages)
+ *
+ * Preference records become the chosen conversation, plus the rejected one alongside it.
+ */
+
+export const DATASET_FORMATS = {
+  AUTO: 'auto',
+  TEXT: 'text',
+  PROMPT_COMPLETION: 'prompt-completion',
+  ALPACA: 'alpaca',
+  SHAREGPT: 'sharegpt',
+  OPENAI_MESSAGES: 'openai-messages',
+  PREFERENCE: 'preference'
+}
+
+export const FORMAT_LABELS = {
+  [DATASET_FORMATS.AUTO]: 'Auto-detect',
+  [DATASET_FORMATS.TEXT]: 'Plain text',
+  [DATASET_FORMATS.PROMPT_COMPLETION]: 'JSONL prompt/completion',
+  [DATASET_FORMATS.ALPACA]: 'Alpaca (instruction/input/output)',
+  [DATASET_FORMATS.SHAREGPT]: 'ShareGPT (conversations)',
+  [DATASET_FORMATS.OPENAI_MESSAGES]: 'OpenAI messages',
+  [DATASET_FORMATS.PREFERENCE]: 'Preference pairs (prompt/chosen/rejected)'
+}
+
+const CHAT_ROLES = ['system', 'user', 'assistant']
+
+// ShareGPT speaker names -> chat template roles
+const SHAREGPT_ROLES = {
+  system: 'system',
+  human: 'user',
+  user: 'user',
+  gpt: 'assistant',
+  assistant: 'assistant',
+  chatgpt: 'assistant',
+  bing: 'assistant',
+  bard: 'assistant'
+}
+
+/**
+ * Parse JSONL (or a single JSON array) into records, collecting per-line errors.
+ * @param {string} text - Raw file content
+ * @returns {{records: Array<{index: number, line: number, value: Object}>, errors: Array<Object>}}
+ */
+export function parseJsonRecords(text) {
+  const records = []
+  const errors = []
+  const trimmed = text.trim()
+
+  if (trimmed.startsWith('[')) {
+    try {
+      const values = JSON.parse(trimmed)
+      values.forEach((value, index) => records.push({ index, line: null, value }))
+      return { records, errors }
+    } catch (error) {
+      // Not a JSON array after all - fall through to line-by-line parsing
+    }
+  }
+
+  const lines = text.split(/\r?\n/)
+  lines.forEach((line, lineIndex) => {
+    if (!line.trim()) return
+    const index = records.length + errors.length
+    try {
+      records.push({ index, line: lineIndex + 1, value: JSON.parse(line) })
+    } catch (error) {
+      errors.push({ index, line: lineIndex + 1, message: `Invalid JSON: ${error.message}` })
+    }
+  })
+
+  return { records, errors }
+}
+
+/**
+ * Guess the format of a dataset from its first records.
+ * @param {Array<Object>} values - Parsed records
+ * @returns {string} One of DATASET_FORMATS (TEXT when nothing matches)
+ */
+export function detectRecordFormat(values) {
+  const counts = {}
+  for (const value of values.slice(0, 50)) {
+    const format = detectSingleRecord(value)
+    if (format) counts[format] = (counts[format] || 0) + 1
+  }
+
+  const [best] = Object.entries(counts).sort(([, a], [, b]) => b - a)
+  return best ? best[0] : DATASET_FORMATS.TEXT
+}
+
+function detectSingleRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null
+  if (Array.isArray(value.messages)) return DATASET_FORMATS.OPENAI_MESSAGES
+  if (Array.isArray(value.conversations)) return DATASET_FORMATS.SHAREGPT
+  if ('chosen' in value && 'rejected' in value) return DATASET_FORMATS.PREFERENCE
+  if ('instruction' in value && 'output' in value) return DATASET_FORMATS.ALPACA
+  if ('prompt' in value && 'completion' in value) return DATASET_FORMATS.PROMPT_COMPLETION
+  return null
+}
+
+/**
+ * Detect the format of raw dataset content.
+ * @param {string} text - Raw file content
+ * @returns {string} One of DATASET_FORMATS
+ */
+export function detectDatasetFormat(text) {
+  const trimmed = (text || '').trim()
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return DATASET_FORMATS.TEXT
+
+  const { records } = parseJsonRecords(trimmed)
+  return detectRecordFormat(records.map(record => record.value))
+}
+
+/**
+ * Normalize line endings and strip control characters from message content.
+ * Unlike preprocessText, whitespace is kept as-is so code and formatting survive.
+ */
+function normalizeContent(content) {
+  return content
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+}
+
+function requireString(value, field, problems, { allowEmpty = false } = {}) {
+  if (value === undefined || value === null) {
+    problems.push(`Missing field "${field}"`)
+    return null
+  }
+  if (typeof value !== 'string') {
+    problems.push(`Field "${field}" must be a string`)
+    return null
+  }
+  if (!allowEmpty && !value.trim()) {
+    problems.push(`Field "${field}" is empty`)
+  }
+  return value
+}
+
+function parseMessageList(value, field, problems) {
+  const messages = []
+  value.forEach((message, turnIndex) => {
+    if (!CHAT_ROLES.includes(message?.role)) {
+      problems.push(`Message ${turnIndex}: unsupported role "${message?.role}"`)
+      return
+    }
+    const content = requireString(message.content, `${field}[${turnIndex}].content`, problems, { allowEmpty: true })
+    if (content !== null) messages.push({ role: message.role, content })
+  })
+  return messages
+}
+
+// A preference response is a string or a list of assistant messages
+function parseResponse(value, field, problems) {
+  if (Array.isArray(value)) {
+    const messages = parseMessageList(value, field, problems)
+    if (messages.some(message => message.role !== 'assistant')) {
+      problems.push(`Field "${field}" may only hold assistant messages`)
+    }
+    return messages
+  }
+  const content = requireString(value, field, problems, { allowEmpty: true })
+  return content === null ? null : [{ role: 'assistant', content }]
+}
+
+const RECORD_PARSERS = {
+  [DATASET_FORMATS.PROMPT_COMPLETION](value, problems) {
+    const prompt = requireString(value.prompt, 'prompt', problems)
+    const completion = requireString(value.completion, 'completion', problems, { allowEmpty: true })
+    if (prompt === null || completion === null) return null
+    return [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: completion }
+    ]
+  },
+
+  [DATASET_FORMATS.ALPACA](value, problems) {
+    const instruction = requireString(value.instruction, 'instruction', problems)
+    const output = requireString(value.output, 'output', problems, { allowEmpty: true })
+    const input = value.input === undefined ? '' : requireString(value.input, 'input', problems, { allowEmpty: true })
+    if (instruction === null || output === null || input === null) return null
+
+    const messages = []
+    if (typeof value.system === 'string' && value.system.trim()) {
+      messages.push({ role: 'system', content: value.system })
+    }
+    messages.push({ role: 'user', content: input.trim() ? `${instruction}\n\n${input}` : instruction })
+    messages.push({ role: 'assistant', content: output })
+    return messages
+  },
+
+  [DATASET_FORMATS.SHAREGPT](value, problems) {
+    if (!Array.isArray(value.conversations)) {
+      problems.push('Missing field "conversations"')
+      return null
+    }
+    const messages = []
+    value.conversations.forEach((turn, turnIndex) => {
+      const role = SHAREGPT_ROLES[String(turn?.from).toLowerCase()]
+      if (!role) {
+        problems.push(`Turn ${turnIndex}: unknown speaker "${turn?.from}"`)
+        return
+      }
+      const content = requireString(turn.value, `conversations[${turnIndex}].value`, problems, { allowEmpty: true })
+      if (content !== null) messages.push({ role, content })
+    })
+    return messages
+  },
+
+  [DATASET_FORMATS.OPENAI_MESSAGES](value, problems) {
+    if (!Array.isArray(value.messages)) {
+      problems.push('Missing field "messages"')
+      return null
+    }
+    return parseMessageList(value.messages, 'messages', problems)
+  },
+
+  // Returns the chosen conversation with the rejected one and the shared prompt length
+  [DATASET_FORMATS.PREFERENCE](value, problems) {
+    const prompt = Array.isArray(value.prompt)
+      ? parseMessageList(value.prompt, 'prompt', problems)
+      : requireString(value.prompt, 'prompt', problems)
+    const chosen = parseResponse(value.chosen, 'chosen', problems)
+    const rejected = parseResponse(value.rejected, 'rejected', problems)
+    if (prompt === null || chosen === null || rejected === null) return null
+
+    const promptMessages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }]
+    if (typeof value.system === 'string' && value.system.trim() && promptMessages[0]?.role !== 'system') {
+      promptMessages.unshift({ role: 'system', content: value.system })
+    }
+    if (chosen.length > 0 && rejected.length > 0 &&
+        chosen.map(message => message.content).join('\n') === rejected.map(message => message.content).join('\n')) {
+      problems.push('Chosen and rejected responses are identical')
+    }
+    return {
+      messages: [...promptMessages, ...chosen],
+      rejected: [...promptMessages, ...rejected],
+      promptTurns: promptMessages.length
+    }
+  }
+}
+
+/**
+ * Check the turn structure of a normalized conversation.
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ * @returns {string[]} Problems that make the record unusable
+ */
+function checkConversation(messages) {
+  const problems = []
+  const turns = messages.filter(message => message.role !== 'system')
+
+  if (!turns.some(message => message.role === 'assistant')) {
+    problems.push('No assistant turn')
+  }
+  if (turns[0] && turns[0].role !== 'user') {
+    problems.push('Conversation must start with a user turn')
+  }
+  for (let i = 1; i < turns.length; i++) {
+    if (turns[i].role === turns[i - 1].role) {
+      problems.push(`Turns ${i - 1} and ${i} are both "${turns[i].role}"`)
+      break
+    }
+  }
+  return problems
+}
+
+/**
+ * Parse a structured dataset into conversations.
+ * Records that cannot be used are reported individually and skipped.
+ * @param {string} text - Raw JSONL / JSON content
+ * @param {string} [format] - One of DATASET_FORMATS (AUTO detects it)
+ * @returns {{format: string, conversations: Array<Object>, errors: Array<Object>, recordCount: number}}
+ *   conversations hold { index, line, messages }, preference records also { rejected, promptTurns };
+ *   errors hold { index, line, message }
+ */
+export function parseStructuredDataset(text, format = DATASET_FORMATS.AUTO) {
+  const { records, errors } = parseJsonRecords(text)
+  const recordCount = records.length + errors.length
+  const resolvedFormat = format === DATASET_FORMATS.AUTO
+    ? detectRecordFormat(records.map(record => record.value))
+    : format
+
+  const parseRecord = RECORD_PARSERS[resolvedFormat]
+  if (!parseRecord) {
+    throw new Error(`Unsupported dataset format: ${resolvedFormat}`)
+  }
+
+  const conversations = []
+  for (const { index, line, value } of records) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ index, line, message: 'Record is not a JSON object' })
+      continue
+    }
+
+    const problems = []
+    const parsed = parseRecord(value, problems)
+    const { messages: parsedMessages, ...extra } = Array.isArray(parsed) ? { messages: parsed } : parsed || {}
+    const normalize = list => list.map(message => ({ ...message, content: normalizeContent(message.content) }))
+    const messages = normalize(parsedMessages || [])
+    if (parsed) problems.push(...checkConversation(messages))
+    if (extra.rejected) {
+      extra.rejected = normalize(extra.rejected)
+      if (parsed) problems.push(...checkConversation(extra.rejected).map(problem => `Rejected: ${problem}`))
+    }
+
+    // Empty assistant turns are allowed through here and flagged as warnings by validateCorpus
+    if (problems.length > 0) {
+      problems.forEach(message => errors.push({ index, line, message }))
+      continue
+    }
+
+    conversations.push({ index, line, messages, ...extra })
+  }
+
+  errors.sort((a, b) => a.index - b.index)
+  return { format: resolvedFormat, conversations, errors, recordCount }
+}
+
+/**
+ * Render a conversation to text with the tokenizer's chat template.
+ * Tokenizers without a template fall back to a ChatML-style layout.
+ * @param {Object} tokenizer - Transformers.js tokenizer
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ * @param {Object} [options] - { addGenerationPrompt } to end with an open assistant turn
+ * @returns {string} Rendered conversation
+ */
+export function renderConversation(tokenizer, messages, options = {}) {
+  const { addGenerationPrompt = false } = options
+
+  if (tokenizer?.chat_template) {
+    return tokenizer.apply_chat_template(messages, { tokenize: false, add_generation_prompt: addGenerationPrompt })
+  }
+
+  const rendered = messages.map(({ role, content }) => `<|im_start|>${role}\n${content}<|im_end|>\n`).join('')
+  return addGenerationPrompt ? `${rendered}<|im_start|>assistant\n` : rendered
+}
+
+/**
+ * Tokenize a conversation and mark which tokens belong to assistant turns.
+ * Each assistant turn spans from the end of the rendered prompt before it (with the
+ * generation prompt) to the end of the conversation rendered through it, so the
+ * turn's end-of-turn tokens are trained too and the model learns to stop.
+ * @param {Object} tokenizer - Transformers.js tokenizer
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ * @param {Object} [options] - { fromTurn } to only train assistant turns at or after that message index
+ *   (a preference record's response, not assistant turns inside its prompt)
+ * @returns {{inputIds: number[], trainMask: Uint8Array}} Token ids and 1 for tokens that count towards the loss
+ */
+export function tokenizeConversation(tokenizer, messages, options = {}) {
+  const { fromTurn = 0 } = options
+  // The template already adds BOS/EOS where the model expects them
+  const encode = text => tokenizer.encode(text, { add_special_tokens: false })
+  const inputIds = encode(renderConversation(tokenizer, messages))
+  const trainMask = new Uint8Array(inputIds.length)
+
+  messages.forEach((message, i) => {
+    if (message.role !== 'assistant' || i < fromTurn) return
+    const start = encode(renderConversation(tokenizer, messages.slice(0, i), { addGenerationPrompt: true })).length
+    const end = encode(renderConversation(tokenizer, messages.slice(0, i + 1))).length
+    trainMask.fill(1, Math.min(start, inputIds.length), Math.min(end, inputIds.length))
+  })
+
+  return { inputIds, trainMask }
+}
+
+export default {
+  DATASET_FORMATS,
+  FORMAT_LABELS,
+  parseJsonRecords,
+  detectRecordFormat,
+  detectDatasetFormat,
+  parseStructuredDataset,
+  renderConversation,
+  tokenizeConversation
+}
@@ -1,20 +1,49 @@
 /**
  * Dataset Loader and Processing Utility for LoRA Lab
- * Handles text corpus loading and cleaning. Tokenization is handled by the training worker.
+ * Handles text corpus loading and cleaning, and parsing of structured instruction/chat
+ * datasets (see datasetFormats.js). Tokenization is handled by the training worker.
  */
 
+import { DATASET_FORMATS, detectDatasetFormat, parseStructuredDataset } from './datasetFormats.js'
+
+// Rough characters-per-token ratio used where no tokenizer is available
+export const CHARS_PER_TOKEN = 4
+
 /**
- * Load and process a text dataset
- * @param {string} text - Raw text content
- * @param {Object} options - Processing options
- * @returns {Promise<Object>} Processed dataset information
+ * Load and process a text or structured dataset
+ * @param {string} text - Raw text content (plain text, JSONL or a JSON array)
+ * @param {Object} options - Processing options ({ cleanText, format })
+ * @returns {Promise<Object>} Processed dataset information. Structured datasets also carry
+ *   { format, conversations, recordErrors, recordCount }
  */
 export async function loadDataset(text, options = {}) {
   const {
-    cleanText = true
+    cleanText = true,
+    format = DATASET_FORMATS.AUTO
   } = options
 
   try {
+    const resolvedFormat = format === DATASET_FORMATS.AUTO ? detectDatasetFormat(text) : format
+
+    if (resolvedFormat !== DATASET_FORMATS.TEXT) {
+      const { conversations, errors, recordCount } = parseStructuredDataset(text, resolvedFormat)
+      if (conversations.length === 0) {
+        throw new Error(`No usable records found (${errors.length} invalid)`)
+      }
+
+      return {
+        format: resolvedFormat,
+        conversations,
+        recordErrors: errors,
+        recordCount,
+        characterCount: text.length,
+        metadata: {
+          timestamp: Date.now(),
+          options
+        }
+      }
+    }
+
     // Clean and preprocess text
     const processedText = cleanText ? preprocessText(text) : text
     
@@ -22,6 +51,7 @@ export async function loadDataset(text, options = {}) {
     const stats = calculateDatasetStats(processedText)
     
     return {
+      format: DATASET_FORMATS.TEXT,
       text: processedText,
       characterCount: processedText.length,
       stats: stats,
@@ -99,11 +129,13 @@ function calculateDatasetStats(text) {
 /**
  * Validate text corpus for training
  * @param {string} text - Text to validate
+ * @param {Object} options - { format, maxSampleTokens } (structured datasets only)
  * @returns {Object} Validation results
  */
-export function validateCorpus(text) {
+export function validateCorpus(text, options = {}) {
   const validation = {
     isValid: true,
+    format: DATASET_FORMATS.TEXT,
     warnings: [],
     errors: [],
     recommendations: []
@@ -114,6 +146,13 @@ export function validateCorpus(text) {
     validation.errors.push('Invalid text input')
     return validation
   }
+
+  const format = (options.format || DATASET_FORMATS.AUTO) === DATASET_FORMATS.AUTO
+    ? detectDatasetFormat(text)
+    : options.format
+  if (format !== DATASET_FORMATS.TEXT) {
+    return validateStructuredCorpus(text, format, options, validation)
+  }
   
   const length = text.length
   const wordCount = (text.match(/\b\w+\b/g) || []).length
@@ -158,6 +197,63 @@ export function validateCorpus(text) {
   return validation
 }
 
+/**
+ * Per-format checks for structured datasets: unusable records, empty assistant turns
+ * and samples that will not fit in one training sequence.
+ */
+function validateStructuredCorpus(text, format, options, validation) {
+  const { maxSampleTokens = 512, maxListed = 5 } = options
+  const { conversations, errors, recordCount } = parseStructuredDataset(text, format)
+
+  validation.format = format
+  validation.recordCount = recordCount
+  validation.sampleCount = conversations.length
+  validation.recordErrors = errors
+
+  const describe = ({ index, line }) => line ? `line ${line}` : `record ${index}`
+  const summarize = (items, render) => {
+    const listed = items.slice(0, maxListed).map(render).join('; ')
+    return items.length > maxListed ? `${listed}; and ${items.length - maxListed} more` : listed
+  }
+
+  if (conversations.length === 0) {
+    validation.isValid = false
+    validation.errors.push(`No usable records in ${recordCount} record(s)`)
+  }
+
+  if (errors.length > 0) {
+    validation.warnings.push(
+      `${errors.length} problem(s) in ${recordCount} record(s); invalid records will be skipped: ` +
+      summarize(errors, error => `${describe(error)}: ${error.message}`)
+    )
+  }
+
+  const emptyAssistant = conversations.filter(({ messages }) =>
+    messages.some(message => message.role === 'assistant' && !message.content.trim())
+  )
+  if (emptyAssistant.length > 0) {
+    validation.warnings.push(
+      `${emptyAssistant.length} sample(s) have empty assistant turns: ${summarize(emptyAssistant, describe)}`
+    )
+  }
+
+  // Token counts are estimated here; the training worker measures them with the real tokenizer
+  const overLength = conversations.filter(({ messages }) =>
+    messages.reduce((sum, message) => sum + message.content.length, 0) / CHARS_PER_TOKEN > maxSampleTokens
+  )
+  if (overLength.length > 0) {
+    validation.warnings.push(
+      `${overLength.length} sample(s) likely exceed ${maxSampleTokens} tokens and will be truncated: ${summarize(overLength, describe)}`
+    )
+  }
+
+  if (conversations.length > 0 && conversations.length < 50) {
+    validation.warnings.push('Very few samples (< 50) - the adapter may overfit')
+  }
+
+  return validation
+}
+
 /**
  * Estimate training time based on corpus size and hardware
  * @param {number} tokenCount - Number of tokens
@@ -0,0 +1,290 @@
+/**
+ * Sequence Packing for LoRA Lab
+ * Turns tokenized samples into fixed-length training sequences.
+ *
+ * Modes:
+ *   stream    concatenate every sample and slide a window over the stream (plain-text default)
+ *   pack      bin-pack whole samples into sequences, each followed by EOS, with positions
+ *             restarting per sample and segment ids for block-diagonal attention (chat default)
+ *   truncate  one sample per sequence, cut to the sequence length, padding the rest
+ *
+ * Every sequence is { input, labels, attentionMask, positionIds, segmentIds, trainedTokens,
+ * paddingTokens, numSamples }. Labels are already shifted (labels[j] is the token that
+ * follows input[j]) and hold IGNORE_INDEX wherever no prediction should be trained:
+ * masked prompt tokens, the last token of each sample and padding. Segment ids are
+ * 1-based per packed sample, with 0 marking padding.
+ */
+
+import { IGNORE_INDEX } from '../trainers/loraReference.js'
+
+export const PACKING_MODES = {
+  AUTO: 'auto',
+  STREAM: 'stream',
+  PACK: 'pack',
+  TRUNCATE: 'truncate'
+}
+
+export const PACKING_LABELS = {
+  [PACKING_MODES.AUTO]: 'Auto (pack chat samples, stream plain text)',
+  [PACKING_MODES.PACK]: 'Pack samples',
+  [PACKING_MODES.TRUNCATE]: 'One sample per sequence (truncate)',
+  [PACKING_MODES.STREAM]: 'Continuous stream'
+}
+
+/**
+ * Resolve AUTO to a concrete mode.
+ * @param {string} mode - One of PACKING_MODES
+ * @param {boolean} structured - Whether the samples come from a structured (chat/instruction) dataset
+ * @returns {string} Concrete packing mode
+ */
+export function resolvePackingMode(mode, structured) {
+  if (!mode || mode === PACKING_MODES.AUTO) {
+    return structured ? PACKING_MODES.PACK : PACKING_MODES.STREAM
+  }
+  return mode
+}
+
+function createRow(sequenceLength, padTokenId) {
+  return {
+    input: new Array(sequenceLength).fill(padTokenId),
+    labels: new Array(sequenceLength).fill(IGNORE_INDEX),
+    attentionMask: new Array(sequenceLength).fill(0),
+    positionIds: new Array(sequenceLength).fill(0),
+    segmentIds: new Array(sequenceLength).fill(0),
+    length: 0,
+    trainedTokens: 0,
+    numSamples: 0
+  }
+}
+
+/**
+ * Append one sample as its own segment: positions restart at 0 and the last token
+ * predicts nothing, so no label crosses into the next sample.
+ */
+function appendSegment(row, inputIds, trainMask) {
+  const segmentId = row.numSamples + 1
+  const start = row.length
+
+  for (let j = 0; j < inputIds.length; j++) {
+    const position = start + j
+    row.input[position] = inputIds[j]
+    row.attentionMask[position] = 1
+    row.positionIds[position] = j
+    row.segmentIds[position] = segmentId
+
+    const next = j + 1
+    if (next < inputIds.length && (!trainMask || trainMask[next])) {
+      row.labels[position] = inputIds[next]
+      row.trainedTokens++
+    }
+  }
+
+  row.length += inputIds.length
+  row.numSamples++
+}
+
+function finishRow(row) {
+  const { length, ...sequence } = row
+  return { ...sequence, paddingTokens: sequence.input.length - length }
+}
+
+/**
+ * Sample tokens terminated by EOS. The EOS is trained whenever the token before it is,
+ * so completions learn to stop.
+ */
+function withEos(sample, eosTokenId) {
+  const { inputIds, trainMask = null } = sample
+  if (eosTokenId === null || eosTokenId === undefined || inputIds[inputIds.length - 1] === eosTokenId) {
+    return { inputIds, trainMask }
+  }
+
+  const ids = [...inputIds, eosTokenId]
+  if (!trainMask) return { inputIds: ids, trainMask: null }
+
+  const mask = new Uint8Array(ids.length)
+  mask.set(trainMask)
+  mask[ids.length - 1] = trainMask[trainMask.length - 1]
+  return { inputIds: ids, trainMask: mask }
+}
+
+function streamSequences(samples, { sequenceLength, stride, padTokenId }) {
+  const tokens = []
+  const masks = []
+  for (const { inputIds, trainMask = null } of samples) {
+    for (let j = 0; j < inputIds.length; j++) {
+      tokens.push(inputIds[j])
+      masks.push(trainMask ? trainMask[j] : 1)
+    }
+  }
+
+  const sequences = []
+  for (let i = 0; i + 1 < tokens.length; i += stride) {
+    // The final window keeps the tail and is padded instead of being dropped
+    const length = Math.min(sequenceLength, tokens.length - i)
+    const row = createRow(sequenceLength, padTokenId)
+
+    for (let j = 0; j < length; j++) {
+      row.input[j] = tokens[i + j]
+      row.attentionMask[j] = 1
+      row.positionIds[j] = j
+      row.segmentIds[j] = 1
+      const next = i + j + 1
+      if (next < tokens.length && masks[next]) {
+        row.labels[j] = tokens[next]
+        row.trainedTokens++
+      }
+    }
+    row.length = length
+    row.numSamples = 1
+    sequences.push(finishRow(row))
+
+    if (i + sequenceLength >= tokens.length) break
+  }
+
+  return { sequences, truncatedSamples: 0, droppedTokens: 0 }
+}
+
+function packSequences(samples, { sequenceLength, eosTokenId, padTokenId }) {
+  // Samples longer than a sequence are split into sequence-sized pieces rather than cut
+  const pieces = []
+  for (const sample of samples) {
+    const { inputIds, trainMask } = withEos(sample, eosTokenId)
+    for (let start = 0; start < inputIds.length; start += sequenceLength) {
+      pieces.push({
+        inputIds: inputIds.slice(start, start + sequenceLength),
+        trainMask: trainMask ? trainMask.slice(start, start + sequenceLength) : null
+      })
+    }
+  }
+
+  // First-fit decreasing keeps the number of sequences (and so the padding) low
+  const order = pieces.map((piece, index) => index)
+    .sort((a, b) => pieces[b].inputIds.length - pieces[a].inputIds.length || a - b)
+  const rows = []
+  for (const index of order) {
+    const piece = pieces[index]
+    let row = rows.find(candidate => sequenceLength - candidate.length >= piece.inputIds.length)
+    if (!row) {
+      row = createRow(sequenceLength, padTokenId)
+      rows.push(row)
+    }
+    appendSegment(row, piece.inputIds, piece.trainMask)
+  }
+
+  return { sequences: rows.map(finishRow), truncatedSamples: 0, droppedTokens: 0 }
+}
+
+function truncateSequences(samples, { sequenceLength, eosTokenId, padTokenId }) {
+  const sequences = []
+  let truncatedSamples = 0
+  let droppedTokens = 0
+
+  for (const sample of samples) {
+    const { inputIds, trainMask } = withEos(sample, eosTokenId)
+    if (inputIds.length > sequenceLength) {
+      truncatedSamples++
+      droppedTokens += inputIds.length - sequenceLength
+    }
+
+    const row = createRow(sequenceLength, padTokenId)
+    appendSegment(row, inputIds.slice(0, sequenceLength), trainMask ? trainMask.slice(0, sequenceLength) : null)
+    sequences.push(finishRow(row))
+  }
+
+  return { sequences, truncatedSamples, droppedTokens }
+}
+
+/**
+ * Hold out a fraction of the samples for validation.
+ * Samples are assigned at random, so packed validation sequences never share text with
+ * training ones. A single sample (a plain-text stream) is split by tokens instead, keeping
+ * its tail for validation.
+ * @param {Array<Object>} samples - Tokenized samples ({ inputIds, trainMask })
+ * @param {number} fraction - Share of samples (or tokens) to hold out, 0-0.5
+ * @param {function(): number} [random] - Random source in [0, 1)
+ * @returns {{train: Array<Object>, validation: Array<Object>}} Disjoint sample lists
+ */
+export function splitSamples(samples, fraction, random = Math.random) {
+  if (!(fraction > 0) || samples.length === 0) {
+    return { train: samples, validation: [] }
+  }
+
+  if (samples.length === 1) {
+    const { inputIds, trainMask = null } = samples[0]
+    const cut = inputIds.length - Math.max(2, Math.round(inputIds.length * fraction))
+    if (cut < 2) return { train: samples, validation: [] }
+    const part = (start, end) => ({
+      inputIds: inputIds.slice(start, end),
+      trainMask: trainMask ? trainMask.slice(start, end) : null
+    })
+    return { train: [part(0, cut)], validation: [part(cut, inputIds.length)] }
+  }
+
+  // Fisher-Yates over indices, then restore dataset order within each split
+  const order = samples.map((sample, index) => index)
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[order[i], order[j]] = [order[j], order[i]]
+  }
+  const validationCount = Math.min(samples.length - 1, Math.max(1, Math.round(samples.length * fraction)))
+  const held = new Set(order.slice(0, validationCount))
+
+  return {
+    train: samples.filter((sample, index) => !held.has(index)),
+    validation: samples.filter((sample, index) => held.has(index))
+  }
+}
+
+const BUILDERS = {
+  [PACKING_MODES.STREAM]: streamSequences,
+  [PACKING_MODES.PACK]: packSequences,
+  [PACKING_MODES.TRUNCATE]: truncateSequences
+}
+
+/**
+ * Build fixed-length training sequences from tokenized samples.
+ * @param {Array<{inputIds: number[], trainMask?: Uint8Array}>} samples - Tokenized samples (trainMask 1 = trained)
+ * @param {Object} options - { mode, sequenceLength, stride, eosTokenId, padTokenId }
+ * @returns {{sequences: Array<Object>, stats: Object}} Sequences and a padding/truncation report
+ */
+export function buildSequences(samples, options) {
+  const {
+    mode = PACKING_MODES.STREAM,
+    sequenceLength = 512,
+    stride = sequenceLength,
+    eosTokenId = null,
+    padTokenId = eosTokenId ?? 0
+  } = options
+
+  const build = BUILDERS[mode]
+  if (!build) {
+    throw new Error(`Unknown packing mode: ${mode}`)
+  }
+
+  const { sequences, truncatedSamples, droppedTokens } = build(samples, { sequenceLength, stride, eosTokenId, padTokenId })
+  const totalTokens = sequences.length * sequenceLength
+  const paddingTokens = sequences.reduce((sum, sequence) => sum + sequence.paddingTokens, 0)
+
+  return {
+    sequences,
+    stats: {
+      mode,
+      samples: samples.length,
+      sequences: sequences.length,
+      samplesPerSequence: sequences.length > 0 ? sequences.reduce((sum, s) => sum + s.numSamples, 0) / sequences.length : 0,
+      realTokens: totalTokens - paddingTokens,
+      paddingTokens,
+      paddingRatio: totalTokens > 0 ? paddingTokens / totalTokens : 0,
+      truncatedSamples,
+      droppedTokens
+    }
+  }
+}
+
+export default {
+  PACKING_MODES,
+  PACKING_LABELS,
+  resolvePackingMode,
+  splitSamples,
+  buildSequences
+}
@@ -0,0 +1,139 @@
+/**
+ * Activation and Gradient Capture for LoRA Lab
+ * Collects, for every LoRA target module, the real input activations entering the
+ * projection and the real upstream gradient dL/d(output) from a training forward pass.
+ *
+ * Transformers.js returns every graph output of the decoder session from `model(...)`.
+ * Training-graph exports expose two extra outputs per target module:
+ *   `<layer>.lora_input`        activations entering the projection  [batch, seq, inputDim]
+ *   `<layer>.lora_grad_output`  dL/d(projection output), only present when the graph
+ *                               is fed `labels`                       [batch, seq, outputDim]
+ * The values must match what loraReference.runTinyModel computes for the same layer.
+ * Stock Hugging Face / transformers.js exports have neither output, so training refuses to start
+ * on them (see assertCaptureSupport) instead of running steps that update nothing.
+ */
+
+import { float16BitsToFloat32 } from '../utils/safetensorsFormat.js';
+
+export const CAPTURE_OUTPUTS = {
+  input: 'lora_input',
+  gradOutput: 'lora_grad_output'
+};
+
+/**
+ * Convert a transformers.js / ORT tensor (or typed array) to a Float32Array.
+ * Half-precision outputs (q4f16 / fp16 models) arrive as Uint16Array bit patterns.
+ * @param {Object|ArrayLike<number>} tensor - Tensor or raw data
+ * @returns {Float32Array|null} Float32 copy of the data, or null if unavailable
+ */
+export function toFloat32(tensor) {
+  if (!tensor) return null;
+  const data = tensor.data ?? tensor;
+  if (data instanceof Float32Array) return data;
+  if (tensor.type === 'float16' || data instanceof Uint16Array) {
+    return Float32Array.from(data, float16BitsToFloat32);
+  }
+  return Float32Array.from(data);
+}
+
+/**
+ * Names of the graph outputs that carry capture data for a layer.
+ * @param {string} layerName - LoRA target layer path (as returned by findLoraTargetLayers)
+ * @returns {{input: string, gradOutput: string}} Output names
+ */
+export function getCaptureOutputNames(layerName) {
+  return {
+    input: `${layerName}.${CAPTURE_OUTPUTS.input}`,
+    gradOutput: `${layerName}.${CAPTURE_OUTPUTS.gradOutput}`
+  };
+}
+
+/**
+ * Check whether a loaded model exposes capture outputs for the given layers.
+ * @param {Object} model - Transformers.js model
+ * @param {string[]} targetLayers - LoRA target layer paths
+ * @returns {{supported: string[], unsupported: string[]}} Layers split by capture support
+ */
+export function inspectCaptureSupport(model, targetLayers) {
+  const session = model?.sessions?.model ?? model?.sessions?.decoder_model_merged;
+  const outputNames = new Set(session?.outputNames || []);
+  const supported = [];
+  const unsupported = [];
+
+  for (const layerName of targetLayers) {
+    const names = getCaptureOutputNames(layerName);
+    if (outputNames.has(names.input) && outputNames.has(names.gradOutput)) {
+      supported.push(layerName);
+    } else {
+      unsupported.push(layerName);
+    }
+  }
+
+  return { supported, unsupported };
+}
+
+/**
+ * Throw unless the model exposes capture outputs for at least one target layer.
+ * @param {Object} model - Transformers.js model
+ * @param {string[]} targetLayers - LoRA target layer paths
+ * @returns {{supported: string[], unsupported: string[]}} Layers split by capture support
+ */
+export function assertCaptureSupport(model, targetLayers) {
+  const support = inspectCaptureSupport(model, targetLayers);
+  if (support.supported.length === 0) {
+    const names = getCaptureOutputNames(targetLayers[0]);
+    throw new Error(
+      'This model cannot be trained: its ONNX graph has no activation/gradient capture outputs ' +
+      `(e.g. ${names.input} and ${names.gradOutput}). Use a training-graph export that exposes them.`
+    );
+  }
+  return support;
+}
+
+/**
+ * Extract per-layer activations and upstream gradients from a forward pass' outputs.
+ * Layers whose data is missing or has the wrong width are reported in `missing`
+ * rather than being filled with stand-in values.
+ * @param {Object} outputs - Result of `await model({ ...inputs, labels })`
+ * @param {string[]} targetLayers - LoRA target layer paths
+ * @param {function(string): {inputDim: number, outputDim: number}} getLayerDims - Shape lookup
+ * @returns {{layers: Object, missing: Array<{layer: string, reason: string}>}}
+ */
+export function captureLayerSignals(outputs, targetLayers, getLayerDims) {
+  const layers = {};
+  const missing = [];
+
+  for (const layerName of targetLayers) {
+    const names = getCaptureOutputNames(layerName);
+    const input = toFloat32(outputs?.[names.input]);
+    const gradOutput = toFloat32(outputs?.[names.gradOutput]);
+
+    if (!input || !gradOutput) {
+      missing.push({ layer: layerName, reason: !input ? 'no input activations' : 'no upstream gradient' });
+      continue;
+    }
+
+    const { inputDim, outputDim } = getLayerDims(layerName);
+    const numTokens = input.length / inputDim;
+    if (!Number.isInteger(numTokens) || gradOutput.length !== numTokens * outputDim) {
+      missing.push({
+        layer: layerName,
+        reason: `shape mismatch (input ${input.length}, grad ${gradOutput.length}, expected ${inputDim}/${outputDim} per token)`
+      });
+      continue;
+    }
+
+    layers[layerName] = { input, gradOutput, numTokens };
+  }
+
+  return { layers, missing };
+}
+
+export default {
+  CAPTURE_OUTPUTS,
+  toFloat32,
+  getCaptureOutputNames,
+  inspectCaptureSupport,
+  assertCaptureSupport,
+  captureLayerSignals
+};
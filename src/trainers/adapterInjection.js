@@ -0,0 +1,235 @@
+/**
+ * LoRA Adapter Injection for LoRA Lab
+ * Feeds trained A/B matrices into the projections of a loaded model at generation time.
+ *
+ * ONNX Runtime Web cannot patch the initializers of a live session, so adapter-capable
+ * exports declare two extra graph inputs per target module (same naming scheme as the
+ * capture outputs in activationCapture.js):
+ *   `<layer>.lora_A`  float32 [inputDim, rank]
+ *   `<layer>.lora_B`  float32 [rank, outputDim], pre-multiplied by alpha / rank
+ * and compute  h' = x·W + (x·lora_A)·lora_B  inside the graph. Feeding zeros gives the
+ * base model exactly, so the same session serves both base and adapted generation.
+ */
+
+import { readModelShape, getLayerShape } from './modelShapes.js';
+
+export const ADAPTER_INPUTS = {
+  A: 'lora_A',
+  B: 'lora_B'
+};
+
+/**
+ * Names of the graph inputs that carry adapter weights for a layer.
+ * @param {string} layerName - LoRA target layer path
+ * @returns {{A: string, B: string}} Input names
+ */
+export function getAdapterInputNames(layerName) {
+  return {
+    A: `${layerName}.${ADAPTER_INPUTS.A}`,
+    B: `${layerName}.${ADAPTER_INPUTS.B}`
+  };
+}
+
+/**
+ * Layers whose A/B inputs are both declared by the model's decoder session.
+ * @param {Object} model - Transformers.js model
+ * @returns {string[]} Injectable layer paths
+ */
+export function findInjectableLayers(model) {
+  const session = model?.sessions?.model ?? model?.sessions?.decoder_model_merged;
+  const inputNames = new Set(session?.inputNames || []);
+  const suffix = `.${ADAPTER_INPUTS.A}`;
+
+  return [...inputNames]
+    .filter(name => name.endsWith(suffix))
+    .map(name => name.slice(0, -suffix.length))
+    .filter(layerName => inputNames.has(getAdapterInputNames(layerName).B));
+}
+
+// Block index and module name, e.g. "3/q_proj" for model.decoder.layers.3.self_attn.q_proj
+function blockKey(layerName) {
+  const match = layerName.match(/(?:^|\.)(?:layers|h|blocks)\.(\d+)\.(?:.+\.)?([^.]+)$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Map adapter layers onto a model's layer paths.
+ * Names match exactly when possible. Adapters trained elsewhere (e.g. imported from PEFT) may
+ * use a different module prefix, so the rest are matched by block index and module name when
+ * that pair identifies a single model layer.
+ * @param {Object} adapterLayers - Adapter layers keyed by their own layer names
+ * @param {string[]} layerNames - Layer paths of the model (injectable or LoRA target layers)
+ * @returns {{layers: Object, unmatched: string[]}} Adapter layers keyed by model layer path, and adapter names left over
+ */
+export function matchAdapterLayers(adapterLayers, layerNames) {
+  const layers = {};
+  const unmatched = [];
+
+  const byBlock = new Map();
+  for (const layerName of layerNames) {
+    const key = blockKey(layerName);
+    if (key) byBlock.set(key, byBlock.has(key) ? null : layerName);
+  }
+
+  for (const [name, layer] of Object.entries(adapterLayers || {})) {
+    const target = layerNames.includes(name) ? name : byBlock.get(blockKey(name));
+    if (target && !layers[target]) {
+      layers[target] = layer;
+    } else {
+      unmatched.push(name);
+    }
+  }
+
+  return { layers, unmatched };
+}
+
+/**
+ * Stack several adapters into one whose update is the weighted sum of theirs:
+ *   ΔW = Σ wᵢ · sᵢ · Aᵢ·Bᵢ  =  [A₁ | A₂ | …] · [w₁s₁B₁ ; w₂s₂B₂ ; …]
+ * The A matrices are concatenated along the rank and the B matrices stacked with their
+ * weight and scaling folded in, so the result is exact for any ranks and feeds the same
+ * graph inputs as a single adapter.
+ * @param {Array<{adapter: Object, weight: number}>} entries - Adapters and their weights
+ * @param {string[]} [layerNames] - Model layer paths to match adapter layers onto (see matchAdapterLayers)
+ * @returns {{adapter: Object, unmatched: string[][]}} Combined adapter (scaling 1), and each entry's unmatched layers
+ */
+export function combineAdapters(entries, layerNames = null) {
+  const parts = {};
+  const unmatched = entries.map(({ adapter, weight }) => {
+    const matched = layerNames
+      ? matchAdapterLayers(adapter.layers, layerNames)
+      : { layers: adapter.layers || {}, unmatched: [] };
+
+    for (const [name, layer] of Object.entries(matched.layers)) {
+      if (!layer?.A?.data || !layer?.B?.data) continue;
+      const rank = layer.A.shape[1];
+      const factor = weight * (adapter.scaling ?? (adapter.alpha / rank));
+      (parts[name] = parts[name] || []).push({ layer, rank, factor });
+    }
+    return matched.unmatched;
+  });
+
+  const layers = {};
+  let maxRank = 0;
+  for (const [name, layerParts] of Object.entries(parts)) {
+    const inputDim = layerParts[0].layer.A.shape[0];
+    const outputDim = layerParts[0].layer.B.shape[1];
+    if (layerParts.some(({ layer }) => layer.A.shape[0] !== inputDim || layer.B.shape[1] !== outputDim)) {
+      throw new Error(`Adapters disagree on the shape of ${name}`);
+    }
+
+    const rank = layerParts.reduce((sum, part) => sum + part.rank, 0);
+    const A = new Float32Array(inputDim * rank);
+    const B = new Float32Array(rank * outputDim);
+    let offset = 0;
+    for (const { layer, rank: partRank, factor } of layerParts) {
+      for (let row = 0; row < inputDim; row++) {
+        for (let k = 0; k < partRank; k++) {
+          A[row * rank + offset + k] = layer.A.data[row * partRank + k];
+        }
+      }
+      for (let i = 0; i < partRank * outputDim; i++) {
+        B[offset * outputDim + i] = layer.B.data[i] * factor;
+      }
+      offset += partRank;
+    }
+
+    layers[name] = { A: { data: A, shape: [inputDim, rank] }, B: { data: B, shape: [rank, outputDim] } };
+    maxRank = Math.max(maxRank, rank);
+  }
+
+  return { adapter: { rank: maxRank, alpha: maxRank, scaling: 1, layers }, unmatched };
+}
+
+/**
+ * Build the graph feeds for every injectable layer.
+ * Layers without adapter weights (or all layers when `enabled` is false) receive
+ * rank-1 zero matrices, which leave the base projection untouched.
+ * @param {Object|null} adapter - Adapter data ({ rank, alpha, scaling, layers: { [name]: { A, B } } })
+ * @param {string[]} injectableLayers - Result of findInjectableLayers
+ * @param {Object} config - Model config, used to size the zero feeds
+ * @param {boolean} [enabled] - Whether the adapter should be applied
+ * @returns {{feeds: Object, applied: string[], unsupported: string[]}}
+ *   feeds maps input name -> { type, data, dims }; unsupported lists adapter layers the graph cannot take
+ */
+export function buildAdapterFeeds(adapter, injectableLayers, config, enabled = true) {
+  const modelShape = readModelShape(config);
+  const { layers: adapterLayers, unmatched: unsupported } = matchAdapterLayers(adapter?.layers, injectableLayers);
+  const feeds = {};
+  const applied = [];
+
+  for (const layerName of injectableLayers) {
+    const names = getAdapterInputNames(layerName);
+    const layer = adapterLayers[layerName];
+
+    if (enabled && layer?.A?.data && layer?.B?.data) {
+      const [inputDim, rank] = layer.A.shape;
+      const outputDim = layer.B.shape[1];
+      const scaling = adapter.scaling ?? (adapter.alpha / rank);
+      const scaledB = Float32Array.from(layer.B.data, value => value * scaling);
+
+      feeds[names.A] = { type: 'float32', data: Float32Array.from(layer.A.data), dims: [inputDim, rank] };
+      feeds[names.B] = { type: 'float32', data: scaledB, dims: [rank, outputDim] };
+      applied.push(layerName);
+    } else {
+      const { inputDim, outputDim } = getLayerShape(layerName, modelShape);
+      feeds[names.A] = { type: 'float32', data: new Float32Array(inputDim), dims: [inputDim, 1] };
+      feeds[names.B] = { type: 'float32', data: new Float32Array(outputDim), dims: [1, outputDim] };
+    }
+  }
+
+  return { feeds, applied, unsupported };
+}
+
+/**
+ * Route adapter feeds into every forward call of a model, including each step of `generate`.
+ * Transformers.js only keeps inputs the session declares, so extra feeds are harmless.
+ * @param {Object} model - Transformers.js model
+ * @param {function(): Object} getFeeds - Returns the tensors to merge into the model inputs
+ * @returns {function(): void} Restores the original forward
+ */
+export function installAdapterInjection(model, getFeeds) {
+  const originalForward = model.forward;
+  model.forward = function (modelInputs) {
+    return originalForward.call(this, { ...modelInputs, ...getFeeds() });
+  };
+  return () => {
+    model.forward = originalForward;
+  };
+}
+
+/**
+ * Dense low-rank update scaling·A·B in [inputDim, outputDim] layout.
+ * Adding its transpose to a PyTorch-layout [outputDim, inputDim] weight merges the adapter.
+ * @param {ArrayLike<number>} A - LoRA A [inputDim, rank]
+ * @param {ArrayLike<number>} B - LoRA B [rank, outputDim]
+ * @param {Object} dims - { inputDim, outputDim, rank, scaling }
+ * @returns {Float32Array} Delta weight [inputDim, outputDim]
+ */
+export function loraDeltaWeight(A, B, dims) {
+  const { inputDim, outputDim, rank, scaling } = dims;
+  const delta = new Float32Array(inputDim * outputDim);
+
+  for (let i = 0; i < inputDim; i++) {
+    for (let r = 0; r < rank; r++) {
+      const a = A[i * rank + r] * scaling;
+      if (a === 0) continue;
+      for (let o = 0; o < outputDim; o++) {
+        delta[i * outputDim + o] += a * B[r * outputDim + o];
+      }
+    }
+  }
+
+  return delta;
+}
+
+export default {
+  ADAPTER_INPUTS,
+  getAdapterInputNames,
+  findInjectableLayers,
+  matchAdapterLayers,
+  combineAdapters,
+  buildAdapterFeeds,
+  installAdapterInjection,
+  loraDeltaWeight
+};
@@ -0,0 +1,305 @@
+/**
+ * Adapter Merging for LoRA Lab
+ * Folds a LoRA adapter into the base weights of an ONNX model: W' = W + (alpha / r)·A·B for
+ * every target projection (A is [in, r] and B is [r, out], so A·B has W's [in, out] layout).
+ *
+ * Supported weight layouts, found through the node that consumes the weight:
+ *   MatMul        W [in, out] as float32, float16 or bfloat16
+ *   Gemm          W [in, out], or [out, in] with transB = 1
+ *   MatMulNBits   4-bit blockwise quantized W^T [out, blocks, blockSize / 2] with float32 or
+ *                 float16 scales and optional packed uint8 zero points (q4 / q4f16 exports);
+ *                 the merged weights are dequantized, updated and requantized block by block
+ * The graph's adapter inputs (adapterInjection.js), if any, are left in place: feeding them
+ * zeros now yields the merged model.
+ */
+
+import { TENSOR_TYPES } from '../utils/onnxProto.js';
+import {
+  float32ToFloat16Bits,
+  float16BitsToFloat32,
+  float32ToBFloat16Bits,
+  bfloat16BitsToFloat32
+} from '../utils/safetensorsFormat.js';
+import { matchAdapterLayers } from './adapterInjection.js';
+
+const MERGEABLE_OPS = ['MatMul', 'Gemm', 'MatMulNBits'];
+
+/**
+ * Decode a float initializer into float32 values.
+ * @param {Uint8Array} data - Raw little-endian tensor bytes
+ * @param {number} dataType - TENSOR_TYPES.FLOAT, FLOAT16 or BFLOAT16
+ * @returns {Float32Array} Values
+ */
+export function decodeFloats(data, dataType) {
+  const bytes = data.slice();
+  if (dataType === TENSOR_TYPES.FLOAT) {
+    return new Float32Array(bytes.buffer, 0, bytes.length / 4);
+  }
+  const bits = new Uint16Array(bytes.buffer, 0, bytes.length / 2);
+  if (dataType === TENSOR_TYPES.FLOAT16) {
+    return Float32Array.from(bits, float16BitsToFloat32);
+  }
+  if (dataType === TENSOR_TYPES.BFLOAT16) {
+    return Float32Array.from(bits, bfloat16BitsToFloat32);
+  }
+  throw new Error(`Unsupported float data type ${dataType}`);
+}
+
+/**
+ * Encode float32 values as raw bytes of a float initializer type.
+ * @param {Float32Array} values - Values
+ * @param {number} dataType - TENSOR_TYPES.FLOAT, FLOAT16 or BFLOAT16
+ * @returns {Uint8Array} Raw little-endian tensor bytes
+ */
+export function encodeFloats(values, dataType) {
+  if (dataType === TENSOR_TYPES.FLOAT) {
+    return new Uint8Array(Float32Array.from(values).buffer);
+  }
+  if (dataType === TENSOR_TYPES.FLOAT16) {
+    return new Uint8Array(Uint16Array.from(values, float32ToFloat16Bits).buffer);
+  }
+  if (dataType === TENSOR_TYPES.BFLOAT16) {
+    return new Uint8Array(Uint16Array.from(values, float32ToBFloat16Bits).buffer);
+  }
+  throw new Error(`Unsupported float data type ${dataType}`);
+}
+
+/**
+ * Dequantize MatMulNBits 4-bit weights.
+ * @param {Object} weights - { B: Uint8Array, scales: Float32Array, zeroPoints: Uint8Array|null }
+ * @param {Object} dims - { K, N, blockSize }
+ * @returns {Float32Array} W^T as [N, K]
+ */
+export function dequantizeBlockwise4(weights, { K, N, blockSize }) {
+  const { B, scales, zeroPoints } = weights;
+  const blocks = Math.ceil(K / blockSize);
+  const blobSize = blockSize / 2;
+  const zeroPointBytes = Math.ceil(blocks / 2);
+  const values = new Float32Array(N * K);
+
+  for (let n = 0; n < N; n++) {
+    for (let block = 0; block < blocks; block++) {
+      const scale = scales[n * blocks + block];
+      const zeroPoint = zeroPoints
+        ? (zeroPoints[n * zeroPointBytes + (block >> 1)] >> ((block & 1) * 4)) & 0x0f
+        : 8;
+      const blob = (n * blocks + block) * blobSize;
+      const end = Math.min(blockSize, K - block * blockSize);
+      for (let j = 0; j < end; j++) {
+        const q = (B[blob + (j >> 1)] >> ((j & 1) * 4)) & 0x0f;
+        values[n * K + block * blockSize + j] = (q - zeroPoint) * scale;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Quantize W^T to MatMulNBits 4-bit blocks, following onnxruntime's blockwise quantizer:
+ * asymmetric with per-block zero points when `asymmetric`, otherwise symmetric around 8.
+ * @param {Float32Array} values - W^T as [N, K]
+ * @param {Object} dims - { K, N, blockSize }
+ * @param {Object} options - { asymmetric, roundScale } where roundScale maps a scale to its stored precision
+ * @returns {{B: Uint8Array, scales: Float32Array, zeroPoints: Uint8Array|null}} Quantized weights
+ */
+export function quantizeBlockwise4(values, { K, N, blockSize }, { asymmetric = false, roundScale = value => value } = {}) {
+  const blocks = Math.ceil(K / blockSize);
+  const blobSize = blockSize / 2;
+  const zeroPointBytes = Math.ceil(blocks / 2);
+  const B = new Uint8Array(N * blocks * blobSize);
+  const scales = new Float32Array(N * blocks);
+  const zeroPoints = asymmetric ? new Uint8Array(N * zeroPointBytes) : null;
+
+  for (let n = 0; n < N; n++) {
+    for (let block = 0; block < blocks; block++) {
+      const start = n * K + block * blockSize;
+      const end = Math.min(blockSize, K - block * blockSize);
+
+      let scale;
+      let zeroPoint = 8;
+      if (asymmetric) {
+        let min = 0;
+        let max = 0;
+        for (let j = 0; j < end; j++) {
+          min = Math.min(min, values[start + j]);
+          max = Math.max(max, values[start + j]);
+        }
+        scale = roundScale((max - min) / 15);
+        zeroPoint = scale !== 0 ? Math.min(15, Math.max(0, Math.round(-min / scale))) : 0;
+        zeroPoints[n * zeroPointBytes + (block >> 1)] |= zeroPoint << ((block & 1) * 4);
+      } else {
+        // The signed value of largest magnitude maps to -8, the end of the range with more room
+        let extreme = 0;
+        for (let j = 0; j < end; j++) {
+          if (Math.abs(values[start + j]) > Math.abs(extreme)) extreme = values[start + j];
+        }
+        scale = roundScale(extreme / -8);
+      }
+      scales[n * blocks + block] = scale;
+
+      const blob = (n * blocks + block) * blobSize;
+      for (let j = 0; j < blockSize; j++) {
+        const value = j < end ? values[start + j] : 0;
+        const q = scale !== 0 ? Math.min(15, Math.max(0, Math.round(value / scale) + zeroPoint)) : zeroPoint;
+        B[blob + (j >> 1)] |= q << ((j & 1) * 4);
+      }
+    }
+  }
+  return { B, scales, zeroPoints };
+}
+
+// Layer path of a node, e.g. "/model/layers.0/self_attn/q_proj/MatMul" -> "model.layers.0.self_attn.q_proj"
+function nodeLayerPath(node) {
+  const segments = node.name.replace(/^\//, '').split('/');
+  return segments.length > 1 ? segments.slice(0, -1).join('.') : null;
+}
+
+// Fallback for graphs with generic node names: "model.layers.0.self_attn.q_proj.weight(_Q4)" or ".MatMul.weight"
+function initializerLayerPath(name) {
+  const match = name.match(/^(.+?)(?:\.MatMul)?\.weight/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the projections of a model whose weights can take a merged adapter.
+ * @param {Object} model - Parsed model from readOnnxModel
+ * @returns {Map<string, Object>} Layer path -> consuming node
+ */
+export function findMergeTargets(model) {
+  const targets = new Map();
+  for (const node of model.nodes) {
+    if (!MERGEABLE_OPS.includes(node.opType) || !model.initializers.has(node.inputs[1])) continue;
+    const layerPath = nodeLayerPath(node) || initializerLayerPath(node.inputs[1]);
+    if (layerPath && !targets.has(layerPath)) targets.set(layerPath, node);
+  }
+  return targets;
+}
+
+/**
+ * scaling·A·B as [inputDim, outputDim]
+ */
+function computeDelta(layer, scaling) {
+  const [inputDim, rank] = layer.A.shape;
+  const outputDim = layer.B.shape[1];
+  const A = layer.A.data;
+  const B = layer.B.data;
+  const delta = new Float32Array(inputDim * outputDim);
+
+  for (let i = 0; i < inputDim; i++) {
+    const row = i * outputDim;
+    for (let k = 0; k < rank; k++) {
+      const a = A[i * rank + k] * scaling;
+      if (a === 0) continue;
+      const bRow = k * outputDim;
+      for (let o = 0; o < outputDim; o++) {
+        delta[row + o] += a * B[bRow + o];
+      }
+    }
+  }
+  return { delta, inputDim, outputDim };
+}
+
+function mergeFloat(model, node, { delta, inputDim, outputDim }) {
+  const weight = model.initializers.get(node.inputs[1]);
+  // Gemm computes alpha·(A·B), so the delta is divided by alpha to add exactly once
+  const transposed = node.opType === 'Gemm' && node.attributes.transB === 1;
+  const gain = node.opType === 'Gemm' ? (node.attributes.alpha ?? 1) : 1;
+  const [rows, cols] = weight.dims;
+  if (weight.dims.length !== 2 || (transposed ? rows !== outputDim || cols !== inputDim : rows !== inputDim || cols !== outputDim)) {
+    return `weight ${weight.name} has shape [${weight.dims}], expected ${transposed ? `[${outputDim}, ${inputDim}]` : `[${inputDim}, ${outputDim}]`}`;
+  }
+  if (!weight.data) {
+    return `weight ${weight.name} is not stored as raw data`;
+  }
+
+  const values = decodeFloats(weight.data, weight.dataType);
+  for (let i = 0; i < inputDim; i++) {
+    for (let o = 0; o < outputDim; o++) {
+      values[transposed ? o * inputDim + i : i * outputDim + o] += delta[i * outputDim + o] / gain;
+    }
+  }
+  weight.data = encodeFloats(values, weight.dataType);
+  return null;
+}
+
+function mergeQuantized(model, node, { delta, inputDim, outputDim }) {
+  const { K, N, bits, block_size: blockSize } = node.attributes;
+  const [, weightName, scalesName, zeroPointsName, groupIndexName] = node.inputs;
+  if (bits !== 4) return `MatMulNBits with ${bits} bits is not supported`;
+  if (K !== inputDim || N !== outputDim) return `quantized weight is ${K}x${N}, expected ${inputDim}x${outputDim}`;
+  if (groupIndexName) return 'MatMulNBits with g_idx is not supported';
+
+  const weight = model.initializers.get(weightName);
+  const scales = model.initializers.get(scalesName);
+  const zeroPoints = zeroPointsName ? model.initializers.get(zeroPointsName) : null;
+  if (!scales || (zeroPointsName && !zeroPoints)) return 'quantization scales or zero points are not initializers';
+  if (zeroPoints && zeroPoints.dataType !== TENSOR_TYPES.UINT8) return 'only packed uint8 zero points are supported';
+  if (!weight.data || !scales.data || (zeroPoints && !zeroPoints.data)) return 'quantized weights are not stored as raw data';
+
+  const dims = { K, N, blockSize };
+  const values = dequantizeBlockwise4({
+    B: weight.data,
+    scales: decodeFloats(scales.data, scales.dataType),
+    zeroPoints: zeroPoints ? zeroPoints.data : null
+  }, dims);
+
+  for (let i = 0; i < inputDim; i++) {
+    for (let o = 0; o < outputDim; o++) {
+      values[o * K + i] += delta[i * outputDim + o];
+    }
+  }
+
+  const roundScale = value => decodeFloats(encodeFloats([value], scales.dataType), scales.dataType)[0];
+  const quantized = quantizeBlockwise4(values, dims, { asymmetric: Boolean(zeroPoints), roundScale });
+  weight.data = quantized.B;
+  scales.data = encodeFloats(quantized.scales, scales.dataType);
+  if (zeroPoints) zeroPoints.data = quantized.zeroPoints;
+  return null;
+}
+
+/**
+ * Merge an adapter into the weights of a parsed ONNX model, in place.
+ * @param {Object} model - Parsed model from readOnnxModel
+ * @param {Object} adapter - Adapter data ({ rank, alpha, scaling, layers: { [name]: { A, B } } })
+ * @param {Object} [options] - { onLayer(done, total, layerPath) } progress callback
+ * @returns {{merged: Array<{layer: string, target: string, op: string}>, skipped: Array<{layer: string, reason: string}>}}
+ */
+export function mergeAdapter(model, adapter, options = {}) {
+  const targets = findMergeTargets(model);
+  const { layers, unmatched } = matchAdapterLayers(adapter.layers, [...targets.keys()]);
+  const merged = [];
+  const skipped = unmatched.map(layer => ({ layer, reason: 'no matching projection in the model graph' }));
+  const entries = Object.entries(layers);
+
+  entries.forEach(([target, layer], index) => {
+    const adapterName = Object.keys(adapter.layers).find(name => adapter.layers[name] === layer) || target;
+    if (!layer?.A?.data || !layer?.B?.data) {
+      skipped.push({ layer: adapterName, reason: 'incomplete adapter layer' });
+      return;
+    }
+
+    const rank = layer.A.shape[1];
+    const scaling = adapter.scaling ?? (adapter.alpha / rank);
+    const node = targets.get(target);
+    const delta = computeDelta(layer, scaling);
+    const reason = node.opType === 'MatMulNBits' ? mergeQuantized(model, node, delta) : mergeFloat(model, node, delta);
+
+    if (reason) {
+      skipped.push({ layer: adapterName, reason });
+    } else {
+      merged.push({ layer: adapterName, target, op: node.opType });
+    }
+    if (options.onLayer) options.onLayer(index + 1, entries.length, target);
+  });
+
+  return { merged, skipped };
+}
+
+export default {
+  decodeFloats,
+  encodeFloats,
+  dequantizeBlockwise4,
+  quantizeBlockwise4,
+  findMergeTargets,
+  mergeAdapter
+};
@@ -0,0 +1,284 @@
+/**
+ * CPU Training Backend for LoRA Lab
+ * Runs the LoRA forward/backward passes, gradient accumulation and the optimizer updates with
+ * plain typed arrays, for machines without WebGPU. Every operation mirrors its loraKernels.wgsl
+ * counterpart (lora_forward_A/B_main, lora_backward_A/B_main, gradient_accumulation_main,
+ * gradient_norm_main, and the optimizer kernels through optimizers.js) so this backend doubles
+ * as the numerical reference for the GPU kernels when run under Node.
+ */
+
+import { loraForward, loraBackward, crossEntropy, initLoraWeights } from './loraReference.js';
+import { toFloat32 } from './activationCapture.js';
+import {
+  normalizeOptimizer,
+  createOptimizerState,
+  restoreOptimizerState,
+  applyOptimizerUpdate,
+  stateTensorName,
+  loraMatrixShapes
+} from './optimizers.js';
+import { layerRank } from './rankAllocation.js';
+
+/**
+ * Add `scale` times a gradient to an accumulated gradient in place, like gradient_accumulation_main.
+ * @param {Float32Array} accumulated - Accumulated gradients
+ * @param {Float32Array} gradients - New gradients
+ * @param {number} scale - Weight of the new gradients
+ */
+export function accumulateScaled(accumulated, gradients, scale) {
+  for (let idx = 0; idx < accumulated.length; idx++) {
+    accumulated[idx] += scale * gradients[idx];
+  }
+}
+
+/**
+ * Sum of squares of a gradient, the per-buffer part of gradient_norm_main.
+ * @param {Float32Array} gradients - Gradients
+ * @returns {number} Sum of squared values
+ */
+export function sumOfSquares(gradients) {
+  let sum = 0;
+  for (let idx = 0; idx < gradients.length; idx++) {
+    sum += gradients[idx] * gradients[idx];
+  }
+  return sum;
+}
+
+/**
+ * CPU Training Backend Class
+ * Implements the training backend interface described in trainingBackend.js.
+ */
+export class CPUTrainingBackend {
+  constructor(options = {}) {
+    this.name = 'cpu';
+    // The base model runs on ORT's wasm execution provider
+    this.modelDevice = 'wasm';
+    this.random = options.random || Math.random;
+    this.optimizer = normalizeOptimizer(options.optimizer);
+    this.layers = {};
+    this.adapterConfig = null;
+  }
+
+  /**
+   * Initialize the backend. The CPU is always available.
+   * @returns {Promise<boolean>} Always true
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Allocate fresh adapter weights and optimizer state for layers missing at this rank.
+   * Rank changes mid-run keep the trained weights by going through rankReallocation.js instead.
+   * @param {string[]} targetLayers - LoRA target layer paths
+   * @param {Object} layerShapes - Per-layer { inputDim, outputDim }
+   * @param {Object} adapterConfig - { rank, alpha, rankPattern }
+   */
+  ensureLayers(targetLayers, layerShapes, adapterConfig) {
+    this.adapterConfig = adapterConfig;
+
+    for (const layerName of Object.keys(this.layers)) {
+      if (!targetLayers.includes(layerName)) delete this.layers[layerName];
+    }
+
+    for (const layerName of targetLayers) {
+      const { inputDim, outputDim } = layerShapes[layerName];
+      const rank = layerRank(adapterConfig, layerName);
+      const existing = this.layers[layerName];
+      if (existing && existing.rank === rank) continue;
+
+      const { A, B } = initLoraWeights(inputDim, outputDim, rank, this.random);
+      const shapes = loraMatrixShapes({ inputDim, outputDim, rank });
+      this.layers[layerName] = {
+        inputDim,
+        outputDim,
+        rank,
+        A,
+        B,
+        gradA: new Float32Array(A.length),
+        gradB: new Float32Array(B.length),
+        hasGradients: false,
+        stateA: createOptimizerState(this.optimizer, shapes.A.rows, shapes.A.cols),
+        stateB: createOptimizerState(this.optimizer, shapes.B.rows, shapes.B.cols)
+      };
+    }
+  }
+
+  /**
+   * Run forward and backward for one layer and add `scale` times its gradients to the
+   * layer's accumulated gradients.
+   * @param {string} layerName - Layer to train
+   * @param {Object} capture - { input, gradOutput, numTokens } from captureLayerSignals
+   * @param {number} [scale] - Weight of this micro-batch (1 / accumulation steps)
+   * @returns {Promise<{gradA: Float32Array, gradB: Float32Array}>} Unscaled gradients of this micro-batch
+   */
+  async accumulateGradients(layerName, capture, scale = 1) {
+    const layer = this.layers[layerName];
+    const dims = this.getLayerDims(layer, capture.numTokens);
+
+    // The backward pass recomputes the forward intermediate (x·A) exactly like the GPU path
+    const { gradA, gradB } = loraBackward(capture.input, capture.gradOutput, layer.A, layer.B, dims);
+    accumulateScaled(layer.gradA, gradA, scale);
+    accumulateScaled(layer.gradB, gradB, scale);
+    layer.hasGradients = true;
+
+    return { gradA, gradB };
+  }
+
+  /**
+   * Global L2 norm of the accumulated gradients of every layer.
+   * @returns {Promise<number>} Gradient norm (0 when nothing has been accumulated)
+   */
+  async gradientNorm() {
+    let sum = 0;
+    for (const layer of Object.values(this.layers)) {
+      if (!layer.hasGradients) continue;
+      sum += sumOfSquares(layer.gradA) + sumOfSquares(layer.gradB);
+    }
+    return Math.sqrt(sum);
+  }
+
+  /**
+   * Apply one optimizer update from the accumulated gradients of every layer that received any,
+   * then clear them for the next step. Layers without gradients this step are left untouched.
+   * @param {Object} optimizerParams - { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale }
+   */
+  async applyGradients(optimizerParams) {
+    for (const layer of Object.values(this.layers)) {
+      if (!layer.hasGradients) continue;
+
+      // B is updated before A, matching the dispatch order in the WebGPU backend
+      const shapes = loraMatrixShapes(layer);
+      applyOptimizerUpdate(this.optimizer, layer.B, layer.gradB, layer.stateB, optimizerParams, shapes.B);
+      applyOptimizerUpdate(this.optimizer, layer.A, layer.gradA, layer.stateA, optimizerParams, shapes.A);
+      layer.gradA.fill(0);
+      layer.gradB.fill(0);
+      layer.hasGradients = false;
+    }
+  }
+
+  /**
+   * LoRA delta for a layer's current weights, for inspection and kernel comparisons.
+   * @param {string} layerName - Layer name
+   * @param {Float32Array} input - Input activations [numTokens, inputDim]
+   * @param {number} numTokens - Number of token rows
+   * @returns {Float32Array} Scaled delta [numTokens, outputDim]
+   */
+  forward(layerName, input, numTokens) {
+    const layer = this.layers[layerName];
+    return loraForward(input, layer.A, layer.B, this.getLayerDims(layer, numTokens)).delta;
+  }
+
+  getLayerDims(layer, numTokens) {
+    const { inputDim, outputDim, rank } = layer;
+    return { numTokens, inputDim, outputDim, rank, scaling: this.adapterConfig.alpha / rank };
+  }
+
+  /**
+   * Copy out the current adapter weights.
+   * @param {string[]} [layerNames] - Layers to read (defaults to all)
+   * @returns {Promise<Object>} Map of layer name -> { A, B }
+   */
+  async readWeights(layerNames = Object.keys(this.layers)) {
+    const weights = {};
+    for (const layerName of layerNames) {
+      const layer = this.layers[layerName];
+      if (!layer) continue;
+      weights[layerName] = { A: layer.A.slice(), B: layer.B.slice() };
+    }
+    return weights;
+  }
+
+  /**
+   * Copy out the accumulated gradients (before clipping), for importance scores.
+   * @param {string[]} [layerNames] - Layers to read (defaults to all)
+   * @returns {Promise<Object>} Map of layer name -> { A, B }
+   */
+  async readGradients(layerNames = Object.keys(this.layers)) {
+    const gradients = {};
+    for (const layerName of layerNames) {
+      const layer = this.layers[layerName];
+      if (!layer) continue;
+      gradients[layerName] = { A: layer.gradA.slice(), B: layer.gradB.slice() };
+    }
+    return gradients;
+  }
+
+  /**
+   * Snapshot adapter weights and optimizer state for a checkpoint.
+   * @returns {Promise<Object>} { layers: { [name]: { inputDim, outputDim, rank } }, tensors }
+   */
+  async exportState() {
+    const layers = {};
+    const tensors = {};
+    for (const [layerName, layer] of Object.entries(this.layers)) {
+      const { inputDim, outputDim, rank } = layer;
+      layers[layerName] = { inputDim, outputDim, rank };
+      tensors[`${layerName}.A`] = layer.A.slice();
+      tensors[`${layerName}.B`] = layer.B.slice();
+      for (const matrix of ['A', 'B']) {
+        for (const [name, array] of Object.entries(layer[`state${matrix}`])) {
+          tensors[stateTensorName(layerName, name, matrix)] = array.slice();
+        }
+      }
+    }
+    return { layers, tensors };
+  }
+
+  /**
+   * Restore state produced by exportState, replacing all current layers.
+   * @param {Object} state - { layers, tensors }
+   * @param {Object} adapterConfig - { rank, alpha, rankPattern }
+   */
+  importState(state, adapterConfig) {
+    this.adapterConfig = adapterConfig;
+    this.layers = {};
+    for (const [layerName, dims] of Object.entries(state.layers)) {
+      const shapes = loraMatrixShapes(dims);
+      const optimizerState = matrix => restoreOptimizerState(
+        this.optimizer,
+        name => state.tensors[stateTensorName(layerName, name, matrix)],
+        shapes[matrix].rows,
+        shapes[matrix].cols
+      );
+      const A = state.tensors[`${layerName}.A`].slice();
+      const B = state.tensors[`${layerName}.B`].slice();
+      this.layers[layerName] = {
+        ...dims,
+        A,
+        B,
+        gradA: new Float32Array(A.length),
+        gradB: new Float32Array(B.length),
+        hasGradients: false,
+        stateA: optimizerState('A'),
+        stateB: optimizerState('B')
+      };
+    }
+  }
+
+  /**
+   * Mean next-token cross-entropy over every unmasked position (labels of IGNORE_INDEX are skipped).
+   * @param {Object} logits - Logits tensor [batch, seq, vocab]
+   * @param {Object} labels - Label tensor [batch, seq]
+   * @returns {Promise<number|null>} Loss, or null if the shapes do not line up
+   */
+  async computeLoss(logits, labels) {
+    const logitData = toFloat32(logits);
+    if (!logitData || !labels) return null;
+
+    const vocabSize = logits.dims?.[logits.dims.length - 1];
+    const labelData = Array.from(labels.data ?? labels, Number);
+    if (!vocabSize || labelData.length * vocabSize !== logitData.length) return null;
+
+    return crossEntropy(logitData, labelData, vocabSize).loss;
+  }
+
+  /**
+   * Release all adapter state.
+   */
+  destroy() {
+    this.layers = {};
+  }
+}
+
+export default CPUTrainingBackend;
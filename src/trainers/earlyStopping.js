@@ -0,0 +1,147 @@
+/**
+ * Early Stopping for LoRA Lab
+ * Decides when a training run should end before maxSteps and which evaluation was the best.
+ *
+ * Two kinds of rules:
+ *   - patience: stop after `patience` consecutive evaluations that fail to improve the
+ *     monitored loss by more than `minDelta` (the validation loss, or the mean training
+ *     loss since the previous evaluation when there is no validation set)
+ *   - divergence: stop as soon as the training loss or the gradient norm is not finite, or, after
+ *     `warmupSteps`, the smoothed training loss exceeds `divergenceFactor` times its lowest value.
+ *     The smoothed loss is a bias-corrected exponential moving average (`smoothing`), so one easy
+ *     batch followed by an ordinary hard one is not mistaken for divergence. The worker checks a
+ *     step before applying it, so a diverging step never reaches the weights
+ */
+
+export const STOP_REASONS = {
+  MAX_STEPS: 'max_steps',
+  EARLY_STOPPING: 'early_stopping',
+  DIVERGENCE: 'divergence'
+};
+
+/**
+ * Early Stopping Class
+ */
+export class EarlyStopping {
+  constructor(config = {}) {
+    this.config = {
+      patience: 3,          // Evaluations without improvement before stopping (0 disables)
+      minDelta: 0.001,      // Minimum loss decrease that counts as an improvement
+      divergenceFactor: 3,  // Smoothed training loss above this multiple of its lowest is divergence (0 disables)
+      smoothing: 0.9,       // Decay of the training loss moving average
+      warmupSteps: 10,      // Steps before the divergence ratio is checked
+      ...config
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.bestLoss = Infinity;
+    this.bestStep = null;
+    this.evaluationsWithoutImprovement = 0;
+    this.smoothedLoss = 0;       // Moving average before bias correction
+    this.smoothedSteps = 0;
+    this.lowestSmoothedLoss = Infinity;
+  }
+
+  /**
+   * Check one training step's loss and gradient norm for divergence.
+   * @param {number} step - Training step (1-based)
+   * @param {number} loss - Training loss of the step
+   * @param {number} [gradientNorm] - Global norm of the step's gradients, before clipping
+   * @returns {Object|null} Stop decision { reason, step, message }, or null to continue
+   */
+  checkTrainingLoss(step, loss, gradientNorm = 0) {
+    if (!Number.isFinite(loss)) {
+      return this._stop(STOP_REASONS.DIVERGENCE, step, `Training loss became ${loss} at step ${step}`);
+    }
+    if (!Number.isFinite(gradientNorm)) {
+      return this._stop(STOP_REASONS.DIVERGENCE, step, `Gradient norm became ${gradientNorm} at step ${step}`);
+    }
+
+    const { divergenceFactor, smoothing, warmupSteps } = this.config;
+    const smoothedLoss = smoothing * this.smoothedLoss + (1 - smoothing) * loss;
+    const smoothedSteps = this.smoothedSteps + 1;
+    const corrected = smoothedLoss / (1 - Math.pow(smoothing, smoothedSteps));
+    if (divergenceFactor > 0 && step > warmupSteps && corrected > divergenceFactor * this.lowestSmoothedLoss) {
+      return this._stop(
+        STOP_REASONS.DIVERGENCE,
+        step,
+        `Training loss exploded at step ${step}: the smoothed loss ${corrected.toFixed(4)} is over ${divergenceFactor}x its best ${this.lowestSmoothedLoss.toFixed(4)}`
+      );
+    }
+
+    this.smoothedLoss = smoothedLoss;
+    this.smoothedSteps = smoothedSteps;
+    this.lowestSmoothedLoss = Math.min(this.lowestSmoothedLoss, corrected);
+    return null;
+  }
+
+  /**
+   * Record an evaluation of the monitored loss.
+   * @param {number} step - Completed training steps
+   * @param {number} loss - Monitored loss
+   * @returns {{improved: boolean, stop: Object|null}} Whether this is the new best, and a stop decision
+   */
+  updateEvaluation(step, loss) {
+    if (!Number.isFinite(loss)) {
+      return { improved: false, stop: null };
+    }
+
+    const improved = loss < this.bestLoss - this.config.minDelta;
+    if (improved) {
+      this.bestLoss = loss;
+      this.bestStep = step;
+      this.evaluationsWithoutImprovement = 0;
+      return { improved, stop: null };
+    }
+
+    this.evaluationsWithoutImprovement++;
+    const { patience } = this.config;
+    if (patience > 0 && this.evaluationsWithoutImprovement >= patience) {
+      return {
+        improved,
+        stop: this._stop(
+          STOP_REASONS.EARLY_STOPPING,
+          step,
+          `No improvement over ${this.bestLoss.toFixed(4)} (step ${this.bestStep}) for ${this.evaluationsWithoutImprovement} evaluations`
+        )
+      };
+    }
+
+    return { improved, stop: null };
+  }
+
+  _stop(reason, step, message) {
+    return { reason, step, message };
+  }
+
+  /**
+   * Serializable state for checkpoints.
+   */
+  getState() {
+    return {
+      bestLoss: Number.isFinite(this.bestLoss) ? this.bestLoss : null,
+      bestStep: this.bestStep,
+      evaluationsWithoutImprovement: this.evaluationsWithoutImprovement,
+      smoothedLoss: this.smoothedLoss,
+      smoothedSteps: this.smoothedSteps,
+      lowestSmoothedLoss: Number.isFinite(this.lowestSmoothedLoss) ? this.lowestSmoothedLoss : null
+    };
+  }
+
+  /**
+   * Restore state produced by getState.
+   */
+  setState(state) {
+    this.bestLoss = state.bestLoss ?? Infinity;
+    this.bestStep = state.bestStep;
+    this.evaluationsWithoutImprovement = state.evaluationsWithoutImprovement;
+    this.smoothedLoss = state.smoothedLoss;
+    this.smoothedSteps = state.smoothedSteps;
+    this.lowestSmoothedLoss = state.lowestSmoothedLoss ?? Infinity;
+  }
+}
+
+export default EarlyStopping;
@@ -141,17 +141,18 @@ struct LoRAParams {
     rank: u32,
     alpha: f32,
     scaling: f32,
+    numTokens: u32,   // Rows of the activation/gradient matrices (batch * seqLength)
 }
 
 @group(1) @binding(0) var<uniform> loraParams: LoRAParams;
-@group(1) @binding(1) var<storage, read> input: array<f32>;
+@group(1) @binding(1) var<storage, read> input: array<f32>;         // [numTokens, inputDim]
 @group(1) @binding(2) var<storage, read> lora_matrixA: array<f32>;  // LoRA A matrix (inputDim x rank)
 @group(1) @binding(3) var<storage, read> lora_matrixB: array<f32>;  // LoRA B matrix (rank x outputDim)
-@group(1) @binding(4) var<storage, read_write> output: array<f32>; // The model's original output tensor
+@group(1) @binding(4) var<storage, read_write> output: array<f32>; // The model's original output tensor [numTokens, outputDim]
 
 // Intermediate result of input * A, stored in a separate buffer for efficiency.
 // This buffer is written to in the first pass and read from in the second pass.
-@group(1) @binding(5) var<storage, read_write> intermediateResult: array<f32>; // Size: rank
+@group(1) @binding(5) var<storage, read_write> intermediateResult: array<f32>; // Size: numTokens * rank
 
 // --- Kernel 1: First half of LoRA forward pass (input * A) ---
 
@@ -160,20 +161,22 @@ var<workgroup> tileA_shared: array<array<f32, TILE_DIM_A>, TILE_DIM_A>;
 
 @compute @workgroup_size(16, 16, 1)
 fn lora_forward_A_main(@builtin(global_invocation_id) global_id: vec3<u32>,
-                       @builtin(local_invocation_id) local_id: vec3<u32>) {
+                       @builtin(local_invocation_id) local_id: vec3<u32>,
+                       @builtin(workgroup_id) workgroup_id: vec3<u32>) {
     
     let r = global_id.x; // Corresponds to rank dimension
+    let t = workgroup_id.y; // One token row per workgroup row
     let i_tile = local_id.y;
     let num_tiles = (loraParams.inputDim + TILE_DIM_A - 1u) / TILE_DIM_A;
 
     // Ensure threads with r >= rank participate in barriers but skip contributions
-    let thread_active = r < loraParams.rank;
+    let thread_active = r < loraParams.rank && t < loraParams.numTokens;
 
     var sum: f32 = 0.0;
-    for (var t: u32 = 0u; t < num_tiles; t = t + 1u) {
-        let i_global = t * TILE_DIM_A + i_tile;
+    for (var tile: u32 = 0u; tile < num_tiles; tile = tile + 1u) {
+        let i_global = tile * TILE_DIM_A + i_tile;
         if (thread_active && i_global < loraParams.inputDim) {
-            tileA_shared[i_tile][local_id.x] = input[i_global] * lora_matrixA[i_global * loraParams.rank + r];
+            tileA_shared[i_tile][local_id.x] = input[t * loraParams.inputDim + i_global] * lora_matrixA[i_global * loraParams.rank + r];
         } else {
             tileA_shared[i_tile][local_id.x] = 0.0;
         }
@@ -191,11 +194,13 @@ fn lora_forward_A_main(@builtin(global_invocation_id) global_id: vec3<u32>,
         if (thread_active && i_tile == 0u) {
             sum += tileA_shared[0u][local_id.x];
         }
+
+        workgroupBarrier(); // Tile slot is reused by the next iteration
     }
 
-    // Only one thread per 'r' writes the final result
+    // Only one thread per (token, r) writes the final result
     if (thread_active && local_id.y == 0u) {
-        intermediateResult[r] = sum;
+        intermediateResult[t * loraParams.rank + r] = sum;
     }
 }
 
@@ -203,21 +208,24 @@ fn lora_forward_A_main(@builtin(global_invocation_id) global_id: vec3<u32>,
 
 @compute @workgroup_size(256, 1, 1)
 fn lora_forward_B_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
-    let outputIdx = global_id.x;
+    let flatIdx = global_id.x;
     
-    if (outputIdx >= loraParams.outputDim) {
+    if (flatIdx >= loraParams.numTokens * loraParams.outputDim) {
         return;
     }
+
+    let t = flatIdx / loraParams.outputDim;
+    let outputIdx = flatIdx % loraParams.outputDim;
     
     var result: f32 = 0.0;
     for (var r: u32 = 0u; r < loraParams.rank; r = r + 1u) {
-        result += intermediateResult[r] * lora_matrixB[r * loraParams.outputDim + outputIdx];
+        result += intermediateResult[t * loraParams.rank + r] * lora_matrixB[r * loraParams.outputDim + outputIdx];
     }
     
     // Add scaled result to existing output
     // LoRA formula: h' = h + (B * A * x) * (alpha / rank)
     let scaling = loraParams.alpha / f32(loraParams.rank);
-    output[outputIdx] += result * scaling;
+    output[flatIdx] += result * scaling;
 }
 
 // ============================================================================
@@ -226,8 +234,8 @@ fn lora_forward_B_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
 
 // --- Kernel 3: Backward pass for LoRA B matrix gradient (dL/dB) ---
 @group(2) @binding(0) var<uniform> loraParams_b: LoRAParams;
-@group(2) @binding(1) var<storage, read> outputGradient: array<f32>;      // dL/dh'
-@group(2) @binding(2) var<storage, read> intermediateResult_b: array<f32>; // Result of (A * x)
+@group(2) @binding(1) var<storage, read> outputGradient: array<f32>;      // dL/dh' [numTokens, outputDim]
+@group(2) @binding(2) var<storage, read> intermediateResult_b: array<f32>; // Result of (x * A) [numTokens, rank]
 @group(2) @binding(3) var<storage, read_write> gradientB: array<f32>;      // dL/dB
 
 @compute @workgroup_size(16, 16, 1)
@@ -239,18 +247,21 @@ fn lora_backward_B_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         return;
     }
     
-    // dL/dB = intermediate^T * dL/dh'
-    // The gradient for a single element B[r, o] is intermediate[r] * outputGradient[o]
+    // dL/dB = intermediate^T * dL/dh', summed over every token in the batch
+    var sum: f32 = 0.0;
+    for (var t: u32 = 0u; t < loraParams_b.numTokens; t = t + 1u) {
+        sum += intermediateResult_b[t * loraParams_b.rank + r] * outputGradient[t * loraParams_b.outputDim + o];
+    }
     let scaling = loraParams_b.alpha / f32(loraParams_b.rank);
-    gradientB[r * loraParams_b.outputDim + o] = intermediateResult_b[r] * outputGradient[o] * scaling;
+    gradientB[r * loraParams_b.outputDim + o] = sum * scaling;
 }
 
 
 // --- Kernel 4: Backward pass for LoRA A matrix gradient (dL/dA) ---
 @group(3) @binding(0) var<uniform> loraParams_a: LoRAParams;
-@group(3) @binding(1) var<storage, read> outputGradient_a: array<f32>; // dL/dh'
+@group(3) @binding(1) var<storage, read> outputGradient_a: array<f32>; // dL/dh' [numTokens, outputDim]
 @group(3) @binding(2) var<storage, read> matrixB_a: array<f32>;        // LoRA B matrix
-@group(3) @binding(3) var<storage, read> input_a: array<f32>;          // Original input x
+@group(3) @binding(3) var<storage, read> input_a: array<f32>;          // Original input x [numTokens, inputDim]
 @group(3) @binding(4) var<storage, read_write> gradientA: array<f32>;   // dL/dA
 
 @compute @workgroup_size(16, 16, 1)
@@ -262,116 +273,327 @@ fn lora_backward_A_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         return;
     }
 
-    // dL/dA = (dL/dh' * B)^T * x
-    // First, compute the intermediate gradient: (dL/dh' * B)
-    var intermediate_grad: f32 = 0.0;
-    for (var o: u32 = 0u; o < loraParams_a.outputDim; o = o + 1u) {
-        intermediate_grad += outputGradient_a[o] * matrixB_a[r * loraParams_a.outputDim + o];
+    // dL/dA = x^T * (dL/dh' * B^T), summed over every token in the batch
+    var sum: f32 = 0.0;
+    for (var t: u32 = 0u; t < loraParams_a.numTokens; t = t + 1u) {
+        // First, compute the intermediate gradient for this token: (dL/dh' * B^T)[t, r]
+        var intermediate_grad: f32 = 0.0;
+        for (var o: u32 = 0u; o < loraParams_a.outputDim; o = o + 1u) {
+            intermediate_grad += outputGradient_a[t * loraParams_a.outputDim + o] * matrixB_a[r * loraParams_a.outputDim + o];
+        }
+        // Then, multiply by the corresponding input value
+        sum += intermediate_grad * input_a[t * loraParams_a.inputDim + i];
     }
     
-    // Then, multiply by the corresponding input value
     let scaling = loraParams_a.alpha / f32(loraParams_a.rank);
-    gradientA[i * loraParams_a.rank + r] = intermediate_grad * input_a[i] * scaling;
+    gradientA[i * loraParams_a.rank + r] = sum * scaling;
 }
 
 // ============================================================================
-// Fused Adam Optimizer Kernel (8-bit)
+// Optimizer Kernels
+//   One kernel per optimizer (Adafactor: four, dispatched in order); optimizers.js
+//   holds the CPU reference of each. They share the params uniform, the gradients
+//   and the weights in group 7; each optimizer binds only the state it keeps.
 // ============================================================================
 
-struct AdamParams {
+struct OptimizerParams {
     learningRate: f32,
-    beta1: f32,
+    beta1: f32,       // SGD: momentum factor
     beta2: f32,
     epsilon: f32,
     weightDecay: f32,
     step: u32,
+    gradScale: f32,   // Multiplies every gradient before the update (clip-by-global-norm coefficient)
 }
 
-@group(7) @binding(0) var<uniform> adamParams: AdamParams;
+@group(7) @binding(0) var<uniform> optimizerParams: OptimizerParams;
 @group(7) @binding(1) var<storage, read> gradients: array<f32>;
 @group(7) @binding(2) var<storage, read_write> weights: array<f32>;
-@group(7) @binding(3) var<storage, read_write> momentum: array<atomic<u32>>;    // 8-bit packed momentum
-@group(7) @binding(4) var<storage, read_write> velocity: array<atomic<u32>>;    // 8-bit packed velocity
-@group(7) @binding(5) var<storage, read> momentum_scale: array<f32>; // Scaling factor for momentum
-@group(7) @binding(6) var<storage, read> velocity_scale: array<f32>; // Scaling factor for velocity
 
+// fp32 state: AdamW momentum/velocity, Lion and SGD momentum, Adafactor row/column variance
+@group(7) @binding(3) var<storage, read_write> optimizerState0: array<f32>;
+@group(7) @binding(4) var<storage, read_write> optimizerState1: array<f32>;
+
+fn scaled_gradient(idx: u32) -> f32 {
+    return gradients[idx] * optimizerParams.gradScale;
+}
+
+// --- AdamW: fp32 moments, decoupled weight decay ---
 @compute @workgroup_size(256, 1, 1)
-fn adam_optimizer_8bit_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+fn adamw_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let idx = global_id.x;
+    if (idx >= arrayLength(&weights)) {
+        return;
+    }
+
+    let grad = scaled_gradient(idx);
+    let m_t = optimizerParams.beta1 * optimizerState0[idx] + (1.0 - optimizerParams.beta1) * grad;
+    let v_t = optimizerParams.beta2 * optimizerState1[idx] + (1.0 - optimizerParams.beta2) * grad * grad;
+
+    let stepFloat = f32(optimizerParams.step);
+    let mHat = m_t / (1.0 - pow(optimizerParams.beta1, stepFloat));
+    let vHat = v_t / (1.0 - pow(optimizerParams.beta2, stepFloat));
+
+    let decayed = weights[idx] * (1.0 - optimizerParams.learningRate * optimizerParams.weightDecay);
+    weights[idx] = decayed - optimizerParams.learningRate * mHat / (sqrt(vHat) + optimizerParams.epsilon);
+    optimizerState0[idx] = m_t;
+    optimizerState1[idx] = v_t;
+}
+
+// --- 8-bit Adam: one workgroup per block of 256 values with its own scales ---
+@group(7) @binding(5) var<storage, read_write> packedMomentum: array<u32>;  // Four 8-bit log codes per word, zero point 128
+@group(7) @binding(6) var<storage, read_write> packedVelocity: array<u32>;  // Four 8-bit log codes per word, 0 is zero
+@group(7) @binding(7) var<storage, read_write> momentumScale: array<f32>;   // Per block: absmax
+@group(7) @binding(8) var<storage, read_write> velocityScale: array<f32>;   // Per block: max
+
+// Codes per doubling: byte 128 ± k and k stand for scale * 2^((k - 127) / 16) and
+// scale * 2^((k - 255) / 16), so small moments keep their relative precision
+const MOMENTUM_CODES_PER_OCTAVE: f32 = 16.0;
+const VELOCITY_CODES_PER_OCTAVE: f32 = 16.0;
+
+var<workgroup> blockMaxMomentum: array<f32, 256>;
+var<workgroup> blockMaxVelocity: array<f32, 256>;
+var<workgroup> blockBytes: array<u32, 512>;  // Quantized momentum, then velocity
+
+fn unpack_byte(word: u32, index: u32) -> f32 {
+    return f32((word >> ((index % 4u) * 8u)) & 0xFFu);
+}
+
+fn decode_momentum(byte: f32, scale: f32) -> f32 {
+    let k = abs(byte - 128.0);
+    if (k == 0.0) {
+        return 0.0;
+    }
+    return sign(byte - 128.0) * scale * exp2((k - 127.0) / MOMENTUM_CODES_PER_OCTAVE);
+}
+
+fn decode_velocity(byte: f32, scale: f32) -> f32 {
+    if (byte == 0.0) {
+        return 0.0;
+    }
+    return scale * exp2((byte - 255.0) / VELOCITY_CODES_PER_OCTAVE);
+}
+
+@compute @workgroup_size(256, 1, 1)
+fn adam_optimizer_8bit_main(@builtin(global_invocation_id) global_id: vec3<u32>,
+                            @builtin(local_invocation_id) local_id: vec3<u32>,
+                            @builtin(workgroup_id) workgroup_id: vec3<u32>) {
+    let idx = global_id.x;
+    let lane = local_id.x;
+    let block = workgroup_id.x;
     let numParams = arrayLength(&weights);
-    
-    if (idx >= numParams) {
+
+    // Lanes past the end take part in the reductions with a zero state
+    var m_t: f32 = 0.0;
+    var v_t: f32 = 0.0;
+    if (idx < numParams) {
+        let m_dq = decode_momentum(unpack_byte(packedMomentum[idx / 4u], idx), momentumScale[block]);
+        let v_dq = decode_velocity(unpack_byte(packedVelocity[idx / 4u], idx), velocityScale[block]);
+
+        // Weight decay is added to the gradient (Adam, not AdamW)
+        let gradWithDecay = scaled_gradient(idx) + optimizerParams.weightDecay * weights[idx];
+        m_t = optimizerParams.beta1 * m_dq + (1.0 - optimizerParams.beta1) * gradWithDecay;
+        v_t = optimizerParams.beta2 * v_dq + (1.0 - optimizerParams.beta2) * gradWithDecay * gradWithDecay;
+
+        let stepFloat = f32(optimizerParams.step);
+        let mHat = m_t / (1.0 - pow(optimizerParams.beta1, stepFloat));
+        let vHat = v_t / (1.0 - pow(optimizerParams.beta2, stepFloat));
+        weights[idx] -= optimizerParams.learningRate * mHat / (sqrt(vHat) + optimizerParams.epsilon);
+    }
+
+    // New block scales from the updated moments
+    blockMaxMomentum[lane] = abs(m_t);
+    blockMaxVelocity[lane] = v_t;
+    workgroupBarrier();
+
+    var stride: u32 = 128u;
+    while (stride > 0u) {
+        if (lane < stride) {
+            blockMaxMomentum[lane] = max(blockMaxMomentum[lane], blockMaxMomentum[lane + stride]);
+            blockMaxVelocity[lane] = max(blockMaxVelocity[lane], blockMaxVelocity[lane + stride]);
+        }
+        stride = stride / 2u;
+        workgroupBarrier();
+    }
+    let mScale = blockMaxMomentum[0];
+    let vScale = blockMaxVelocity[0];
+
+    // Below the smallest code a first moment rounds to zero and a second moment up to it
+    var mByte: u32 = 128u;
+    var vByte: u32 = 0u;
+    if (mScale > 0.0 && m_t != 0.0) {
+        let k = min(round(127.0 + MOMENTUM_CODES_PER_OCTAVE * log2(abs(m_t) / mScale)), 127.0);
+        if (k >= 1.0) {
+            mByte = u32(128.0 + sign(m_t) * k);
+        }
+    }
+    if (vScale > 0.0 && v_t != 0.0) {
+        vByte = u32(clamp(round(255.0 + VELOCITY_CODES_PER_OCTAVE * log2(v_t / vScale)), 1.0, 255.0));
+    }
+    blockBytes[lane] = mByte;
+    blockBytes[256u + lane] = vByte;
+    // Every lane has read the old scales and packed words before they are overwritten
+    storageBarrier();
+    workgroupBarrier();
+
+    // The block owns its 64 words, so they are packed without atomics
+    let word = block * 64u + lane;
+    if (lane < 64u && word * 4u < numParams) {
+        let base = lane * 4u;
+        packedMomentum[word] = blockBytes[base] | (blockBytes[base + 1u] << 8u) | (blockBytes[base + 2u] << 16u) | (blockBytes[base + 3u] << 24u);
+        packedVelocity[word] = blockBytes[256u + base] | (blockBytes[257u + base] << 8u) | (blockBytes[258u + base] << 16u) | (blockBytes[259u + base] << 24u);
+    }
+    if (lane == 0u) {
+        momentumScale[block] = mScale;
+        velocityScale[block] = vScale;
+    }
+}
+
+// --- Lion: sign of the interpolated momentum, decoupled weight decay ---
+@compute @workgroup_size(256, 1, 1)
+fn lion_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let idx = global_id.x;
+    if (idx >= arrayLength(&weights)) {
         return;
     }
-    
-    let grad = gradients[idx];
-    let weight = weights[idx];
-    
-    // Dequantize momentum and velocity
-    let m_dq = dequantize_u8_momentum(idx, momentum_scale[0]);
-    let v_dq = dequantize_u8_velocity(idx, velocity_scale[0]);
 
-    // Add weight decay to gradient
-    let gradWithDecay = grad + adamParams.weightDecay * weight;
-    
-    // Update biased first moment estimate
-    let m_t = adamParams.beta1 * m_dq + (1.0 - adamParams.beta1) * gradWithDecay;
-    
-    // Update biased second raw moment estimate
-    let v_t = adamParams.beta2 * v_dq + (1.0 - adamParams.beta2) * gradWithDecay * gradWithDecay;
-    
-    // Compute bias correction
-    let stepFloat = f32(adamParams.step);
-    let beta1Correction = 1.0 - pow(adamParams.beta1, stepFloat);
-    let beta2Correction = 1.0 - pow(adamParams.beta2, stepFloat);
-    
-    // Bias-corrected estimates
-    let mHat = m_t / beta1Correction;
-    let vHat = v_t / beta2Correction;
-    
-    // Update weights
-    weights[idx] -= adamParams.learningRate * mHat / (sqrt(vHat) + adamParams.epsilon);
+    let grad = scaled_gradient(idx);
+    let momentum = optimizerState0[idx];
+    let direction = sign(optimizerParams.beta1 * momentum + (1.0 - optimizerParams.beta1) * grad);
+    let decayed = weights[idx] * (1.0 - optimizerParams.learningRate * optimizerParams.weightDecay);
+    weights[idx] = decayed - optimizerParams.learningRate * direction;
+    optimizerState0[idx] = optimizerParams.beta2 * momentum + (1.0 - optimizerParams.beta2) * grad;
+}
 
-    // Quantize and store new momentum and velocity
-    quantize_u8_momentum(idx, m_t, momentum_scale[0]);
-    quantize_u8_velocity(idx, v_t, velocity_scale[0]);
+// --- SGD with momentum: weight decay added to the gradient ---
+@compute @workgroup_size(256, 1, 1)
+fn sgd_momentum_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let idx = global_id.x;
+    if (idx >= arrayLength(&weights)) {
+        return;
+    }
+
+    let grad = scaled_gradient(idx) + optimizerParams.weightDecay * weights[idx];
+    let momentum = optimizerParams.beta1 * optimizerState0[idx] + grad;
+    optimizerState0[idx] = momentum;
+    weights[idx] -= optimizerParams.learningRate * momentum;
 }
 
-// Helper functions for 8-bit quantization/dequantization
-fn dequantize_u8_momentum(index: u32, scale: f32) -> f32 {
-    let packed_idx = index / 4u;
-    let shift = (index % 4u) * 8u;
-    let packed_val = (atomicLoad(&momentum[packed_idx]) >> shift) & 0xFFu;
-    return (f32(packed_val) - 128.0) * scale;
+// --- Adafactor: factored second moment in state0 (rows) / state1 (columns) ---
+//   row, col   update the row and column statistics (col also takes the mean of the rows)
+//   rms        one partial sum of squared updates per workgroup
+//   update     adds up the partials and applies the update clipped to an RMS of 1
+
+struct MatrixParams {
+    rows: u32,
+    cols: u32,
+    scratchOffset: u32,   // This matrix's region of adafactorScratch: the row mean, then the partial sums
 }
 
-fn dequantize_u8_velocity(index: u32, scale: f32) -> f32 {
-    let packed_idx = index / 4u;
-    let shift = (index % 4u) * 8u;
-    let packed_val = (atomicLoad(&velocity[packed_idx]) >> shift) & 0xFFu;
-    return (f32(packed_val) - 128.0) * scale;
+@group(7) @binding(9) var<uniform> matrixParams: MatrixParams;
+@group(7) @binding(10) var<storage, read_write> adafactorScratch: array<f32>;
+
+var<workgroup> adafactorShared: array<f32, 256>;
+
+fn adafactor_decay() -> f32 {
+    return 1.0 - pow(f32(optimizerParams.step), -0.8);
 }
 
-fn quantize_u8_momentum(index: u32, value: f32, scale: f32) {
-    let packed_idx = index / 4u;
-    let shift = (index % 4u) * 8u;
-    let quantized_val = u32(clamp(round(value / scale) + 128.0, 0.0, 255.0));
-    
-    // Atomic operation to prevent race conditions on the same u32 word
-    let mask = ~(0xFFu << shift);
-    atomicAnd(&momentum[packed_idx], mask); // Clear the 8 bits for the current index
-    atomicOr(&momentum[packed_idx], quantized_val << shift); // Set the new 8-bit value
+fn adafactor_squared(idx: u32) -> f32 {
+    let grad = scaled_gradient(idx);
+    return grad * grad + optimizerParams.epsilon;
 }
 
-fn quantize_u8_velocity(index: u32, value: f32, scale: f32) {
-    let packed_idx = index / 4u;
-    let shift = (index % 4u) * 8u;
-    let quantized_val = u32(clamp(round(value / scale) + 128.0, 0.0, 255.0));
-    
-    // Atomic operation to prevent race conditions on the same u32 word
-    let mask = ~(0xFFu << shift);
-    atomicAnd(&velocity[packed_idx], mask); // Clear the 8 bits for the current index
-    atomicOr(&velocity[packed_idx], quantized_val << shift); // Set the new 8-bit value
+// Unclipped update of one weight
+fn adafactor_value(idx: u32) -> f32 {
+    let row = idx / matrixParams.cols;
+    let col = idx % matrixParams.cols;
+    let rowMean = adafactorScratch[matrixParams.scratchOffset];
+    return scaled_gradient(idx) * inverseSqrt(optimizerState0[row] / rowMean) * inverseSqrt(optimizerState1[col]);
+}
+
+@compute @workgroup_size(256, 1, 1)
+fn adafactor_row_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let row = global_id.x;
+    if (row >= matrixParams.rows) {
+        return;
+    }
+
+    var sum: f32 = 0.0;
+    for (var col: u32 = 0u; col < matrixParams.cols; col++) {
+        sum += adafactor_squared(row * matrixParams.cols + col);
+    }
+    let decay = adafactor_decay();
+    optimizerState0[row] = decay * optimizerState0[row] + (1.0 - decay) * sum / f32(matrixParams.cols);
+}
+
+@compute @workgroup_size(256, 1, 1)
+fn adafactor_col_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let col = global_id.x;
+    if (col >= matrixParams.cols) {
+        return;
+    }
+
+    var sum: f32 = 0.0;
+    for (var row: u32 = 0u; row < matrixParams.rows; row++) {
+        sum += adafactor_squared(row * matrixParams.cols + col);
+    }
+    let decay = adafactor_decay();
+    optimizerState1[col] = decay * optimizerState1[col] + (1.0 - decay) * sum / f32(matrixParams.rows);
+
+    // The row statistics were finished by the previous dispatch
+    if (col == 0u) {
+        var rowSum: f32 = 0.0;
+        for (var row: u32 = 0u; row < matrixParams.rows; row++) {
+            rowSum += optimizerState0[row];
+        }
+        adafactorScratch[matrixParams.scratchOffset] = rowSum / f32(matrixParams.rows);
+    }
+}
+
+@compute @workgroup_size(256, 1, 1)
+fn adafactor_rms_main(@builtin(global_invocation_id) global_id: vec3<u32>,
+                      @builtin(local_invocation_id) local_id: vec3<u32>,
+                      @builtin(workgroup_id) workgroup_id: vec3<u32>) {
+    var value: f32 = 0.0;
+    if (global_id.x < matrixParams.rows * matrixParams.cols) {
+        value = adafactor_value(global_id.x);
+    }
+    adafactorShared[local_id.x] = value * value;
+    workgroupBarrier();
+
+    var stride: u32 = 128u;
+    while (stride > 0u) {
+        if (local_id.x < stride) {
+            adafactorShared[local_id.x] += adafactorShared[local_id.x + stride];
+        }
+        stride = stride / 2u;
+        workgroupBarrier();
+    }
+
+    if (local_id.x == 0u) {
+        adafactorScratch[matrixParams.scratchOffset + 1u + workgroup_id.x] = adafactorShared[0];
+    }
+}
+
+@compute @workgroup_size(256, 1, 1)
+fn adafactor_update_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let idx = global_id.x;
+    let size = matrixParams.rows * matrixParams.cols;
+    if (idx >= size) {
+        return;
+    }
+
+    let numPartials = (size + 255u) / 256u;
+    var sumOfSquares: f32 = 0.0;
+    for (var i: u32 = 0u; i < numPartials; i++) {
+        sumOfSquares += adafactorScratch[matrixParams.scratchOffset + 1u + i];
+    }
+    // Clipping threshold 1.0
+    let clip = max(1.0, sqrt(sumOfSquares / f32(size)));
+
+    let decayed = weights[idx] * (1.0 - optimizerParams.learningRate * optimizerParams.weightDecay);
+    weights[idx] = decayed - optimizerParams.learningRate * adafactor_value(idx) / clip;
 }
 
 // ============================================================================
@@ -445,6 +667,49 @@ fn gradient_accumulation_main(@builtin(global_invocation_id) global_id: vec3<u32
     accumulatedGradients[idx] += gradAccumParams.scaleFactor * newGradients[idx];
 }
 
+// ============================================================================
+// Gradient Norm Kernel
+//   Sum of squares of one gradient buffer, one partial sum per workgroup. The
+//   partials of every buffer land in one array (starting at partialOffset) and
+//   are added up on the host for the global L2 norm.
+// ============================================================================
+
+struct GradNormParams {
+    numGradients: u32,
+    partialOffset: u32,
+}
+
+@group(4) @binding(3) var<uniform> gradNormParams: GradNormParams;
+@group(4) @binding(4) var<storage, read> normGradients: array<f32>;
+@group(4) @binding(5) var<storage, read_write> normPartials: array<f32>;
+
+var<workgroup> normShared: array<f32, 256>;
+
+@compute @workgroup_size(256, 1, 1)
+fn gradient_norm_main(@builtin(global_invocation_id) global_id: vec3<u32>,
+                      @builtin(local_invocation_id) local_id: vec3<u32>,
+                      @builtin(workgroup_id) workgroup_id: vec3<u32>) {
+    var value: f32 = 0.0;
+    if (global_id.x < gradNormParams.numGradients) {
+        value = normGradients[global_id.x];
+    }
+    normShared[local_id.x] = value * value;
+    workgroupBarrier();
+
+    var stride: u32 = 128u;
+    while (stride > 0u) {
+        if (local_id.x < stride) {
+            normShared[local_id.x] += normShared[local_id.x + stride];
+        }
+        stride = stride / 2u;
+        workgroupBarrier();
+    }
+
+    if (local_id.x == 0u) {
+        normPartials[gradNormParams.partialOffset + workgroup_id.x] = normShared[0];
+    }
+}
+
 // ============================================================================
 // Memory Copy Kernel (for efficient GPU-GPU transfers)
 // ============================================================================
@@ -465,9 +730,9 @@ fn memory_copy_main(@builtin(global_invocation_id) global_id: vec3<u32>) {
 // ============================================================================
 // Cross-Entropy Loss Kernel (Softmax + NLL)
 //   Computes token-level cross-entropy loss for a batch of logits/labels.
-//   logits  : flattened [batch * vocab] float32 tensor
-//   labels  : flattened [batch] u32 tensor (class indices)
-//   losses  : output [batch] float32 tensor storing per-sample loss
+//   logits  : flattened [rows * vocab] float32 tensor (one row per token)
+//   labels  : flattened [rows] i32 tensor (class indices, negative = masked)
+//   losses  : output [rows] float32 tensor storing per-token loss (0 for masked rows)
 // -----------------------------------------------------------------------------
 
 struct CELossParams {
@@ -478,7 +743,7 @@ struct CELossParams {
 
 @group(6) @binding(0) var<uniform> ceParams : CELossParams;
 @group(6) @binding(1) var<storage, read> logits : array<f32>;          // size = batchSize * vocabSize
-@group(6) @binding(2) var<storage, read> labels : array<u32>;          // size = batchSize
+@group(6) @binding(2) var<storage, read> labels : array<i32>;          // size = batchSize
 @group(6) @binding(3) var<storage, read_write> losses : array<f32>;    // size = batchSize
 
 // Shared memory buffers for reduction (one per workgroup)
@@ -495,6 +760,14 @@ fn cross_entropy_loss_main(@builtin(global_invocation_id) global_id : vec3<u32>,
         return;
     }
 
+    // Masked rows (label -100) do not contribute; the uniform branch keeps barriers valid
+    if (labels[sampleIdx] < 0) {
+        if (local_id.x == 0u) {
+            losses[sampleIdx] = 0.0;
+        }
+        return;
+    }
+
     // ---------------------------------------------------------------------
     // Step 1: compute local maximum for numerical stability
     var localMax : f32 = -1e30;
@@ -553,7 +826,7 @@ fn cross_entropy_loss_main(@builtin(global_invocation_id) global_id : vec3<u32>,
     // ---------------------------------------------------------------------
     // Step 3: compute loss for the true label (thread 0 writes result)
     if (local_id.x == 0u) {
-        let label : u32 = labels[sampleIdx];
+        let label : u32 = u32(labels[sampleIdx]);
         let logit = logits[sampleIdx * ceParams.vocabSize + label];
         let logProb = (logit - maxLogit) - log(sumExp + ceParams.epsilon);
         losses[sampleIdx] = -logProb;
@@ -0,0 +1,439 @@
+/**
+ * CPU Reference Implementation of LoRA Forward/Backward for LoRA Lab
+ * Mirrors the math in loraKernels.wgsl with plain typed arrays so the GPU path,
+ * the captured activations and the captured gradients can be checked numerically.
+ *
+ * Layout conventions (identical to the WGSL kernels):
+ *   x          : [numTokens, inputDim]   input activations entering the projection
+ *   A          : [inputDim, rank]
+ *   B          : [rank, outputDim]
+ *   gradOutput : [numTokens, outputDim]  dL/dh' for the projection output
+ *   h' = h + scaling * (x · A) · B
+ */
+
+import { ADAPTER_INPUTS, buildAdapterFeeds } from './adapterInjection.js';
+
+/**
+ * LoRA forward pass: returns the intermediate (x·A) and the scaled low-rank delta.
+ * @param {Float32Array} x - Input activations [numTokens, inputDim]
+ * @param {Float32Array} A - LoRA A matrix [inputDim, rank]
+ * @param {Float32Array} B - LoRA B matrix [rank, outputDim]
+ * @param {Object} dims - { numTokens, inputDim, outputDim, rank, scaling }
+ * @returns {{intermediate: Float32Array, delta: Float32Array}}
+ */
+export function loraForward(x, A, B, dims) {
+  const { numTokens, inputDim, outputDim, rank, scaling } = dims;
+  const intermediate = new Float32Array(numTokens * rank);
+  const delta = new Float32Array(numTokens * outputDim);
+
+  for (let t = 0; t < numTokens; t++) {
+    for (let r = 0; r < rank; r++) {
+      let sum = 0;
+      for (let i = 0; i < inputDim; i++) {
+        sum += x[t * inputDim + i] * A[i * rank + r];
+      }
+      intermediate[t * rank + r] = sum;
+    }
+    for (let o = 0; o < outputDim; o++) {
+      let sum = 0;
+      for (let r = 0; r < rank; r++) {
+        sum += intermediate[t * rank + r] * B[r * outputDim + o];
+      }
+      delta[t * outputDim + o] = sum * scaling;
+    }
+  }
+
+  return { intermediate, delta };
+}
+
+/**
+ * LoRA backward pass: gradients for A and B, plus the gradient flowing back into x
+ * through the adapter branch only (the frozen base weight is handled by the caller).
+ * @param {Float32Array} x - Input activations [numTokens, inputDim]
+ * @param {Float32Array} gradOutput - Upstream gradient [numTokens, outputDim]
+ * @param {Float32Array} A - LoRA A matrix [inputDim, rank]
+ * @param {Float32Array} B - LoRA B matrix [rank, outputDim]
+ * @param {Object} dims - { numTokens, inputDim, outputDim, rank, scaling }
+ * @returns {{gradA: Float32Array, gradB: Float32Array, gradInput: Float32Array}}
+ */
+export function loraBackward(x, gradOutput, A, B, dims) {
+  const { numTokens, inputDim, outputDim, rank, scaling } = dims;
+  const { intermediate } = loraForward(x, A, B, dims);
+  const gradA = new Float32Array(inputDim * rank);
+  const gradB = new Float32Array(rank * outputDim);
+  const gradInput = new Float32Array(numTokens * inputDim);
+  const gradIntermediate = new Float32Array(numTokens * rank);
+
+  for (let t = 0; t < numTokens; t++) {
+    // dL/dB[r, o] += scaling * (x·A)[t, r] * g[t, o]
+    for (let r = 0; r < rank; r++) {
+      const inter = intermediate[t * rank + r];
+      let gi = 0;
+      for (let o = 0; o < outputDim; o++) {
+        const g = gradOutput[t * outputDim + o];
+        gradB[r * outputDim + o] += scaling * inter * g;
+        gi += g * B[r * outputDim + o];
+      }
+      gradIntermediate[t * rank + r] = scaling * gi;
+    }
+    // dL/dA[i, r] += x[t, i] * (g·Bᵀ)[t, r] * scaling
+    for (let i = 0; i < inputDim; i++) {
+      const xi = x[t * inputDim + i];
+      let gx = 0;
+      for (let r = 0; r < rank; r++) {
+        const gi = gradIntermediate[t * rank + r];
+        gradA[i * rank + r] += xi * gi;
+        gx += gi * A[i * rank + r];
+      }
+      gradInput[t * inputDim + i] = gx;
+    }
+  }
+
+  return { gradA, gradB, gradInput };
+}
+
+/**
+ * Label value excluded from the loss (PyTorch's CrossEntropyLoss ignore_index convention).
+ */
+export const IGNORE_INDEX = -100;
+
+/**
+ * Row-wise softmax cross-entropy averaged over the tokens that are not masked out.
+ * @param {Float32Array} logits - [numTokens, vocabSize]
+ * @param {ArrayLike<number>} labels - [numTokens] class indices, IGNORE_INDEX for masked positions
+ * @param {number} vocabSize - Vocabulary size
+ * @returns {{loss: number, gradLogits: Float32Array, numTrained: number}} Mean loss, dL/dlogits
+ *   (zero on masked rows) and the number of tokens that contributed
+ */
+export function crossEntropy(logits, labels, vocabSize) {
+  const gradLogits = new Float32Array(logits.length);
+  let numTrained = 0;
+  for (let t = 0; t < labels.length; t++) {
+    if (labels[t] !== IGNORE_INDEX) numTrained++;
+  }
+  if (numTrained === 0) {
+    return { loss: 0, gradLogits, numTrained };
+  }
+
+  let total = 0;
+  for (let t = 0; t < labels.length; t++) {
+    if (labels[t] === IGNORE_INDEX) continue;
+    const offset = t * vocabSize;
+    let max = -Infinity;
+    for (let v = 0; v < vocabSize; v++) max = Math.max(max, logits[offset + v]);
+    let sumExp = 0;
+    for (let v = 0; v < vocabSize; v++) sumExp += Math.exp(logits[offset + v] - max);
+    const logSumExp = max + Math.log(sumExp);
+    total += logSumExp - logits[offset + labels[t]];
+
+    for (let v = 0; v < vocabSize; v++) {
+      gradLogits[offset + v] = Math.exp(logits[offset + v] - logSumExp) / numTrained;
+    }
+    gradLogits[offset + labels[t]] -= 1 / numTrained;
+  }
+
+  return { loss: total / numTrained, gradLogits, numTrained };
+}
+
+/**
+ * Dense matmul helper: out[m, n] = a[m, k] · b[k, n]
+ */
+function matmul(a, b, m, k, n) {
+  const out = new Float32Array(m * n);
+  for (let i = 0; i < m; i++) {
+    for (let p = 0; p < k; p++) {
+      const av = a[i * k + p];
+      if (av === 0) continue;
+      for (let j = 0; j < n; j++) {
+        out[i * n + j] += av * b[p * n + j];
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Dense matmul helper with the second operand transposed: out[m, k] = a[m, n] · b[k, n]ᵀ
+ */
+function matmulTransposeB(a, b, m, n, k) {
+  const out = new Float32Array(m * k);
+  for (let i = 0; i < m; i++) {
+    for (let p = 0; p < k; p++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) {
+        sum += a[i * n + j] * b[p * n + j];
+      }
+      out[i * k + p] = sum;
+    }
+  }
+  return out;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) for reproducible tiny models.
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // The whole generator state is one u32, so it can be saved and restored with checkpoints
+  random.getState = () => state;
+  random.setState = (value) => { state = value >>> 0; };
+  return random;
+}
+
+/**
+ * Initial LoRA weights: A is small uniform noise scaled by the fan-in (Kaiming-style,
+ * scaled down for LoRA) and B is zero, so the adapter starts as an exact no-op.
+ * @param {number} inputDim - Projection input width
+ * @param {number} outputDim - Projection output width
+ * @param {number} rank - LoRA rank
+ * @param {function(): number} [random] - Uniform [0, 1) generator
+ * @returns {{A: Float32Array, B: Float32Array}} A [inputDim, rank] and B [rank, outputDim]
+ */
+export function initLoraWeights(inputDim, outputDim, rank, random = Math.random) {
+  const std = Math.sqrt(2.0 / inputDim);
+  const A = new Float32Array(inputDim * rank);
+  for (let i = 0; i < A.length; i++) {
+    A[i] = (random() * 2 - 1) * std * 0.1;
+  }
+  return { A, B: new Float32Array(rank * outputDim) };
+}
+
+/**
+ * Build a tiny residual language model whose per-layer projections carry LoRA adapters.
+ * Each layer computes h_{l+1} = h_l + h_l·W_l + scaling·(h_l·A_l)·B_l, followed by an LM head.
+ * @param {Object} config - { vocabSize, hiddenSize, numLayers, rank, alpha, seed }
+ * @returns {Object} Tiny model description with weights and LoRA layers
+ */
+export function createTinyModel(config = {}) {
+  const {
+    vocabSize = 11,
+    hiddenSize = 6,
+    numLayers = 2,
+    rank = 2,
+    alpha = 4,
+    seed = 1234
+  } = config;
+  const rng = createRng(seed);
+  const randn = (size, std) => Float32Array.from({ length: size }, () => (rng() * 2 - 1) * std);
+
+  const layers = {};
+  for (let l = 0; l < numLayers; l++) {
+    layers[`model.layers.${l}.self_attn.o_proj`] = {
+      weight: randn(hiddenSize * hiddenSize, 0.3),
+      A: randn(hiddenSize * rank, 0.3),
+      // B is non-zero here so that gradients through A are exercised by the check.
+      B: randn(rank * hiddenSize, 0.3)
+    };
+  }
+
+  return {
+    vocabSize,
+    hiddenSize,
+    rank,
+    alpha,
+    scaling: alpha / rank,
+    // Config in Hugging Face field names, so shape-aware helpers (modelShapes.js) can size feeds
+    config: { model_type: 'tiny', hidden_size: hiddenSize, num_attention_heads: 1, intermediate_size: hiddenSize, vocab_size: vocabSize },
+    embeddings: randn(vocabSize * hiddenSize, 0.5),
+    lmHead: randn(hiddenSize * vocabSize, 0.5),
+    layers
+  };
+}
+
+/**
+ * Forward + exact backward pass through the tiny model, capturing for every LoRA layer
+ * the input activations it saw and the upstream gradient of the loss w.r.t. its output.
+ * These are exactly the signals the training worker expects to capture from the real model.
+ * @param {Object} tinyModel - Model from createTinyModel
+ * @param {ArrayLike<number>} inputIds - [numTokens] token ids
+ * @param {ArrayLike<number>} labels - [numTokens] next-token labels
+ * @returns {Object} { loss, captures: { [layer]: { input, gradOutput } }, grads: { [layer]: { gradA, gradB } } }
+ */
+export function runTinyModel(tinyModel, inputIds, labels) {
+  const { vocabSize, hiddenSize: d, rank, scaling, layers } = tinyModel;
+  const numTokens = inputIds.length;
+  const dims = { numTokens, inputDim: d, outputDim: d, rank, scaling };
+  const layerNames = Object.keys(layers);
+
+  let h = new Float32Array(numTokens * d);
+  for (let t = 0; t < numTokens; t++) {
+    h.set(tinyModel.embeddings.subarray(inputIds[t] * d, (inputIds[t] + 1) * d), t * d);
+  }
+
+  const captures = {};
+  for (const name of layerNames) {
+    const layer = layers[name];
+    const base = matmul(h, layer.weight, numTokens, d, d);
+    const { delta } = loraForward(h, layer.A, layer.B, dims);
+    captures[name] = { input: h };
+    const next = new Float32Array(h.length);
+    for (let i = 0; i < next.length; i++) next[i] = h[i] + base[i] + delta[i];
+    h = next;
+  }
+
+  const logits = matmul(h, tinyModel.lmHead, numTokens, d, vocabSize);
+  const { loss, gradLogits } = crossEntropy(logits, labels, vocabSize);
+
+  // Backward: dL/dh for the final hidden state, then walk layers in reverse.
+  let gradH = matmulTransposeB(gradLogits, tinyModel.lmHead, numTokens, vocabSize, d);
+  const grads = {};
+  for (let l = layerNames.length - 1; l >= 0; l--) {
+    const name = layerNames[l];
+    const layer = layers[name];
+    const x = captures[name].input;
+    // The layer output feeds the residual sum directly, so dL/d(output) == dL/dh_{l+1}.
+    const gradOutput = gradH;
+    captures[name].gradOutput = gradOutput;
+
+    const { gradA, gradB, gradInput } = loraBackward(x, gradOutput, layer.A, layer.B, dims);
+    grads[name] = { gradA, gradB };
+
+    const gradBase = matmulTransposeB(gradOutput, layer.weight, numTokens, d, d);
+    const prev = new Float32Array(gradH.length);
+    for (let i = 0; i < prev.length; i++) prev[i] = gradH[i] + gradBase[i] + gradInput[i];
+    gradH = prev;
+  }
+
+  return { loss, captures, grads };
+}
+
+/**
+ * Compare analytic LoRA gradients against central finite differences on the tiny model.
+ * Perturbs every entry of every A/B matrix (the model is tiny, so this is cheap).
+ * @param {Object} tinyModel - Model from createTinyModel
+ * @param {ArrayLike<number>} inputIds - [numTokens] token ids
+ * @param {ArrayLike<number>} labels - [numTokens] labels
+ * @param {Object} options - { epsilon, gradients } where gradients ({ [layer]: { gradA, gradB } })
+ *   are checked instead of the tiny model's own backward pass, e.g. those a training backend
+ *   computed from captured signals
+ * @returns {Object} { maxAbsError, maxRelError, checked }
+ */
+export function checkGradientsFiniteDifference(tinyModel, inputIds, labels, options = {}) {
+  const { epsilon = 1e-3 } = options;
+  const grads = options.gradients ?? runTinyModel(tinyModel, inputIds, labels).grads;
+  let maxAbsError = 0;
+  let maxRelError = 0;
+  let checked = 0;
+
+  for (const [name, layer] of Object.entries(tinyModel.layers)) {
+    for (const [matrix, analytic] of [['A', grads[name].gradA], ['B', grads[name].gradB]]) {
+      const weights = layer[matrix];
+      for (let i = 0; i < weights.length; i++) {
+        const original = weights[i];
+        weights[i] = original + epsilon;
+        const lossPlus = runTinyModel(tinyModel, inputIds, labels).loss;
+        weights[i] = original - epsilon;
+        const lossMinus = runTinyModel(tinyModel, inputIds, labels).loss;
+        weights[i] = original;
+
+        const numeric = (lossPlus - lossMinus) / (2 * epsilon);
+        const absError = Math.abs(numeric - analytic[i]);
+        const relError = absError / Math.max(1e-6, Math.abs(numeric) + Math.abs(analytic[i]));
+        maxAbsError = Math.max(maxAbsError, absError);
+        maxRelError = Math.max(maxRelError, relError);
+        checked++;
+      }
+    }
+  }
+
+  return { maxAbsError, maxRelError, checked };
+}
+
+/**
+ * Logits of the tiny model when adapters are supplied the way generation.worker.js feeds
+ * them to an adapter-capable ONNX graph: `<layer>.lora_A` and pre-scaled `<layer>.lora_B`.
+ * Layers without feeds run the base projection only.
+ * @param {Object} tinyModel - Model from createTinyModel
+ * @param {ArrayLike<number>} inputIds - [numTokens] token ids
+ * @param {Object} feeds - Input name -> { data, dims } (see adapterInjection.buildAdapterFeeds)
+ * @returns {{logits: Float32Array, inputs: Object}} Logits and the input each layer saw
+ */
+export function tinyModelLogits(tinyModel, inputIds, feeds = {}) {
+  const { vocabSize, hiddenSize: d, layers } = tinyModel;
+  const numTokens = inputIds.length;
+
+  let h = new Float32Array(numTokens * d);
+  for (let t = 0; t < numTokens; t++) {
+    h.set(tinyModel.embeddings.subarray(inputIds[t] * d, (inputIds[t] + 1) * d), t * d);
+  }
+
+  const inputs = {};
+  for (const [name, layer] of Object.entries(layers)) {
+    inputs[name] = h;
+    const next = matmul(h, layer.weight, numTokens, d, d);
+    const A = feeds[`${name}.${ADAPTER_INPUTS.A}`];
+    const B = feeds[`${name}.${ADAPTER_INPUTS.B}`];
+    if (A && B) {
+      const rank = A.dims[1];
+      const lora = matmul(matmul(h, A.data, numTokens, d, rank), B.data, numTokens, rank, d);
+      for (let i = 0; i < next.length; i++) next[i] += lora[i];
+    }
+    for (let i = 0; i < next.length; i++) next[i] += h[i];
+    h = next;
+  }
+
+  return { logits: matmul(h, tinyModel.lmHead, numTokens, d, vocabSize), inputs };
+}
+
+/**
+ * Deterministic check that switching one layer's adapter on changes the logits by exactly
+ * its low-rank delta scaling·(x·A)·B, carried through the (linear) layers after it.
+ * Runs the real feed builder used by the generation worker for both the base and adapted pass.
+ * @param {Object} tinyModel - Model from createTinyModel
+ * @param {ArrayLike<number>} inputIds - [numTokens] token ids
+ * @param {string} layerName - Layer whose adapter is applied
+ * @returns {{maxAbsError: number, maxExpected: number}} Largest deviation and largest expected change
+ */
+export function checkAdapterLogitDelta(tinyModel, inputIds, layerName) {
+  const { hiddenSize: d, rank, alpha, scaling, layers, config } = tinyModel;
+  const numTokens = inputIds.length;
+  const { A, B } = layers[layerName];
+  const adapter = {
+    rank,
+    alpha,
+    layers: { [layerName]: { A: { data: A, shape: [d, rank] }, B: { data: B, shape: [rank, d] } } }
+  };
+  const injectable = Object.keys(layers);
+
+  const base = tinyModelLogits(tinyModel, inputIds, buildAdapterFeeds(adapter, injectable, config, false).feeds);
+  const adapted = tinyModelLogits(tinyModel, inputIds, buildAdapterFeeds(adapter, injectable, config, true).feeds);
+
+  let { delta } = loraForward(base.inputs[layerName], A, B, { numTokens, inputDim: d, outputDim: d, rank, scaling });
+  for (const name of injectable.slice(injectable.indexOf(layerName) + 1)) {
+    const projected = matmul(delta, layers[name].weight, numTokens, d, d);
+    for (let i = 0; i < delta.length; i++) delta[i] += projected[i];
+  }
+  const expected = matmul(delta, tinyModel.lmHead, numTokens, d, tinyModel.vocabSize);
+
+  let maxAbsError = 0;
+  let maxExpected = 0;
+  for (let i = 0; i < expected.length; i++) {
+    maxAbsError = Math.max(maxAbsError, Math.abs(adapted.logits[i] - base.logits[i] - expected[i]));
+    maxExpected = Math.max(maxExpected, Math.abs(expected[i]));
+  }
+
+  return { maxAbsError, maxExpected };
+}
+
+export default {
+  IGNORE_INDEX,
+  loraForward,
+  loraBackward,
+  crossEntropy,
+  createRng,
+  initLoraWeights,
+  createTinyModel,
+  runTinyModel,
+  tinyModelLogits,
+  checkAdapterLogitDelta,
+  checkGradientsFiniteDifference
+};
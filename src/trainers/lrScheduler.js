@@ -0,0 +1,145 @@
+/**
+ * Learning-Rate Schedules for LoRA Lab
+ * The learning rate of every optimizer step as a pure function of the step, so the worker,
+ * a resumed run and the plan preview all agree on the same curve.
+ *
+ * Steps are 1-based like Adam's bias-correction step. The first `warmupSteps` steps ramp up
+ * linearly to the peak `learningRate`; the remaining steps follow the schedule. As in the
+ * transformers schedulers, a step's decay progress counts the decay steps before it, so the first
+ * step after warmup runs at the peak and the final rate is only reached after the last step:
+ *   constant / constant_with_warmup  stay at the peak
+ *   linear                           fall in a straight line to minLrRatio * peak
+ *   cosine                           follow half a cosine down to minLrRatio * peak
+ *   cosine_with_restarts             repeat that cosine `cycles` times, jumping back to the peak
+ *   one_cycle                        rise from peak / 25 over the warmup (30% of the run when
+ *                                    warmupSteps is 0), then anneal to peak / 1e4; both phases
+ *                                    follow a cosine, as in Smith's one-cycle policy
+ */
+
+export const LR_SCHEDULES = {
+  CONSTANT: 'constant',
+  CONSTANT_WITH_WARMUP: 'constant_with_warmup',
+  LINEAR: 'linear',
+  COSINE: 'cosine',
+  COSINE_WITH_RESTARTS: 'cosine_with_restarts',
+  ONE_CYCLE: 'one_cycle'
+};
+
+export const LR_SCHEDULE_LABELS = {
+  [LR_SCHEDULES.CONSTANT]: 'Constant',
+  [LR_SCHEDULES.CONSTANT_WITH_WARMUP]: 'Constant with warmup',
+  [LR_SCHEDULES.LINEAR]: 'Linear decay',
+  [LR_SCHEDULES.COSINE]: 'Cosine decay',
+  [LR_SCHEDULES.COSINE_WITH_RESTARTS]: 'Cosine with restarts',
+  [LR_SCHEDULES.ONE_CYCLE]: 'One-cycle'
+};
+
+export const DEFAULT_LEARNING_RATE = 3e-4;
+
+export const DEFAULT_LR_SCHEDULE = {
+  lrSchedule: LR_SCHEDULES.COSINE,
+  warmupSteps: 0,
+  minLrRatio: 0,  // Final learning rate of the decaying schedules, as a fraction of the peak
+  lrCycles: 1     // Cosine cycles of cosine_with_restarts
+};
+
+const ONE_CYCLE_DEFAULT_RISE = 0.3;
+const ONE_CYCLE_DIV_FACTOR = 25;
+const ONE_CYCLE_FINAL_DIV_FACTOR = 1e4;
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * Complete schedule for a run from the training config.
+ * @param {Object} config - Training config ({ learningRate, lrSchedule, warmupSteps, minLrRatio, lrCycles })
+ * @param {number} totalSteps - Optimizer steps in the run
+ * @returns {Object} { schedule, learningRate, warmupSteps, totalSteps, minLrRatio, cycles }
+ */
+export function normalizeLrSchedule(config = {}, totalSteps) {
+  const merged = { ...DEFAULT_LR_SCHEDULE, ...config };
+  const steps = Math.max(1, Math.round(clamp(totalSteps, 1, Number.MAX_SAFE_INTEGER, 1)));
+  const schedule = Object.values(LR_SCHEDULES).includes(merged.lrSchedule) ? merged.lrSchedule : DEFAULT_LR_SCHEDULE.lrSchedule;
+
+  return {
+    schedule,
+    learningRate: clamp(merged.learningRate, 0, 1, DEFAULT_LEARNING_RATE),
+    warmupSteps: schedule === LR_SCHEDULES.CONSTANT ? 0 : Math.round(clamp(merged.warmupSteps, 0, steps, 0)),
+    totalSteps: steps,
+    minLrRatio: clamp(merged.minLrRatio, 0, 1, 0),
+    cycles: Math.round(clamp(merged.lrCycles, 1, 100, 1))
+  };
+}
+
+/**
+ * Learning rate of one optimizer step.
+ * @param {number} step - 1-based optimizer step; steps past the end keep the final rate
+ * @param {Object} schedule - Schedule from normalizeLrSchedule
+ * @returns {number} Learning rate
+ */
+export function learningRateAt(step, schedule) {
+  const { schedule: kind, learningRate: peak, totalSteps, minLrRatio, cycles } = schedule;
+  const current = Math.min(Math.max(step, 1), totalSteps);
+  const cosine = progress => 0.5 * (1 + Math.cos(Math.PI * progress));
+
+  if (kind === LR_SCHEDULES.ONE_CYCLE) {
+    const riseSteps = schedule.warmupSteps || Math.max(1, Math.round(totalSteps * ONE_CYCLE_DEFAULT_RISE));
+    const initial = peak / ONE_CYCLE_DIV_FACTOR;
+    const final = peak / ONE_CYCLE_FINAL_DIV_FACTOR;
+    if (current <= riseSteps) {
+      return peak + (initial - peak) * cosine(current / riseSteps);
+    }
+    const progress = (current - 1 - riseSteps) / Math.max(1, totalSteps - riseSteps);
+    return final + (peak - final) * cosine(progress);
+  }
+
+  const { warmupSteps } = schedule;
+  if (current <= warmupSteps) {
+    return peak * current / warmupSteps;
+  }
+  if (kind === LR_SCHEDULES.CONSTANT || kind === LR_SCHEDULES.CONSTANT_WITH_WARMUP) {
+    return peak;
+  }
+
+  // Fraction of the decay phase done before this step: 0 right after warmup, below 1 at the last step
+  const progress = (current - 1 - warmupSteps) / Math.max(1, totalSteps - warmupSteps);
+  const floor = peak * minLrRatio;
+  switch (kind) {
+    case LR_SCHEDULES.LINEAR:
+      return floor + (peak - floor) * (1 - progress);
+    case LR_SCHEDULES.COSINE_WITH_RESTARTS: {
+      // Each cycle decays towards the floor; the next one starts back at the peak
+      const cycleProgress = (progress * cycles) % 1;
+      return floor + (peak - floor) * cosine(cycleProgress);
+    }
+    case LR_SCHEDULES.COSINE:
+    default:
+      return floor + (peak - floor) * cosine(progress);
+  }
+}
+
+/**
+ * Learning rates of evenly spaced steps, for previews of a schedule.
+ * @param {Object} schedule - Schedule from normalizeLrSchedule
+ * @param {number} [points] - Number of samples
+ * @returns {Array<{step: number, learningRate: number}>}
+ */
+export function sampleLrSchedule(schedule, points = 100) {
+  const count = Math.max(2, Math.min(points, schedule.totalSteps));
+  return Array.from({ length: count }, (_, i) => {
+    const step = 1 + Math.round(i * (schedule.totalSteps - 1) / (count - 1));
+    return { step, learningRate: learningRateAt(step, schedule) };
+  });
+}
+
+export default {
+  LR_SCHEDULES,
+  LR_SCHEDULE_LABELS,
+  DEFAULT_LEARNING_RATE,
+  DEFAULT_LR_SCHEDULE,
+  normalizeLrSchedule,
+  learningRateAt,
+  sampleLrSchedule
+};
@@ -0,0 +1,137 @@
+/**
+ * Model Shape Introspection for LoRA Lab
+ * Reads projection widths from a model's config so every LoRA target module gets
+ * A/B matrices sized to its real input/output dimensions (GQA, fused QKV, MLP widths).
+ */
+
+/**
+ * Normalize the architecture-specific config fields we need into one shape summary.
+ * Handles Llama/Qwen/Phi-3 style names as well as GPT-2/GPT-NeoX style names.
+ * @param {Object} config - Model config (transformers.js `model.config` or raw config.json)
+ * @returns {Object} { modelType, hiddenSize, intermediateSize, numAttentionHeads, numKeyValueHeads, headDim, qWidth, kvWidth }
+ */
+export function readModelShape(config = {}) {
+  const hiddenSize = config.hidden_size ?? config.n_embd ?? config.d_model;
+  if (!hiddenSize) {
+    throw new Error('Model config does not define hidden_size; cannot size LoRA adapters');
+  }
+
+  const numAttentionHeads = config.num_attention_heads ?? config.n_head ?? 1;
+  const numKeyValueHeads = config.num_key_value_heads ?? config.multi_query_group_num ?? numAttentionHeads;
+  const headDim = config.head_dim ?? Math.floor(hiddenSize / numAttentionHeads);
+  const intermediateSize = config.intermediate_size ?? config.n_inner ?? config.ffn_dim ?? 4 * hiddenSize;
+
+  return {
+    modelType: config.model_type || 'unknown',
+    hiddenSize,
+    intermediateSize,
+    numAttentionHeads,
+    numKeyValueHeads,
+    headDim,
+    qWidth: numAttentionHeads * headDim,
+    kvWidth: numKeyValueHeads * headDim
+  };
+}
+
+/**
+ * Input/output widths of a projection, keyed by module name, for a given shape summary.
+ * @param {Object} shape - Result of readModelShape
+ * @returns {Object} Map of module name -> [inputDim, outputDim]
+ */
+function getModuleDims(shape) {
+  const { hiddenSize, intermediateSize, qWidth, kvWidth } = shape;
+
+  return {
+    // Attention projections (k/v are narrower under grouped-query attention)
+    q_proj: [hiddenSize, qWidth],
+    k_proj: [hiddenSize, kvWidth],
+    v_proj: [hiddenSize, kvWidth],
+    o_proj: [qWidth, hiddenSize],
+    dense: [qWidth, hiddenSize],
+    // Fused attention projections (Phi-3 qkv_proj, MPT/Phi-2 Wqkv, GPT-2 c_attn)
+    qkv_proj: [hiddenSize, qWidth + 2 * kvWidth],
+    Wqkv: [hiddenSize, qWidth + 2 * kvWidth],
+    c_attn: [hiddenSize, qWidth + 2 * kvWidth],
+    // MLP projections
+    gate_proj: [hiddenSize, intermediateSize],
+    up_proj: [hiddenSize, intermediateSize],
+    gate_up_proj: [hiddenSize, 2 * intermediateSize],
+    down_proj: [intermediateSize, hiddenSize],
+    fc1: [hiddenSize, intermediateSize],
+    fc2: [intermediateSize, hiddenSize],
+    c_fc: [hiddenSize, intermediateSize]
+  };
+}
+
+/**
+ * Resolve a dotted layer path (e.g. `model.layers.0.self_attn.q_proj`) on a model object.
+ * @param {Object} model - Model object
+ * @param {string} path - Dotted path
+ * @returns {Object|undefined} The module at that path
+ */
+function resolvePath(model, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), model);
+}
+
+/**
+ * Determine [inputDim, outputDim] for one LoRA target module.
+ * A weight tensor with known dims (PyTorch Linear layout [out, in]) wins over the config.
+ * @param {string} layerName - Dotted layer path
+ * @param {Object} shape - Result of readModelShape
+ * @param {Object} [module] - The module object, if available
+ * @returns {{inputDim: number, outputDim: number, moduleType: string}}
+ */
+export function getLayerShape(layerName, shape, module = null) {
+  const moduleType = layerName.split('.').pop();
+  const weightDims = module?.weight?.dims ?? module?.weight?.shape;
+
+  if (Array.isArray(weightDims) && weightDims.length === 2) {
+    const [outputDim, inputDim] = weightDims;
+    return { inputDim, outputDim, moduleType };
+  }
+
+  const dims = getModuleDims(shape)[moduleType];
+  if (!dims) {
+    throw new Error(`Unknown LoRA target module type "${moduleType}" in ${layerName}`);
+  }
+
+  const [inputDim, outputDim] = dims;
+  return { inputDim, outputDim, moduleType };
+}
+
+/**
+ * Resolve the shape of every LoRA target layer of a loaded model.
+ * @param {Object} model - Transformers.js model (uses `model.config`)
+ * @param {string[]} targetLayers - Layer paths from findLoraTargetLayers
+ * @returns {{modelShape: Object, layers: Object}} Shape summary and per-layer {inputDim, outputDim, moduleType}
+ */
+export function resolveLayerShapes(model, targetLayers) {
+  const modelShape = readModelShape(model?.config);
+  const layers = {};
+
+  for (const layerName of targetLayers) {
+    layers[layerName] = getLayerShape(layerName, modelShape, resolvePath(model, layerName));
+  }
+
+  return { modelShape, layers };
+}
+
+/**
+ * Number of trainable parameters for a set of layer shapes at a given rank.
+ * @param {Object} layerShapes - Per-layer {inputDim, outputDim}
+ * @param {number} rank - LoRA rank
+ * @param {Object} [rankPattern] - Map of layer name -> rank for layers with another rank
+ * @returns {number} Total A+B parameter count
+ */
+export function countAdapterParameters(layerShapes, rank, rankPattern = {}) {
+  return Object.entries(layerShapes).reduce(
+    (sum, [layerName, { inputDim, outputDim }]) => sum + (rankPattern[layerName] ?? rank) * (inputDim + outputDim), 0
+  );
+}
+
+export default {
+  readModelShape,
+  getLayerShape,
+  resolveLayerShapes,
+  countAdapterParameters
+};
@@ -0,0 +1,148 @@
+/**
+ * Optimizer Trajectory Harness for LoRA Lab
+ * Runs the optimizers of optimizers.js on a toy quadratic and compares the loss trajectory of
+ * any implementation of an update rule with the CPU reference, step by step. The candidate has
+ * the signature of applyOptimizerUpdate, so the WebGPU kernels can be checked in a browser:
+ *
+ *   const backend = await createTrainingBackend(TRAINING_BACKENDS.WEBGPU);
+ *   const report = await compareOptimizerTrajectories({
+ *     candidate: (...args) => backend.applyOptimizerUpdate(...args)
+ *   });
+ *
+ * Without a candidate only the reference runs, which checks under Node that every optimizer
+ * converges and that 8-bit Adam follows the trajectory of fp32 AdamW (the same update rule
+ * without weight decay), so the quantized state is checked too. The problem is f(W) = 0.5 * Σ h_ij (W_ij - T_ij)² on a [rows, cols] matrix with
+ * curvatures h spread over two decades, so the optimizers' preconditioning shows.
+ */
+
+import { OPTIMIZERS, OPTIMIZER_DEFAULTS, createOptimizerState, applyOptimizerUpdate } from './optimizers.js';
+import { normalizeLrSchedule, learningRateAt, LR_SCHEDULES } from './lrScheduler.js';
+import { createRng } from './loraReference.js';
+
+// Peak learning rates that suit the toy problem; the schedule is a cosine decay over the run
+export const TOY_LEARNING_RATES = {
+  [OPTIMIZERS.ADAMW]: 0.05,
+  [OPTIMIZERS.ADAM_8BIT]: 0.05,
+  [OPTIMIZERS.LION]: 0.05,
+  [OPTIMIZERS.ADAFACTOR]: 0.05,
+  [OPTIMIZERS.SGD_MOMENTUM]: 0.05
+};
+
+// An optimizer converges when its final loss is below this fraction of the initial loss
+const CONVERGENCE_RATIO = 1e-3;
+
+// Optimizers that store the state of an fp32 one in fewer bits, and the fp32 optimizer
+export const FP32_REFERENCES = {
+  [OPTIMIZERS.ADAM_8BIT]: OPTIMIZERS.ADAMW
+};
+
+// Largest loss difference from the fp32 trajectory, relative to the initial loss, that a
+// quantized optimizer may have
+export const QUANTIZATION_TOLERANCE = 5e-3;
+
+/**
+ * A random quadratic problem.
+ * @param {Object} [options] - { rows, cols, seed }
+ * @returns {Object} { rows, cols, initial, loss(weights), gradient(weights) }
+ */
+export function createQuadraticProblem({ rows = 32, cols = 8, seed = 1 } = {}) {
+  const random = createRng(seed);
+  const size = rows * cols;
+  const curvature = Float64Array.from({ length: size }, () => Math.pow(10, random() * 2 - 1));
+  const target = Float64Array.from({ length: size }, () => random() * 2 - 1);
+  const initial = Float32Array.from({ length: size }, () => random() * 2 - 1);
+
+  return {
+    rows,
+    cols,
+    initial,
+    loss(weights) {
+      let sum = 0;
+      for (let idx = 0; idx < size; idx++) {
+        sum += 0.5 * curvature[idx] * (weights[idx] - target[idx]) ** 2;
+      }
+      return sum;
+    },
+    gradient(weights) {
+      return Float32Array.from(weights, (weight, idx) => curvature[idx] * (weight - target[idx]));
+    }
+  };
+}
+
+/**
+ * Run one optimizer on a problem.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {Object} problem - Problem from createQuadraticProblem
+ * @param {Object} [options] - { steps, learningRate, update } where update has the signature of
+ *   applyOptimizerUpdate (may be async) and defaults to the CPU reference
+ * @returns {Promise<Object>} { losses, weights } with the loss before every step and after the last
+ */
+export async function runTrajectory(optimizer, problem, options = {}) {
+  const { steps = 200, learningRate = TOY_LEARNING_RATES[optimizer], update = applyOptimizerUpdate } = options;
+  const { rows, cols } = problem;
+  const schedule = normalizeLrSchedule({ learningRate, lrSchedule: LR_SCHEDULES.COSINE }, steps);
+  const weights = problem.initial.slice();
+  const state = createOptimizerState(optimizer, rows, cols);
+  const losses = [problem.loss(weights)];
+
+  for (let step = 1; step <= steps; step++) {
+    const params = { ...OPTIMIZER_DEFAULTS[optimizer], weightDecay: 0, learningRate: learningRateAt(step, schedule), step, gradScale: 1 };
+    await update(optimizer, weights, problem.gradient(weights), state, params, { rows, cols });
+    losses.push(problem.loss(weights));
+  }
+
+  return { losses, weights };
+}
+
+// Largest loss difference between two trajectories, relative to the initial loss so converged
+// runs are not judged on rounding noise
+function maxLossDeviation(losses, referenceLosses) {
+  return Math.max(...losses.map((loss, i) => Math.abs(loss - referenceLosses[i]) / referenceLosses[0]));
+}
+
+/**
+ * Run every optimizer with the CPU reference and, when given, a candidate implementation.
+ * @param {Object} [options] - { optimizers, steps, rows, cols, seed, candidate, tolerance }.
+ *   tolerance is the largest relative loss difference between the trajectories that still matches.
+ * @returns {Promise<Object[]>} Per optimizer { optimizer, initialLoss, finalLoss, converged }, plus
+ *   { fp32Optimizer, fp32Deviation, matchesFp32 } for quantized optimizers and
+ *   { candidateFinalLoss, maxDeviation, matches } when a candidate ran
+ */
+export async function compareOptimizerTrajectories(options = {}) {
+  const { optimizers = Object.values(OPTIMIZERS), steps = 200, candidate = null, tolerance = 1e-2 } = options;
+  const problem = createQuadraticProblem(options);
+  const report = [];
+
+  for (const optimizer of optimizers) {
+    const reference = await runTrajectory(optimizer, problem, { steps });
+    const initialLoss = reference.losses[0];
+    const finalLoss = reference.losses[reference.losses.length - 1];
+    const result = { optimizer, initialLoss, finalLoss, converged: finalLoss < initialLoss * CONVERGENCE_RATIO };
+
+    const fp32Optimizer = FP32_REFERENCES[optimizer];
+    if (fp32Optimizer) {
+      // At the quantized optimizer's learning rate, so only the state precision differs
+      const fp32 = await runTrajectory(fp32Optimizer, problem, { steps, learningRate: TOY_LEARNING_RATES[optimizer] });
+      const fp32Deviation = maxLossDeviation(reference.losses, fp32.losses);
+      Object.assign(result, { fp32Optimizer, fp32Deviation, matchesFp32: fp32Deviation <= QUANTIZATION_TOLERANCE });
+    }
+
+    if (candidate) {
+      const { losses } = await runTrajectory(optimizer, problem, { steps, update: candidate });
+      const maxDeviation = maxLossDeviation(losses, reference.losses);
+      Object.assign(result, { candidateFinalLoss: losses[losses.length - 1], maxDeviation, matches: maxDeviation <= tolerance });
+    }
+    report.push(result);
+  }
+
+  return report;
+}
+
+export default {
+  TOY_LEARNING_RATES,
+  FP32_REFERENCES,
+  QUANTIZATION_TOLERANCE,
+  createQuadraticProblem,
+  runTrajectory,
+  compareOptimizerTrajectories
+};
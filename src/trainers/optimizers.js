@@ -0,0 +1,465 @@
+/**
+ * Optimizers for LoRA Lab
+ * Update rules for the adapter weights. Every function here is the CPU reference of an
+ * optimizer kernel in loraKernels.wgsl: cpuBackend.js runs them directly, and
+ * optimizerHarness.js compares their trajectories with the WebGPU kernels.
+ *
+ *   adamw         Adam with decoupled weight decay and fp32 moments (Loshchilov & Hutter)
+ *   adam_8bit     Adam with both moments stored as 8-bit values in blocks of 256, each block
+ *                 with its own scale (its absolute maximum). The codes are logarithmic, 16 per
+ *                 doubling, so a moment far below the block's maximum keeps the relative
+ *                 precision of the maximum; the signed first moment is centred on the zero
+ *                 point 128. Weight decay is added to the gradient, as in Adam
+ *   lion          sign of an interpolated momentum, one fp32 moment, decoupled weight decay
+ *                 (Chen et al. 2023); use a learning rate 3-10x below Adam's
+ *   adafactor     second moment factored into one value per row and one per column, no first
+ *                 moment, updates clipped to an RMS of 1 (Shazeer & Stern 2018; transformers'
+ *                 Adafactor with relative_step=False, scale_parameter=False)
+ *   sgd_momentum  heavy-ball momentum with weight decay added to the gradient (torch.optim.SGD)
+ *
+ * All of them take the same params, the OptimizerParams uniform: { learningRate, beta1, beta2,
+ * epsilon, weightDecay, step, gradScale }. step is 1-based; gradScale multiplies the gradients
+ * first (the clip-by-global-norm coefficient). SGD reads its momentum from beta1. State is a
+ * map of name -> typed array per weight matrix, stored in checkpoints as `<layer>.<name><A|B>`.
+ */
+
+export const OPTIMIZERS = {
+  ADAMW: 'adamw',
+  ADAM_8BIT: 'adam_8bit',
+  LION: 'lion',
+  ADAFACTOR: 'adafactor',
+  SGD_MOMENTUM: 'sgd_momentum'
+};
+
+export const OPTIMIZER_LABELS = {
+  [OPTIMIZERS.ADAMW]: 'AdamW',
+  [OPTIMIZERS.ADAM_8BIT]: '8-bit Adam',
+  [OPTIMIZERS.LION]: 'Lion',
+  [OPTIMIZERS.ADAFACTOR]: 'Adafactor',
+  [OPTIMIZERS.SGD_MOMENTUM]: 'SGD with momentum'
+};
+
+export const DEFAULT_OPTIMIZER = OPTIMIZERS.ADAM_8BIT;
+
+// Hyperparameters of each optimizer; fields a rule does not read are kept so every
+// optimizer fills the same uniform
+export const OPTIMIZER_DEFAULTS = {
+  [OPTIMIZERS.ADAMW]: { beta1: 0.9, beta2: 0.999, epsilon: 1e-8, weightDecay: 0.01 },
+  [OPTIMIZERS.ADAM_8BIT]: { beta1: 0.9, beta2: 0.999, epsilon: 1e-8, weightDecay: 0 },
+  [OPTIMIZERS.LION]: { beta1: 0.9, beta2: 0.99, epsilon: 0, weightDecay: 0 },
+  [OPTIMIZERS.ADAFACTOR]: { beta1: 0, beta2: 0, epsilon: 1e-30, weightDecay: 0 },
+  [OPTIMIZERS.SGD_MOMENTUM]: { beta1: 0.9, beta2: 0, epsilon: 0, weightDecay: 0 }
+};
+
+// Values per quantization block of adam_8bit; one workgroup of adam_optimizer_8bit_main
+export const QUANTIZATION_BLOCK_SIZE = 256;
+
+// Adafactor's second-moment decay 1 - step^-0.8 and update clipping threshold
+const ADAFACTOR_DECAY_RATE = -0.8;
+const ADAFACTOR_CLIP_THRESHOLD = 1.0;
+
+// Four 8-bit first-moment values at the zero point (128)
+const PACKED_MOMENTUM_ZERO = 0x80808080;
+
+// Codes per doubling of the 8-bit moments. A linear or square-root code rounds second moments
+// far below the block's maximum to zero, and Adam then divides by epsilon alone; these reach
+// down to about 2^-8 of the maximum for the first moment and 2^-16 for the second
+const MOMENTUM_CODES_PER_OCTAVE = 16;
+const VELOCITY_CODES_PER_OCTAVE = 16;
+
+/**
+ * A known optimizer name, or the default.
+ * @param {string} [optimizer] - Optimizer name
+ * @returns {string} One of OPTIMIZERS
+ */
+export function normalizeOptimizer(optimizer) {
+  return Object.values(OPTIMIZERS).includes(optimizer) ? optimizer : DEFAULT_OPTIMIZER;
+}
+
+/**
+ * State arrays an optimizer keeps for one weight matrix.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {number} rows - Matrix rows
+ * @param {number} cols - Matrix columns
+ * @returns {Array<{name: string, ArrayType: Function, length: number, fill: number}>}
+ */
+export function optimizerStateSpec(optimizer, rows, cols) {
+  const size = rows * cols;
+  switch (optimizer) {
+    case OPTIMIZERS.ADAMW:
+      return [
+        { name: 'momentum', ArrayType: Float32Array, length: size, fill: 0 },
+        { name: 'velocity', ArrayType: Float32Array, length: size, fill: 0 }
+      ];
+    case OPTIMIZERS.ADAM_8BIT: {
+      const words = Math.ceil(size / 4);
+      const blocks = Math.ceil(size / QUANTIZATION_BLOCK_SIZE);
+      return [
+        { name: 'momentum', ArrayType: Uint32Array, length: words, fill: PACKED_MOMENTUM_ZERO },
+        { name: 'velocity', ArrayType: Uint32Array, length: words, fill: 0 },
+        { name: 'momentumScale', ArrayType: Float32Array, length: blocks, fill: 0 },
+        { name: 'velocityScale', ArrayType: Float32Array, length: blocks, fill: 0 }
+      ];
+    }
+    case OPTIMIZERS.LION:
+    case OPTIMIZERS.SGD_MOMENTUM:
+      return [{ name: 'momentum', ArrayType: Float32Array, length: size, fill: 0 }];
+    case OPTIMIZERS.ADAFACTOR:
+      return [
+        { name: 'rowVariance', ArrayType: Float32Array, length: rows, fill: 0 },
+        { name: 'colVariance', ArrayType: Float32Array, length: cols, fill: 0 }
+      ];
+    default:
+      throw new Error(`Unknown optimizer: ${optimizer}`);
+  }
+}
+
+/**
+ * Fresh optimizer state for one weight matrix.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {number} rows - Matrix rows
+ * @param {number} cols - Matrix columns
+ * @returns {Object} Map of state name -> typed array
+ */
+export function createOptimizerState(optimizer, rows, cols) {
+  const state = {};
+  for (const { name, ArrayType, length, fill } of optimizerStateSpec(optimizer, rows, cols)) {
+    state[name] = new ArrayType(length).fill(fill);
+  }
+  return state;
+}
+
+/**
+ * Optimizer state for one weight matrix from checkpoint tensors. Missing or misshapen arrays
+ * start fresh. 8-bit Adam state saved before the per-block scales existed (one global scale
+ * of 1, both moments linear) is converted to the blockwise format.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {function(string): (Float32Array|Uint32Array|undefined)} tensor - Saved array of a state name
+ * @param {number} rows - Matrix rows
+ * @param {number} cols - Matrix columns
+ * @returns {Object} Map of state name -> typed array
+ */
+export function restoreOptimizerState(optimizer, tensor, rows, cols) {
+  const state = createOptimizerState(optimizer, rows, cols);
+
+  if (optimizer === OPTIMIZERS.ADAM_8BIT && tensor('momentum') && !tensor('momentumScale')) {
+    const size = rows * cols;
+    const momentum = new Float64Array(size);
+    const velocity = new Float64Array(size);
+    for (let idx = 0; idx < size; idx++) {
+      momentum[idx] = readByte(tensor('momentum'), idx) - 128;
+      velocity[idx] = Math.max(0, readByte(tensor('velocity'), idx) - 128);
+    }
+    for (let start = 0; start < size; start += QUANTIZATION_BLOCK_SIZE) {
+      storeBlock(state, start / QUANTIZATION_BLOCK_SIZE, start, Math.min(size, start + QUANTIZATION_BLOCK_SIZE), momentum, velocity, 0);
+    }
+    return state;
+  }
+
+  for (const [name, array] of Object.entries(state)) {
+    if (tensor(name)?.length === array.length) array.set(tensor(name));
+  }
+  return state;
+}
+
+/**
+ * Optimizer state for a resized weight matrix. The entries of the rows and columns both shapes
+ * share keep their state; the others start fresh. 8-bit Adam blocks are requantized.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {Object} state - Map of state name -> typed array for the old shape
+ * @param {Object} from - Old { rows, cols }
+ * @param {Object} to - New { rows, cols }
+ * @returns {Object} Map of state name -> typed array for the new shape
+ */
+export function resizeOptimizerState(optimizer, state, from, to) {
+  const resized = createOptimizerState(optimizer, to.rows, to.cols);
+  const rows = Math.min(from.rows, to.rows);
+  const cols = Math.min(from.cols, to.cols);
+
+  switch (optimizer) {
+    case OPTIMIZERS.ADAM_8BIT: {
+      const size = to.rows * to.cols;
+      const momentum = new Float64Array(size);
+      const velocity = new Float64Array(size);
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const source = row * from.cols + col;
+          const block = Math.floor(source / QUANTIZATION_BLOCK_SIZE);
+          momentum[row * to.cols + col] = decodeMomentum(readByte(state.momentum, source), state.momentumScale[block]);
+          velocity[row * to.cols + col] = decodeVelocity(readByte(state.velocity, source), state.velocityScale[block]);
+        }
+      }
+      for (let start = 0; start < size; start += QUANTIZATION_BLOCK_SIZE) {
+        storeBlock(resized, start / QUANTIZATION_BLOCK_SIZE, start, Math.min(size, start + QUANTIZATION_BLOCK_SIZE), momentum, velocity, 0);
+      }
+      return resized;
+    }
+    case OPTIMIZERS.ADAFACTOR:
+      resized.rowVariance.set(state.rowVariance.subarray(0, rows));
+      resized.colVariance.set(state.colVariance.subarray(0, cols));
+      return resized;
+    default:
+      // One fp32 value per weight
+      for (const [name, array] of Object.entries(resized)) {
+        for (let row = 0; row < rows; row++) {
+          array.set(state[name].subarray(row * from.cols, row * from.cols + cols), row * to.cols);
+        }
+      }
+      return resized;
+  }
+}
+
+/**
+ * Checkpoint tensor name of a matrix's optimizer state array.
+ * @param {string} layerName - Layer name
+ * @param {string} name - State name
+ * @param {string} matrix - 'A' or 'B'
+ * @returns {string} `<layer>.<name><A|B>`
+ */
+export function stateTensorName(layerName, name, matrix) {
+  return `${layerName}.${name}${matrix}`;
+}
+
+/**
+ * Row-major shapes of a layer's LoRA matrices: A is [inputDim, rank], B is [rank, outputDim].
+ * @param {Object} dims - { inputDim, outputDim, rank }
+ * @returns {Object} { A: { rows, cols }, B: { rows, cols } }
+ */
+export function loraMatrixShapes({ inputDim, outputDim, rank }) {
+  return { A: { rows: inputDim, cols: rank }, B: { rows: rank, cols: outputDim } };
+}
+
+/**
+ * Bytes of optimizer state for one weight matrix.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {number} rows - Matrix rows
+ * @param {number} cols - Matrix columns
+ * @returns {number} Bytes
+ */
+export function optimizerStateBytes(optimizer, rows, cols) {
+  return optimizerStateSpec(optimizer, rows, cols)
+    .reduce((sum, { ArrayType, length }) => sum + length * ArrayType.BYTES_PER_ELEMENT, 0);
+}
+
+/**
+ * Round half to even, matching WGSL's round() builtin.
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundHalfEven(value) {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+  if (diff > 0.5) return floor + 1;
+  if (diff < 0.5) return floor;
+  return floor % 2 === 0 ? floor : floor + 1;
+}
+
+function readByte(packed, index) {
+  return (packed[index >>> 2] >>> ((index & 3) * 8)) & 0xff;
+}
+
+function writeByte(packed, index, value) {
+  const shift = (index & 3) * 8;
+  packed[index >>> 2] = ((packed[index >>> 2] & ~(0xff << shift)) | (value << shift)) >>> 0;
+}
+
+// 8-bit codecs of adam_8bit, scaled by the block's absolute maximum. Momentum byte 128 ± k
+// and velocity byte k (k > 0) stand for scale * 2^((k - max) / codesPerOctave). Below the
+// smallest code a first moment rounds to zero and a second moment up to it, so neither can
+// make a step larger than it should be
+function decodeMomentum(byte, scale) {
+  const k = Math.abs(byte - 128);
+  return k === 0 ? 0 : Math.sign(byte - 128) * scale * Math.pow(2, (k - 127) / MOMENTUM_CODES_PER_OCTAVE);
+}
+
+function encodeMomentum(value, scale) {
+  if (!(scale > 0) || value === 0) return 128;
+  const k = roundHalfEven(127 + MOMENTUM_CODES_PER_OCTAVE * Math.log2(Math.abs(value) / scale));
+  return k < 1 ? 128 : 128 + Math.sign(value) * Math.min(127, k);
+}
+
+function decodeVelocity(byte, scale) {
+  return byte === 0 ? 0 : scale * Math.pow(2, (byte - 255) / VELOCITY_CODES_PER_OCTAVE);
+}
+
+function encodeVelocity(value, scale) {
+  if (!(scale > 0) || value === 0) return 0;
+  const k = roundHalfEven(255 + VELOCITY_CODES_PER_OCTAVE * Math.log2(value / scale));
+  return Math.min(255, Math.max(1, k));
+}
+
+/**
+ * Quantize one block of new moments with fresh scales, like the second half of
+ * adam_optimizer_8bit_main. `momentum` and `velocity` hold the block from `offset` on.
+ */
+function storeBlock(state, block, start, end, momentum, velocity, offset) {
+  let maxMomentum = 0;
+  let maxVelocity = 0;
+  for (let idx = start; idx < end; idx++) {
+    maxMomentum = Math.max(maxMomentum, Math.abs(momentum[idx - offset]));
+    maxVelocity = Math.max(maxVelocity, velocity[idx - offset]);
+  }
+  state.momentumScale[block] = maxMomentum;
+  state.velocityScale[block] = maxVelocity;
+
+  for (let idx = start; idx < end; idx++) {
+    writeByte(state.momentum, idx, encodeMomentum(momentum[idx - offset], state.momentumScale[block]));
+    writeByte(state.velocity, idx, encodeVelocity(velocity[idx - offset], state.velocityScale[block]));
+  }
+}
+
+/**
+ * AdamW, identical to adamw_main.
+ */
+function adamwUpdate(weights, gradients, state, params) {
+  const { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale = 1 } = params;
+  const beta1Correction = 1.0 - Math.pow(beta1, step);
+  const beta2Correction = 1.0 - Math.pow(beta2, step);
+  const { momentum, velocity } = state;
+
+  for (let idx = 0; idx < weights.length; idx++) {
+    const grad = gradients[idx] * gradScale;
+    const m = beta1 * momentum[idx] + (1.0 - beta1) * grad;
+    const v = beta2 * velocity[idx] + (1.0 - beta2) * grad * grad;
+    const decayed = weights[idx] * (1.0 - learningRate * weightDecay);
+    weights[idx] = decayed - learningRate * (m / beta1Correction) / (Math.sqrt(v / beta2Correction) + epsilon);
+    momentum[idx] = m;
+    velocity[idx] = v;
+  }
+}
+
+/**
+ * Blockwise 8-bit Adam, identical to adam_optimizer_8bit_main.
+ */
+function adam8bitUpdate(weights, gradients, state, params) {
+  const { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale = 1 } = params;
+  const beta1Correction = 1.0 - Math.pow(beta1, step);
+  const beta2Correction = 1.0 - Math.pow(beta2, step);
+  const momentum = new Float64Array(QUANTIZATION_BLOCK_SIZE);
+  const velocity = new Float64Array(QUANTIZATION_BLOCK_SIZE);
+
+  for (let start = 0; start < weights.length; start += QUANTIZATION_BLOCK_SIZE) {
+    const block = start / QUANTIZATION_BLOCK_SIZE;
+    const end = Math.min(weights.length, start + QUANTIZATION_BLOCK_SIZE);
+
+    for (let idx = start; idx < end; idx++) {
+      const gradWithDecay = gradients[idx] * gradScale + weightDecay * weights[idx];
+      const m = beta1 * decodeMomentum(readByte(state.momentum, idx), state.momentumScale[block]) + (1.0 - beta1) * gradWithDecay;
+      const v = beta2 * decodeVelocity(readByte(state.velocity, idx), state.velocityScale[block]) + (1.0 - beta2) * gradWithDecay * gradWithDecay;
+      weights[idx] -= learningRate * (m / beta1Correction) / (Math.sqrt(v / beta2Correction) + epsilon);
+      momentum[idx - start] = m;
+      velocity[idx - start] = v;
+    }
+
+    storeBlock(state, block, start, end, momentum, velocity, start);
+  }
+}
+
+/**
+ * Lion, identical to lion_main.
+ */
+function lionUpdate(weights, gradients, state, params) {
+  const { learningRate, beta1, beta2, weightDecay, gradScale = 1 } = params;
+  const { momentum } = state;
+
+  for (let idx = 0; idx < weights.length; idx++) {
+    const grad = gradients[idx] * gradScale;
+    const direction = Math.sign(beta1 * momentum[idx] + (1.0 - beta1) * grad);
+    weights[idx] = weights[idx] * (1.0 - learningRate * weightDecay) - learningRate * direction;
+    momentum[idx] = beta2 * momentum[idx] + (1.0 - beta2) * grad;
+  }
+}
+
+/**
+ * Adafactor, identical to adafactor_row_main, adafactor_col_main, adafactor_rms_main and
+ * adafactor_update_main run in that order.
+ */
+function adafactorUpdate(weights, gradients, state, params, rows, cols) {
+  const { learningRate, epsilon, weightDecay, step, gradScale = 1 } = params;
+  const { rowVariance, colVariance } = state;
+  const decay = 1.0 - Math.pow(step, ADAFACTOR_DECAY_RATE);
+  const squared = idx => (gradients[idx] * gradScale) ** 2 + epsilon;
+
+  for (let row = 0; row < rows; row++) {
+    let sum = 0;
+    for (let col = 0; col < cols; col++) sum += squared(row * cols + col);
+    rowVariance[row] = decay * rowVariance[row] + (1.0 - decay) * sum / cols;
+  }
+  for (let col = 0; col < cols; col++) {
+    let sum = 0;
+    for (let row = 0; row < rows; row++) sum += squared(row * cols + col);
+    colVariance[col] = decay * colVariance[col] + (1.0 - decay) * sum / rows;
+  }
+  const rowMean = rowVariance.reduce((sum, value) => sum + value, 0) / rows;
+
+  const updates = new Float64Array(weights.length);
+  let sumOfSquares = 0;
+  for (let idx = 0; idx < weights.length; idx++) {
+    const row = Math.floor(idx / cols);
+    const col = idx % cols;
+    updates[idx] = gradients[idx] * gradScale / Math.sqrt(rowVariance[row] / rowMean) / Math.sqrt(colVariance[col]);
+    sumOfSquares += updates[idx] * updates[idx];
+  }
+
+  const clip = Math.max(1.0, Math.sqrt(sumOfSquares / weights.length) / ADAFACTOR_CLIP_THRESHOLD);
+  for (let idx = 0; idx < weights.length; idx++) {
+    weights[idx] = weights[idx] * (1.0 - learningRate * weightDecay) - learningRate * updates[idx] / clip;
+  }
+}
+
+/**
+ * SGD with momentum, identical to sgd_momentum_main.
+ */
+function sgdMomentumUpdate(weights, gradients, state, params) {
+  const { learningRate, beta1: momentumFactor, weightDecay, gradScale = 1 } = params;
+  const { momentum } = state;
+
+  for (let idx = 0; idx < weights.length; idx++) {
+    const grad = gradients[idx] * gradScale + weightDecay * weights[idx];
+    momentum[idx] = momentumFactor * momentum[idx] + grad;
+    weights[idx] -= learningRate * momentum[idx];
+  }
+}
+
+/**
+ * One optimizer update of a weight matrix; weights and state are updated in place.
+ * @param {string} optimizer - One of OPTIMIZERS
+ * @param {Float32Array} weights - Row-major [rows, cols] weights
+ * @param {Float32Array} gradients - Gradients for the weights
+ * @param {Object} state - State from createOptimizerState
+ * @param {Object} params - { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale }
+ * @param {Object} shape - { rows, cols }
+ */
+export function applyOptimizerUpdate(optimizer, weights, gradients, state, params, shape) {
+  switch (optimizer) {
+    case OPTIMIZERS.ADAMW:
+      return adamwUpdate(weights, gradients, state, params);
+    case OPTIMIZERS.ADAM_8BIT:
+      return adam8bitUpdate(weights, gradients, state, params);
+    case OPTIMIZERS.LION:
+      return lionUpdate(weights, gradients, state, params);
+    case OPTIMIZERS.ADAFACTOR:
+      return adafactorUpdate(weights, gradients, state, params, shape.rows, shape.cols);
+    case OPTIMIZERS.SGD_MOMENTUM:
+      return sgdMomentumUpdate(weights, gradients, state, params);
+    default:
+      throw new Error(`Unknown optimizer: ${optimizer}`);
+  }
+}
+
+export default {
+  OPTIMIZERS,
+  OPTIMIZER_LABELS,
+  DEFAULT_OPTIMIZER,
+  OPTIMIZER_DEFAULTS,
+  QUANTIZATION_BLOCK_SIZE,
+  normalizeOptimizer,
+  optimizerStateSpec,
+  createOptimizerState,
+  restoreOptimizerState,
+  resizeOptimizerState,
+  stateTensorName,
+  loraMatrixShapes,
+  optimizerStateBytes,
+  applyOptimizerUpdate
+};
@@ -0,0 +1,173 @@
+/**
+ * Preference Objectives for LoRA Lab
+ * DPO and ORPO losses over { prompt, chosen, rejected } pairs, expressed so they can train
+ * on the activations and gradients captured from ordinary forward passes.
+ *
+ * A training-graph forward of one sequence returns the gradient of its mean cross-entropy
+ * over the trained (response) tokens, i.e. ∇(NLL / n) with NLL the summed negative
+ * log-likelihood of the response. Both objectives only depend on the chosen and rejected
+ * NLLs, so their gradient is  c_w·∇NLL_w + c_l·∇NLL_l  and each captured gradOutput only
+ * needs to be multiplied by c·n before the usual LoRA backward (which sums over tokens).
+ */
+
+export const PREFERENCE_OBJECTIVES = {
+  SFT: 'sft',
+  DPO: 'dpo',
+  ORPO: 'orpo'
+};
+
+export const OBJECTIVE_LABELS = {
+  [PREFERENCE_OBJECTIVES.SFT]: 'SFT (train on chosen responses)',
+  [PREFERENCE_OBJECTIVES.DPO]: 'DPO (direct preference optimization)',
+  [PREFERENCE_OBJECTIVES.ORPO]: 'ORPO (odds ratio preference optimization)'
+};
+
+/**
+ * Numerically stable log σ(x).
+ * @param {number} x - Logit
+ * @returns {number} log(1 / (1 + e^-x))
+ */
+export function logSigmoid(x) {
+  return x >= 0 ? -Math.log1p(Math.exp(-x)) : x - Math.log1p(Math.exp(x));
+}
+
+function sigmoid(x) {
+  return Math.exp(logSigmoid(x));
+}
+
+// log(1 - e^x) for x < 0
+function log1mexp(x) {
+  return x > -Math.LN2 ? Math.log(-Math.expm1(x)) : Math.log1p(-Math.exp(x));
+}
+
+/**
+ * Direct Preference Optimization (Rafailov et al., 2023):
+ *   z = β·[(log π(y_w) − log π_ref(y_w)) − (log π(y_l) − log π_ref(y_l))],  loss = −log σ(z)
+ * with log π(y) = −NLL. The reference log-probabilities come from the weights the run started with.
+ * @param {Object} pair - { chosen: {nll, tokens}, rejected: {nll, tokens}, reference: {chosen, rejected} }
+ *   with summed NLLs, and reference log-probabilities of both responses
+ * @param {Object} [options] - { beta }
+ * @returns {{loss: number, coefficients: {chosen: number, rejected: number}, margin: number, rewards: {chosen: number, rejected: number}}}
+ *   coefficients are dLoss/dNLL of each response; margin is the implicit reward margin
+ */
+export function dpoObjective(pair, options = {}) {
+  const { beta = 0.1 } = options;
+  const { chosen, rejected, reference } = pair;
+  if (!reference) {
+    throw new Error('DPO needs reference log-probabilities for every pair');
+  }
+
+  const rewards = {
+    chosen: beta * (-chosen.nll - reference.chosen),
+    rejected: beta * (-rejected.nll - reference.rejected)
+  };
+  const margin = rewards.chosen - rewards.rejected;
+  const weight = beta * sigmoid(-margin);
+
+  return {
+    loss: -logSigmoid(margin),
+    coefficients: { chosen: weight, rejected: -weight },
+    margin,
+    rewards
+  };
+}
+
+/**
+ * Odds Ratio Preference Optimization (Hong et al., 2024), which needs no reference model:
+ *   P(y) = exp(−NLL / n),  r = log odds(y_w) − log odds(y_l),  loss = NLL_w / n_w − λ·log σ(r)
+ * @param {Object} pair - { chosen: {nll, tokens}, rejected: {nll, tokens} } with summed NLLs
+ * @param {Object} [options] - { lambda }
+ * @returns {{loss: number, coefficients: {chosen: number, rejected: number}, margin: number, rewards: {chosen: number, rejected: number}}}
+ *   coefficients are dLoss/dNLL of each response; margin is the log odds ratio r
+ */
+export function orpoObjective(pair, options = {}) {
+  const { lambda = 0.1 } = options;
+  const { chosen, rejected } = pair;
+
+  // Mean token log-probabilities, kept just below 0 so the odds stay finite
+  const logP = {
+    chosen: Math.min(-chosen.nll / chosen.tokens, -1e-7),
+    rejected: Math.min(-rejected.nll / rejected.tokens, -1e-7)
+  };
+  const logOdds = side => logP[side] - log1mexp(logP[side]);
+  const margin = logOdds('chosen') - logOdds('rejected');
+  const weight = lambda * sigmoid(-margin);
+
+  // d log odds / d NLL = −1 / (n·(1 − P))
+  const oddsGradient = side => 1 / (pair[side].tokens * -Math.expm1(logP[side]));
+
+  return {
+    loss: chosen.nll / chosen.tokens - lambda * logSigmoid(margin),
+    coefficients: {
+      chosen: 1 / chosen.tokens + weight * oddsGradient('chosen'),
+      rejected: -weight * oddsGradient('rejected')
+    },
+    margin,
+    rewards: { chosen: logP.chosen, rejected: logP.rejected }
+  };
+}
+
+/**
+ * Evaluate a preference objective on one pair.
+ * @param {string} objective - PREFERENCE_OBJECTIVES.DPO or ORPO
+ * @param {Object} pair - See dpoObjective / orpoObjective
+ * @param {Object} [options] - { beta, lambda }
+ * @returns {Object} Loss, coefficients, margin and rewards
+ */
+export function computePreferenceLoss(objective, pair, options = {}) {
+  switch (objective) {
+    case PREFERENCE_OBJECTIVES.DPO:
+      return dpoObjective(pair, options);
+    case PREFERENCE_OBJECTIVES.ORPO:
+      return orpoObjective(pair, options);
+    default:
+      throw new Error(`Unsupported preference objective: ${objective}`);
+  }
+}
+
+/**
+ * Combine the captures of several forward passes into one per layer, each upstream gradient
+ * multiplied by its scale. The LoRA backward sums over tokens, so training on the result
+ * applies Σ scale·∇ of the individual passes.
+ * @param {Array<{layers: Object, scale: number}>} parts - captureLayerSignals layers and their scales
+ * @returns {Object} layerName -> { input, gradOutput, numTokens }
+ */
+export function mergeScaledCaptures(parts) {
+  const grouped = {};
+  for (const { layers, scale } of parts) {
+    for (const [layerName, capture] of Object.entries(layers)) {
+      (grouped[layerName] = grouped[layerName] || []).push({ capture, scale });
+    }
+  }
+
+  const merged = {};
+  for (const [layerName, captures] of Object.entries(grouped)) {
+    const numTokens = captures.reduce((sum, { capture }) => sum + capture.numTokens, 0);
+    const input = new Float32Array(captures.reduce((sum, { capture }) => sum + capture.input.length, 0));
+    const gradOutput = new Float32Array(captures.reduce((sum, { capture }) => sum + capture.gradOutput.length, 0));
+
+    let inputOffset = 0;
+    let gradOffset = 0;
+    for (const { capture, scale } of captures) {
+      input.set(capture.input, inputOffset);
+      for (let i = 0; i < capture.gradOutput.length; i++) {
+        gradOutput[gradOffset + i] = capture.gradOutput[i] * scale;
+      }
+      inputOffset += capture.input.length;
+      gradOffset += capture.gradOutput.length;
+    }
+
+    merged[layerName] = { input, gradOutput, numTokens };
+  }
+  return merged;
+}
+
+export default {
+  PREFERENCE_OBJECTIVES,
+  OBJECTIVE_LABELS,
+  logSigmoid,
+  dpoObjective,
+  orpoObjective,
+  computePreferenceLoss,
+  mergeScaledCaptures
+};
@@ -0,0 +1,147 @@
+/**
+ * Per-Layer Rank Allocation for LoRA Lab
+ * Importance scores and budgeted rank allocation after AdaLoRA (Zhang et al. 2023). Every layer's
+ * adapter is a sum of rank-1 components (column k of A times row k of B). A component's
+ * sensitivity is the mean |w · ∂L/∂w| over its weights; LoRARankScheduler smooths it into an
+ * importance score and, on a schedule, keeps the most important components of all layers under
+ * a total parameter budget. A layer losing components is shrunk by rankReallocation.js.
+ *
+ * Per-layer ranks live in the adapter config the way PEFT stores them: `rank` is the default and
+ * `rankPattern` maps the layers that differ to their own rank.
+ */
+
+/**
+ * Rank of one layer under an adapter config.
+ * @param {Object} adapterConfig - { rank, rankPattern }
+ * @param {string} layerName - Layer path
+ * @returns {number} The layer's rank
+ */
+export function layerRank(adapterConfig, layerName) {
+  return adapterConfig.rankPattern?.[layerName] ?? adapterConfig.rank;
+}
+
+/**
+ * The layers whose rank differs from the default, as stored in adapterConfig.rankPattern.
+ * @param {Object} layerRanks - Map of layer name -> rank
+ * @param {number} rank - Default rank
+ * @returns {Object} Map of layer name -> rank
+ */
+export function rankPattern(layerRanks, rank) {
+  return Object.fromEntries(Object.entries(layerRanks).filter(([, layerRankValue]) => layerRankValue !== rank));
+}
+
+/**
+ * Sensitivity of each rank-1 component of a layer: the mean |w · g| over its A column plus
+ * the mean over its B row.
+ * @param {Object} weights - { A, B } with A [inputDim, rank] and B [rank, outputDim]
+ * @param {Object} gradients - { A, B } of the same shapes
+ * @param {Object} dims - { inputDim, outputDim, rank }
+ * @returns {number[]} Sensitivity per component
+ */
+export function componentSensitivity(weights, gradients, { inputDim, outputDim, rank }) {
+  const sensitivity = new Array(rank).fill(0);
+
+  for (let i = 0; i < inputDim; i++) {
+    for (let k = 0; k < rank; k++) {
+      sensitivity[k] += Math.abs(weights.A[i * rank + k] * gradients.A[i * rank + k]) / inputDim;
+    }
+  }
+  for (let k = 0; k < rank; k++) {
+    for (let o = 0; o < outputDim; o++) {
+      sensitivity[k] += Math.abs(weights.B[k * outputDim + o] * gradients.B[k * outputDim + o]) / outputDim;
+    }
+  }
+
+  return sensitivity;
+}
+
+/**
+ * Smooth a new sensitivity measurement into a layer's importance (AdaLoRA eq. 6-7):
+ * an EMA of the sensitivity and an EMA of its deviation from that average (the uncertainty).
+ * @param {Object|null} previous - { sensitivity, uncertainty } or null for the first measurement
+ * @param {number[]} sensitivity - Sensitivity per component
+ * @param {Object} options - { beta1, beta2 } smoothing of sensitivity and uncertainty
+ * @returns {Object} { sensitivity, uncertainty }
+ */
+export function updateImportance(previous, sensitivity, { beta1, beta2 }) {
+  const smoothed = sensitivity.map((value, k) => {
+    const average = previous?.sensitivity[k];
+    return average === undefined ? value : beta1 * average + (1 - beta1) * value;
+  });
+  const uncertainty = sensitivity.map((value, k) => {
+    const deviation = Math.abs(value - smoothed[k]);
+    const average = previous?.uncertainty[k];
+    return average === undefined ? deviation : beta2 * average + (1 - beta2) * deviation;
+  });
+  return { sensitivity: smoothed, uncertainty };
+}
+
+/**
+ * Importance score of each component: smoothed sensitivity times uncertainty.
+ * @param {Object} importance - { sensitivity, uncertainty } from updateImportance
+ * @returns {number[]} Score per component
+ */
+export function importanceScores(importance) {
+  return importance.sensitivity.map((value, k) => value * importance.uncertainty[k]);
+}
+
+/**
+ * Parameter budget at a step: the initial budget until the warmup ends, then a cubic decay to the
+ * target budget, which holds for the final steps (AdaLoRA eq. 12).
+ * @param {number} step - Training step
+ * @param {Object} schedule - { initialBudget, targetBudget, warmupSteps, finalSteps, totalSteps }
+ * @returns {number} Parameter budget
+ */
+export function budgetAt(step, { initialBudget, targetBudget, warmupSteps, finalSteps, totalSteps }) {
+  const decaySteps = totalSteps - finalSteps - warmupSteps;
+  if (step <= warmupSteps) return initialBudget;
+  if (decaySteps <= 0 || step >= totalSteps - finalSteps) return targetBudget;
+
+  const remaining = 1 - (step - warmupSteps) / decaySteps;
+  return targetBudget + (initialBudget - targetBudget) * remaining ** 3;
+}
+
+/**
+ * Keep the highest-scoring components of all layers under a parameter budget. Every layer keeps
+ * its `minRank` best components; the rest are taken in order of score while they fit. A layer
+ * never gets more components than it has scores for, so ranks only shrink.
+ * @param {Object} scores - Map of layer name -> score per component
+ * @param {Object} costs - Map of layer name -> parameters per rank (inputDim + outputDim)
+ * @param {number} budget - Total parameter budget
+ * @param {Object} options - { minRank, maxRank }
+ * @returns {Object} Map of layer name -> rank
+ */
+export function allocateRanks(scores, costs, budget, { minRank, maxRank }) {
+  const ranks = {};
+  const candidates = [];
+  let used = 0;
+
+  for (const [layerName, layerScores] of Object.entries(scores)) {
+    const sorted = [...layerScores].sort((a, b) => b - a);
+    ranks[layerName] = Math.min(minRank, sorted.length);
+    used += ranks[layerName] * costs[layerName];
+    for (const score of sorted.slice(ranks[layerName])) {
+      candidates.push({ layerName, score });
+    }
+  }
+
+  // Ties go to the layer listed first, so the allocation is deterministic
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { layerName } of candidates) {
+    if (ranks[layerName] >= maxRank || used + costs[layerName] > budget) continue;
+    ranks[layerName]++;
+    used += costs[layerName];
+  }
+
+  return ranks;
+}
+
+export default {
+  layerRank,
+  rankPattern,
+  componentSensitivity,
+  updateImportance,
+  importanceScores,
+  budgetAt,
+  allocateRanks
+};
@@ -0,0 +1,250 @@
+/**
+ * Rank Reallocation for LoRA Lab
+ * Resizes adapter weights and optimizer state when LoRARankScheduler changes ranks mid-run,
+ * without changing any layer's delta scaling · A · B (scaling = alpha / rank), so the loss is
+ * continuous across the change:
+ *
+ *   growth     the kept components stay as they are and keep their optimizer state. The new ones
+ *              get random A columns (as in initLoraWeights) and zero B rows: they add nothing
+ *              yet, but still receive gradients, which two zero factors would not
+ *   shrinking  A · B is truncated to its largest singular components, as AdaLoRA prunes the
+ *              smallest singular values. The SVD comes from QR factorizations of A and Bᵀ, so
+ *              the [inputDim, outputDim] product is never formed. A gets orthogonal columns at
+ *              the old column scale and B carries the singular values. The basis changes, so
+ *              the optimizer state starts fresh
+ *
+ * Either way B is multiplied by newRank / rank to make up for the new scaling.
+ * State has the format of a backend's exportState, so both backends resize the same way.
+ */
+
+import {
+  createOptimizerState,
+  restoreOptimizerState,
+  resizeOptimizerState,
+  stateTensorName,
+  loraMatrixShapes
+} from './optimizers.js';
+import { initLoraWeights } from './loraReference.js';
+
+// Sweeps and relative off-diagonal tolerance of the Jacobi SVD
+const MAX_JACOBI_SWEEPS = 60;
+const JACOBI_TOLERANCE = 1e-15;
+
+/**
+ * Modified Gram-Schmidt on the columns of a row-major [rows, cols] matrix, M = Q · R.
+ * Columns that are (numerically) dependent on the previous ones get a zero Q column.
+ * @returns {{Q: Float64Array, R: Float64Array}} Q [rows, cols], R [cols, cols] upper triangular
+ */
+function qrColumns(matrix, rows, cols) {
+  const Q = Float64Array.from(matrix);
+  const R = new Float64Array(cols * cols);
+
+  for (let j = 0; j < cols; j++) {
+    for (let k = 0; k < j; k++) {
+      let dot = 0;
+      for (let i = 0; i < rows; i++) dot += Q[i * cols + k] * Q[i * cols + j];
+      R[k * cols + j] = dot;
+      for (let i = 0; i < rows; i++) Q[i * cols + j] -= dot * Q[i * cols + k];
+    }
+    let norm = 0;
+    for (let i = 0; i < rows; i++) norm += Q[i * cols + j] ** 2;
+    norm = Math.sqrt(norm);
+    R[j * cols + j] = norm;
+    for (let i = 0; i < rows; i++) Q[i * cols + j] = norm > 1e-12 ? Q[i * cols + j] / norm : 0;
+  }
+
+  return { Q, R };
+}
+
+/**
+ * One-sided Jacobi SVD of a square row-major [n, n] matrix, C = U · diag(S) · Vᵀ.
+ * @returns {{U: Float64Array, S: Float64Array, V: Float64Array}} Unsorted; U columns of zero
+ *   singular values are zero
+ */
+function jacobiSvd(matrix, n) {
+  const W = Float64Array.from(matrix);
+  const V = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) V[i * n + i] = 1;
+
+  for (let sweep = 0; sweep < MAX_JACOBI_SWEEPS; sweep++) {
+    let rotated = false;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        let alpha = 0;
+        let beta = 0;
+        let gamma = 0;
+        for (let i = 0; i < n; i++) {
+          alpha += W[i * n + p] ** 2;
+          beta += W[i * n + q] ** 2;
+          gamma += W[i * n + p] * W[i * n + q];
+        }
+        if (gamma === 0 || Math.abs(gamma) <= JACOBI_TOLERANCE * Math.sqrt(alpha * beta)) continue;
+
+        rotated = true;
+        const zeta = (beta - alpha) / (2 * gamma);
+        const t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+        const c = 1 / Math.sqrt(1 + t * t);
+        const s = c * t;
+        for (const M of [W, V]) {
+          for (let i = 0; i < n; i++) {
+            const mp = M[i * n + p];
+            const mq = M[i * n + q];
+            M[i * n + p] = c * mp - s * mq;
+            M[i * n + q] = s * mp + c * mq;
+          }
+        }
+      }
+    }
+    if (!rotated) break;
+  }
+
+  const S = new Float64Array(n);
+  const U = new Float64Array(n * n);
+  for (let j = 0; j < n; j++) {
+    let norm = 0;
+    for (let i = 0; i < n; i++) norm += W[i * n + j] ** 2;
+    S[j] = Math.sqrt(norm);
+    for (let i = 0; i < n; i++) U[i * n + j] = S[j] > 0 ? W[i * n + j] / S[j] : 0;
+  }
+
+  return { U, S, V };
+}
+
+/**
+ * Grow a layer's factors: kept components are copied, new ones start as random A columns and
+ * zero B rows.
+ */
+function growLoraFactors(A, B, { inputDim, outputDim, rank }, newRank, random) {
+  const added = initLoraWeights(inputDim, outputDim, newRank - rank, random).A;
+  const scale = newRank / rank;
+  const grownA = new Float32Array(inputDim * newRank);
+  const grownB = new Float32Array(newRank * outputDim);
+
+  for (let i = 0; i < inputDim; i++) {
+    grownA.set(A.subarray(i * rank, (i + 1) * rank), i * newRank);
+    grownA.set(added.subarray(i * (newRank - rank), (i + 1) * (newRank - rank)), i * newRank + rank);
+  }
+  for (let idx = 0; idx < rank * outputDim; idx++) {
+    grownB[idx] = B[idx] * scale;
+  }
+
+  return { A: grownA, B: grownB, retainedEnergy: 1 };
+}
+
+/**
+ * Shrink a layer's factors to the top singular components of A · B.
+ */
+function truncateLoraFactors(A, B, { inputDim, outputDim, rank }, newRank) {
+  // A = Qa · Ra and Bᵀ = Qb · Rb, so A · B = Qa · (Ra · Rbᵀ) · Qbᵀ
+  const { Q: Qa, R: Ra } = qrColumns(A, inputDim, rank);
+  const Bt = new Float64Array(outputDim * rank);
+  for (let r = 0; r < rank; r++) {
+    for (let o = 0; o < outputDim; o++) Bt[o * rank + r] = B[r * outputDim + o];
+  }
+  const { Q: Qb, R: Rb } = qrColumns(Bt, outputDim, rank);
+
+  const core = new Float64Array(rank * rank);
+  for (let i = 0; i < rank; i++) {
+    for (let j = 0; j < rank; j++) {
+      let sum = 0;
+      for (let k = 0; k < rank; k++) sum += Ra[i * rank + k] * Rb[j * rank + k];
+      core[i * rank + j] = sum;
+    }
+  }
+  const { U, S, V } = jacobiSvd(core, rank);
+  const order = Array.from(S.keys()).sort((a, b) => S[b] - S[a]).slice(0, newRank);
+
+  const totalEnergy = S.reduce((sum, value) => sum + value * value, 0);
+  const keptEnergy = order.reduce((sum, j) => sum + S[j] * S[j], 0);
+
+  // Columns of A keep their root-mean-square norm, so the optimizer sees weights of the usual size
+  let columnScale = 0;
+  for (let idx = 0; idx < A.length; idx++) columnScale += A[idx] * A[idx];
+  columnScale = Math.sqrt(columnScale / rank) || 1;
+  const scale = newRank / rank;
+
+  const truncatedA = new Float32Array(inputDim * newRank);
+  const truncatedB = new Float32Array(newRank * outputDim);
+  order.forEach((j, component) => {
+    // A zero singular value has no left vector; its own QR direction keeps the column trainable
+    const left = new Float64Array(rank);
+    for (let k = 0; k < rank; k++) left[k] = S[j] > 0 ? U[k * rank + j] : Number(k === j);
+
+    for (let i = 0; i < inputDim; i++) {
+      let sum = 0;
+      for (let k = 0; k < rank; k++) sum += Qa[i * rank + k] * left[k];
+      truncatedA[i * newRank + component] = sum * columnScale;
+    }
+    for (let o = 0; o < outputDim; o++) {
+      let sum = 0;
+      for (let k = 0; k < rank; k++) sum += Qb[o * rank + k] * V[k * rank + j];
+      truncatedB[component * outputDim + o] = sum * S[j] / columnScale * scale;
+    }
+  });
+
+  return { A: truncatedA, B: truncatedB, retainedEnergy: totalEnergy > 0 ? keptEnergy / totalEnergy : 1 };
+}
+
+/**
+ * Resize one layer's LoRA factors to a new rank, keeping scaling · A · B where it can.
+ * @param {Float32Array} A - [inputDim, rank]
+ * @param {Float32Array} B - [rank, outputDim]
+ * @param {Object} dims - { inputDim, outputDim, rank }
+ * @param {number} newRank - Target rank
+ * @param {function(): number} [random] - Uniform [0, 1) generator for new A columns
+ * @returns {{A: Float32Array, B: Float32Array, retainedEnergy: number}} Resized factors and the
+ *   fraction of the delta's squared Frobenius norm that was kept (1 unless shrinking)
+ */
+export function resizeLoraFactors(A, B, dims, newRank, random = Math.random) {
+  return newRank >= dims.rank
+    ? growLoraFactors(A, B, dims, newRank, random)
+    : truncateLoraFactors(A, B, dims, newRank);
+}
+
+/**
+ * Resize the layers of an exported adapter state to new ranks.
+ * @param {Object} state - { layers, tensors } from a backend's exportState
+ * @param {number|Object} ranks - Target rank of every layer, or a map of layer name -> rank
+ *   (layers it does not list keep their rank)
+ * @param {Object} options - { optimizer, random }
+ * @returns {{state: Object, retainedEnergy: Object}} State for importState and, per layer, the
+ *   fraction of its delta's energy that was kept
+ */
+export function resizeAdapterState(state, ranks, { optimizer, random = Math.random }) {
+  const layers = {};
+  const tensors = {};
+  const retainedEnergy = {};
+
+  for (const [layerName, dims] of Object.entries(state.layers)) {
+    const newRank = typeof ranks === 'number' ? ranks : ranks[layerName] ?? dims.rank;
+    const resizedDims = { ...dims, rank: newRank };
+    const resized = resizeLoraFactors(state.tensors[`${layerName}.A`], state.tensors[`${layerName}.B`], dims, newRank, random);
+    layers[layerName] = resizedDims;
+    tensors[`${layerName}.A`] = resized.A;
+    tensors[`${layerName}.B`] = resized.B;
+    retainedEnergy[layerName] = resized.retainedEnergy;
+
+    const from = loraMatrixShapes(dims);
+    const to = loraMatrixShapes(resizedDims);
+    for (const matrix of ['A', 'B']) {
+      const optimizerState = newRank >= dims.rank
+        ? resizeOptimizerState(
+          optimizer,
+          restoreOptimizerState(optimizer, name => state.tensors[stateTensorName(layerName, name, matrix)], from[matrix].rows, from[matrix].cols),
+          from[matrix],
+          to[matrix]
+        )
+        : createOptimizerState(optimizer, to[matrix].rows, to[matrix].cols);
+      for (const [name, array] of Object.entries(optimizerState)) {
+        tensors[stateTensorName(layerName, name, matrix)] = array;
+      }
+    }
+  }
+
+  return { state: { layers, tensors }, retainedEnergy };
+}
+
+export default {
+  resizeLoraFactors,
+  resizeAdapterState
+};
@@ -1,8 +1,12 @@
 /**
  * LoRA Rank Scheduler for Dynamic Adapter Optimization
- * Automatically adjusts adapter rank based on training metrics and hardware constraints
+ * Automatically adjusts adapter rank based on training metrics and hardware constraints.
+ * Ranks are kept per layer: the global strategies move every layer to the same rank, while the
+ * importance strategy gives each layer its own (see rankAllocation.js).
  */
 
+import { updateImportance, importanceScores, budgetAt, allocateRanks } from './rankAllocation.js';
+
 /**
  * Rank scheduling strategies
  */
@@ -10,7 +14,16 @@ export const RANK_STRATEGIES = {
   FIXED: 'fixed',           // Fixed rank throughout training
   PROGRESSIVE: 'progressive', // Start low, increase gradually
   ADAPTIVE: 'adaptive',     // Adjust based on loss and gradient norms
-  HARDWARE_AWARE: 'hardware_aware' // Optimize for available compute/memory
+  HARDWARE_AWARE: 'hardware_aware', // Optimize for available compute/memory
+  IMPORTANCE: 'importance'  // Per-layer ranks from importance scores under a parameter budget (AdaLoRA)
+};
+
+export const RANK_STRATEGY_LABELS = {
+  [RANK_STRATEGIES.FIXED]: 'Fixed',
+  [RANK_STRATEGIES.PROGRESSIVE]: 'Progressive',
+  [RANK_STRATEGIES.ADAPTIVE]: 'Adaptive',
+  [RANK_STRATEGIES.HARDWARE_AWARE]: 'Hardware-aware',
+  [RANK_STRATEGIES.IMPORTANCE]: 'Per-layer importance (AdaLoRA)'
 };
 
 /**
@@ -27,17 +40,67 @@ export class LoRARankScheduler {
       performanceThreshold: 0.95,
       convergenceWindow: 100,
       adaptationRate: 0.1,
+      // Importance strategy: layers start at initialRank * budgetHeadroom and are pruned every
+      // allocationInterval steps until the budget reaches initialRank per layer. The budget holds
+      // for warmupFraction of totalSteps, then decays, and is final for the last finalFraction.
+      totalSteps: 1000,
+      budgetHeadroom: 1.5,
+      allocationInterval: 10,
+      warmupFraction: 0.1,
+      finalFraction: 0.2,
+      importanceBeta1: 0.85,
+      importanceBeta2: 0.85,
       ...config
     };
 
     this.currentRank = this.config.initialRank;
+    this.layerRanks = {};
+    this.layerCosts = {}; // Parameters per rank of each layer (inputDim + outputDim)
+    this.importance = {}; // Per layer { sensitivity, uncertainty } of each rank-1 component
     this.trainingHistory = [];
     this.performanceHistory = [];
     this.memoryHistory = [];
     this.lastAdaptation = 0;
+    this.adaptationCount = 0;
     this.adaptationCooldown = 50; // Steps between adaptations
   }
 
+  /**
+   * Register the adapter layers. The importance strategy starts every layer at its headroom
+   * rank; the others keep each layer's current rank.
+   * @param {Object} layerShapes - Per-layer { inputDim, outputDim }
+   * @param {Object} [currentRanks] - Map of layer name -> rank the adapter has now
+   */
+  setLayers(layerShapes, currentRanks = {}) {
+    const startRank = this.config.strategy === RANK_STRATEGIES.IMPORTANCE ? this._importanceStartRank() : null;
+    this.layerCosts = {};
+    this.layerRanks = {};
+    this.importance = {};
+    for (const [layerName, { inputDim, outputDim }] of Object.entries(layerShapes)) {
+      this.layerCosts[layerName] = inputDim + outputDim;
+      this.layerRanks[layerName] = startRank ?? currentRanks[layerName] ?? this.currentRank;
+    }
+  }
+
+  /**
+   * Whether the scheduler needs component sensitivities (see recordSensitivity) every step.
+   */
+  tracksImportance() {
+    return this.config.strategy === RANK_STRATEGIES.IMPORTANCE;
+  }
+
+  /**
+   * Smooth one step's component sensitivities into the importance scores.
+   * @param {Object} sensitivities - Map of layer name -> sensitivity per component, from
+   *   componentSensitivity on the step's weights and gradients
+   */
+  recordSensitivity(sensitivities) {
+    const { importanceBeta1: beta1, importanceBeta2: beta2 } = this.config;
+    for (const [layerName, sensitivity] of Object.entries(sensitivities)) {
+      this.importance[layerName] = updateImportance(this.importance[layerName] || null, sensitivity, { beta1, beta2 });
+    }
+  }
+
   /**
    * Update scheduler with training metrics
    * @param {Object} metrics - Training metrics
@@ -71,10 +134,20 @@ export class LoRARankScheduler {
 
     // Make scheduling decision based on strategy
     const decision = this._makeSchedulingDecision(step, metrics);
+
+    // Global strategies give every layer the same rank
+    const layerRanks = decision.layerRanks || Object.fromEntries(
+      Object.entries(this.layerRanks).map(([layerName, rank]) => [layerName, decision.shouldAdapt ? decision.recommendedRank : rank])
+    );
+    if (decision.shouldAdapt) {
+      this._applyLayerRanks(layerRanks);
+      this.adaptationCount++;
+    }
     
     return {
       currentRank: this.currentRank,
       recommendedRank: decision.recommendedRank,
+      layerRanks,
       shouldAdapt: decision.shouldAdapt,
       reason: decision.reason,
       confidence: decision.confidence,
@@ -101,6 +174,9 @@ export class LoRARankScheduler {
       
       case RANK_STRATEGIES.HARDWARE_AWARE:
         return this._hardwareAwareStrategy(step, metrics);
+
+      case RANK_STRATEGIES.IMPORTANCE:
+        return this._importanceStrategy(step);
       
       default:
         return this._adaptiveStrategy(step, metrics);
@@ -226,6 +302,95 @@ export class LoRARankScheduler {
     };
   }
 
+  /**
+   * Importance strategy - every allocationInterval steps after the warmup, keep the most
+   * important components of all layers under the current parameter budget
+   */
+  _importanceStrategy(step) {
+    const layerNames = Object.keys(this.layerRanks);
+    // Layers without scores (no captured signals yet) keep their rank and its share of the budget
+    const scoredLayers = layerNames.filter(layerName => this.importance[layerName]);
+    const schedule = this._budgetSchedule();
+    const hold = reason => ({ recommendedRank: this.currentRank, shouldAdapt: false, reason, confidence: 0.5 });
+
+    if (scoredLayers.length === 0) {
+      return hold('Collecting importance scores');
+    }
+    if (step <= schedule.warmupSteps) {
+      return hold('Importance warmup');
+    }
+    if (step % this.config.allocationInterval !== 0) {
+      return hold('Waiting for the next allocation');
+    }
+
+    const budget = budgetAt(step, schedule);
+    const unscoredCost = layerNames
+      .filter(layerName => !this.importance[layerName])
+      .reduce((sum, layerName) => sum + this.layerRanks[layerName] * this.layerCosts[layerName], 0);
+    const scores = Object.fromEntries(scoredLayers.map(layerName => [layerName, importanceScores(this.importance[layerName])]));
+    const { minRank, maxRank } = this.config;
+    const layerRanks = {
+      ...this.layerRanks,
+      ...allocateRanks(scores, this.layerCosts, budget - unscoredCost, { minRank, maxRank })
+    };
+    const shouldAdapt = layerNames.some(layerName => layerRanks[layerName] !== this.layerRanks[layerName]);
+    if (shouldAdapt) {
+      this.lastAdaptation = step;
+    }
+
+    const ranks = Object.values(layerRanks);
+    return {
+      recommendedRank: this.currentRank,
+      layerRanks,
+      shouldAdapt,
+      reason: `Per-layer ranks ${Math.min(...ranks)}-${Math.max(...ranks)} under a budget of ${Math.round(budget)} parameters`,
+      confidence: 0.8
+    };
+  }
+
+  /**
+   * Rank every layer starts at under the importance strategy
+   */
+  _importanceStartRank() {
+    const { initialRank, budgetHeadroom, maxRank } = this.config;
+    return Math.min(maxRank, Math.max(initialRank, Math.round(initialRank * budgetHeadroom)));
+  }
+
+  /**
+   * Parameter budget schedule of the importance strategy (see budgetAt)
+   */
+  _budgetSchedule() {
+    const { initialRank, totalSteps, warmupFraction, finalFraction } = this.config;
+    const totalCost = Object.values(this.layerCosts).reduce((sum, cost) => sum + cost, 0);
+    return {
+      initialBudget: this._importanceStartRank() * totalCost,
+      targetBudget: initialRank * totalCost,
+      warmupSteps: Math.round(totalSteps * warmupFraction),
+      finalSteps: Math.round(totalSteps * finalFraction),
+      totalSteps
+    };
+  }
+
+  /**
+   * Adopt new layer ranks. A shrunk layer is truncated to its largest singular components
+   * (rankReallocation.js), which inherit its best importance scores in order; grown layers
+   * collect scores for their new components from the next step on.
+   */
+  _applyLayerRanks(layerRanks) {
+    for (const [layerName, rank] of Object.entries(layerRanks)) {
+      const importance = this.importance[layerName];
+      if (!importance || rank >= importance.sensitivity.length) continue;
+
+      const scores = importanceScores(importance);
+      const kept = Array.from(scores.keys()).sort((a, b) => scores[b] - scores[a]).slice(0, rank);
+      this.importance[layerName] = {
+        sensitivity: kept.map(k => importance.sensitivity[k]),
+        uncertainty: kept.map(k => importance.uncertainty[k])
+      };
+    }
+    this.layerRanks = { ...this.layerRanks, ...layerRanks };
+  }
+
   /**
    * Analyze performance trends for adaptive strategy
    */
@@ -254,14 +419,29 @@ export class LoRARankScheduler {
     const recentLoss = recentHistory.slice(-5).reduce((sum, h) => sum + h.loss, 0) / 5;
     const earlyLoss = recentHistory.slice(0, 5).reduce((sum, h) => sum + h.loss, 0) / 5;
     const improvement = (earlyLoss - recentLoss) / earlyLoss;
+
+    // Held-out loss rising while the training loss keeps falling means the adapter is memorizing
+    const validationLosses = this.trainingHistory
+      .filter(h => h.validationLoss !== null && h.validationLoss !== undefined)
+      .slice(-5)
+      .map(h => h.validationLoss);
+    const validationTrend = validationLosses.length >= 3 ? this._computeTrend(validationLosses) : 0;
+    const isOverfitting = validationTrend > 0 && lossTrend < 0;
     
     let recommendedRank = this.currentRank;
     let reason = 'Performance metrics stable';
     let shouldAdapt = false;
     let confidence = 0.7;
 
+    // Reduce rank when validation loss diverges from training loss
+    if (isOverfitting && this.currentRank > this.config.minRank) {
+      recommendedRank = Math.max(this.config.minRank, this.currentRank - 1);
+      reason = `Reducing rank - validation loss rising (trend: ${validationTrend.toFixed(4)}) while training loss falls`;
+      shouldAdapt = true;
+      confidence = 0.9;
+    }
     // Increase rank if underfitting
-    if (!isConverging && hasGradientFlow && improvement < 0.05 && 
+    else if (!isConverging && hasGradientFlow && improvement < 0.05 && !isOverfitting &&
         this.currentRank < this.config.maxRank) {
       recommendedRank = Math.min(this.config.maxRank, this.currentRank + 2);
       reason = `Increasing rank - potential underfitting (improvement: ${(improvement * 100).toFixed(2)}%)`;
@@ -377,6 +557,14 @@ export class LoRARankScheduler {
     return this.currentRank;
   }
 
+  /**
+   * Per-layer ranks
+   * @returns {Object} Map of layer name -> rank
+   */
+  getLayerRanks() {
+    return { ...this.layerRanks };
+  }
+
   /**
    * Force rank change
    */
@@ -387,6 +575,14 @@ export class LoRARankScheduler {
     );
   }
 
+  /**
+   * Force per-layer ranks (e.g. back to the adapter's ranks after a failed resize)
+   * @param {Object} layerRanks - Map of layer name -> rank
+   */
+  setLayerRanks(layerRanks) {
+    this._applyLayerRanks(layerRanks);
+  }
+
   /**
    * Get training statistics
    */
@@ -395,22 +591,60 @@ export class LoRARankScheduler {
       currentRank: this.currentRank,
       trainingSteps: this.trainingHistory.length,
       lastAdaptation: this.lastAdaptation,
-      adaptationCount: this.trainingHistory.filter((h, i) => 
-        i > 0 && h.rank !== this.trainingHistory[i-1].rank
-      ).length,
+      adaptationCount: this.adaptationCount,
+      layerRanks: { ...this.layerRanks },
+      adapterParameters: Object.entries(this.layerRanks).reduce(
+        (sum, [layerName, rank]) => sum + rank * this.layerCosts[layerName], 0
+      ),
       performanceMetrics: this._computePerformanceMetrics()
     };
   }
 
+  /**
+   * Serializable scheduler state, for checkpoints
+   */
+  getState() {
+    return {
+      currentRank: this.currentRank,
+      layerRanks: this.layerRanks,
+      layerCosts: this.layerCosts,
+      importance: this.importance,
+      trainingHistory: this.trainingHistory,
+      performanceHistory: this.performanceHistory,
+      memoryHistory: this.memoryHistory,
+      lastAdaptation: this.lastAdaptation,
+      adaptationCount: this.adaptationCount
+    };
+  }
+
+  /**
+   * Restore state produced by getState
+   */
+  setState(state) {
+    this.currentRank = state.currentRank;
+    this.layerRanks = { ...state.layerRanks };
+    this.layerCosts = { ...state.layerCosts };
+    this.importance = { ...state.importance };
+    this.trainingHistory = [...state.trainingHistory];
+    this.performanceHistory = [...state.performanceHistory];
+    this.memoryHistory = [...state.memoryHistory];
+    this.lastAdaptation = state.lastAdaptation;
+    this.adaptationCount = state.adaptationCount;
+  }
+
   /**
    * Reset scheduler state
    */
   reset() {
     this.currentRank = this.config.initialRank;
+    this.layerRanks = {};
+    this.layerCosts = {};
+    this.importance = {};
     this.trainingHistory = [];
     this.performanceHistory = [];
     this.memoryHistory = [];
     this.lastAdaptation = 0;
+    this.adaptationCount = 0;
   }
 }
 
@@ -456,6 +690,7 @@ export function estimateOptimalRank(modelSize, memoryBudgetGB, targetThroughput)
 export default {
   LoRARankScheduler,
   RANK_STRATEGIES,
+  RANK_STRATEGY_LABELS,
   createRankScheduler,
   estimateOptimalRank
 };
\ No newline at end of file
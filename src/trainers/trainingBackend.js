@@ -0,0 +1,58 @@
+/**
+ * Training Backend Selection for LoRA Lab
+ * The training worker drives adapter updates through a small backend interface so the
+ * same loop runs on WebGPU or, when WebGPU is unavailable, on the CPU.
+ *
+ * A backend provides:
+ *   name                                         'webgpu' | 'cpu'
+ *   modelDevice                                  transformers.js device for the base model
+ *   initialize()                                 -> Promise<boolean>
+ *   ensureLayers(targetLayers, layerShapes, adapterConfig)
+ *   accumulateGradients(layerName, capture, scale) -> Promise (backward pass, adds scale * gradients)
+ *   gradientNorm()                               -> Promise<number> global L2 norm of the accumulated gradients
+ *   applyGradients(optimizerParams)              -> Promise (optimizer update from the accumulated gradients, then clears them)
+ *   readWeights(layerNames?)                     -> Promise<{ [layer]: { A, B } }>
+ *   readGradients(layerNames?)                   -> Promise<{ [layer]: { A, B } }> accumulated, before applyGradients
+ *   exportState()                                -> Promise<{ layers, tensors }> (checkpointing)
+ *   importState(state, adapterConfig)
+ *   computeLoss(logits, labels)                  -> Promise<number|null>
+ *   destroy()
+ *
+ * The optimizer (see optimizers.js) is fixed when the backend is created. adapterConfig is
+ * { rank, alpha, rankPattern }, where rankPattern maps layers to ranks other than `rank`.
+ */
+
+import { WebGPUTrainingBackend } from './webgpuBackend.js';
+import { CPUTrainingBackend } from './cpuBackend.js';
+
+/**
+ * Available training backends
+ */
+export const TRAINING_BACKENDS = {
+  AUTO: 'auto',     // WebGPU when available, CPU otherwise
+  WEBGPU: 'webgpu',
+  CPU: 'cpu'
+};
+
+/**
+ * Create and initialize a training backend.
+ * @param {string} [preferred] - One of TRAINING_BACKENDS
+ * @param {Object} [options] - { random, optimizer } where random is a source of uniform [0, 1)
+ *   values for weight init and optimizer one of OPTIMIZERS
+ * @returns {Promise<WebGPUTrainingBackend|CPUTrainingBackend>} Ready backend
+ */
+export async function createTrainingBackend(preferred = TRAINING_BACKENDS.AUTO, options = {}) {
+  if (preferred !== TRAINING_BACKENDS.CPU) {
+    const gpuBackend = new WebGPUTrainingBackend(options);
+    if (await gpuBackend.initialize()) {
+      return gpuBackend;
+    }
+    console.warn('WebGPU training backend unavailable, falling back to CPU');
+  }
+
+  const cpuBackend = new CPUTrainingBackend(options);
+  await cpuBackend.initialize();
+  return cpuBackend;
+}
+
+export default createTrainingBackend;
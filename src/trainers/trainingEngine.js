@@ -6,6 +6,8 @@
 // This engine no longer deals with ONNX directly. It only manages state
 // and communicates with the training worker.
 
+import { createCheckpointStore } from '../utils/checkpointStorage.js';
+
 /**
  * Training Engine Class
  * Manages the complete LoRA training pipeline by controlling the training worker.
@@ -34,11 +36,15 @@ export class TrainingEngine {
     
     // Event listeners
     this.eventListeners = new Map();
+
+    // Checkpoints written by the training worker (same browser storage, opened lazily)
+    this.checkpointStorePromise = null;
   }
   
   /**
    * Start training process
-   * @param {Object} config - Contains modelSource, dataset, and trainingConfig
+   * @param {Object} config - Contains modelSource, dataset, and trainingConfig,
+   *   or { resumeFrom: checkpointId } to continue a checkpointed session
    */
   async startTraining(config = {}) {
     try {
@@ -110,6 +116,9 @@ export class TrainingEngine {
       case 'TRAINING_STARTED':
         this.emit('trainingStarted', message.data);
         break;
+      case 'VALIDATION_PROGRESS':
+        this.emit('validationProgress', message.data);
+        break;
       case 'TRAINING_COMPLETED':
         this.isTraining = false;
         this.emit('trainingCompleted', message.data);
@@ -128,6 +137,12 @@ export class TrainingEngine {
         this.isTraining = false;
         this.emit('trainingStopped', message.data);
         break;
+      case 'CHECKPOINT_SAVED':
+        this.emit('checkpointSaved', message.data);
+        break;
+      case 'CHECKPOINT_RESTORED':
+        this.emit('checkpointRestored', message.data);
+        break;
       case 'RANK_UPDATED':
         this.emit('rankUpdated', message.data);
         break;
@@ -157,6 +172,36 @@ export class TrainingEngine {
     }
   }
   
+  /**
+   * Resume a checkpointed training session
+   * @param {string} checkpointId - Checkpoint id from listCheckpoints()
+   */
+  async resumeFromCheckpoint(checkpointId) {
+    return this.startTraining({ resumeFrom: checkpointId });
+  }
+
+  getCheckpointStore() {
+    if (!this.checkpointStorePromise) {
+      this.checkpointStorePromise = createCheckpointStore();
+    }
+    return this.checkpointStorePromise;
+  }
+
+  /**
+   * List saved checkpoints, most recent first
+   * @returns {Promise<Object[]>} Checkpoint summaries
+   */
+  async listCheckpoints() {
+    const store = await this.getCheckpointStore();
+    const summaries = await store.list();
+    return summaries.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async deleteCheckpoint(checkpointId) {
+    const store = await this.getCheckpointStore();
+    await store.delete(checkpointId);
+  }
+
   // ... (Event handling methods: on, off, emit)
   on(event, callback) {
     if (!this.eventListeners.has(event)) {
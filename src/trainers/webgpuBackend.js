@@ -0,0 +1,907 @@
+/**
+ * WebGPU Training Backend for LoRA Lab
+ * Owns the GPU device, the loraKernels.wgsl compute pipelines and the per-layer adapter
+ * buffers, and implements the training backend interface described in trainingBackend.js.
+ */
+
+import { initLoraWeights, IGNORE_INDEX } from './loraReference.js';
+import { toFloat32 } from './activationCapture.js';
+import {
+  OPTIMIZERS,
+  OPTIMIZER_LABELS,
+  normalizeOptimizer,
+  optimizerStateSpec,
+  createOptimizerState,
+  restoreOptimizerState,
+  stateTensorName,
+  loraMatrixShapes
+} from './optimizers.js';
+import { layerRank } from './rankAllocation.js';
+
+// LoRAParams uniform: inputDim, outputDim, rank (u32), alpha, scaling (f32), numTokens (u32), padded to 16 bytes
+const LORA_PARAMS_SIZE = 32;
+// OptimizerParams uniform: learningRate, beta1, beta2, epsilon, weightDecay (f32), step (u32), gradScale (f32), padded to 16 bytes
+const OPTIMIZER_PARAMS_SIZE = 32;
+// GradAccumParams / GradNormParams / MatrixParams uniforms (up to four 32-bit fields), one slot per dispatch
+const SMALL_PARAMS_SIZE = 16;
+// Uniform bindings at an offset must start on this alignment
+const UNIFORM_OFFSET_ALIGNMENT = 256;
+// Storage buffer bindings into the shared scratch buffer must start on this alignment
+const STORAGE_OFFSET_ALIGNMENT = 256;
+const PIPELINE_ENTRY_POINTS = {
+  loraForwardA: 'lora_forward_A_main',
+  loraForwardB: 'lora_forward_B_main',
+  loraBackwardA: 'lora_backward_A_main',
+  loraBackwardB: 'lora_backward_B_main',
+  adamw: 'adamw_main',
+  adamOptimizer: 'adam_optimizer_8bit_main',
+  lion: 'lion_main',
+  sgdMomentum: 'sgd_momentum_main',
+  adafactorRow: 'adafactor_row_main',
+  adafactorCol: 'adafactor_col_main',
+  adafactorRms: 'adafactor_rms_main',
+  adafactorUpdate: 'adafactor_update_main',
+  gradientAccumulation: 'gradient_accumulation_main',
+  gradientNorm: 'gradient_norm_main',
+  crossEntropyLoss: 'cross_entropy_loss_main',
+};
+
+// Kernels of each optimizer in dispatch order, with the group 7 resources each one uses
+// (layout: 'auto' keeps only those) and what it runs one thread per
+const OPTIMIZER_KERNELS = {
+  [OPTIMIZERS.ADAMW]: [
+    { pipeline: 'adamw', resources: ['params', 'gradients', 'weights', 'momentum', 'velocity'], threads: 'values' }
+  ],
+  [OPTIMIZERS.ADAM_8BIT]: [
+    { pipeline: 'adamOptimizer', resources: ['params', 'gradients', 'weights', 'momentum', 'velocity', 'momentumScale', 'velocityScale'], threads: 'values' }
+  ],
+  [OPTIMIZERS.LION]: [
+    { pipeline: 'lion', resources: ['params', 'gradients', 'weights', 'momentum'], threads: 'values' }
+  ],
+  [OPTIMIZERS.ADAFACTOR]: [
+    { pipeline: 'adafactorRow', resources: ['params', 'gradients', 'rowVariance', 'matrix'], threads: 'rows' },
+    { pipeline: 'adafactorCol', resources: ['params', 'gradients', 'rowVariance', 'colVariance', 'matrix', 'scratch'], threads: 'cols' },
+    { pipeline: 'adafactorRms', resources: ['params', 'gradients', 'rowVariance', 'colVariance', 'matrix', 'scratch'], threads: 'values' },
+    { pipeline: 'adafactorUpdate', resources: ['params', 'gradients', 'weights', 'rowVariance', 'colVariance', 'matrix', 'scratch'], threads: 'values' }
+  ],
+  [OPTIMIZERS.SGD_MOMENTUM]: [
+    { pipeline: 'sgdMomentum', resources: ['params', 'gradients', 'weights', 'momentum'], threads: 'values' }
+  ]
+};
+
+// Group 7 binding of each optimizer resource; state arrays bind by optimizer
+const OPTIMIZER_BINDINGS = { params: 0, gradients: 1, weights: 2, matrix: 9, scratch: 10 };
+const STATE_BINDINGS = {
+  [OPTIMIZERS.ADAMW]: { momentum: 3, velocity: 4 },
+  [OPTIMIZERS.ADAM_8BIT]: { momentum: 5, velocity: 6, momentumScale: 7, velocityScale: 8 },
+  [OPTIMIZERS.LION]: { momentum: 3 },
+  [OPTIMIZERS.ADAFACTOR]: { rowVariance: 3, colVariance: 4 },
+  [OPTIMIZERS.SGD_MOMENTUM]: { momentum: 3 }
+};
+
+function alignTo(size, alignment = STORAGE_OFFSET_ALIGNMENT) {
+  return Math.ceil(size / alignment) * alignment;
+}
+
+/**
+ * Byte layout of the shared scratch buffer for one layer's pass over `numTokens` rows.
+ */
+function getScratchLayout(numTokens, inputDim, outputDim, rank) {
+  const intermediateSize = numTokens * rank * 4;
+  const inputActivationSize = numTokens * inputDim * 4;
+  const outputGradientSize = numTokens * outputDim * 4;
+  const loraOutputSize = numTokens * outputDim * 4;
+
+  const inputActivationOffset = alignTo(intermediateSize);
+  const outputGradientOffset = inputActivationOffset + alignTo(inputActivationSize);
+  const loraOutputOffset = outputGradientOffset + alignTo(outputGradientSize);
+
+  return {
+    intermediate: { offset: 0, size: intermediateSize },
+    inputActivation: { offset: inputActivationOffset, size: inputActivationSize },
+    outputGradient: { offset: outputGradientOffset, size: outputGradientSize },
+    loraOutput: { offset: loraOutputOffset, size: loraOutputSize },
+    totalSize: loraOutputOffset + alignTo(loraOutputSize)
+  };
+}
+
+/**
+ * WebGPU Training Backend Class
+ */
+export class WebGPUTrainingBackend {
+  constructor(options = {}) {
+    this.name = 'webgpu';
+    this.modelDevice = 'webgpu';
+    this.random = options.random || Math.random;
+    this.optimizer = normalizeOptimizer(options.optimizer);
+    this.device = null;
+    this.pipelines = {};
+    this.layers = {};
+    this.adapterConfig = null;
+
+    this.loraParamsBuffer = null;
+    this.optimizerParamsBuffer = null;
+    this.gradAccumParamsBuffer = null;
+    this.scratchBuffer = null;
+  }
+
+  /**
+   * Request a device and compile the LoRA kernels.
+   * @returns {Promise<boolean>} True when every training pipeline is ready
+   */
+  async initialize() {
+    try {
+      if (!navigator.gpu) {
+        throw new Error('WebGPU not supported');
+      }
+
+      const adapter = await navigator.gpu.requestAdapter();
+      if (!adapter) {
+        throw new Error('No WebGPU adapter available');
+      }
+
+      this.device = await adapter.requestDevice({
+        requiredFeatures: adapter.features.has('shader-f16') ? ['shader-f16'] : [],
+        requiredLimits: {
+          maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
+          maxBufferSize: adapter.limits.maxBufferSize,
+        }
+      });
+      console.log('WebGPU device initialized:', this.device);
+
+      await this.createComputePipelines();
+      return this.pipelinesReady();
+    } catch (error) {
+      console.error('WebGPU initialization failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create compute pipelines for training operations
+   */
+  async createComputePipelines() {
+    const response = await fetch(new URL('./loraKernels.wgsl', import.meta.url));
+    const shaderCode = await response.text();
+    const shaderModule = this.device.createShaderModule({ code: shaderCode });
+
+    for (const [name, entryPoint] of Object.entries(PIPELINE_ENTRY_POINTS)) {
+      this.pipelines[name] = this.device.createComputePipeline({
+        layout: 'auto',
+        compute: { module: shaderModule, entryPoint }
+      });
+    }
+
+    console.log('All compute pipelines created successfully');
+  }
+
+  pipelinesReady() {
+    return Boolean(this.pipelines.loraForwardA &&
+      this.pipelines.loraForwardB &&
+      this.pipelines.loraBackwardA &&
+      this.pipelines.loraBackwardB &&
+      this.pipelines.gradientAccumulation &&
+      this.pipelines.gradientNorm &&
+      OPTIMIZER_KERNELS[this.optimizer].every(({ pipeline }) => this.pipelines[pipeline]));
+  }
+
+  /**
+   * Allocate fresh adapter weights, gradients and optimizer state for layers missing at this rank.
+   * Rank changes mid-run keep the trained weights by going through rankReallocation.js instead.
+   * @param {string[]} targetLayers - LoRA target layer paths
+   * @param {Object} layerShapes - Per-layer { inputDim, outputDim }
+   * @param {Object} adapterConfig - { rank, alpha, rankPattern }
+   */
+  ensureLayers(targetLayers, layerShapes, adapterConfig) {
+    this.adapterConfig = adapterConfig;
+
+    for (const layerName of Object.keys(this.layers)) {
+      if (!targetLayers.includes(layerName)) this.destroyLayer(layerName);
+    }
+
+    for (const layerName of targetLayers) {
+      const rank = layerRank(adapterConfig, layerName);
+      const existing = this.layers[layerName];
+      if (existing && existing.rank === rank) continue;
+      if (existing) this.destroyLayer(layerName);
+
+      const { inputDim, outputDim } = layerShapes[layerName];
+      const { A, B } = initLoraWeights(inputDim, outputDim, rank, this.random);
+      const shapes = loraMatrixShapes({ inputDim, outputDim, rank });
+      this.layers[layerName] = this.createLayer({ inputDim, outputDim, rank }, A, B, {
+        A: createOptimizerState(this.optimizer, shapes.A.rows, shapes.A.cols),
+        B: createOptimizerState(this.optimizer, shapes.B.rows, shapes.B.cols)
+      });
+    }
+
+    this.ensureSharedBuffers();
+  }
+
+  /**
+   * GPU buffers of one layer from its weights and optimizer state.
+   */
+  createLayer(dims, A, B, optimizerState) {
+    const stateBuffers = state => Object.fromEntries(
+      Object.entries(state).map(([name, array]) => [name, this.createStateBuffer(array)])
+    );
+    return {
+      ...dims,
+      weightsA: this.createWeightBuffer(A),
+      weightsB: this.createWeightBuffer(B),
+      gradientsA: this.device.createBuffer({ size: A.byteLength, usage: GPUBufferUsage.STORAGE }),
+      gradientsB: this.device.createBuffer({ size: B.byteLength, usage: GPUBufferUsage.STORAGE }),
+      accumulatedA: this.createAccumulatorBuffer(A.byteLength),
+      accumulatedB: this.createAccumulatorBuffer(B.byteLength),
+      hasGradients: false,
+      stateA: stateBuffers(optimizerState.A),
+      stateB: stateBuffers(optimizerState.B)
+    };
+  }
+
+  createWeightBuffer(initialData) {
+    const buffer = this.device.createBuffer({ size: initialData.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
+    this.device.queue.writeBuffer(buffer, 0, initialData);
+    return buffer;
+  }
+
+  // Starts zeroed (WebGPU clears new buffers); COPY_DST so it can be cleared after each update,
+  // COPY_SRC so readGradients can copy it out
+  createAccumulatorBuffer(size) {
+    return this.device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
+  }
+
+  createStateBuffer(state) {
+    // COPY_SRC so optimizer state can be read back into checkpoints
+    const buffer = this.device.createBuffer({ size: state.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
+    this.device.queue.writeBuffer(buffer, 0, state);
+    return buffer;
+  }
+
+  ensureSharedBuffers() {
+    if (!this.loraParamsBuffer) {
+      this.loraParamsBuffer = this.device.createBuffer({ size: LORA_PARAMS_SIZE, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    }
+    if (!this.optimizerParamsBuffer) {
+      this.optimizerParamsBuffer = this.device.createBuffer({ size: OPTIMIZER_PARAMS_SIZE, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    }
+    if (!this.gradAccumParamsBuffer) {
+      // Slot 0 for the A gradients, slot 1 for the B gradients
+      this.gradAccumParamsBuffer = this.device.createBuffer({ size: UNIFORM_OFFSET_ALIGNMENT + SMALL_PARAMS_SIZE, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    }
+  }
+
+  /**
+   * Grows the shared scratch buffer so it can hold one layer's activations, gradients and intermediates.
+   */
+  ensureScratchBuffer(numTokens, inputDim, outputDim, rank) {
+    const { totalSize } = getScratchLayout(numTokens, inputDim, outputDim, rank);
+
+    if (!this.scratchBuffer || this.scratchBuffer.size < totalSize) {
+      if (this.scratchBuffer) this.scratchBuffer.destroy();
+      this.scratchBuffer = this.device.createBuffer({ size: totalSize, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+    }
+  }
+
+  /**
+   * Writes the LoRAParams uniform with correctly typed u32/f32 fields for the next layer pass.
+   */
+  writeLoraParams(inputDim, outputDim, rank, numTokens) {
+    const { alpha } = this.adapterConfig;
+    const data = new ArrayBuffer(LORA_PARAMS_SIZE);
+    const view = new DataView(data);
+    view.setUint32(0, inputDim, true);
+    view.setUint32(4, outputDim, true);
+    view.setUint32(8, rank, true);
+    view.setFloat32(12, alpha, true);
+    view.setFloat32(16, alpha / rank, true);
+    view.setUint32(20, numTokens, true);
+    this.device.queue.writeBuffer(this.loraParamsBuffer, 0, data);
+  }
+
+  /**
+   * Writes the OptimizerParams uniform; `step` is a u32 and must be 1-based for bias correction.
+   */
+  writeOptimizerParams({ learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale = 1 }) {
+    const data = new ArrayBuffer(OPTIMIZER_PARAMS_SIZE);
+    const view = new DataView(data);
+    view.setFloat32(0, learningRate, true);
+    view.setFloat32(4, beta1, true);
+    view.setFloat32(8, beta2, true);
+    view.setFloat32(12, epsilon, true);
+    view.setFloat32(16, weightDecay, true);
+    view.setUint32(20, step, true);
+    view.setFloat32(24, gradScale, true);
+    this.device.queue.writeBuffer(this.optimizerParamsBuffer, 0, data);
+  }
+
+  /**
+   * Writes the GradAccumParams slots for a layer's A and B gradients.
+   */
+  writeGradAccumParams(inputDim, outputDim, rank, scale) {
+    const data = new ArrayBuffer(UNIFORM_OFFSET_ALIGNMENT + SMALL_PARAMS_SIZE);
+    const view = new DataView(data);
+    view.setUint32(0, inputDim * rank, true);
+    view.setFloat32(4, scale, true);
+    view.setUint32(UNIFORM_OFFSET_ALIGNMENT, rank * outputDim, true);
+    view.setFloat32(UNIFORM_OFFSET_ALIGNMENT + 4, scale, true);
+    this.device.queue.writeBuffer(this.gradAccumParamsBuffer, 0, data);
+  }
+
+  /**
+   * Run forward and backward for one layer and add `scale` times its gradients to the
+   * layer's accumulated gradients. Every layer has its own activations/gradients in the
+   * shared scratch buffer, so each layer is written and submitted before the next one
+   * overwrites the scratch.
+   * @param {string} layerName - Layer to train
+   * @param {Object} capture - { input, gradOutput, numTokens } from captureLayerSignals
+   * @param {number} [scale] - Weight of this micro-batch (1 / accumulation steps)
+   */
+  async accumulateGradients(layerName, capture, scale = 1) {
+    const { input, gradOutput, numTokens } = capture;
+    const layer = this.layers[layerName];
+    const { inputDim, outputDim, rank } = layer;
+
+    this.ensureScratchBuffer(numTokens, inputDim, outputDim, rank);
+    this.writeLoraParams(inputDim, outputDim, rank, numTokens);
+    this.writeGradAccumParams(inputDim, outputDim, rank, scale);
+
+    const buffers = this.getLayerBuffers(layerName, numTokens);
+    const { inputActivationBuffer, outputGradientBuffer } = buffers;
+    this.device.queue.writeBuffer(inputActivationBuffer.buffer, inputActivationBuffer.offset, input);
+    this.device.queue.writeBuffer(outputGradientBuffer.buffer, outputGradientBuffer.offset, gradOutput);
+
+    const commandEncoder = this.device.createCommandEncoder();
+    this.encodeLoraForward(commandEncoder, buffers, numTokens);
+    this.encodeLoraBackward(commandEncoder, buffers);
+    this.encodeGradientAccumulation(commandEncoder, buffers);
+    this.device.queue.submit([commandEncoder.finish()]);
+    layer.hasGradients = true;
+  }
+
+  /**
+   * Global L2 norm of the accumulated gradients of every layer, reduced on the GPU.
+   * @returns {Promise<number>} Gradient norm (0 when nothing has been accumulated)
+   */
+  async gradientNorm() {
+    const { device } = this;
+    const gradientBuffers = Object.values(this.layers)
+      .filter(layer => layer.hasGradients)
+      .flatMap(layer => [layer.accumulatedA, layer.accumulatedB]);
+    if (gradientBuffers.length === 0) return 0;
+
+    // One uniform slot and one run of partial sums per buffer
+    const workgroups = gradientBuffers.map(buffer => Math.ceil(buffer.size / 4 / 256));
+    const totalPartials = workgroups.reduce((sum, count) => sum + count, 0);
+    const paramsData = new ArrayBuffer(gradientBuffers.length * UNIFORM_OFFSET_ALIGNMENT);
+    const paramsView = new DataView(paramsData);
+    let partialOffset = 0;
+    gradientBuffers.forEach((buffer, i) => {
+      paramsView.setUint32(i * UNIFORM_OFFSET_ALIGNMENT, buffer.size / 4, true);
+      paramsView.setUint32(i * UNIFORM_OFFSET_ALIGNMENT + 4, partialOffset, true);
+      partialOffset += workgroups[i];
+    });
+
+    const paramsBuffer = device.createBuffer({ size: paramsData.byteLength, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    device.queue.writeBuffer(paramsBuffer, 0, paramsData);
+    const partialsBuffer = device.createBuffer({ size: totalPartials * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass({ label: "Gradient Norm" });
+    pass.setPipeline(this.pipelines.gradientNorm);
+    gradientBuffers.forEach((buffer, i) => {
+      const bindGroup = device.createBindGroup({
+        layout: this.pipelines.gradientNorm.getBindGroupLayout(4),
+        entries: [
+          { binding: 3, resource: { buffer: paramsBuffer, offset: i * UNIFORM_OFFSET_ALIGNMENT, size: SMALL_PARAMS_SIZE } },
+          { binding: 4, resource: { buffer } },
+          { binding: 5, resource: { buffer: partialsBuffer } },
+        ]
+      });
+      pass.setBindGroup(4, bindGroup);
+      pass.dispatchWorkgroups(workgroups[i]);
+    });
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+
+    const { partials } = await this.readBuffers({ partials: { buffer: partialsBuffer, ArrayType: Float32Array } });
+    paramsBuffer.destroy();
+    partialsBuffer.destroy();
+    return Math.sqrt(partials.reduce((sum, value) => sum + value, 0));
+  }
+
+  /**
+   * Apply one optimizer update from the accumulated gradients of every layer that received any,
+   * then clear them for the next step. Layers without gradients this step are left untouched.
+   * @param {Object} optimizerParams - { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale }
+   *   where gradScale multiplies the gradients first (the clipping coefficient)
+   */
+  async applyGradients(optimizerParams) {
+    const layers = Object.values(this.layers).filter(layer => layer.hasGradients);
+    if (layers.length === 0) return;
+
+    // B is updated before A; the CPU backend follows the same order
+    const matrices = layers.flatMap(layer => {
+      const shapes = loraMatrixShapes(layer);
+      return [
+        { weights: layer.weightsB, gradients: layer.accumulatedB, state: layer.stateB, ...shapes.B },
+        { weights: layer.weightsA, gradients: layer.accumulatedA, state: layer.stateA, ...shapes.A }
+      ];
+    });
+
+    this.writeOptimizerParams(optimizerParams);
+    const commandEncoder = this.device.createCommandEncoder();
+    const temporaryBuffers = this.encodeOptimizerUpdate(commandEncoder, this.optimizer, matrices);
+    for (const layer of layers) {
+      commandEncoder.clearBuffer(layer.accumulatedA);
+      commandEncoder.clearBuffer(layer.accumulatedB);
+      layer.hasGradients = false;
+    }
+    this.device.queue.submit([commandEncoder.finish()]);
+    await this.releaseAfterSubmission(temporaryBuffers);
+  }
+
+  /**
+   * Run one update of any optimizer on plain arrays, in place: the signature of
+   * applyOptimizerUpdate in optimizers.js, so optimizerHarness.js can compare the kernels with
+   * the CPU reference.
+   * @param {string} optimizer - One of OPTIMIZERS
+   * @param {Float32Array} weights - Row-major [rows, cols] weights
+   * @param {Float32Array} gradients - Gradients for the weights
+   * @param {Object} state - State from createOptimizerState
+   * @param {Object} params - { learningRate, beta1, beta2, epsilon, weightDecay, step, gradScale }
+   * @param {Object} shape - { rows, cols }
+   */
+  async applyOptimizerUpdate(optimizer, weights, gradients, state, params, shape) {
+    this.ensureSharedBuffers();
+    const matrix = {
+      weights: this.createWeightBuffer(weights),
+      gradients: this.createWeightBuffer(gradients),
+      state: Object.fromEntries(Object.entries(state).map(([name, array]) => [name, this.createStateBuffer(array)])),
+      ...shape
+    };
+
+    this.writeOptimizerParams(params);
+    const commandEncoder = this.device.createCommandEncoder();
+    const temporaryBuffers = this.encodeOptimizerUpdate(commandEncoder, optimizer, [matrix]);
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    const sources = { weights: { buffer: matrix.weights, ArrayType: Float32Array } };
+    for (const [name, array] of Object.entries(state)) {
+      sources[name] = { buffer: matrix.state[name], ArrayType: array.constructor };
+    }
+    const results = await this.readBuffers(sources);
+    weights.set(results.weights);
+    for (const name of Object.keys(state)) {
+      state[name].set(results[name]);
+    }
+
+    for (const buffer of [matrix.weights, matrix.gradients, ...Object.values(matrix.state), ...temporaryBuffers]) {
+      buffer.destroy();
+    }
+  }
+
+  async releaseAfterSubmission(buffers) {
+    if (buffers.length === 0) return;
+    await this.device.queue.onSubmittedWorkDone();
+    buffers.forEach(buffer => buffer.destroy());
+  }
+
+  /**
+   * Gathers all necessary buffers for a specific layer to pass to the encoding functions.
+   */
+  getLayerBuffers(layerName, numTokens) {
+    const layer = this.layers[layerName];
+    const { inputDim, outputDim, rank } = layer;
+    const layout = getScratchLayout(numTokens, inputDim, outputDim, rank);
+
+    return {
+      matrixABuffer: layer.weightsA,
+      matrixBBuffer: layer.weightsB,
+      gradientABuffer: layer.gradientsA,
+      gradientBBuffer: layer.gradientsB,
+      accumulatedABuffer: layer.accumulatedA,
+      accumulatedBBuffer: layer.accumulatedB,
+
+      intermediateResultBuffer: { buffer: this.scratchBuffer, ...layout.intermediate },
+      inputActivationBuffer: { buffer: this.scratchBuffer, ...layout.inputActivation },
+      outputGradientBuffer: { buffer: this.scratchBuffer, ...layout.outputGradient },
+      loraOutputBuffer: { buffer: this.scratchBuffer, ...layout.loraOutput },
+
+      inputDim,
+      outputDim,
+      rank,
+
+      loraParamsBuffer: this.loraParamsBuffer,
+      gradAccumParamsBuffer: this.gradAccumParamsBuffer
+    };
+  }
+
+  /**
+   * Encodes the full LoRA forward pass (A and B kernels) into a command encoder.
+   */
+  encodeLoraForward(encoder, buffers, numTokens) {
+    const { device, pipelines } = this;
+    // The forward delta goes to its own scratch region so it never clobbers the captured gradients
+    encoder.clearBuffer(buffers.loraOutputBuffer.buffer, buffers.loraOutputBuffer.offset, buffers.loraOutputBuffer.size);
+
+    const pass = encoder.beginComputePass({ label: "LoRA Forward Pass" });
+
+    // --- Forward A ---
+    const bindGroupA = device.createBindGroup({
+      layout: pipelines.loraForwardA.getBindGroupLayout(1),
+      entries: [
+        { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
+        { binding: 1, resource: buffers.inputActivationBuffer },
+        { binding: 2, resource: { buffer: buffers.matrixABuffer } },
+        { binding: 3, resource: { buffer: buffers.matrixBBuffer } },
+        { binding: 4, resource: buffers.loraOutputBuffer }, // Not used here, just a placeholder for final output
+        { binding: 5, resource: buffers.intermediateResultBuffer },
+      ]
+    });
+    pass.setPipeline(pipelines.loraForwardA);
+    pass.setBindGroup(1, bindGroupA);
+    pass.dispatchWorkgroups(Math.ceil(buffers.rank / 16), numTokens); // rank / TILE_DIM
+
+    // --- Forward B ---
+    const bindGroupB = device.createBindGroup({
+      layout: pipelines.loraForwardB.getBindGroupLayout(1),
+      entries: [
+        { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
+        { binding: 1, resource: buffers.inputActivationBuffer }, // Original input, not used but required by layout
+        { binding: 2, resource: { buffer: buffers.matrixABuffer } },
+        { binding: 3, resource: { buffer: buffers.matrixBBuffer } },
+        { binding: 4, resource: buffers.loraOutputBuffer }, // LoRA delta for every token
+        { binding: 5, resource: buffers.intermediateResultBuffer },
+      ]
+    });
+    pass.setPipeline(pipelines.loraForwardB);
+    pass.setBindGroup(1, bindGroupB);
+    pass.dispatchWorkgroups(Math.ceil(numTokens * buffers.outputDim / 256));
+
+    pass.end();
+  }
+
+  /**
+   * Encodes the LoRA backward pass (for dL/dB and dL/dA) into a command encoder.
+   */
+  encodeLoraBackward(encoder, buffers) {
+    const { device, pipelines } = this;
+    const { inputDim, outputDim, rank } = buffers;
+    const pass = encoder.beginComputePass({ label: "LoRA Backward Pass" });
+
+    // --- Backward B ---
+    const bindGroupB = device.createBindGroup({
+      layout: pipelines.loraBackwardB.getBindGroupLayout(2),
+      entries: [
+        { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
+        { binding: 1, resource: buffers.outputGradientBuffer },
+        { binding: 2, resource: buffers.intermediateResultBuffer },
+        { binding: 3, resource: { buffer: buffers.gradientBBuffer } },
+      ]
+    });
+    pass.setPipeline(pipelines.loraBackwardB);
+    pass.setBindGroup(2, bindGroupB);
+    pass.dispatchWorkgroups(Math.ceil(rank / 16), Math.ceil(outputDim / 16));
+
+    // --- Backward A ---
+    const bindGroupA = device.createBindGroup({
+      layout: pipelines.loraBackwardA.getBindGroupLayout(3),
+      entries: [
+        { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
+        { binding: 1, resource: buffers.outputGradientBuffer },
+        { binding: 2, resource: { buffer: buffers.matrixBBuffer } },
+        { binding: 3, resource: buffers.inputActivationBuffer },
+        { binding: 4, resource: { buffer: buffers.gradientABuffer } },
+      ]
+    });
+    pass.setPipeline(pipelines.loraBackwardA);
+    pass.setBindGroup(3, bindGroupA);
+    pass.dispatchWorkgroups(Math.ceil(inputDim / 16), Math.ceil(rank / 16));
+
+    pass.end();
+  }
+
+  /**
+   * Encodes the scaled addition of a layer's fresh gradients into its accumulated gradients.
+   */
+  encodeGradientAccumulation(encoder, buffers) {
+    const { device, pipelines } = this;
+    const pass = encoder.beginComputePass({ label: "Gradient Accumulation" });
+    pass.setPipeline(pipelines.gradientAccumulation);
+
+    for (const [slot, gradient, accumulated, count] of [
+      [0, buffers.gradientABuffer, buffers.accumulatedABuffer, buffers.inputDim * buffers.rank],
+      [1, buffers.gradientBBuffer, buffers.accumulatedBBuffer, buffers.rank * buffers.outputDim]
+    ]) {
+      const bindGroup = device.createBindGroup({
+        layout: pipelines.gradientAccumulation.getBindGroupLayout(4),
+        entries: [
+          { binding: 0, resource: { buffer: buffers.gradAccumParamsBuffer, offset: slot * UNIFORM_OFFSET_ALIGNMENT, size: SMALL_PARAMS_SIZE } },
+          { binding: 1, resource: { buffer: gradient } },
+          { binding: 2, resource: { buffer: accumulated } },
+        ]
+      });
+      pass.setBindGroup(4, bindGroup);
+      pass.dispatchWorkgroups(Math.ceil(count / 256));
+    }
+
+    pass.end();
+  }
+
+  /**
+   * Encodes the optimizer update of a list of weight matrices, each
+   * { weights, gradients, state, rows, cols } with GPU buffers.
+   * @returns {GPUBuffer[]} Per-update buffers to release once the commands have run
+   */
+  encodeOptimizerUpdate(encoder, optimizer, matrices) {
+    const { device, pipelines } = this;
+    const kernels = OPTIMIZER_KERNELS[optimizer];
+    const temporaryBuffers = [];
+
+    // Adafactor: one MatrixParams slot per matrix, and scratch for its row mean and partial sums
+    let matrixParamsBuffer = null;
+    let adafactorScratch = null;
+    if (kernels.some(({ resources }) => resources.includes('matrix'))) {
+      const paramsData = new ArrayBuffer(matrices.length * UNIFORM_OFFSET_ALIGNMENT);
+      const paramsView = new DataView(paramsData);
+      let scratchOffset = 0;
+      matrices.forEach(({ rows, cols }, i) => {
+        paramsView.setUint32(i * UNIFORM_OFFSET_ALIGNMENT, rows, true);
+        paramsView.setUint32(i * UNIFORM_OFFSET_ALIGNMENT + 4, cols, true);
+        paramsView.setUint32(i * UNIFORM_OFFSET_ALIGNMENT + 8, scratchOffset, true);
+        scratchOffset += 1 + Math.ceil(rows * cols / 256);
+      });
+      matrixParamsBuffer = device.createBuffer({ size: paramsData.byteLength, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      device.queue.writeBuffer(matrixParamsBuffer, 0, paramsData);
+      adafactorScratch = device.createBuffer({ size: scratchOffset * 4, usage: GPUBufferUsage.STORAGE });
+      temporaryBuffers.push(matrixParamsBuffer, adafactorScratch);
+    }
+
+    const pass = encoder.beginComputePass({ label: `${OPTIMIZER_LABELS[optimizer]} Update` });
+    matrices.forEach((matrix, i) => {
+      const resources = {
+        params: { buffer: this.optimizerParamsBuffer },
+        gradients: { buffer: matrix.gradients },
+        weights: { buffer: matrix.weights },
+        matrix: matrixParamsBuffer && { buffer: matrixParamsBuffer, offset: i * UNIFORM_OFFSET_ALIGNMENT, size: SMALL_PARAMS_SIZE },
+        scratch: adafactorScratch && { buffer: adafactorScratch }
+      };
+      const threads = { values: matrix.rows * matrix.cols, rows: matrix.rows, cols: matrix.cols };
+
+      for (const kernel of kernels) {
+        const bindGroup = device.createBindGroup({
+          layout: pipelines[kernel.pipeline].getBindGroupLayout(7),
+          entries: kernel.resources.map(name => name in OPTIMIZER_BINDINGS
+            ? { binding: OPTIMIZER_BINDINGS[name], resource: resources[name] }
+            : { binding: STATE_BINDINGS[optimizer][name], resource: { buffer: matrix.state[name] } })
+        });
+        pass.setPipeline(pipelines[kernel.pipeline]);
+        pass.setBindGroup(7, bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(threads[kernel.threads] / 256));
+      }
+    });
+    pass.end();
+
+    return temporaryBuffers;
+  }
+
+  /**
+   * Copy a set of storage buffers back to the CPU in a single submission.
+   * @param {Object} sources - Map of key -> { buffer, ArrayType }
+   * @returns {Promise<Object>} Map of key -> typed array copy
+   */
+  async readBuffers(sources) {
+    const { device } = this;
+    const commandEncoder = device.createCommandEncoder();
+    const readbackBuffers = {};
+
+    for (const [key, { buffer }] of Object.entries(sources)) {
+      const readBuffer = device.createBuffer({ size: buffer.size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      commandEncoder.copyBufferToBuffer(buffer, 0, readBuffer, 0, buffer.size);
+      readbackBuffers[key] = readBuffer;
+    }
+    device.queue.submit([commandEncoder.finish()]);
+
+    const results = {};
+    for (const [key, readBuffer] of Object.entries(readbackBuffers)) {
+      await readBuffer.mapAsync(GPUMapMode.READ);
+      results[key] = new sources[key].ArrayType(readBuffer.getMappedRange()).slice();
+      readBuffer.unmap();
+      readBuffer.destroy();
+    }
+
+    return results;
+  }
+
+  /**
+   * Copy the current adapter weights back to the CPU.
+   * @param {string[]} [layerNames] - Layers to read (defaults to all)
+   * @returns {Promise<Object>} Map of layer name -> { A, B }
+   */
+  async readWeights(layerNames = Object.keys(this.layers)) {
+    const sources = {};
+    for (const layerName of layerNames) {
+      const layer = this.layers[layerName];
+      if (!layer) continue;
+      sources[`${layerName}.A`] = { buffer: layer.weightsA, ArrayType: Float32Array };
+      sources[`${layerName}.B`] = { buffer: layer.weightsB, ArrayType: Float32Array };
+    }
+
+    const arrays = await this.readBuffers(sources);
+    const weights = {};
+    for (const layerName of layerNames) {
+      if (!this.layers[layerName]) continue;
+      weights[layerName] = { A: arrays[`${layerName}.A`], B: arrays[`${layerName}.B`] };
+    }
+    return weights;
+  }
+
+  /**
+   * Copy the accumulated gradients (before clipping) back to the CPU, for importance scores.
+   * @param {string[]} [layerNames] - Layers to read (defaults to all)
+   * @returns {Promise<Object>} Map of layer name -> { A, B }
+   */
+  async readGradients(layerNames = Object.keys(this.layers)) {
+    const sources = {};
+    for (const layerName of layerNames) {
+      const layer = this.layers[layerName];
+      if (!layer) continue;
+      sources[`${layerName}.A`] = { buffer: layer.accumulatedA, ArrayType: Float32Array };
+      sources[`${layerName}.B`] = { buffer: layer.accumulatedB, ArrayType: Float32Array };
+    }
+
+    const arrays = await this.readBuffers(sources);
+    const gradients = {};
+    for (const layerName of layerNames) {
+      if (!this.layers[layerName]) continue;
+      gradients[layerName] = { A: arrays[`${layerName}.A`], B: arrays[`${layerName}.B`] };
+    }
+    return gradients;
+  }
+
+  /**
+   * Snapshot adapter weights and optimizer state for a checkpoint.
+   * Tensor names and layouts match CPUTrainingBackend.exportState, so checkpoints move between backends.
+   * @returns {Promise<Object>} { layers: { [name]: { inputDim, outputDim, rank } }, tensors }
+   */
+  async exportState() {
+    const layers = {};
+    const sources = {};
+    for (const [layerName, layer] of Object.entries(this.layers)) {
+      const { inputDim, outputDim, rank } = layer;
+      layers[layerName] = { inputDim, outputDim, rank };
+      sources[`${layerName}.A`] = { buffer: layer.weightsA, ArrayType: Float32Array };
+      sources[`${layerName}.B`] = { buffer: layer.weightsB, ArrayType: Float32Array };
+      const shapes = loraMatrixShapes(layer);
+      for (const matrix of ['A', 'B']) {
+        for (const { name, ArrayType } of optimizerStateSpec(this.optimizer, shapes[matrix].rows, shapes[matrix].cols)) {
+          sources[stateTensorName(layerName, name, matrix)] = { buffer: layer[`state${matrix}`][name], ArrayType };
+        }
+      }
+    }
+    return { layers, tensors: await this.readBuffers(sources) };
+  }
+
+  /**
+   * Restore state produced by exportState, replacing all current layers.
+   * @param {Object} state - { layers, tensors }
+   * @param {Object} adapterConfig - { rank, alpha, rankPattern }
+   */
+  importState(state, adapterConfig) {
+    Object.keys(this.layers).forEach(layerName => this.destroyLayer(layerName));
+    this.adapterConfig = adapterConfig;
+
+    for (const [layerName, dims] of Object.entries(state.layers)) {
+      const shapes = loraMatrixShapes(dims);
+      const optimizerState = matrix => restoreOptimizerState(
+        this.optimizer,
+        name => state.tensors[stateTensorName(layerName, name, matrix)],
+        shapes[matrix].rows,
+        shapes[matrix].cols
+      );
+      this.layers[layerName] = this.createLayer(dims, state.tensors[`${layerName}.A`], state.tensors[`${layerName}.B`], {
+        A: optimizerState('A'),
+        B: optimizerState('B')
+      });
+    }
+
+    this.ensureSharedBuffers();
+  }
+
+  /**
+   * Mean next-token cross-entropy over every unmasked position, using the WGSL kernel.
+   * Positions labelled IGNORE_INDEX (-100) are excluded, matching the CPU backend.
+   * @param {Object} logits - Logits tensor [batch, seq, vocab]
+   * @param {Object} labels - Label tensor [batch, seq]
+   * @returns {Promise<number|null>} Loss, or null if unavailable
+   */
+  async computeLoss(logits, labels) {
+    const { device } = this;
+    try {
+      const logitData = toFloat32(logits);
+      if (!device || !this.pipelines.crossEntropyLoss || !logitData || !labels) return null;
+
+      const labelsArray = Int32Array.from(labels.data ?? labels, Number);
+      const numRows = labelsArray.length;
+      const vocabSize = logits.dims?.[logits.dims.length - 1];
+      if (!vocabSize || numRows * vocabSize !== logitData.length) return null;
+
+      const numTrained = labelsArray.reduce((count, label) => count + (label === IGNORE_INDEX ? 0 : 1), 0);
+      if (numTrained === 0) return 0;
+
+      const logitsBuffer = device.createBuffer({ size: logitData.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+      device.queue.writeBuffer(logitsBuffer, 0, logitData);
+
+      const labelsBuffer = device.createBuffer({ size: labelsArray.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+      device.queue.writeBuffer(labelsBuffer, 0, labelsArray);
+
+      const lossesBuffer = device.createBuffer({ size: numRows * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+
+      // CELossParams: vocabSize, batchSize (u32), epsilon (f32), padded to 16 bytes
+      const ceParams = new DataView(new ArrayBuffer(16));
+      ceParams.setUint32(0, vocabSize, true);
+      ceParams.setUint32(4, numRows, true);
+      ceParams.setFloat32(8, 1e-7, true);
+      const ceParamsBuffer = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      device.queue.writeBuffer(ceParamsBuffer, 0, ceParams.buffer);
+
+      const bindGroup = device.createBindGroup({
+        layout: this.pipelines.crossEntropyLoss.getBindGroupLayout(6),
+        entries: [
+          { binding: 0, resource: { buffer: ceParamsBuffer } },
+          { binding: 1, resource: { buffer: logitsBuffer } },
+          { binding: 2, resource: { buffer: labelsBuffer } },
+          { binding: 3, resource: { buffer: lossesBuffer } }
+        ]
+      });
+
+      const encoder = device.createCommandEncoder();
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(this.pipelines.crossEntropyLoss);
+      pass.setBindGroup(6, bindGroup);
+      pass.dispatchWorkgroups(numRows); // One workgroup per token row
+      pass.end();
+      device.queue.submit([encoder.finish()]);
+
+      // Masked rows are written as 0, so the sum only covers trained tokens
+      const { losses } = await this.readBuffers({ losses: { buffer: lossesBuffer, ArrayType: Float32Array } });
+      const lossVal = losses.reduce((sum, value) => sum + value, 0) / numTrained;
+
+      logitsBuffer.destroy();
+      labelsBuffer.destroy();
+      lossesBuffer.destroy();
+      ceParamsBuffer.destroy();
+
+      return lossVal;
+    } catch (e) {
+      console.warn("GPU CE loss computation failed", e);
+      return null;
+    }
+  }
+
+  destroyLayer(layerName) {
+    const layer = this.layers[layerName];
+    if (!layer) return;
+    for (const key of ['weightsA', 'weightsB', 'gradientsA', 'gradientsB', 'accumulatedA', 'accumulatedB']) {
+      layer[key].destroy();
+    }
+    [...Object.values(layer.stateA), ...Object.values(layer.stateB)].forEach(buffer => buffer.destroy());
+    delete this.layers[layerName];
+  }
+
+  /**
+   * Release every GPU buffer owned by the backend. Pipelines and the device are kept for reuse.
+   */
+  destroy() {
+    Object.keys(this.layers).forEach(layerName => this.destroyLayer(layerName));
+    for (const buffer of [this.loraParamsBuffer, this.optimizerParamsBuffer, this.gradAccumParamsBuffer, this.scratchBuffer]) {
+      buffer?.destroy();
+    }
+    this.loraParamsBuffer = null;
+    this.optimizerParamsBuffer = null;
+    this.gradAccumParamsBuffer = null;
+    this.scratchBuffer = null;
+  }
+}
+
+export default WebGPUTrainingBackend;
@@ -0,0 +1,162 @@
+/**
+ * Conversation Context for LoRA Lab
+ * Turns the chat history into the message list sent to the model, and fits that list into
+ * the model's context window.
+ *
+ * A conversation is an optional system message followed by turns (a user message and the
+ * assistant's reply). When the prompt would leave less room than the response may need, the
+ * oldest turns go first: they are either dropped, or replaced by a short extractive recap
+ * (the opening words of each dropped message) added to the system message. The system
+ * message and the newest user message are always kept.
+ */
+
+export const CONTEXT_STRATEGIES = {
+  TRUNCATE: 'truncate',   // Drop the oldest turns
+  SUMMARIZE: 'summarize'  // Replace the oldest turns with a recap in the system message
+};
+
+export const CONTEXT_STRATEGY_LABELS = {
+  [CONTEXT_STRATEGIES.TRUNCATE]: 'Drop oldest turns',
+  [CONTEXT_STRATEGIES.SUMMARIZE]: 'Summarize oldest turns'
+};
+
+// Context window used when the model config does not state one
+export const DEFAULT_CONTEXT_LIMIT = 2048;
+
+const RECAP_CHARS_PER_MESSAGE = 120;
+const RECAP_MAX_CHARS = 1200;
+
+/**
+ * Context window of a model, in tokens.
+ * @param {Object} config - Model config (config.json)
+ * @returns {number} Maximum sequence length
+ */
+export function getContextLimit(config) {
+  return config?.max_position_embeddings ?? config?.n_positions ?? config?.max_sequence_length ?? DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * The chat history as { role, content } messages.
+ * Loading and failed responses are left out; a compare-mode exchange continues with the
+ * response the user preferred (the left one when there was no pick).
+ * @param {Object[]} chatHistory - Chat messages as kept by the app
+ * @returns {Array<{role: string, content: string}>} Messages
+ */
+export function chatHistoryToMessages(chatHistory) {
+  const messages = [];
+  for (const message of chatHistory) {
+    if (message.isLoading || message.isError) continue;
+
+    let content = message.content;
+    if (message.compare) {
+      const [left, right] = message.columns;
+      content = message.rating === 'right' ? right.content : left.content;
+    }
+    if (content) {
+      messages.push({ role: message.role, content });
+    }
+  }
+  return messages;
+}
+
+/**
+ * The opening words of a message, for the recap of dropped turns.
+ * @param {string} text - Message content
+ * @returns {string} At most RECAP_CHARS_PER_MESSAGE characters on one line
+ */
+function excerpt(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > RECAP_CHARS_PER_MESSAGE ? `${line.slice(0, RECAP_CHARS_PER_MESSAGE - 1)}…` : line;
+}
+
+/**
+ * Recap of dropped messages, keeping the newest when it gets too long.
+ * @param {Array<{role: string, content: string}>} messages - Dropped messages, oldest first
+ * @param {number} [maxChars] - Length limit of the recap lines
+ * @returns {string} Recap text
+ */
+export function summarizeMessages(messages, maxChars = RECAP_MAX_CHARS) {
+  const lines = [];
+  let length = 0;
+  for (const message of [...messages].reverse()) {
+    const line = `- ${message.role === 'user' ? 'User' : 'Assistant'}: ${excerpt(message.content)}`;
+    if (length + line.length > maxChars) break;
+    lines.unshift(line);
+    length += line.length + 1;
+  }
+  return `Summary of the earlier conversation:\n${lines.join('\n')}`;
+}
+
+/**
+ * Group messages into the system message and turns, each turn starting at a user message.
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ * @returns {{system: Object|null, turns: Array<Object[]>}}
+ */
+function splitTurns(messages) {
+  const system = messages[0]?.role === 'system' ? messages[0] : null;
+  const turns = [];
+  for (const message of system ? messages.slice(1) : messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return { system, turns };
+}
+
+/**
+ * Fit a conversation into a token budget by dropping or summarizing its oldest turns.
+ * @param {Array<{role: string, content: string}>} messages - Conversation, ending with the new user message
+ * @param {function(Object[]): number} countTokens - Prompt length of a message list, in tokens
+ * @param {number} budget - Tokens available for the prompt
+ * @param {string} [strategy] - CONTEXT_STRATEGIES value
+ * @returns {{messages: Object[], promptTokens: number, droppedTurns: number, summarized: boolean, overflow: boolean}}
+ *   overflow is set when even the newest turn alone does not fit
+ */
+export function fitConversation(messages, countTokens, budget, strategy = CONTEXT_STRATEGIES.TRUNCATE) {
+  const { system, turns } = splitTurns(messages);
+
+  // recapChars 0 leaves the dropped turns out without a recap
+  const build = (dropped, recapChars) => {
+    const kept = turns.slice(dropped).flat();
+    if (recapChars > 0) {
+      const recap = summarizeMessages(turns.slice(0, dropped).flat(), recapChars);
+      const content = system ? `${system.content}\n\n${recap}` : recap;
+      return [{ role: 'system', content }, ...kept];
+    }
+    return system ? [system, ...kept] : kept;
+  };
+
+  let result = null;
+  for (let dropped = 0; dropped < Math.max(turns.length, 1); dropped++) {
+    // A recap that does not fit is shortened before more turns are dropped
+    const recapSizes = dropped > 0 && strategy === CONTEXT_STRATEGIES.SUMMARIZE
+      ? [RECAP_MAX_CHARS, RECAP_MAX_CHARS / 2, RECAP_MAX_CHARS / 4, 0]
+      : [0];
+    for (const recapChars of recapSizes) {
+      const candidate = build(dropped, recapChars);
+      result = {
+        messages: candidate,
+        promptTokens: countTokens(candidate),
+        droppedTurns: dropped,
+        summarized: recapChars > 0,
+        overflow: false
+      };
+      if (result.promptTokens <= budget) return result;
+    }
+  }
+
+  // Only the newest turn is left and it is still too long; send it as it is
+  return { ...result, overflow: true };
+}
+
+export default {
+  CONTEXT_STRATEGIES,
+  CONTEXT_STRATEGY_LABELS,
+  DEFAULT_CONTEXT_LIMIT,
+  getContextLimit,
+  chatHistoryToMessages,
+  summarizeMessages,
+  fitConversation
+};
@@ -0,0 +1,309 @@
+/**
+ * Chat Sessions for LoRA Lab
+ * Named conversations stored in IndexedDB, so chats survive reloads and can be searched,
+ * forked and shared.
+ *
+ * A session is { id, name, modelId, systemPrompt, generation, adapters, messages, createdAt,
+ * updatedAt, forkedFrom }:
+ *   generation  the sampling settings last used in the chat (see generationConfig.js)
+ *   adapters    [{ id, name, scale, hash }] the adapters last applied; every assistant message
+ *               also keeps the adapters, seed and settings it was generated with
+ *   forkedFrom  { sessionId, messageIndex } when the chat was forked from another one
+ *
+ * Exported sessions are JSON files ({ format: 'lora-lab-chat', version, session }) that
+ * import back as new sessions. The plain exports written by earlier versions import too.
+ */
+
+const DB_NAME = 'lora-lab-chats';
+const STORE_NAME = 'sessions';
+
+export const SESSION_FORMAT = 'lora-lab-chat';
+export const SESSION_FORMAT_VERSION = 1;
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = callback(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function createId() {
+  return `chat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Chat messages as plain data: in-flight state is dropped and the rest is copied, so a
+ * session never shares objects with the live chat.
+ * @param {Object[]} messages - Chat messages as kept by the app
+ * @returns {Object[]} Serializable messages
+ */
+export function serializeMessages(messages) {
+  return messages
+    .filter(message => !message.isLoading)
+    .map(message => {
+      const copy = JSON.parse(JSON.stringify(message));
+      delete copy.isLoading;
+      copy.columns?.forEach(column => { delete column.isLoading; });
+      return copy;
+    });
+}
+
+/**
+ * A session name from the first user message.
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} Name
+ */
+export function defaultSessionName(messages) {
+  const first = messages.find(message => message.role === 'user')?.content?.replace(/\s+/g, ' ').trim();
+  if (!first) return 'New chat';
+  return first.length > 48 ? `${first.slice(0, 47)}…` : first;
+}
+
+/**
+ * A new, unsaved session.
+ * @param {Object} [fields] - Initial fields (modelId, systemPrompt, generation, adapters, messages, ...)
+ * @returns {Object} Session
+ */
+export function createSession(fields = {}) {
+  const now = Date.now();
+  const messages = serializeMessages(fields.messages || []);
+  return {
+    id: createId(),
+    name: fields.name || defaultSessionName(messages),
+    modelId: fields.modelId ?? null,
+    systemPrompt: fields.systemPrompt ?? '',
+    generation: fields.generation ?? null,
+    adapters: fields.adapters ?? [],
+    messages,
+    createdAt: now,
+    updatedAt: now,
+    forkedFrom: fields.forkedFrom ?? null
+  };
+}
+
+/**
+ * Store a session, replacing the stored version with the same ID.
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} The stored session
+ */
+export async function saveSession(session) {
+  const stored = { ...session, messages: serializeMessages(session.messages), updatedAt: Date.now() };
+  await withStore('readwrite', store => store.put(stored));
+  return stored;
+}
+
+/**
+ * Load a stored session.
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session, or null if there is none with that ID
+ */
+export async function loadSession(id) {
+  return (await withStore('readonly', store => store.get(id))) ?? null;
+}
+
+/**
+ * Remove a stored session.
+ * @param {string} id - Session ID
+ */
+export async function deleteSession(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+// Text of a message that search looks at; compare messages contribute both responses
+function messageText(message) {
+  return message.compare
+    ? message.columns.map(column => column.content).join('\n')
+    : message.content || '';
+}
+
+// Search result excerpt around the first match
+function snippet(text, index, length) {
+  const start = Math.max(index - 30, 0);
+  const end = Math.min(index + length + 50, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Stored sessions, most recently updated first, optionally filtered.
+ * @param {Object} [filter] - { query, modelId }. The query matches the name, the system
+ *   prompt and message contents, case-insensitively.
+ * @returns {Promise<Object[]>} Summaries { id, name, modelId, messageCount, createdAt,
+ *   updatedAt, forkedFrom, match } where match is an excerpt of the first matching message
+ */
+export async function listSessions(filter = {}) {
+  const query = (filter.query || '').trim().toLowerCase();
+  const sessions = await withStore('readonly', store => store.getAll());
+
+  return sessions
+    .filter(session => !filter.modelId || session.modelId === filter.modelId)
+    .map(session => {
+      let match = null;
+      if (query) {
+        const texts = [session.name, session.systemPrompt || '', ...session.messages.map(messageText)];
+        for (const text of texts) {
+          const index = text.toLowerCase().indexOf(query);
+          if (index >= 0) {
+            match = snippet(text, index, query.length);
+            break;
+          }
+        }
+        if (match === null) return null;
+      }
+      return {
+        id: session.id,
+        name: session.name,
+        modelId: session.modelId,
+        messageCount: session.messages.length,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        forkedFrom: session.forkedFrom,
+        match
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * A new session holding a session's conversation up to and including one message.
+ * @param {Object} session - Session to fork
+ * @param {number} messageIndex - Index of the last message to keep
+ * @returns {Object} Unsaved session
+ */
+export function forkSession(session, messageIndex) {
+  return createSession({
+    ...session,
+    name: `${session.name} (fork)`,
+    messages: session.messages.slice(0, messageIndex + 1),
+    forkedFrom: { sessionId: session.id, messageIndex }
+  });
+}
+
+/**
+ * A session as shareable JSON.
+ * @param {Object} session - Session
+ * @returns {string} JSON text
+ */
+export function sessionToJson(session) {
+  return JSON.stringify({
+    format: SESSION_FORMAT,
+    version: SESSION_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { ...session, messages: serializeMessages(session.messages) }
+  }, null, 2);
+}
+
+/**
+ * Read an exported chat into a new, unsaved session.
+ * Accepts session exports and the plain { model, timestamp, messages } chat exports.
+ * @param {string} text - JSON text
+ * @returns {Object} Session with a fresh ID
+ */
+export function parseSessionJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a chat export: ${error.message}`);
+  }
+
+  const source = data?.format === SESSION_FORMAT ? data.session : data;
+  if (data?.format === SESSION_FORMAT && data.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Chat export version ${data.version} is newer than this version of LoRA Lab supports`);
+  }
+  if (!source || !Array.isArray(source.messages)) {
+    throw new Error('Not a chat export: no messages found');
+  }
+
+  const messages = source.messages.map((message, index) => {
+    if (!['user', 'assistant', 'system'].includes(message?.role)) {
+      throw new Error(`Message ${index + 1} has no valid role`);
+    }
+    const timestamp = typeof message.timestamp === 'number' ? message.timestamp : Date.parse(message.timestamp) || Date.now();
+    if (!Array.isArray(message.columns)) {
+      return { ...message, content: message.content ?? '', timestamp };
+    }
+    // Compare exchanges; plain exports kept only the label and text of each column
+    return {
+      ...message,
+      compare: true,
+      content: message.content ?? '',
+      timestamp,
+      columns: message.columns.map((column, columnIndex) => ({
+        key: columnIndex === 0 ? 'left' : 'right',
+        adapters: [],
+        stats: null,
+        ...column,
+        content: column.content ?? ''
+      })),
+      diff: message.diff ?? null,
+      rating: message.rating ?? null
+    };
+  });
+
+  return createSession({
+    name: source.name,
+    modelId: source.modelId ?? null,
+    systemPrompt: source.systemPrompt ?? '',
+    generation: source.generation ?? null,
+    adapters: source.adapters ?? [],
+    messages,
+    forkedFrom: source.forkedFrom ?? null
+  });
+}
+
+/**
+ * Download a session as a JSON file.
+ * @param {Object} session - Session
+ * @param {string} [filename] - Download file name
+ */
+export function downloadSession(session, filename = `lora-lab-chat-${session.id}.json`) {
+  const blob = new Blob([sessionToJson(session)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  SESSION_FORMAT,
+  SESSION_FORMAT_VERSION,
+  serializeMessages,
+  defaultSessionName,
+  createSession,
+  saveSession,
+  loadSession,
+  deleteSession,
+  listSessions,
+  forkSession,
+  sessionToJson,
+  parseSessionJson,
+  downloadSession
+};
@@ -0,0 +1,299 @@
+/**
+ * Checkpoint Storage for LoRA Lab
+ * Persists resumable training checkpoints in browser storage.
+ *
+ * A checkpoint is { id, summary, state, tensors }:
+ *   summary  small JSON record shown in the resume list (step, loss, model, savedAt)
+ *   state    JSON-serializable training state (config, counters, histories, scheduler)
+ *   tensors  name -> Float32Array | Uint32Array (adapter weights and packed optimizer moments)
+ *
+ * Every store implements the same async interface — save(checkpoint), load(id), list(),
+ * delete(id) — so the training worker can run against OPFS, IndexedDB or the in-memory
+ * stand-in used outside the browser.
+ */
+
+const CHECKPOINT_FORMAT_VERSION = 1;
+
+const TYPED_ARRAYS = {
+  F32: Float32Array,
+  U32: Uint32Array
+};
+
+/**
+ * Storage backends
+ */
+export const CHECKPOINT_STORES = {
+  AUTO: 'auto',
+  OPFS: 'opfs',
+  INDEXED_DB: 'indexeddb',
+  MEMORY: 'memory'
+};
+
+function getDtype(array) {
+  if (array instanceof Float32Array) return 'F32';
+  if (array instanceof Uint32Array) return 'U32';
+  throw new Error(`Unsupported checkpoint tensor type: ${array?.constructor?.name}`);
+}
+
+/**
+ * Pack a checkpoint into a single binary blob: an 8-byte little-endian header length,
+ * a JSON header (everything but the tensor bytes), then the raw tensor data.
+ * @param {Object} checkpoint - Checkpoint to pack
+ * @returns {Uint8Array} Packed bytes
+ */
+export function packCheckpoint(checkpoint) {
+  const { tensors = {}, ...rest } = checkpoint;
+  const tensorIndex = {};
+  let byteLength = 0;
+
+  for (const [name, array] of Object.entries(tensors)) {
+    // Offsets stay 4-byte aligned so tensors can be viewed in place when unpacking
+    tensorIndex[name] = { dtype: getDtype(array), offset: byteLength, length: array.length };
+    byteLength += array.byteLength;
+  }
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify({ ...rest, version: CHECKPOINT_FORMAT_VERSION, tensorIndex }));
+  const headerLength = Math.ceil(headerBytes.length / 8) * 8;
+  const result = new Uint8Array(8 + headerLength + byteLength);
+
+  new DataView(result.buffer).setBigUint64(0, BigInt(headerLength), true);
+  result.fill(0x20, 8, 8 + headerLength); // Pad the JSON header with spaces
+  result.set(headerBytes, 8);
+
+  for (const [name, array] of Object.entries(tensors)) {
+    result.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), 8 + headerLength + tensorIndex[name].offset);
+  }
+
+  return result;
+}
+
+/**
+ * Inverse of packCheckpoint.
+ * @param {ArrayBuffer|Uint8Array} data - Packed bytes
+ * @returns {Object} Checkpoint
+ */
+export function unpackCheckpoint(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const headerLength = Number(new DataView(bytes.buffer, bytes.byteOffset, 8).getBigUint64(0, true));
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+  const { tensorIndex = {}, version, ...rest } = header;
+
+  if (version !== CHECKPOINT_FORMAT_VERSION) {
+    throw new Error(`Unsupported checkpoint format version: ${version}`);
+  }
+
+  const dataStart = 8 + headerLength;
+  const tensors = {};
+  for (const [name, { dtype, offset, length }] of Object.entries(tensorIndex)) {
+    const ArrayType = TYPED_ARRAYS[dtype];
+    const start = dataStart + offset;
+    // Copy out so each tensor owns an aligned buffer
+    tensors[name] = new ArrayType(bytes.slice(start, start + length * ArrayType.BYTES_PER_ELEMENT).buffer);
+  }
+
+  return { ...rest, tensors };
+}
+
+/**
+ * In-memory checkpoint store. Used when no persistent storage is available and as a
+ * stand-in for the browser stores outside the browser.
+ */
+export class MemoryCheckpointStore {
+  constructor() {
+    this.name = CHECKPOINT_STORES.MEMORY;
+    this.records = new Map();
+  }
+
+  async save(checkpoint) {
+    // Store a packed copy so later mutation of live training buffers cannot leak in
+    this.records.set(checkpoint.id, { summary: { ...checkpoint.summary }, packed: packCheckpoint(checkpoint) });
+  }
+
+  async load(id) {
+    const record = this.records.get(id);
+    return record ? unpackCheckpoint(record.packed) : null;
+  }
+
+  async list() {
+    return [...this.records.values()].map(record => record.summary);
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+/**
+ * IndexedDB checkpoint store. Summaries and packed checkpoints live in separate object
+ * stores so listing never reads the tensor data.
+ */
+export class IndexedDBCheckpointStore {
+  constructor(dbName = 'lora-lab-checkpoints') {
+    this.name = CHECKPOINT_STORES.INDEXED_DB;
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('summaries', { keyPath: 'id' });
+          db.createObjectStore('checkpoints');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['summaries', 'checkpoints'], mode);
+      let result;
+      Promise.resolve(callback(tx)).then(value => { result = value; });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async save(checkpoint) {
+    const packed = packCheckpoint(checkpoint);
+    await this.transaction('readwrite', (tx) => {
+      tx.objectStore('summaries').put({ ...checkpoint.summary, id: checkpoint.id });
+      tx.objectStore('checkpoints').put(packed, checkpoint.id);
+    });
+  }
+
+  async load(id) {
+    const packed = await this.transaction('readonly', (tx) => requestToPromise(tx.objectStore('checkpoints').get(id)));
+    return packed ? unpackCheckpoint(packed) : null;
+  }
+
+  async list() {
+    return this.transaction('readonly', (tx) => requestToPromise(tx.objectStore('summaries').getAll()));
+  }
+
+  async delete(id) {
+    await this.transaction('readwrite', (tx) => {
+      tx.objectStore('summaries').delete(id);
+      tx.objectStore('checkpoints').delete(id);
+    });
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Origin Private File System checkpoint store: `<id>.ckpt` holds the packed checkpoint
+ * and `<id>.json` its summary.
+ */
+export class OPFSCheckpointStore {
+  constructor(directoryName = 'lora-lab-checkpoints') {
+    this.name = CHECKPOINT_STORES.OPFS;
+    this.directoryName = directoryName;
+  }
+
+  async getDirectory() {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(this.directoryName, { create: true });
+  }
+
+  async writeFile(directory, fileName, data) {
+    const handle = await directory.getFileHandle(fileName, { create: true });
+    if ('createWritable' in handle) {
+      const writable = await handle.createWritable();
+      await writable.write(data);
+      await writable.close();
+      return;
+    }
+
+    // Browsers without createWritable still offer sync access handles inside workers
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const accessHandle = await handle.createSyncAccessHandle();
+    try {
+      accessHandle.truncate(0);
+      accessHandle.write(bytes, { at: 0 });
+      accessHandle.flush();
+    } finally {
+      accessHandle.close();
+    }
+  }
+
+  async save(checkpoint) {
+    const directory = await this.getDirectory();
+    // Write the data before the summary so a listed checkpoint is always complete
+    await this.writeFile(directory, `${checkpoint.id}.ckpt`, packCheckpoint(checkpoint));
+    await this.writeFile(directory, `${checkpoint.id}.json`, JSON.stringify({ ...checkpoint.summary, id: checkpoint.id }));
+  }
+
+  async load(id) {
+    const directory = await this.getDirectory();
+    try {
+      const file = await (await directory.getFileHandle(`${id}.ckpt`)).getFile();
+      return unpackCheckpoint(await file.arrayBuffer());
+    } catch (error) {
+      if (error.name === 'NotFoundError') return null;
+      throw error;
+    }
+  }
+
+  async list() {
+    const directory = await this.getDirectory();
+    const summaries = [];
+    for await (const [fileName, handle] of directory.entries()) {
+      if (handle.kind === 'file' && fileName.endsWith('.json')) {
+        summaries.push(JSON.parse(await (await handle.getFile()).text()));
+      }
+    }
+    return summaries;
+  }
+
+  async delete(id) {
+    const directory = await this.getDirectory();
+    for (const fileName of [`${id}.json`, `${id}.ckpt`]) {
+      await directory.removeEntry(fileName).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Create the best available checkpoint store.
+ * The training worker and the UI thread both call this and must land on the same store,
+ * so the choice only depends on which storage APIs exist, not on the calling context.
+ * @param {string} [preferred] - One of CHECKPOINT_STORES
+ * @returns {Promise<Object>} Checkpoint store
+ */
+export async function createCheckpointStore(preferred = CHECKPOINT_STORES.AUTO) {
+  const auto = preferred === CHECKPOINT_STORES.AUTO;
+
+  if ((auto || preferred === CHECKPOINT_STORES.OPFS) && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
+    return new OPFSCheckpointStore();
+  }
+  if ((auto || preferred === CHECKPOINT_STORES.INDEXED_DB) && typeof indexedDB !== 'undefined') {
+    return new IndexedDBCheckpointStore();
+  }
+
+  console.warn('No persistent checkpoint storage available; checkpoints will not survive a reload');
+  return new MemoryCheckpointStore();
+}
+
+export default {
+  CHECKPOINT_STORES,
+  packCheckpoint,
+  unpackCheckpoint,
+  MemoryCheckpointStore,
+  IndexedDBCheckpointStore,
+  OPFSCheckpointStore,
+  createCheckpointStore
+};
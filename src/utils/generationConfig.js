@@ -0,0 +1,148 @@
+/**
+ * Generation Settings for LoRA Lab
+ * Sampling parameters, decoding presets and seed handling for chat generation, kept per model
+ * in localStorage. The chat panel edits a config, ModelManager resolves its seed, and the
+ * generation worker turns it into transformers.js options and logits processors.
+ *
+ * A config is { preset, doSample, temperature, topK, topP, repetitionPenalty, maxNewTokens,
+ * stopSequences, seedMode, seed, contextStrategy }. topK 0 and topP 1 disable those filters;
+ * contextStrategy decides how a conversation longer than the context window is shortened
+ * (see chatContext.js).
+ */
+
+import { CONTEXT_STRATEGIES } from './chatContext.js';
+
+const STORAGE_KEY = 'lora-lab-generation-config';
+
+export const SEED_MODES = {
+  RANDOM: 'random', // A fresh seed per response (still reported, so a response can be replayed)
+  FIXED: 'fixed'    // The same seed for every response, so runs differ only by model and adapters
+};
+
+export const GENERATION_PRESETS = {
+  greedy: {
+    label: 'Greedy',
+    description: 'Always the most likely token; deterministic',
+    config: { doSample: false, repetitionPenalty: 1.1 }
+  },
+  precise: {
+    label: 'Precise',
+    description: 'Low temperature over the few most likely tokens',
+    config: { doSample: true, temperature: 0.2, topK: 3, topP: 1, repetitionPenalty: 1 }
+  },
+  creative: {
+    label: 'Creative',
+    description: 'High temperature with nucleus sampling',
+    config: { doSample: true, temperature: 0.9, topK: 50, topP: 0.95, repetitionPenalty: 1.05 }
+  }
+};
+
+export const CUSTOM_PRESET = 'custom';
+
+export const DEFAULT_GENERATION_CONFIG = {
+  preset: 'precise',
+  ...GENERATION_PRESETS.precise.config,
+  maxNewTokens: 1024,
+  stopSequences: [],
+  seedMode: SEED_MODES.RANDOM,
+  seed: 42,
+  contextStrategy: CONTEXT_STRATEGIES.TRUNCATE
+};
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * Fill in defaults and bring every field into its valid range.
+ * @param {Object} [config] - Partial generation config
+ * @returns {Object} Complete generation config
+ */
+export function normalizeGenerationConfig(config = {}) {
+  const merged = { ...DEFAULT_GENERATION_CONFIG, ...config };
+  const defaults = DEFAULT_GENERATION_CONFIG;
+
+  const normalized = {
+    doSample: Boolean(merged.doSample),
+    temperature: clamp(merged.temperature, 0.01, 2, defaults.temperature),
+    topK: Math.round(clamp(merged.topK, 0, 1000, defaults.topK)),
+    topP: clamp(merged.topP, 0.01, 1, defaults.topP),
+    repetitionPenalty: clamp(merged.repetitionPenalty, 1, 2, defaults.repetitionPenalty),
+    maxNewTokens: Math.round(clamp(merged.maxNewTokens, 1, 4096, defaults.maxNewTokens)),
+    stopSequences: (Array.isArray(merged.stopSequences) ? merged.stopSequences : [])
+      .filter(sequence => typeof sequence === 'string' && sequence.length > 0)
+      .slice(0, 8),
+    seedMode: Object.values(SEED_MODES).includes(merged.seedMode) ? merged.seedMode : defaults.seedMode,
+    seed: Math.floor(clamp(merged.seed, 0, 0xffffffff, defaults.seed)),
+    contextStrategy: Object.values(CONTEXT_STRATEGIES).includes(merged.contextStrategy)
+      ? merged.contextStrategy
+      : defaults.contextStrategy
+  };
+  normalized.preset = matchPreset(normalized);
+  return normalized;
+}
+
+/**
+ * Name of the preset whose sampling parameters the config uses, or CUSTOM_PRESET. Presets only
+ * fix the parameters they list (greedy decoding ignores temperature, top-k and top-p).
+ * @param {Object} config - Generation config
+ * @returns {string} Preset name
+ */
+export function matchPreset(config) {
+  const match = Object.entries(GENERATION_PRESETS)
+    .find(([, preset]) => Object.entries(preset.config).every(([field, value]) => config[field] === value));
+  return match ? match[0] : CUSTOM_PRESET;
+}
+
+/**
+ * Seed for one generation: the fixed seed, or a fresh 32-bit one.
+ * @param {Object|null} config - Generation config
+ * @returns {number} Seed
+ */
+export function resolveSeed(config) {
+  if (config?.seedMode === SEED_MODES.FIXED) {
+    return normalizeGenerationConfig(config).seed;
+  }
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Generation config saved for a model, or the defaults.
+ * @param {string} modelId - Model ID
+ * @returns {Object} Generation config
+ */
+export function loadGenerationConfig(modelId) {
+  return normalizeGenerationConfig(readStore()[modelId]);
+}
+
+/**
+ * Save a model's generation config.
+ * @param {string} modelId - Model ID
+ * @param {Object} config - Generation config
+ */
+export function saveGenerationConfig(modelId, config) {
+  const store = readStore();
+  store[modelId] = normalizeGenerationConfig(config);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+export default {
+  SEED_MODES,
+  GENERATION_PRESETS,
+  CUSTOM_PRESET,
+  DEFAULT_GENERATION_CONFIG,
+  normalizeGenerationConfig,
+  matchPreset,
+  resolveSeed,
+  loadGenerationConfig,
+  saveGenerationConfig
+};
@@ -0,0 +1,131 @@
+/**
+ * Model File Cache for LoRA Lab
+ * Reads and writes model files in the Cache Storage that transformers.js uses for downloads.
+ *
+ * transformers.js looks up every file under its Hub URL before going to the network, so files
+ * written here under a new model ID (e.g. a merged model) load with `from_pretrained(modelId)`
+ * like any other model, without being uploaded anywhere.
+ */
+
+import { env } from '@huggingface/transformers';
+
+export const MODEL_CACHE_NAME = 'transformers-cache';
+
+// ONNX file suffix per transformers.js dtype (DEFAULT_DTYPE_SUFFIX_MAPPING)
+export const DTYPE_SUFFIXES = {
+  fp32: '',
+  fp16: '_fp16',
+  int8: '_int8',
+  uint8: '_uint8',
+  q8: '_quantized',
+  q4: '_q4',
+  q4f16: '_q4f16',
+  bnb4: '_bnb4'
+};
+
+// Files besides the ONNX graph that from_pretrained reads for a causal LM and its tokenizer
+export const MODEL_SUPPORT_FILES = [
+  'config.json',
+  'generation_config.json',
+  'tokenizer.json',
+  'tokenizer_config.json',
+  'special_tokens_map.json'
+];
+
+/**
+ * Same joining rules as transformers.js, so the URLs match its cache keys.
+ */
+function pathJoin(...parts) {
+  return parts.map((part, index) => {
+    let trimmed = index ? part.replace(/^\//, '') : part;
+    if (index !== parts.length - 1) trimmed = trimmed.replace(/\/$/, '');
+    return trimmed;
+  }).join('/');
+}
+
+/**
+ * Paths of the decoder ONNX files transformers.js loads for a dtype.
+ * @param {string} dtype - transformers.js dtype (e.g. 'q4f16')
+ * @returns {{model: string, externalData: string}} Paths relative to the model root
+ */
+export function getOnnxFilePaths(dtype = 'q4f16') {
+  if (!(dtype in DTYPE_SUFFIXES)) {
+    throw new Error(`Unknown model dtype: ${dtype}`);
+  }
+  const model = `onnx/model${DTYPE_SUFFIXES[dtype]}.onnx`;
+  return { model, externalData: `${model}_data` };
+}
+
+/**
+ * URL transformers.js uses (and caches) for a model file.
+ * @param {string} modelId - Model ID
+ * @param {string} path - File path relative to the model root
+ * @param {string} [revision] - Model revision
+ * @returns {string} File URL
+ */
+export function getModelFileUrl(modelId, path, revision = 'main') {
+  return pathJoin(
+    env.remoteHost,
+    env.remotePathTemplate.replaceAll('{model}', modelId).replaceAll('{revision}', encodeURIComponent(revision)),
+    path
+  );
+}
+
+/**
+ * Read a model file from the cache, downloading it when it is not cached.
+ * @param {string} modelId - Model ID
+ * @param {string} path - File path relative to the model root
+ * @param {Object} [options] - { optional } return null instead of throwing when the file does not exist
+ * @returns {Promise<Uint8Array|null>} File contents
+ */
+export async function readModelFile(modelId, path, options = {}) {
+  const url = getModelFileUrl(modelId, path);
+  const cache = typeof caches !== 'undefined' ? await caches.open(MODEL_CACHE_NAME) : null;
+
+  let response = cache ? await cache.match(url) : undefined;
+  if (!response) {
+    response = await fetch(url);
+    if (!response.ok) {
+      if (options.optional && response.status === 404) return null;
+      throw new Error(`Failed to fetch ${path} for ${modelId}: HTTP ${response.status}`);
+    }
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Store a model file where transformers.js will find it.
+ * @param {string} modelId - Model ID
+ * @param {string} path - File path relative to the model root
+ * @param {Uint8Array|Blob|Array<Uint8Array>} data - File contents, or its chunks in order
+ * @returns {Promise<number>} Bytes written
+ */
+export async function writeModelFile(modelId, path, data) {
+  const blob = data instanceof Blob ? data : new Blob([].concat(data));
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  await cache.put(getModelFileUrl(modelId, path), new Response(blob, {
+    headers: { 'Content-Length': String(blob.size) }
+  }));
+  return blob.size;
+}
+
+/**
+ * Remove model files from the cache.
+ * @param {string} modelId - Model ID
+ * @param {string[]} paths - File paths relative to the model root
+ */
+export async function deleteModelFiles(modelId, paths) {
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  await Promise.all(paths.map(path => cache.delete(getModelFileUrl(modelId, path))));
+}
+
+export default {
+  MODEL_CACHE_NAME,
+  DTYPE_SUFFIXES,
+  MODEL_SUPPORT_FILES,
+  getOnnxFilePaths,
+  getModelFileUrl,
+  readModelFile,
+  writeModelFile,
+  deleteModelFiles
+};
@@ -6,6 +6,9 @@
  * the main UI thread from being blocked by heavy computations.
  */
 
+import { resolveSeed } from './generationConfig.js';
+import { hashAdapter } from './safetensorExport.js';
+
 // A map to hold the state of each model being managed.
 const modelStates = new Map();
 // The single generation worker instance.
@@ -13,6 +16,9 @@ let worker = null;
 
 // Callbacks for handling messages from the worker
 const onMessageCallbacks = new Map();
+// Context measurements waiting for the worker, keyed by request ID
+const pendingContexts = new Map();
+let nextContextRequest = 0;
 
 /**
  * Initializes the generation worker and sets up the message listener.
@@ -45,6 +51,29 @@ function initializeWorker() {
       state.status = 'error';
       state.error = e.data.error;
       if(state.reject) state.reject(new Error(e.data.error));
+    } else if (status === 'adapter_loaded' || status === 'adapter_error') {
+      const adapterId = e.data.adapter_id ?? 'default';
+      const pending = state.pendingAdapters.get(adapterId);
+      state.pendingAdapters.delete(adapterId);
+      const entry = state.adapters.get(adapterId);
+      if (status === 'adapter_loaded' && entry) {
+        entry.applied = e.data.applied;
+        entry.unsupported = e.data.unsupported;
+        if (pending) pending.resolve({ ...entry });
+      } else {
+        state.adapters.delete(adapterId);
+        if (pending) pending.reject(new Error(e.data.error));
+      }
+      return;
+    } else if (status === 'context') {
+      const pending = pendingContexts.get(e.data.request_id);
+      pendingContexts.delete(e.data.request_id);
+      if (pending && e.data.error) {
+        pending.reject(new Error(e.data.error));
+      } else if (pending) {
+        pending.resolve(e.data.context);
+      }
+      return;
     }
 
     // Handle generation updates
@@ -91,6 +120,8 @@ export class ModelManager {
         reject,
         requests: [],
         processing: false,
+        adapters: new Map(),
+        pendingAdapters: new Map(),
       });
     });
     
@@ -102,26 +133,88 @@ export class ModelManager {
   }
 
   /**
-   * Sends loaded adapter data to the worker.
+   * Sends adapter data to the worker. A model can hold several adapters at once; loading
+   * under an existing ID replaces that adapter.
    * @param {string} modelId - The model ID to associate the adapter with.
    * @param {Object} adapterData - The deserialized adapter data.
+   * @param {Object} [options] - { id = 'default', name, scale = 1, enabled = true }
+   * @returns {Promise<Object|null>} Resolves with the adapter entry { id, name, scale, enabled, applied,
+   *   unsupported, hash } once the worker has matched its layers, or null if the model is not ready.
    */
-  loadAdapter(modelId, adapterData) {
+  loadAdapter(modelId, adapterData, options = {}) {
     const state = modelStates.get(modelId);
     if (!state || state.status !== 'ready') {
       console.warn('Cannot load adapter for a model that is not ready.');
-      return;
+      return Promise.resolve(null);
     }
-    state.adapter = adapterData;
-    worker.postMessage({ type: 'load_adapter', data: { model_id: modelId, adapter: adapterData } });
-    console.log('Adapter data sent to worker for model:', modelId);
+    const { id = 'default', name = id, scale = 1, enabled = true } = options;
+    const entry = { id, name, scale, enabled, rank: adapterData.rank, applied: [], unsupported: [], hash: null };
+    state.adapters.set(id, entry);
+    const loaded = new Promise((resolve, reject) => {
+      state.pendingAdapters.set(id, { resolve, reject });
+    });
+    worker.postMessage({ type: 'load_adapter', data: { model_id: modelId, adapter_id: id, adapter: adapterData } });
+    console.log(`Adapter ${id} sent to worker for model:`, modelId);
+
+    // Chats record the hash of the adapters behind each response
+    const hashed = hashAdapter(adapterData).then(hash => {
+      entry.hash = hash;
+    }, error => {
+      console.warn(`Could not hash adapter ${id}:`, error);
+    });
+    return Promise.all([loaded, hashed]).then(() => ({ ...entry }));
+  }
+
+  /**
+   * Removes an adapter from a model.
+   * @param {string} modelId - Model ID.
+   * @param {string} adapterId - Adapter ID.
+   */
+  unloadAdapter(modelId, adapterId) {
+    const state = modelStates.get(modelId);
+    if (!state || !state.adapters.delete(adapterId)) return;
+    worker.postMessage({ type: 'unload_adapter', data: { model_id: modelId, adapter_id: adapterId } });
+  }
+
+  /**
+   * Changes an adapter's default scale or whether it is applied by default.
+   * @param {string} modelId - Model ID.
+   * @param {string} adapterId - Adapter ID.
+   * @param {Object} changes - { scale, enabled }
+   * @returns {Object|null} The updated adapter entry.
+   */
+  updateAdapter(modelId, adapterId, changes) {
+    const entry = modelStates.get(modelId)?.adapters.get(adapterId);
+    if (!entry) return null;
+    if (changes.scale !== undefined) entry.scale = Number(changes.scale);
+    if (changes.enabled !== undefined) entry.enabled = Boolean(changes.enabled);
+    return { ...entry };
+  }
+
+  /**
+   * Adapters loaded for a model.
+   * @param {string} modelId - Model ID.
+   * @returns {Array<Object>} Adapter entries in load order.
+   */
+  listAdapters(modelId) {
+    const state = modelStates.get(modelId);
+    return state ? [...state.adapters.values()].map(entry => ({ ...entry })) : [];
   }
 
   /**
    * Generates text using a loaded model via the worker.
    * @param {string} modelId - Model ID.
    * @param {string} prompt - Input prompt.
-   * @param {Object} options - Generation options, including onToken callback for streaming.
+   * @param {Object} options - Generation options: `history` ([{ role, content }], the earlier turns of
+   *   the conversation) and `systemPrompt` set the context the prompt is answered in; onToken callback
+   *   for streaming, onStart({ adapters, seed, generation, context })
+   *   called with the adapters actually applied, the seed, the effective settings and the context usage
+   *   (see measureContext); the adapters to apply, either
+   *   `adapters: [{ id, scale }]` (per-request selection; scale defaults to the adapter's own) or
+   *   `useLoRA: true` for every enabled adapter at its configured scale. `generation` holds the
+   *   sampling settings (see generationConfig.js) and `seed` overrides the seed they resolve to.
+   *   onStats({ numTokens, tps, logprob, meanLogprob, tokens }) receives the response statistics
+   *   when generation ends.
    * @returns {Promise<string>} A promise that resolves with the final generated text.
    */
   async generate(modelId, prompt, options = {}) {
@@ -138,6 +231,31 @@ export class ModelManager {
      });
   }
 
+  /**
+   * Answers one prompt once per column at the same time, each column with its own adapters and
+   * all with the same seed; the worker alternates between them one token at a time.
+   * @param {string} modelId - Model ID.
+   * @param {string} prompt - Input prompt.
+   * @param {Array<Object>} columns - Per column `adapters` (as for generate) and the onStart, onToken
+   *   and onStats callbacks of generate.
+   * @param {Object} [options] - history, systemPrompt, generation and seed as for generate().
+   * @returns {Promise<Array<string[]|null>>} Resolves with each column's output once all have finished,
+   *   or rejects with the first column error.
+   */
+  async compare(modelId, prompt, columns, options = {}) {
+     return new Promise((resolve, reject) => {
+        const state = modelStates.get(modelId);
+        if (!state || state.status !== 'ready') {
+            return reject(new Error('Model not ready'));
+        }
+
+        state.requests.push({ prompt, options, columns, resolve, reject });
+        if (!state.processing) {
+            this.processNextRequest(modelId);
+        }
+     });
+  }
+
   processNextRequest(modelId) {
     const state = modelStates.get(modelId);
     if (!state || state.processing || state.requests.length === 0) {
@@ -145,28 +263,144 @@ export class ModelManager {
     }
     state.processing = true;
 
-    const { prompt, options, resolve, reject } = state.requests.shift();
-    const { onToken, useLoRA } = options;
-    const messages = [{ role: 'user', content: prompt }];
+    const { prompt, options, columns, resolve, reject } = state.requests.shift();
+    const { generation = null } = options;
+    const seed = options.seed ?? resolveSeed(generation);
+    const messages = this.buildMessages(prompt, options);
+
+    const finish = (settle, value) => {
+        onMessageCallbacks.delete(modelId);
+        state.processing = false;
+        settle(value);
+        this.processNextRequest(modelId);
+    };
+
+    if (columns) {
+        const outputs = columns.map(() => null);
+        const callbacks = columns.map((column, index) => this.createGenerationCallback(state, column, (output) => {
+            outputs[index] = output;
+        }));
+        onMessageCallbacks.set(modelId, (message) => {
+            if (message.status === 'compare_complete') {
+                const error = message.errors.find(Boolean);
+                finish(error ? reject : resolve, error ? new Error(error) : outputs);
+            } else if (message.column !== undefined) {
+                callbacks[message.column](message);
+            }
+        });
 
-    const callback = (message) => {
-        if (message.status === 'update' && onToken) {
+        const data = {
+            model_id: modelId,
+            messages,
+            columns: columns.map(column => ({ adapters: this.resolveAdapterSelection(modelId, column.adapters ?? []) })),
+            seed,
+            generation
+        };
+        worker.postMessage({ type: 'compare', data });
+        return;
+    }
+
+    const adapters = this.resolveAdapterSelection(modelId, options.adapters, options.useLoRA);
+    const handle = this.createGenerationCallback(state, options, (output) => finish(resolve, output));
+    onMessageCallbacks.set(modelId, (message) => {
+        if (message.status === 'error') {
+            finish(reject, new Error(message.error));
+        } else {
+            handle(message);
+        }
+    });
+
+    worker.postMessage({ type: 'generate', data: { model_id: modelId, messages, adapters, seed, generation } });
+  }
+
+  /**
+   * Routes the worker messages of one response to its callbacks.
+   * @param {Object} state - Model state.
+   * @param {Object} callbacks - { onStart, onToken, onStats } as for generate().
+   * @param {function(*): void} onDone - Called with the output when the response completes or is interrupted.
+   * @returns {function(Object): void} Message handler.
+   */
+  createGenerationCallback(state, { onStart, onToken, onStats }, onDone) {
+    return (message) => {
+        if (message.status === 'start' && onStart) {
+            onStart({
+              adapters: (message.adapters || []).map(({ id, scale }) => ({
+                id,
+                scale,
+                name: state.adapters.get(id)?.name ?? id,
+                hash: state.adapters.get(id)?.hash ?? null
+              })),
+              seed: message.seed,
+              generation: message.generation,
+              context: message.context
+            });
+        } else if (message.status === 'update' && onToken) {
             onToken(message.output);
         } else if (message.status === 'complete' || message.status === 'interrupted') {
-            onMessageCallbacks.delete(modelId);
-            state.processing = false;
-            resolve(message.output);
-            this.processNextRequest(modelId);
-        } else if (message.status === 'error') {
-            onMessageCallbacks.delete(modelId);
-            state.processing = false;
-            reject(new Error(message.error));
-            this.processNextRequest(modelId);
+            if (onStats && message.stats) onStats(message.stats);
+            onDone(message.output);
         }
     };
-    onMessageCallbacks.set(modelId, callback);
+  }
+
+  /**
+   * The conversation sent to the worker: the system prompt, the earlier turns and the new prompt.
+   * @param {string} prompt - New user message.
+   * @param {Object} [options] - { history: [{ role, content }], systemPrompt }
+   * @returns {Array<{role: string, content: string}>}
+   */
+  buildMessages(prompt, options = {}) {
+    const { history = [], systemPrompt = '' } = options;
+    return [
+      ...(systemPrompt.trim() ? [{ role: 'system', content: systemPrompt.trim() }] : []),
+      ...history.filter(message => message.role !== 'system'),
+      ...(prompt ? [{ role: 'user', content: prompt }] : [])
+    ];
+  }
 
-    worker.postMessage({ type: 'generate', data: { model_id: modelId, messages, useLoRA } });
+  /**
+   * Measures how much of the model's context window a conversation takes, shortened the way
+   * a generation would shorten it (see chatContext.js).
+   * @param {string} modelId - Model ID.
+   * @param {string} prompt - Next user message, or '' for the conversation so far.
+   * @param {Object} [options] - { history, systemPrompt, generation } as for generate().
+   * @returns {Promise<Object|null>} { promptTokens, budget, limit, droppedTurns, summarized, overflow },
+   *   or null if the model is not ready.
+   */
+  measureContext(modelId, prompt, options = {}) {
+    const state = modelStates.get(modelId);
+    if (!state || state.status !== 'ready') {
+      return Promise.resolve(null);
+    }
+    const requestId = ++nextContextRequest;
+    const promise = new Promise((resolve, reject) => {
+      pendingContexts.set(requestId, { resolve, reject });
+    });
+    worker.postMessage({
+      type: 'measure_context',
+      data: { model_id: modelId, request_id: requestId, messages: this.buildMessages(prompt, options), generation: options.generation ?? null }
+    });
+    return promise;
+  }
+
+  /**
+   * Turns a generation request's adapter options into [{ id, scale }] for the worker.
+   * @param {string} modelId - Model ID.
+   * @param {Array<string|Object>} [selection] - Adapter IDs or { id, scale } entries
+   * @param {boolean} [useLoRA] - Without a selection, apply every enabled adapter
+   * @returns {Array<{id: string, scale: number}>}
+   */
+  resolveAdapterSelection(modelId, selection, useLoRA) {
+    const loaded = modelStates.get(modelId)?.adapters || new Map();
+    if (!selection) {
+      return useLoRA
+        ? [...loaded.values()].filter(entry => entry.enabled).map(({ id, scale }) => ({ id, scale }))
+        : [];
+    }
+    return selection
+      .map(item => (typeof item === 'string' ? { id: item } : item))
+      .filter(({ id }) => loaded.has(id))
+      .map(({ id, scale }) => ({ id, scale: scale ?? loaded.get(id).scale }));
   }
 
   interrupt(modelId) {
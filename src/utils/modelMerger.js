@@ -0,0 +1,168 @@
+/**
+ * Merged Model Management for LoRA Lab
+ *
+ * Merges an adapter into its base model in a dedicated worker, keeps a registry of the merged
+ * models stored in the browser cache, and exports them as standalone ONNX model folders.
+ */
+
+import { createZip } from './zipArchive.js';
+import { MODEL_SUPPORT_FILES, getOnnxFilePaths, readModelFile, deleteModelFiles } from './modelCache.js';
+
+const REGISTRY_KEY = 'lora-lab-merged-models';
+
+/**
+ * Merge an adapter into a base model and store the result under a new model ID.
+ * @param {string} baseModelId - Model the adapter was trained on
+ * @param {Object} adapterData - LoRA adapter data
+ * @param {Object} [options] - { targetModelId, dtype = 'q4f16', onProgress({stage, message, progress}) }
+ * @returns {Promise<Object>} { modelId, baseModelId, dtype, merged, skipped, files }
+ */
+export function mergeAdapterIntoModel(baseModelId, adapterData, options = {}) {
+  const {
+    targetModelId = `lora-lab/${baseModelId.split('/').pop()}-merged-${Date.now().toString(36)}`,
+    dtype = 'q4f16',
+    onProgress
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/merge.worker.js', import.meta.url), { type: 'module' });
+    const finish = (callback, value) => {
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.onmessage = (event) => {
+      const { type, data } = event.data;
+      if (type === 'MERGE_PROGRESS') {
+        if (onProgress) onProgress(data);
+      } else if (type === 'MERGE_COMPLETED') {
+        registerMergedModel(data);
+        finish(resolve, data);
+      } else if (type === 'ERROR') {
+        finish(reject, new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => finish(reject, new Error(event.message || 'Merge worker failed'));
+
+    worker.postMessage({
+      type: 'MERGE',
+      data: { modelId: baseModelId, adapter: adapterData, targetModelId, dtype }
+    });
+  });
+}
+
+function registerMergedModel(result) {
+  const models = listMergedModels().filter(model => model.modelId !== result.modelId);
+  models.push({
+    modelId: result.modelId,
+    baseModelId: result.baseModelId,
+    dtype: result.dtype,
+    files: result.files,
+    mergedLayers: result.merged.length,
+    createdAt: Date.now()
+  });
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(models));
+}
+
+/**
+ * Merged models stored in this browser.
+ * @returns {Array<Object>} { modelId, baseModelId, dtype, files, mergedLayers, createdAt }
+ */
+export function listMergedModels() {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTRY_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Remove a merged model and its cached files.
+ * @param {string} modelId - Merged model ID
+ */
+export async function deleteMergedModel(modelId) {
+  const entry = listMergedModels().find(model => model.modelId === modelId);
+  if (entry) {
+    await deleteModelFiles(modelId, entry.files.map(file => file.path));
+  }
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(listMergedModels().filter(model => model.modelId !== modelId)));
+}
+
+async function readMergedFiles(modelId) {
+  const entry = listMergedModels().find(model => model.modelId === modelId);
+  const paths = entry
+    ? entry.files.map(file => file.path)
+    : [...Object.values(getOnnxFilePaths()), ...MODEL_SUPPORT_FILES];
+
+  const files = [];
+  for (const path of paths) {
+    const data = await readModelFile(modelId, path, { optional: true });
+    if (data) files.push({ name: path, data });
+  }
+  return files;
+}
+
+/**
+ * Download a merged model as a zip with the Hub layout (config, tokenizer, onnx/ folder).
+ * @param {string} modelId - Merged model ID
+ * @param {string} [filename] - Download file name
+ */
+export async function downloadMergedModel(modelId, filename = `${modelId.split('/').pop()}.zip`) {
+  const blob = new Blob([createZip(await readMergedFiles(modelId))], { type: 'application/zip' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log('Merged model download initiated:', filename);
+}
+
+/**
+ * Write a merged model into a directory chosen by the user.
+ * @param {string} modelId - Merged model ID
+ * @returns {Promise<number|null>} Number of files written, or null when the picker was cancelled
+ */
+export async function saveMergedModelToDirectory(modelId) {
+  if (typeof window === 'undefined' || typeof window.showDirectoryPicker !== 'function') {
+    throw new Error('This browser does not support writing to a directory');
+  }
+
+  let directory;
+  try {
+    directory = await window.showDirectoryPicker({ id: 'lora-lab-merged', mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+
+  const files = await readMergedFiles(modelId);
+  for (const { name, data } of files) {
+    const parts = name.split('/');
+    let parent = directory;
+    for (const folder of parts.slice(0, -1)) {
+      parent = await parent.getDirectoryHandle(folder, { create: true });
+    }
+    const handle = await parent.getFileHandle(parts[parts.length - 1], { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+  }
+
+  console.log('Merged model written to directory:', directory.name);
+  return files.length;
+}
+
+export default {
+  mergeAdapterIntoModel,
+  listMergedModels,
+  deleteMergedModel,
+  downloadMergedModel,
+  saveMergedModelToDirectory
+};
@@ -0,0 +1,396 @@
+/**
+ * ONNX Model Reader/Writer for LoRA Lab
+ * Edits the initializers of an ONNX model without a protobuf dependency.
+ *
+ * Messages are decoded into their raw fields and re-encoded field by field, so everything
+ * that is not touched (nodes, opsets, metadata, unknown fields) is written back byte for byte.
+ * Only the parts LoRA Lab needs are interpreted:
+ *   ModelProto.graph -> GraphProto.node (name, op_type, inputs, attributes)
+ *                    -> GraphProto.initializer (name, dims, data_type, raw or external data)
+ * On write, initializers of at least `sizeThreshold` bytes move to one external data file,
+ * which is how transformers.js loads large models (`use_external_data_format`).
+ */
+
+const WIRE = {
+  VARINT: 0,
+  I64: 1,
+  LEN: 2,
+  I32: 5
+};
+
+// Field numbers from onnx.proto
+const MODEL_GRAPH = 7;
+const GRAPH_NODE = 1;
+const GRAPH_INITIALIZER = 5;
+const NODE = { INPUT: 1, OUTPUT: 2, NAME: 3, OP_TYPE: 4, ATTRIBUTE: 5, DOMAIN: 7 };
+const ATTRIBUTE = { NAME: 1, F: 2, I: 3, S: 4, INTS: 8 };
+const TENSOR = {
+  DIMS: 1,
+  DATA_TYPE: 2,
+  NAME: 8,
+  RAW_DATA: 9,
+  EXTERNAL_DATA: 13,
+  DATA_LOCATION: 14
+};
+const TENSOR_TYPED_DATA = [4, 5, 6, 7, 10, 11]; // float/int32/string/int64/double/uint64_data
+const ENTRY = { KEY: 1, VALUE: 2 };
+const DATA_LOCATION_EXTERNAL = 1;
+
+/**
+ * TensorProto.DataType values and their element sizes in bytes
+ */
+export const TENSOR_TYPES = {
+  FLOAT: 1,
+  UINT8: 2,
+  INT8: 3,
+  UINT16: 4,
+  INT16: 5,
+  INT32: 6,
+  INT64: 7,
+  BOOL: 9,
+  FLOAT16: 10,
+  DOUBLE: 11,
+  UINT32: 12,
+  UINT64: 13,
+  BFLOAT16: 16
+};
+
+const ELEMENT_SIZES = {
+  [TENSOR_TYPES.FLOAT]: 4,
+  [TENSOR_TYPES.UINT8]: 1,
+  [TENSOR_TYPES.INT8]: 1,
+  [TENSOR_TYPES.UINT16]: 2,
+  [TENSOR_TYPES.INT16]: 2,
+  [TENSOR_TYPES.INT32]: 4,
+  [TENSOR_TYPES.INT64]: 8,
+  [TENSOR_TYPES.BOOL]: 1,
+  [TENSOR_TYPES.FLOAT16]: 2,
+  [TENSOR_TYPES.DOUBLE]: 8,
+  [TENSOR_TYPES.UINT32]: 4,
+  [TENSOR_TYPES.UINT64]: 8,
+  [TENSOR_TYPES.BFLOAT16]: 2
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function readVarint(bytes, offset) {
+  let value = 0n;
+  let shift = 0n;
+  for (;;) {
+    if (offset >= bytes.length) {
+      throw new Error('Truncated varint in ONNX protobuf');
+    }
+    const byte = bytes[offset++];
+    value |= BigInt(byte & 0x7f) << shift;
+    if (byte < 0x80) return { value, offset };
+    shift += 7n;
+  }
+}
+
+function encodeVarint(value) {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  while (remaining >= 0x80n) {
+    bytes.push(Number(remaining & 0x7fn) | 0x80);
+    remaining >>= 7n;
+  }
+  bytes.push(Number(remaining));
+  return bytes;
+}
+
+/**
+ * Split a protobuf message into its fields.
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {Array<{field: number, wireType: number, value: bigint|Uint8Array, raw: Uint8Array}>}
+ *   Fields in order; varints are bigints, everything else a view into `bytes`
+ */
+export function decodeMessage(bytes) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const start = offset;
+    const tag = readVarint(bytes, offset);
+    offset = tag.offset;
+    const field = Number(tag.value >> 3n);
+    const wireType = Number(tag.value & 7n);
+
+    let value;
+    if (wireType === WIRE.VARINT) {
+      ({ value, offset } = readVarint(bytes, offset));
+    } else if (wireType === WIRE.LEN) {
+      const length = readVarint(bytes, offset);
+      offset = length.offset;
+      const end = offset + Number(length.value);
+      if (end > bytes.length) {
+        throw new Error(`Field ${field} runs past the end of its message`);
+      }
+      value = bytes.subarray(offset, end);
+      offset = end;
+    } else if (wireType === WIRE.I64 || wireType === WIRE.I32) {
+      const size = wireType === WIRE.I64 ? 8 : 4;
+      value = bytes.subarray(offset, offset + size);
+      offset += size;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    fields.push({ field, wireType, value, raw: bytes.subarray(start, offset) });
+  }
+
+  return fields;
+}
+
+/**
+ * Encode fields produced by decodeMessage or the field helpers below.
+ * Fields that still carry their `raw` bytes are copied unchanged.
+ * @param {Array<Object>} fields - Message fields
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeMessage(fields) {
+  const parts = fields.map(field => field.raw || encodeField(field));
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+function encodeField({ field, wireType, value }) {
+  const tag = encodeVarint((field << 3) | wireType);
+  if (wireType === WIRE.VARINT) {
+    return Uint8Array.from([...tag, ...encodeVarint(value)]);
+  }
+
+  const length = wireType === WIRE.LEN ? encodeVarint(value.length) : [];
+  const output = new Uint8Array(tag.length + length.length + value.length);
+  output.set(tag, 0);
+  output.set(length, tag.length);
+  output.set(value, tag.length + length.length);
+  return output;
+}
+
+const varintField = (field, value) => ({ field, wireType: WIRE.VARINT, value: BigInt(value) });
+const bytesField = (field, value) => ({ field, wireType: WIRE.LEN, value });
+const stringField = (field, value) => bytesField(field, textEncoder.encode(value));
+
+function getString(fields, number) {
+  const field = fields.find(candidate => candidate.field === number);
+  return field ? textDecoder.decode(field.value) : '';
+}
+
+function getStrings(fields, number) {
+  return fields.filter(field => field.field === number).map(field => textDecoder.decode(field.value));
+}
+
+function getVarint(fields, number) {
+  const field = fields.find(candidate => candidate.field === number);
+  return field ? Number(BigInt.asIntN(64, field.value)) : undefined;
+}
+
+// Repeated int64 fields may be packed (one LEN field) or not (one varint per value)
+function getInts(fields, number) {
+  const values = [];
+  for (const field of fields.filter(candidate => candidate.field === number)) {
+    if (field.wireType === WIRE.VARINT) {
+      values.push(Number(BigInt.asIntN(64, field.value)));
+      continue;
+    }
+    let offset = 0;
+    while (offset < field.value.length) {
+      const varint = readVarint(field.value, offset);
+      values.push(Number(BigInt.asIntN(64, varint.value)));
+      offset = varint.offset;
+    }
+  }
+  return values;
+}
+
+function parseAttribute(bytes) {
+  const fields = decodeMessage(bytes);
+  const name = getString(fields, ATTRIBUTE.NAME);
+  const f = fields.find(field => field.field === ATTRIBUTE.F);
+  const s = fields.find(field => field.field === ATTRIBUTE.S);
+
+  let value;
+  if (f) {
+    value = new DataView(f.value.buffer, f.value.byteOffset, 4).getFloat32(0, true);
+  } else if (fields.some(field => field.field === ATTRIBUTE.I)) {
+    value = getVarint(fields, ATTRIBUTE.I);
+  } else if (s) {
+    value = textDecoder.decode(s.value);
+  } else {
+    value = getInts(fields, ATTRIBUTE.INTS);
+  }
+  return { name, value };
+}
+
+function parseNode(bytes) {
+  const fields = decodeMessage(bytes);
+  const attributes = {};
+  for (const field of fields.filter(candidate => candidate.field === NODE.ATTRIBUTE)) {
+    const { name, value } = parseAttribute(field.value);
+    attributes[name] = value;
+  }
+
+  return {
+    name: getString(fields, NODE.NAME),
+    opType: getString(fields, NODE.OP_TYPE),
+    domain: getString(fields, NODE.DOMAIN),
+    inputs: getStrings(fields, NODE.INPUT),
+    outputs: getStrings(fields, NODE.OUTPUT),
+    attributes
+  };
+}
+
+function baseName(path) {
+  return path.split(/[\\/]/).pop();
+}
+
+function parseInitializer(bytes, externalFiles) {
+  const fields = decodeMessage(bytes);
+  const name = getString(fields, TENSOR.NAME);
+  const dims = getInts(fields, TENSOR.DIMS);
+  const dataType = getVarint(fields, TENSOR.DATA_TYPE);
+  const byteLength = dims.reduce((product, dim) => product * dim, 1) * (ELEMENT_SIZES[dataType] || 0);
+
+  let data = null;
+  const rawData = fields.find(field => field.field === TENSOR.RAW_DATA);
+  if (getVarint(fields, TENSOR.DATA_LOCATION) === DATA_LOCATION_EXTERNAL) {
+    const entries = Object.fromEntries(fields
+      .filter(field => field.field === TENSOR.EXTERNAL_DATA)
+      .map(field => {
+        const entry = decodeMessage(field.value);
+        return [getString(entry, ENTRY.KEY), getString(entry, ENTRY.VALUE)];
+      }));
+    const file = externalFiles[baseName(entries.location || '')];
+    if (!file) {
+      throw new Error(`Initializer ${name} is stored in missing external data file "${entries.location}"`);
+    }
+    const offset = Number(entries.offset || 0);
+    const length = entries.length !== undefined ? Number(entries.length) : byteLength;
+    if (offset + length > file.length) {
+      throw new Error(`Initializer ${name} lies outside its external data file`);
+    }
+    data = file.subarray(offset, offset + length);
+  } else if (rawData) {
+    data = rawData.value;
+  } else if (!fields.some(field => TENSOR_TYPED_DATA.includes(field.field))) {
+    data = new Uint8Array(0);
+  }
+
+  // `data` is null for tensors stored in typed fields (float_data, int32_data, ...), which are kept as is
+  return { name, dims, dataType, data, fields };
+}
+
+/**
+ * Parse an ONNX model.
+ * @param {Uint8Array} bytes - .onnx file contents
+ * @param {Object} [externalFiles] - External data files by file name (e.g. { 'model.onnx_data': Uint8Array })
+ * @returns {Object} { fields, graphFields, nodes, initializers: Map<name, { name, dims, dataType, data }> }
+ *   Replace an initializer's `data` (same dims and data type) to change its values
+ */
+export function readOnnxModel(bytes, externalFiles = {}) {
+  const fields = decodeMessage(bytes);
+  const graphField = fields.find(field => field.field === MODEL_GRAPH);
+  if (!graphField) {
+    throw new Error('ONNX model has no graph');
+  }
+
+  const graphFields = decodeMessage(graphField.value);
+  const nodes = [];
+  const initializers = new Map();
+  for (const field of graphFields) {
+    if (field.field === GRAPH_NODE) {
+      nodes.push(parseNode(field.value));
+    } else if (field.field === GRAPH_INITIALIZER) {
+      const initializer = parseInitializer(field.value, externalFiles);
+      field.initializer = initializer;
+      initializers.set(initializer.name, initializer);
+    }
+  }
+
+  return { fields, graphFields, nodes, initializers };
+}
+
+function encodeInitializer(initializer, location) {
+  const kept = initializer.fields.filter(field =>
+    ![TENSOR.RAW_DATA, TENSOR.EXTERNAL_DATA, TENSOR.DATA_LOCATION].includes(field.field)
+  );
+
+  if (!location) {
+    return encodeMessage([...kept, bytesField(TENSOR.RAW_DATA, initializer.data)]);
+  }
+
+  const entry = (key, value) => bytesField(TENSOR.EXTERNAL_DATA, encodeMessage([
+    stringField(ENTRY.KEY, key),
+    stringField(ENTRY.VALUE, value)
+  ]));
+  return encodeMessage([
+    ...kept,
+    entry('location', location.name),
+    entry('offset', String(location.offset)),
+    entry('length', String(initializer.data.length)),
+    varintField(TENSOR.DATA_LOCATION, DATA_LOCATION_EXTERNAL)
+  ]);
+}
+
+/**
+ * Serialize a model from readOnnxModel.
+ * @param {Object} model - Parsed model
+ * @param {Object} options - { externalDataName, sizeThreshold = 1024, alignment = 4096 }
+ *   Initializers of at least sizeThreshold bytes go to the external data file; large ones start
+ *   at multiples of `alignment` so the file can be memory-mapped
+ * @returns {{model: Uint8Array, externalData: Uint8Array[], externalDataSize: number}}
+ *   The .onnx bytes, and the external data file as a list of chunks (empty when nothing is external)
+ */
+export function writeOnnxModel(model, options = {}) {
+  const { externalDataName = 'model.onnx_data', sizeThreshold = 1024, alignment = 4096 } = options;
+  const externalData = [];
+  let externalDataSize = 0;
+
+  const graphFields = model.graphFields.map(field => {
+    const { initializer } = field;
+    if (!initializer || !initializer.data) return field;
+
+    if (initializer.data.length < sizeThreshold) {
+      return bytesField(GRAPH_INITIALIZER, encodeInitializer(initializer, null));
+    }
+
+    const padding = initializer.data.length >= alignment ? (alignment - (externalDataSize % alignment)) % alignment : 0;
+    if (padding > 0) {
+      externalData.push(new Uint8Array(padding));
+      externalDataSize += padding;
+    }
+    const location = { name: externalDataName, offset: externalDataSize };
+    externalData.push(initializer.data);
+    externalDataSize += initializer.data.length;
+    return bytesField(GRAPH_INITIALIZER, encodeInitializer(initializer, location));
+  });
+
+  const graph = encodeMessage(graphFields);
+  const fields = model.fields.map(field => (field.field === MODEL_GRAPH ? bytesField(MODEL_GRAPH, graph) : field));
+
+  return { model: encodeMessage(fields), externalData, externalDataSize };
+}
+
+/**
+ * Size in bytes of one element of an ONNX data type.
+ * @param {number} dataType - One of TENSOR_TYPES
+ * @returns {number} Element size, or 0 for unsupported types
+ */
+export function elementSize(dataType) {
+  return ELEMENT_SIZES[dataType] || 0;
+}
+
+export default {
+  TENSOR_TYPES,
+  decodeMessage,
+  encodeMessage,
+  readOnnxModel,
+  writeOnnxModel,
+  elementSize
+};
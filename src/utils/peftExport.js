@@ -0,0 +1,401 @@
+/**
+ * PEFT Adapter Export/Import for LoRA Lab
+ * Writes trained adapters as a Hugging Face PEFT bundle that `PeftModel.from_pretrained` can load,
+ * and reads such bundles (from PEFT or from LoRA Lab) back for chat or continued training:
+ *
+ *   adapter_model.safetensors  base_model.model.<layer>.lora_A.weight  [r, in]
+ *                              base_model.model.<layer>.lora_B.weight  [out, r]
+ *   adapter_config.json        LoraConfig fields (r, lora_alpha, target_modules, rank_pattern, ...)
+ *
+ * LoRA Lab keeps A as [in, r] and B as [r, out], so both are transposed on export. B is stored
+ * unscaled; PEFT applies lora_alpha / r itself, which matches the scaling used in the browser.
+ * Adapters using another scaling (rsLoRA, alpha_pattern) have the difference folded into B on import.
+ * The bundle is either downloaded as a zip or written into a directory picked through the
+ * File System Access API.
+ */
+
+import { serialize, deserialize, readHeader, tensorToFloat32 } from './safetensorsFormat.js';
+import { createZip } from './zipArchive.js';
+
+export const PEFT_TENSOR_PREFIX = 'base_model.model.';
+export const PEFT_WEIGHTS_FILE = 'adapter_model.safetensors';
+export const PEFT_CONFIG_FILE = 'adapter_config.json';
+
+/**
+ * PEFT module path of a LoRA Lab layer name.
+ * @param {string} layerName - Layer path from findLoraTargetLayers (e.g. model.layers.0.self_attn.q_proj)
+ * @returns {string} Tensor name prefix used by PEFT
+ */
+export function toPeftModuleName(layerName) {
+  return `${PEFT_TENSOR_PREFIX}${layerName}`;
+}
+
+// Matches PEFT LoRA tensor names, with or without the adapter name PEFT uses in memory
+const PEFT_LORA_TENSOR = /^(?:base_model\.model\.)?(.+?)\.lora_([AB])(?:\.([^.]+))?\.weight$/;
+
+function transpose(data, rows, cols, factor = 1) {
+  const out = new Float32Array(data.length);
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      out[j * rows + i] = data[i * cols + j] * factor;
+    }
+  }
+  return out;
+}
+
+/**
+ * Shapes of one adapter layer, checked for consistency.
+ */
+function getLayerDims(layerName, layer) {
+  const [inputDim, rank] = layer.A.shape;
+  const [bRank, outputDim] = layer.B.shape;
+  if (rank !== bRank || layer.A.data.length !== inputDim * rank || layer.B.data.length !== rank * outputDim) {
+    throw new Error(`Layer ${layerName} has inconsistent LoRA shapes: A ${layer.A.shape}, B ${layer.B.shape}`);
+  }
+  return { inputDim, outputDim, rank };
+}
+
+function getExportedLayers(adapterData) {
+  const layers = Object.entries(adapterData.layers || {}).filter(([, layer]) => layer?.A?.data && layer?.B?.data);
+  if (layers.length === 0) {
+    throw new Error('Adapter has no complete LoRA layers to export');
+  }
+  return layers;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+}
+
+/**
+ * Build the PEFT tensor dictionary.
+ * @param {Object} adapterData - LoRA adapter data ({ layers: { [name]: { A, B } } })
+ * @param {Object} [options] - { dtype } safetensors storage dtype (F32, F16 or BF16)
+ * @returns {Object} Tensors for safetensorsFormat.serialize
+ */
+export function createPeftTensors(adapterData, options = {}) {
+  const { dtype = 'F32' } = options;
+  const tensors = {};
+
+  for (const [layerName, layer] of getExportedLayers(adapterData)) {
+    const { inputDim, outputDim, rank } = getLayerDims(layerName, layer);
+    const moduleName = toPeftModuleName(layerName);
+
+    tensors[`${moduleName}.lora_A.weight`] = {
+      data: transpose(layer.A.data, inputDim, rank),
+      shape: [rank, inputDim],
+      dtype
+    };
+    tensors[`${moduleName}.lora_B.weight`] = {
+      data: transpose(layer.B.data, rank, outputDim),
+      shape: [outputDim, rank],
+      dtype
+    };
+  }
+
+  return tensors;
+}
+
+/**
+ * Build adapter_config.json contents.
+ * Layers whose rank (or effective alpha) differs from the most common one are listed in
+ * rank_pattern / alpha_pattern, keyed by module path.
+ * @param {Object} adapterData - LoRA adapter data ({ rank, alpha, scaling, layers })
+ * @param {Object} [options] - { baseModel } value for base_model_name_or_path
+ * @returns {Object} PEFT LoraConfig dictionary
+ */
+export function createPeftConfig(adapterData, options = {}) {
+  const { baseModel = null } = options;
+  const layers = getExportedLayers(adapterData).map(([layerName, layer]) => {
+    const { rank } = getLayerDims(layerName, layer);
+    // An explicit scaling overrides alpha / rank, so express it as a per-layer alpha
+    const alpha = adapterData.scaling !== undefined ? adapterData.scaling * rank : adapterData.alpha;
+    return { layerName, rank, alpha };
+  });
+
+  const r = mostCommon(layers.map(layer => layer.rank));
+  const loraAlpha = mostCommon(layers.map(layer => layer.alpha));
+  const rankPattern = {};
+  const alphaPattern = {};
+  for (const { layerName, rank, alpha } of layers) {
+    if (rank !== r) rankPattern[layerName] = rank;
+    if (alpha !== loraAlpha) alphaPattern[layerName] = alpha;
+  }
+
+  const targetModules = [...new Set(layers.map(({ layerName }) => layerName.split('.').pop()))].sort();
+
+  return {
+    peft_type: 'LORA',
+    task_type: 'CAUSAL_LM',
+    base_model_name_or_path: baseModel,
+    revision: null,
+    inference_mode: true,
+    r,
+    lora_alpha: loraAlpha,
+    lora_dropout: 0.0,
+    target_modules: targetModules,
+    bias: 'none',
+    fan_in_fan_out: false,
+    init_lora_weights: true,
+    use_rslora: false,
+    use_dora: false,
+    modules_to_save: null,
+    layers_to_transform: null,
+    layers_pattern: null,
+    rank_pattern: rankPattern,
+    alpha_pattern: alphaPattern
+  };
+}
+
+/**
+ * Build every file of a PEFT adapter bundle.
+ * @param {Object} adapterData - LoRA adapter data
+ * @param {Object} [options] - { baseModel, dtype, metadata } where metadata is extra safetensors metadata
+ * @returns {{files: Array<{name: string, data: Uint8Array}>, config: Object}} Bundle files and the adapter config
+ */
+export function createPeftBundle(adapterData, options = {}) {
+  const { metadata = {} } = options;
+  const config = createPeftConfig(adapterData, options);
+  const tensors = createPeftTensors(adapterData, options);
+  // transformers only loads safetensors checkpoints tagged with format "pt"
+  const weights = serialize(tensors, { format: 'pt', ...metadata });
+  const configJson = new TextEncoder().encode(`${JSON.stringify(config, null, 2)}\n`);
+
+  return {
+    files: [
+      { name: PEFT_CONFIG_FILE, data: configJson },
+      { name: PEFT_WEIGHTS_FILE, data: weights }
+    ],
+    config
+  };
+}
+
+/**
+ * Whether the browser can write the bundle straight into a directory.
+ */
+export function supportsDirectoryExport() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Download a PEFT bundle as a zip archive.
+ * @param {Object} adapterData - LoRA adapter data
+ * @param {string} filename - Download filename
+ * @param {Object} [options] - createPeftBundle options
+ * @returns {Promise<Object>} The adapter config that was written
+ */
+export async function downloadPeftBundle(adapterData, filename = 'lora_adapter_peft.zip', options = {}) {
+  const { files, config } = createPeftBundle(adapterData, options);
+  const blob = new Blob([createZip(files)], { type: 'application/zip' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log('PEFT adapter download initiated:', filename);
+  return config;
+}
+
+/**
+ * Write a PEFT bundle into a directory chosen by the user.
+ * @param {Object} adapterData - LoRA adapter data
+ * @param {Object} [options] - createPeftBundle options
+ * @returns {Promise<Object|null>} The adapter config, or null when the picker was cancelled
+ */
+export async function savePeftBundleToDirectory(adapterData, options = {}) {
+  if (!supportsDirectoryExport()) {
+    throw new Error('This browser does not support writing to a directory');
+  }
+
+  const { files, config } = createPeftBundle(adapterData, options);
+
+  let directory;
+  try {
+    directory = await window.showDirectoryPicker({ id: 'lora-lab-peft', mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+
+  for (const { name, data } of files) {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+  }
+
+  console.log('PEFT adapter written to directory:', directory.name);
+  return config;
+}
+
+/**
+ * Whether a safetensors file holds PEFT-named LoRA tensors.
+ * @param {Uint8Array} data - Safetensors file contents
+ * @returns {boolean} True for adapter_model.safetensors files written by PEFT
+ */
+export function isPeftWeights(data) {
+  try {
+    const { entries } = readHeader(data);
+    return entries.some(({ name }) => name.startsWith(PEFT_TENSOR_PREFIX) && PEFT_LORA_TENSOR.test(name));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Look up a per-module value the way PEFT resolves rank_pattern / alpha_pattern keys.
+ */
+function findPatternValue(pattern, moduleName) {
+  for (const [key, value] of Object.entries(pattern || {})) {
+    let matches;
+    try {
+      matches = new RegExp(`^(.*\\.)?${key}$`).test(moduleName);
+    } catch (error) {
+      matches = moduleName === key || moduleName.endsWith(`.${key}`);
+    }
+    if (matches) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Parse and check adapter_config.json.
+ * @param {string|Object} configJson - File contents or the parsed object
+ * @returns {Object} PEFT LoraConfig dictionary
+ */
+export function parsePeftConfig(configJson) {
+  const config = typeof configJson === 'string' ? JSON.parse(configJson) : configJson;
+  const peftType = String(config.peft_type || '').toUpperCase();
+
+  if (peftType !== 'LORA') {
+    throw new Error(`Unsupported PEFT adapter type: ${config.peft_type || 'unknown'} (only LORA can be imported)`);
+  }
+  if (config.use_dora) {
+    throw new Error('DoRA adapters cannot be imported: their magnitude vectors have no LoRA Lab equivalent');
+  }
+  if (!(config.r > 0) || !(config.lora_alpha > 0)) {
+    throw new Error('adapter_config.json must define positive r and lora_alpha');
+  }
+  return config;
+}
+
+/**
+ * Import a PEFT adapter (adapter_model.safetensors + adapter_config.json).
+ * Module paths lose their base_model.model. prefix; matchAdapterLayers maps them onto the
+ * model's own layer names when the adapter is applied or used to start training.
+ * @param {Uint8Array} weightsData - adapter_model.safetensors contents
+ * @param {string|Object} configJson - adapter_config.json contents
+ * @returns {Promise<Object>} Adapter data in LoRA Lab orientation, plus import warnings
+ */
+export async function importPeftAdapter(weightsData, configJson) {
+  try {
+    const config = parsePeftConfig(configJson);
+    const { tensors } = deserialize(weightsData);
+    const alpha = config.lora_alpha;
+    const warnings = [];
+
+    const modules = {};
+    const ignored = [];
+    for (const [tensorName, tensor] of Object.entries(tensors)) {
+      const match = tensorName.match(PEFT_LORA_TENSOR);
+      if (!match) {
+        ignored.push(tensorName);
+        continue;
+      }
+      const [, moduleName, matrix] = match;
+      modules[moduleName] = { ...modules[moduleName], [matrix]: tensor };
+    }
+    if (ignored.length > 0) {
+      warnings.push(`Ignored ${ignored.length} non-LoRA tensor(s), e.g. ${ignored[0]}`);
+    }
+
+    const layers = {};
+    let rescaled = 0;
+    for (const [moduleName, { A, B }] of Object.entries(modules)) {
+      if (!A || !B) {
+        warnings.push(`Incomplete LoRA layer skipped: ${moduleName}`);
+        continue;
+      }
+
+      const [rank, inputDim] = A.shape;
+      const [outputDim, bRank] = B.shape;
+      if (rank !== bRank) {
+        throw new Error(`Layer ${moduleName} has mismatched ranks: lora_A ${A.shape}, lora_B ${B.shape}`);
+      }
+
+      // PEFT scales by lora_alpha / r (or / sqrt(r) with rsLoRA), per module when patterns are
+      // set. LoRA Lab applies alpha / r with a single alpha, so fold any difference into B.
+      const moduleAlpha = findPatternValue(config.alpha_pattern, moduleName) ?? alpha;
+      const peftScaling = config.use_rslora ? moduleAlpha / Math.sqrt(rank) : moduleAlpha / rank;
+      const factor = peftScaling / (alpha / rank);
+      if (Math.abs(factor - 1) > 1e-6) rescaled++;
+
+      layers[moduleName] = {
+        A: { data: Array.from(transpose(tensorToFloat32(A), rank, inputDim)), shape: [inputDim, rank], initialized: true },
+        B: { data: Array.from(transpose(tensorToFloat32(B), outputDim, rank, factor)), shape: [rank, outputDim], initialized: true },
+        paramCount: A.data.length + B.data.length
+      };
+    }
+
+    const layerNames = Object.keys(layers);
+    if (layerNames.length === 0) {
+      throw new Error('No complete lora_A/lora_B pairs found in adapter_model.safetensors');
+    }
+    if (rescaled > 0) {
+      warnings.push(`Rescaled lora_B of ${rescaled} layer(s) to LoRA Lab's alpha / r scaling`);
+    }
+
+    const adapterData = {
+      rank: mostCommon(layerNames.map(name => layers[name].A.shape[1])),
+      alpha,
+      layers,
+      totalParams: layerNames.reduce((sum, name) => sum + layers[name].paramCount, 0),
+      targetModules: layerNames,
+      warnings,
+      metadata: {
+        format: 'peft',
+        modelName: config.base_model_name_or_path || 'unknown',
+        importedAt: new Date().toISOString()
+      }
+    };
+
+    console.log('PEFT adapter imported successfully:', {
+      layerCount: layerNames.length,
+      totalParams: adapterData.totalParams,
+      rank: adapterData.rank,
+      alpha,
+      warnings
+    });
+
+    return adapterData;
+
+  } catch (error) {
+    console.error('PEFT adapter import failed:', error);
+    throw new Error(`Failed to import PEFT adapter: ${error.message}`);
+  }
+}
+
+export default {
+  PEFT_TENSOR_PREFIX,
+  PEFT_WEIGHTS_FILE,
+  PEFT_CONFIG_FILE,
+  toPeftModuleName,
+  createPeftTensors,
+  createPeftConfig,
+  createPeftBundle,
+  supportsDirectoryExport,
+  downloadPeftBundle,
+  savePeftBundleToDirectory,
+  isPeftWeights,
+  parsePeftConfig,
+  importPeftAdapter
+};
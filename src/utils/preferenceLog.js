@@ -0,0 +1,247 @@
+/**
+ * Preference Dataset for LoRA Lab
+ * Turns the feedback given in chat into preference pairs for DPO/ORPO training, stored in IndexedDB.
+ *
+ *   ratings  one record per rated response: { id, modelId, prompt, response, rating, source, timestamp }
+ *            rating is 'good' (thumbs up), 'bad' (thumbs down), 'regenerated' (the user asked
+ *            for another answer) or 'tie' (compare mode, neither was better)
+ *   pairs    { id, modelId, prompt, chosen, rejected, chosenSource, rejectedSource, origin, timestamp }
+ *            in the { prompt, chosen, rejected } shape preference-tuning datasets use
+ *
+ * Compare-mode picks are pairs directly. Single ratings become pairs once the same prompt has
+ * a preferred response ('good') and a dispreferred one ('bad' or 'regenerated') for the same model.
+ */
+
+const DB_NAME = 'lora-lab-preferences';
+const LEGACY_STORAGE_KEY = 'lora-lab-preferences';
+
+export const PREFERENCE_RATINGS = {
+  GOOD: 'good',
+  BAD: 'bad',
+  REGENERATED: 'regenerated',
+  TIE: 'tie'
+};
+
+const CHOSEN_RATINGS = [PREFERENCE_RATINGS.GOOD];
+const REJECTED_RATINGS = [PREFERENCE_RATINGS.BAD, PREFERENCE_RATINGS.REGENERATED];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('ratings', { keyPath: 'id' });
+        const pairs = db.createObjectStore('pairs', { keyPath: 'id' });
+        migrateLegacyPairs(pairs);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Compare-mode picks used to be kept in localStorage
+function migrateLegacyPairs(store) {
+  try {
+    const entries = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY)) || [];
+    entries
+      .filter(entry => entry.type === 'pair')
+      .forEach(({ type, ...pair }) => store.put({ origin: 'compare', ...pair }));
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not migrate stored preferences:', error);
+  }
+}
+
+async function transaction(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['ratings', 'pairs'], mode);
+    let result;
+    Promise.resolve(callback(tx)).then(value => { result = value; }, error => {
+      reject(error);
+      tx.abort();
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp - b.timestamp;
+}
+
+/**
+ * Store the rating of one response and derive the pairs it completes.
+ * @param {Object} entry - { modelId, prompt, response, rating, source }
+ * @returns {Promise<{rating: Object, pairs: Object[]}>} The stored rating and the newly derived pairs
+ */
+export async function recordRating(entry) {
+  if (!Object.values(PREFERENCE_RATINGS).includes(entry.rating)) {
+    throw new Error(`Unknown rating: ${entry.rating}`);
+  }
+  const rating = { id: createId('rating'), timestamp: Date.now(), modelId: null, source: null, ...entry };
+
+  return transaction('readwrite', async (tx) => {
+    const ratings = tx.objectStore('ratings');
+    const pairsStore = tx.objectStore('pairs');
+    const samePrompt = (await requestToPromise(ratings.getAll()))
+      .filter(other => other.modelId === rating.modelId && other.prompt === rating.prompt);
+
+    // Rating a response again replaces its earlier rating and the pairs derived from it
+    const previous = samePrompt.filter(other => other.response === rating.response);
+    const unchanged = previous.find(other => other.rating === rating.rating);
+    if (unchanged) return { rating: unchanged, pairs: [] };
+    if (previous.length > 0) {
+      const replacedIds = new Set(previous.map(other => other.id));
+      previous.forEach(other => ratings.delete(other.id));
+      (await requestToPromise(pairsStore.getAll()))
+        .filter(pair => pair.origin === 'rating' && pair.id.split('|').some(id => replacedIds.has(id)))
+        .forEach(pair => pairsStore.delete(pair.id));
+    }
+
+    const related = samePrompt.filter(other => other.response !== rating.response);
+
+    const pairs = [];
+    const addPair = (chosen, rejected) => {
+      const pair = {
+        id: `${chosen.id}|${rejected.id}`,
+        modelId: rating.modelId,
+        prompt: rating.prompt,
+        chosen: chosen.response,
+        rejected: rejected.response,
+        chosenSource: chosen.source,
+        rejectedSource: rejected.source,
+        origin: 'rating',
+        timestamp: rating.timestamp
+      };
+      pairsStore.put(pair);
+      pairs.push(pair);
+    };
+
+    if (CHOSEN_RATINGS.includes(rating.rating)) {
+      related.filter(other => REJECTED_RATINGS.includes(other.rating)).forEach(other => addPair(rating, other));
+    } else if (REJECTED_RATINGS.includes(rating.rating)) {
+      related.filter(other => CHOSEN_RATINGS.includes(other.rating)).forEach(other => addPair(other, rating));
+    }
+
+    ratings.put(rating);
+    return { rating, pairs };
+  });
+}
+
+/**
+ * Store an explicit preference between two responses to the same prompt (compare mode).
+ * @param {Object} entry - { modelId, prompt, chosen, rejected, chosenSource, rejectedSource, seed }
+ * @returns {Promise<Object>} The stored pair
+ */
+export async function recordPreferencePair(entry) {
+  const pair = { id: createId('pair'), timestamp: Date.now(), origin: 'compare', ...entry };
+  await transaction('readwrite', (tx) => {
+    tx.objectStore('pairs').put(pair);
+  });
+  return pair;
+}
+
+/**
+ * Stored preference pairs, oldest first.
+ * @param {Object} [filter] - { modelId } to only return pairs recorded with one model
+ * @returns {Promise<Object[]>} Pairs
+ */
+export async function listPreferencePairs(filter = {}) {
+  const pairs = await transaction('readonly', (tx) => requestToPromise(tx.objectStore('pairs').getAll()));
+  return pairs
+    .filter(pair => !filter.modelId || pair.modelId === filter.modelId)
+    .sort(byTimestamp);
+}
+
+/**
+ * Stored ratings, oldest first.
+ * @returns {Promise<Object[]>} Ratings
+ */
+export async function listRatings() {
+  const ratings = await transaction('readonly', (tx) => requestToPromise(tx.objectStore('ratings').getAll()));
+  return ratings.sort(byTimestamp);
+}
+
+/**
+ * Number of stored preference pairs.
+ * @returns {Promise<number>} Pair count
+ */
+export async function countPreferencePairs() {
+  return transaction('readonly', (tx) => requestToPromise(tx.objectStore('pairs').count()));
+}
+
+/**
+ * Remove every rating and preference pair.
+ */
+export async function clearPreferences() {
+  await transaction('readwrite', (tx) => {
+    tx.objectStore('ratings').clear();
+    tx.objectStore('pairs').clear();
+  });
+}
+
+/**
+ * Preference pairs as JSONL, one { "prompt", "chosen", "rejected" } record per line.
+ * This is the 'preference' dataset format (see datasetFormats.js).
+ * @param {Object[]} pairs - Pairs from listPreferencePairs
+ * @returns {string} JSONL text
+ */
+export function preferencePairsToJsonl(pairs) {
+  return pairs
+    .map(({ prompt, chosen, rejected }) => JSON.stringify({ prompt, chosen, rejected }))
+    .join('\n');
+}
+
+/**
+ * Download the stored preference pairs as a JSONL file.
+ * @param {string} [filename] - Download file name
+ * @returns {Promise<number>} Number of exported pairs
+ */
+export async function downloadPreferenceDataset(filename = 'lora-lab-preferences.jsonl') {
+  const pairs = await listPreferencePairs();
+  const blob = new Blob([preferencePairsToJsonl(pairs)], { type: 'application/jsonl' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log('Preference dataset download initiated:', filename);
+  return pairs.length;
+}
+
+export default {
+  PREFERENCE_RATINGS,
+  recordRating,
+  recordPreferencePair,
+  listPreferencePairs,
+  listRatings,
+  countPreferencePairs,
+  clearPreferences,
+  preferencePairsToJsonl,
+  downloadPreferenceDataset
+};
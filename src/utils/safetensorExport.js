@@ -3,100 +3,53 @@
  * Handles serialization and deserialization of LoRA adapters in safetensors format
  */
 
-// Import safetensors - this version only has SafeTensor class for loading
-import { SafeTensor, loadSafeTensor } from 'safetensors';
+import { serialize, deserialize, tensorToFloat32 } from './safetensorsFormat.js';
+import { createPeftConfig, createPeftTensors } from './peftExport.js';
 
-// Since this version of safetensors doesn't have serialize/deserialize functions,
-// we'll implement them ourselves following the safetensors format specification
+// Adapter weights can be stored at reduced precision; they are always read back as float32
+export const ADAPTER_DTYPES = ['F32', 'F16', 'BF16'];
 
 /**
- * Serialize tensors to safetensors format
- * @param {Object} tensors - Object with tensor names as keys and {data, shape, dtype} as values
- * @returns {Uint8Array} - Serialized safetensors buffer
+ * Parse adapter metadata written by exportAdapter. Safetensors metadata values are strings.
  */
-function serialize(tensors) {
-  const metadata = {};
-  const buffers = [];
-  let currentOffset = 0;
-
-  // Build metadata and collect buffers
-  for (const [name, tensor] of Object.entries(tensors)) {
-    const { data, shape, dtype } = tensor;
-    const byteLength = data.byteLength;
-    
-    metadata[name] = {
-      dtype: dtype || 'F32',
-      shape: shape,
-      data_offsets: [currentOffset, currentOffset + byteLength]
-    };
-    
-    buffers.push(new Uint8Array(data.buffer || data));
-    currentOffset += byteLength;
-  }
-
-  // Serialize metadata to JSON
-  const metadataStr = JSON.stringify(metadata);
-  const metadataBytes = new TextEncoder().encode(metadataStr);
-  
-  // Calculate padding to align to 8 bytes
-  const padding = (8 - (metadataBytes.length % 8)) % 8;
-  const paddedMetadataLength = metadataBytes.length + padding;
-  
-  // Create header (8 bytes for metadata length)
-  const headerBuffer = new ArrayBuffer(8);
-  const headerView = new DataView(headerBuffer);
-  headerView.setBigUint64(0, BigInt(paddedMetadataLength), true);
-  
-  // Combine all parts
-  const totalLength = 8 + paddedMetadataLength + currentOffset;
-  const result = new Uint8Array(totalLength);
-  
-  // Copy header
-  result.set(new Uint8Array(headerBuffer), 0);
-  
-  // Copy metadata with padding
-  result.set(metadataBytes, 8);
-  
-  // Copy tensor data
-  let offset = 8 + paddedMetadataLength;
-  for (const buffer of buffers) {
-    result.set(buffer, offset);
-    offset += buffer.length;
+function parseAdapterMetadata(metadata) {
+  const number = key => (metadata[key] !== undefined ? Number(metadata[key]) : undefined);
+  let targetModules = [];
+  try {
+    targetModules = metadata.target_modules ? JSON.parse(metadata.target_modules) : [];
+  } catch (error) {
+    targetModules = metadata.target_modules.split(',').map(name => name.trim()).filter(Boolean);
   }
-  
-  return result;
-}
 
-/**
- * Deserialize safetensors format to tensors
- * @param {Uint8Array} buffer - Safetensors buffer
- * @returns {Object} - Object with tensor names as keys and {data, shape, dtype} as values
- */
-function deserialize(buffer) {
-  const safetensor = new SafeTensor(buffer);
-  const tensors = {};
-  
-  for (const [name, metadata] of safetensor.metadata.entries()) {
-    const data = safetensor.getTensor(name);
-    tensors[name] = {
-      data: data,
-      shape: metadata.shape,
-      dtype: metadata.dtype
-    };
-  }
-  
-  return tensors;
+  return {
+    adapterType: metadata.adapter_type,
+    formatVersion: metadata.format_version,
+    rank: number('rank'),
+    alpha: number('alpha'),
+    scaling: number('scaling'),
+    targetModules,
+    modelName: metadata.model_name,
+    createdAt: metadata.created_at,
+    loraLabVersion: metadata.lora_lab_version,
+    trainingSteps: number('training_steps'),
+    finalLoss: number('final_loss')
+  };
 }
 
 /**
  * Export LoRA adapter to safetensors format
  * @param {Object} adapterData - LoRA adapter data
- * @param {Object} metadata - Adapter metadata
+ * @param {Object} metadata - Adapter metadata, stored in the file's __metadata__ block
+ * @param {Object} [options] - { dtype } storage precision, one of ADAPTER_DTYPES
  * @returns {Promise<Uint8Array>} Serialized safetensors data
  */
-export async function exportAdapter(adapterData, metadata = {}) {
+export async function exportAdapter(adapterData, metadata = {}, options = {}) {
+  const { dtype = 'F32' } = options;
   try {
     console.log('Exporting LoRA adapter to safetensors format...');
+    if (!ADAPTER_DTYPES.includes(dtype)) {
+      throw new Error(`Unsupported adapter dtype: ${dtype}`);
+    }
     
     // Prepare tensors dictionary
     const tensors = {};
@@ -106,40 +59,45 @@ export async function exportAdapter(adapterData, metadata = {}) {
       // LoRA A matrix (input_dim x rank)
       if (layerData.A && layerData.A.data) {
         tensors[`${layerName}.lora_A.weight`] = {
-          data: new Float32Array(layerData.A.data),
+          data: Float32Array.from(layerData.A.data),
           shape: layerData.A.shape,
-          dtype: 'F32'
+          dtype
         };
       }
       
       // LoRA B matrix (rank x output_dim)
       if (layerData.B && layerData.B.data) {
         tensors[`${layerName}.lora_B.weight`] = {
-          data: new Float32Array(layerData.B.data),
+          data: Float32Array.from(layerData.B.data),
           shape: layerData.B.shape,
-          dtype: 'F32'
+          dtype
         };
       }
     }
     
-    // Prepare metadata
+    // Prepare metadata. The named fields are stored under their snake_case keys; anything
+    // else is written as given.
+    const { modelName, trainingSteps, finalLoss, ...extraMetadata } = metadata;
+    // One scaling only describes every layer when they share a rank; otherwise each layer's
+    // alpha / rank follows from its tensor shapes
+    const ranks = new Set(Object.values(adapterData.layers || {}).map(layerData => layerData.A?.shape?.[1]));
     const adapterMetadata = {
       format_version: '1.0',
       lora_lab_version: '0.1.0',
       adapter_type: 'lora',
       rank: adapterData.rank || 4,
       alpha: adapterData.alpha || 8,
-      scaling: adapterData.scaling || (adapterData.alpha / adapterData.rank),
+      scaling: adapterData.scaling || (ranks.size > 1 ? undefined : adapterData.alpha / adapterData.rank),
       target_modules: adapterData.targetModules || [],
       created_at: new Date().toISOString(),
-      model_name: metadata.modelName || 'unknown',
-      training_steps: metadata.trainingSteps || 0,
-      final_loss: metadata.finalLoss || 0,
-      ...metadata
+      model_name: modelName || 'unknown',
+      training_steps: trainingSteps || 0,
+      final_loss: finalLoss || 0,
+      ...extraMetadata
     };
     
-    // Serialize to safetensors format
-    const serialized = serialize(tensors);
+    // Serialize to safetensors format, with the metadata in the header
+    const serialized = serialize(tensors, adapterMetadata);
     
     console.log('Adapter exported successfully:', {
       tensorCount: Object.keys(tensors).length,
@@ -165,10 +123,11 @@ export async function importAdapter(data) {
     console.log('Importing LoRA adapter from safetensors format...');
     
     // Deserialize safetensors data
-    const tensors = deserialize(data);
+    const { tensors, metadata: rawMetadata } = deserialize(data);
+    const metadata = parseAdapterMetadata(rawMetadata);
     
     // Validate format
-    if (!tensors || tensors.adapter_type !== 'lora') {
+    if (metadata.adapterType !== 'lora') {
       throw new Error('Invalid adapter format: not a LoRA adapter');
     }
     
@@ -193,12 +152,12 @@ export async function importAdapter(data) {
     for (const [layerName, matrices] of Object.entries(layerGroups)) {
       layers[layerName] = {
         A: matrices.lora_A ? {
-          data: Array.from(matrices.lora_A.data),
+          data: Array.from(tensorToFloat32(matrices.lora_A)),
           shape: matrices.lora_A.shape,
           initialized: true
         } : null,
         B: matrices.lora_B ? {
-          data: Array.from(matrices.lora_B.data),
+          data: Array.from(tensorToFloat32(matrices.lora_B)),
           shape: matrices.lora_B.shape,
           initialized: true
         } : null,
@@ -212,20 +171,24 @@ export async function importAdapter(data) {
       (sum, layer) => sum + (layer.paramCount || 0), 0
     );
     
+    const rank = metadata.rank || 4;
+    const alpha = metadata.alpha || 8;
+    // Without a stored scaling, layers of different ranks each scale by alpha / their rank
+    const ranks = new Set(Object.values(layers).map(layer => layer.A?.shape?.[1]));
     const adapterData = {
-      rank: tensors.rank || 4,
-      alpha: tensors.alpha || 8,
-      scaling: tensors.scaling || (tensors.alpha / tensors.rank),
+      rank,
+      alpha,
+      scaling: metadata.scaling || (ranks.size > 1 ? undefined : alpha / rank),
       layers,
       totalParams,
-      targetModules: tensors.target_modules || [],
+      targetModules: metadata.targetModules.length > 0 ? metadata.targetModules : Object.keys(layers),
       metadata: {
-        formatVersion: tensors.format_version,
-        loraLabVersion: tensors.lora_lab_version,
-        createdAt: tensors.created_at,
-        modelName: tensors.model_name,
-        trainingSteps: tensors.training_steps,
-        finalLoss: tensors.final_loss,
+        formatVersion: metadata.formatVersion,
+        loraLabVersion: metadata.loraLabVersion,
+        createdAt: metadata.createdAt,
+        modelName: metadata.modelName,
+        trainingSteps: metadata.trainingSteps,
+        finalLoss: metadata.finalLoss,
         importedAt: new Date().toISOString()
       }
     };
@@ -250,10 +213,11 @@ export async function importAdapter(data) {
  * @param {Object} adapterData - LoRA adapter data
  * @param {string} filename - Download filename
  * @param {Object} metadata - Additional metadata
+ * @param {Object} [options] - exportAdapter options ({ dtype })
  */
-export async function downloadAdapter(adapterData, filename = 'lora_adapter.safetensors', metadata = {}) {
+export async function downloadAdapter(adapterData, filename = 'lora_adapter.safetensors', metadata = {}, options = {}) {
   try {
-    const serializedData = await exportAdapter(adapterData, metadata);
+    const serializedData = await exportAdapter(adapterData, metadata, options);
     
     // --- New Validation Step ---
     const validation = await validateAdapterFile(serializedData);
@@ -324,21 +288,22 @@ export async function validateAdapterFile(fileData) {
     }
     
     // Try to deserialize
-    const tensors = deserialize(data);
+    const { tensors, metadata: rawMetadata } = deserialize(data);
+    const metadata = parseAdapterMetadata(rawMetadata);
     
     // Validate metadata
-    if (!tensors) {
+    if (Object.keys(rawMetadata).length === 0) {
       validation.errors.push('No metadata found in safetensors file');
       return validation;
     }
     
-    if (tensors.adapter_type !== 'lora') {
-      validation.errors.push(`Unsupported adapter type: ${tensors.adapter_type}`);
+    if (metadata.adapterType !== 'lora') {
+      validation.errors.push(`Unsupported adapter type: ${metadata.adapterType}`);
       return validation;
     }
     
     // Check format version compatibility
-    const formatVersion = tensors.format_version || '1.0';
+    const formatVersion = metadata.formatVersion || '1.0';
     if (formatVersion !== '1.0') {
       validation.warnings.push(`Format version ${formatVersion} may not be fully compatible`);
     }
@@ -380,13 +345,14 @@ export async function validateAdapterFile(fileData) {
     );
     
     validation.isValid = validation.errors.length === 0;
-    validation.metadata = tensors;
+    validation.metadata = metadata;
     validation.tensorInfo = {
       totalTensors,
       totalParams,
       layerCount: Object.keys(loraLayers).length,
-      rank: tensors.rank,
-      alpha: tensors.alpha
+      dtypes: [...new Set(Object.values(tensors).map(tensor => tensor.dtype))],
+      rank: metadata.rank,
+      alpha: metadata.alpha
     };
     
     if (validation.isValid) {
@@ -491,39 +457,48 @@ export function createDropHandler(dropZone, onFileDropped) {
 }
 
 /**
- * Convert adapter data to HuggingFace format
+ * Convert adapter data to HuggingFace PEFT format
  * @param {Object} adapterData - LoRA adapter data
- * @returns {Object} HuggingFace format adapter
+ * @param {Object} [options] - { baseModel, dtype }
+ * @returns {{config: Object, tensors: Object}} adapter_config.json contents and PEFT-named tensors
  */
-export function convertToHuggingFaceFormat(adapterData) {
-  const hfAdapter = {
-    adapter_type: 'lora',
-    r: adapterData.rank,
-    lora_alpha: adapterData.alpha,
-    target_modules: adapterData.targetModules,
-    lora_dropout: 0.1, // Default dropout
-    bias: 'none',
-    modules_to_save: [],
-    layers: {}
+export function convertToHuggingFaceFormat(adapterData, options = {}) {
+  return {
+    config: createPeftConfig(adapterData, options),
+    tensors: createPeftTensors(adapterData, options)
   };
-  
-  // Convert layer data
-  for (const [layerName, layerData] of Object.entries(adapterData.layers)) {
-    if (layerData.A && layerData.B) {
-      hfAdapter.layers[layerName] = {
-        lora_A: {
-          weight: layerData.A.data,
-          shape: layerData.A.shape
-        },
-        lora_B: {
-          weight: layerData.B.data,
-          shape: layerData.B.shape
-        }
-      };
-    }
+}
+
+/**
+ * Content hash of an adapter: SHA-256 over its scaling and every complete layer's name, shapes
+ * and float32 weights, in layer-name order. The same weights give the same hash whatever file
+ * they were loaded from, so chats can record exactly which adapter produced a response.
+ * @param {Object} adapterData - LoRA adapter data ({ rank, alpha, scaling, layers })
+ * @returns {Promise<string>} First 16 hex digits of the digest
+ */
+export async function hashAdapter(adapterData) {
+  const encoder = new TextEncoder();
+  const scaling = adapterData.scaling ?? (adapterData.alpha / adapterData.rank);
+  const parts = [encoder.encode(`scaling:${scaling}`)];
+
+  for (const name of Object.keys(adapterData.layers || {}).sort()) {
+    const { A, B } = adapterData.layers[name] || {};
+    // importAdapter keeps layers with a missing lora_A or lora_B; they never reach the model
+    if (!A?.data || !B?.data) continue;
+    parts.push(encoder.encode(`${name}:${A.shape.join('x')}:${B.shape.join('x')}`));
+    parts.push(new Uint8Array(Float32Array.from(A.data).buffer));
+    parts.push(new Uint8Array(Float32Array.from(B.data).buffer));
   }
-  
-  return hfAdapter;
+
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 /**
@@ -535,5 +510,6 @@ export default {
   downloadAdapter,
   validateAdapterFile,
   createDropHandler,
-  convertToHuggingFaceFormat
+  convertToHuggingFaceFormat,
+  hashAdapter
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * Safetensors Format for LoRA Lab
+ * Reader and writer for the safetensors file layout (https://github.com/huggingface/safetensors):
+ *
+ *   [u64 little-endian N][N bytes of JSON header, space padded][tensor bytes]
+ *
+ * The header maps tensor names to { dtype, shape, data_offsets: [begin, end] } (offsets are
+ * relative to the start of the tensor bytes) plus an optional "__metadata__" object whose
+ * values are all strings. Files written here load with the Python `safetensors` library and
+ * files written by it load here.
+ */
+
+export const METADATA_KEY = '__metadata__';
+
+// Bytes per element and the typed array holding raw values. F16/BF16 are kept as raw
+// 16-bit patterns; use tensorToFloat32 to get numbers out of them.
+export const DTYPES = {
+  F64: { size: 8, ArrayType: Float64Array },
+  F32: { size: 4, ArrayType: Float32Array },
+  F16: { size: 2, ArrayType: Uint16Array },
+  BF16: { size: 2, ArrayType: Uint16Array },
+  I64: { size: 8, ArrayType: BigInt64Array },
+  U64: { size: 8, ArrayType: BigUint64Array },
+  I32: { size: 4, ArrayType: Int32Array },
+  U32: { size: 4, ArrayType: Uint32Array },
+  I16: { size: 2, ArrayType: Int16Array },
+  U16: { size: 2, ArrayType: Uint16Array },
+  I8: { size: 1, ArrayType: Int8Array },
+  U8: { size: 1, ArrayType: Uint8Array },
+  BOOL: { size: 1, ArrayType: Uint8Array }
+};
+
+// Layout order used by the Python library (its dtype enum, descending). Element sizes never
+// increase along it, so each tensor starts at an offset aligned to its element size.
+const DTYPE_ORDER = ['U64', 'I64', 'F64', 'F32', 'U32', 'I32', 'BF16', 'F16', 'U16', 'I16', 'I8', 'U8', 'BOOL'];
+
+// Headers larger than this are rejected instead of being decoded (same limit as the Python library)
+const MAX_HEADER_SIZE = 100 * 1024 * 1024;
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+/**
+ * Convert a number to IEEE half-precision bits, rounding to nearest even.
+ * @param {number} value - Value to convert
+ * @returns {number} 16-bit pattern
+ */
+export function float32ToFloat16Bits(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = (bits >>> 23) & 0xff;
+  let mantissa = bits & 0x7fffff;
+
+  if (exponent === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0); // Inf or quiet NaN
+  }
+
+  const halfExponent = exponent - 127 + 15;
+  if (halfExponent >= 0x1f) {
+    return sign | 0x7c00; // Overflow to infinity
+  }
+
+  if (halfExponent <= 0) {
+    // Subnormal half (or zero): shift the mantissa, with its implicit bit, into place
+    if (halfExponent < -10) return sign;
+    mantissa |= 0x800000;
+    const shift = 14 - halfExponent;
+    let half = mantissa >>> shift;
+    const remainder = mantissa & ((1 << shift) - 1);
+    const halfway = 1 << (shift - 1);
+    if (remainder > halfway || (remainder === halfway && (half & 1))) half++;
+    return sign | half;
+  }
+
+  let half = (halfExponent << 10) | (mantissa >>> 13);
+  const remainder = mantissa & 0x1fff;
+  // A carry out of the mantissa correctly bumps the exponent (up to infinity)
+  if (remainder > 0x1000 || (remainder === 0x1000 && (half & 1))) half++;
+  return sign | half;
+}
+
+/**
+ * Convert IEEE half-precision bits to a number.
+ * @param {number} half - 16-bit pattern
+ * @returns {number} Value
+ */
+export function float16BitsToFloat32(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >>> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+/**
+ * Convert a number to bfloat16 bits, rounding to nearest even.
+ * @param {number} value - Value to convert
+ * @returns {number} 16-bit pattern
+ */
+export function float32ToBFloat16Bits(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  if ((bits & 0x7f800000) === 0x7f800000 && (bits & 0x7fffff)) {
+    return ((bits >>> 16) | 0x40) & 0xffff; // Keep NaN quiet
+  }
+  return ((bits + 0x7fff + ((bits >>> 16) & 1)) >>> 16) & 0xffff;
+}
+
+/**
+ * Convert bfloat16 bits to a number.
+ * @param {number} bits - 16-bit pattern
+ * @returns {number} Value
+ */
+export function bfloat16BitsToFloat32(bits) {
+  bitsView[0] = bits << 16;
+  return floatView[0];
+}
+
+/**
+ * Raw storage for a tensor in `dtype`. Float data given for F16/BF16 is converted;
+ * anything else is copied into the dtype's typed array.
+ */
+function encodeTensorData(data, dtype) {
+  const { ArrayType } = DTYPES[dtype];
+
+  if ((dtype === 'F16' || dtype === 'BF16') && !(data instanceof Uint16Array)) {
+    const encode = dtype === 'F16' ? float32ToFloat16Bits : float32ToBFloat16Bits;
+    return Uint16Array.from(data, value => encode(Number(value)));
+  }
+  if (data instanceof ArrayType) return data;
+  if (ArrayType === BigInt64Array || ArrayType === BigUint64Array) {
+    return ArrayType.from(data, value => BigInt(value));
+  }
+  return ArrayType.from(data);
+}
+
+/**
+ * Serialize tensors (and string metadata) to safetensors bytes.
+ * Tensors are laid out in the Python library's order (by dtype, then name), so for the
+ * same tensors the output matches its `save_file` byte for byte, up to the order of
+ * metadata keys.
+ * @param {Object} tensors - Name -> { data, shape, dtype = 'F32' }; data is a typed array or number array
+ * @param {Object} [metadata] - Free-form metadata; non-string values are JSON encoded
+ * @returns {Uint8Array} Serialized file
+ */
+export function serialize(tensors, metadata = null) {
+  const entries = Object.entries(tensors).map(([name, { data, shape, dtype = 'F32' }]) => {
+    if (!DTYPES[dtype]) {
+      throw new Error(`Unsupported dtype ${dtype} for tensor ${name}`);
+    }
+    if (name === METADATA_KEY) {
+      throw new Error(`"${METADATA_KEY}" is reserved and cannot be a tensor name`);
+    }
+    const encoded = encodeTensorData(data, dtype);
+    const elements = shape.reduce((product, dim) => product * dim, 1);
+    if (encoded.length !== elements) {
+      throw new Error(`Tensor ${name} has ${encoded.length} values but shape [${shape.join(', ')}] needs ${elements}`);
+    }
+    return { name, dtype, shape, bytes: new Uint8Array(encoded.buffer, encoded.byteOffset, encoded.byteLength) };
+  });
+
+  entries.sort((a, b) =>
+    DTYPE_ORDER.indexOf(a.dtype) - DTYPE_ORDER.indexOf(b.dtype) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  );
+
+  const header = {};
+  if (metadata && Object.keys(metadata).length > 0) {
+    header[METADATA_KEY] = Object.fromEntries(
+      Object.entries(metadata)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    );
+  }
+
+  let dataLength = 0;
+  for (const { name, dtype, shape, bytes } of entries) {
+    header[name] = { dtype, shape, data_offsets: [dataLength, dataLength + bytes.byteLength] };
+    dataLength += bytes.byteLength;
+  }
+
+  // The header is padded with spaces so the tensor bytes start 8-byte aligned
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const headerLength = Math.ceil(headerBytes.length / 8) * 8;
+
+  const result = new Uint8Array(8 + headerLength + dataLength);
+  new DataView(result.buffer).setBigUint64(0, BigInt(headerLength), true);
+  result.set(headerBytes, 8);
+  result.fill(0x20, 8 + headerBytes.length, 8 + headerLength);
+
+  let offset = 8 + headerLength;
+  for (const { bytes } of entries) {
+    result.set(bytes, offset);
+    offset += bytes.byteLength;
+  }
+
+  return result;
+}
+
+/**
+ * Parse and check the JSON header of a safetensors file.
+ * @param {Uint8Array} buffer - File bytes
+ * @returns {{metadata: Object, entries: Array<Object>, dataStart: number}} String metadata and tensor entries
+ */
+export function readHeader(buffer) {
+  if (buffer.byteLength < 8) {
+    throw new Error('File is too small to be safetensors');
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const headerLength = Number(view.getBigUint64(0, true));
+  if (headerLength > MAX_HEADER_SIZE || 8 + headerLength > buffer.byteLength) {
+    throw new Error(`Invalid header length ${headerLength}`);
+  }
+
+  const headerText = new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(8, 8 + headerLength));
+  if (!headerText.startsWith('{')) {
+    throw new Error('Header is not a JSON object');
+  }
+  const header = JSON.parse(headerText);
+
+  const metadata = header[METADATA_KEY] || {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (typeof value !== 'string') {
+      throw new Error(`Metadata value for "${key}" is not a string`);
+    }
+  }
+
+  const dataStart = 8 + headerLength;
+  const dataLength = buffer.byteLength - dataStart;
+  const entries = Object.entries(header)
+    .filter(([name]) => name !== METADATA_KEY)
+    .map(([name, { dtype, shape, data_offsets: offsets }]) => {
+      if (!DTYPES[dtype]) {
+        throw new Error(`Unsupported dtype ${dtype} for tensor ${name}`);
+      }
+      const [begin, end] = offsets;
+      const elements = shape.reduce((product, dim) => product * dim, 1);
+      if (end < begin || end > dataLength || end - begin !== elements * DTYPES[dtype].size) {
+        throw new Error(`Tensor ${name} has invalid data offsets [${begin}, ${end}]`);
+      }
+      return { name, dtype, shape, begin, end };
+    })
+    .sort((a, b) => a.begin - b.begin);
+
+  // Tensor bytes must tile the data section exactly, in order and without gaps
+  let expected = 0;
+  for (const { name, begin, end } of entries) {
+    if (begin !== expected) {
+      throw new Error(`Tensor ${name} does not start where the previous tensor ends`);
+    }
+    expected = end;
+  }
+  if (expected !== dataLength) {
+    throw new Error(`Data section is ${dataLength} bytes but tensors cover ${expected}`);
+  }
+
+  return { metadata, entries, dataStart };
+}
+
+/**
+ * Deserialize safetensors bytes.
+ * @param {Uint8Array} buffer - File bytes
+ * @returns {{tensors: Object, metadata: Object}} tensors maps name -> { data, shape, dtype }
+ *   (data in the dtype's typed array, see DTYPES); metadata holds the "__metadata__" strings
+ */
+export function deserialize(buffer) {
+  const { metadata, entries, dataStart } = readHeader(buffer);
+  const tensors = {};
+
+  for (const { name, dtype, shape, begin, end } of entries) {
+    // Copy so the typed array is aligned regardless of where the file buffer starts
+    const bytes = buffer.slice(dataStart + begin, dataStart + end);
+    const { ArrayType, size } = DTYPES[dtype];
+    tensors[name] = { data: new ArrayType(bytes.buffer, 0, bytes.byteLength / size), shape, dtype };
+  }
+
+  return { tensors, metadata };
+}
+
+/**
+ * Tensor values as numbers, decoding F16/BF16 bit patterns.
+ * @param {Object} tensor - { data, dtype } from deserialize
+ * @returns {Float32Array} Values
+ */
+export function tensorToFloat32(tensor) {
+  const { data, dtype } = tensor;
+  if (dtype === 'F16') return Float32Array.from(data, float16BitsToFloat32);
+  if (dtype === 'BF16') return Float32Array.from(data, bfloat16BitsToFloat32);
+  if (data instanceof Float32Array) return data;
+  return Float32Array.from(data, Number);
+}
+
+export default {
+  METADATA_KEY,
+  DTYPES,
+  float32ToFloat16Bits,
+  float16BitsToFloat32,
+  float32ToBFloat16Bits,
+  bfloat16BitsToFloat32,
+  serialize,
+  readHeader,
+  deserialize,
+  tensorToFloat32
+};
@@ -0,0 +1,49 @@
+/**
+ * Token-level Diff for LoRA Lab
+ * Aligns two generated token sequences (longest common subsequence) so compare mode can
+ * highlight where the base and adapted responses diverge.
+ */
+
+/**
+ * Mark the tokens of two sequences that are not part of their longest common subsequence.
+ * @param {Array<string|number>} left - Tokens (text or IDs) of the first response
+ * @param {Array<string|number>} right - Tokens of the second response
+ * @returns {{left: boolean[], right: boolean[], common: number}} Per-token "changed" flags and
+ *   the number of tokens the responses share
+ */
+export function diffTokens(left, right) {
+  const rows = left.length;
+  const cols = right.length;
+  const width = cols + 1;
+
+  // lengths[i * width + j] = LCS length of left[i:] and right[j:]
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = left[i] === right[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const leftChanged = new Array(rows).fill(true);
+  const rightChanged = new Array(cols).fill(true);
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (left[i] === right[j]) {
+      leftChanged[i++] = false;
+      rightChanged[j++] = false;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return { left: leftChanged, right: rightChanged, common: lengths[0] };
+}
+
+export default {
+  diffTokens
+};
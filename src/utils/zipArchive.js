@@ -0,0 +1,134 @@
+/**
+ * Zip Archive Writer for LoRA Lab
+ * Builds uncompressed (stored) zip archives in memory, enough to bundle exported files
+ * into a single download. Entries are limited to 4 GiB in total (no Zip64).
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const MAX_SIZE = 0xffffffff;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3) of a byte array.
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp (local time, 2-second resolution).
+ */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a stored zip archive.
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries - Files to include; strings are written as UTF-8
+ * @param {Object} [options] - { date } modification time of every entry
+ * @returns {Uint8Array} Zip archive bytes
+ */
+export function createZip(entries, options = {}) {
+  const { time, date } = dosDateTime(options.date || new Date());
+  const encoder = new TextEncoder();
+
+  const files = entries.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.bytes.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+  const totalSize = localSize + centralSize + 22;
+  if (totalSize > MAX_SIZE || files.length > 0xffff) {
+    throw new Error('Archive is too large for a zip without Zip64 support');
+  }
+
+  const output = new Uint8Array(totalSize);
+  const view = new DataView(output.buffer);
+  let offset = 0;
+
+  const writeCommonFields = (file) => {
+    view.setUint16(offset, UTF8_FLAG, true);
+    view.setUint16(offset + 2, 0, true); // stored, no compression
+    view.setUint16(offset + 4, time, true);
+    view.setUint16(offset + 6, date, true);
+    view.setUint32(offset + 8, file.crc, true);
+    view.setUint32(offset + 12, file.bytes.length, true);
+    view.setUint32(offset + 16, file.bytes.length, true);
+    view.setUint16(offset + 20, file.name.length, true);
+    view.setUint16(offset + 22, 0, true); // extra field length
+    offset += 24;
+  };
+
+  for (const file of files) {
+    file.offset = offset;
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true);
+    offset += 6;
+    writeCommonFields(file);
+    output.set(file.name, offset);
+    offset += file.name.length;
+    output.set(file.bytes, offset);
+    offset += file.bytes.length;
+  }
+
+  const centralOffset = offset;
+  for (const file of files) {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true); // version made by
+    view.setUint16(offset + 6, VERSION, true); // version needed to extract
+    offset += 8;
+    writeCommonFields(file);
+    view.setUint16(offset, 0, true);      // comment length
+    view.setUint16(offset + 2, 0, true);  // disk number
+    view.setUint16(offset + 4, 0, true);  // internal attributes
+    view.setUint32(offset + 6, 0, true);  // external attributes
+    view.setUint32(offset + 10, file.offset, true);
+    offset += 14;
+    output.set(file.name, offset);
+    offset += file.name.length;
+  }
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 4, 0, true);
+  view.setUint16(offset + 6, 0, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  view.setUint16(offset + 20, 0, true);
+
+  return output;
+}
+
+export default {
+  crc32,
+  createZip
+};
@@ -14,11 +14,28 @@ import {
   AutoModelForCausalLM,
   TextStreamer,
   InterruptableStoppingCriteria,
+  StoppingCriteria,
+  LogitsProcessor,
+  Tensor,
 } from "@huggingface/transformers";
+import {
+  findInjectableLayers,
+  matchAdapterLayers,
+  combineAdapters,
+  buildAdapterFeeds,
+  installAdapterInjection,
+} from "../trainers/adapterInjection.js";
+import { createRng } from "../trainers/loraReference.js";
+import { float16BitsToFloat32 } from "../utils/safetensorsFormat.js";
+import { normalizeGenerationConfig } from "../utils/generationConfig.js";
+import { fitConversation, getContextLimit } from "../utils/chatContext.js";
 
 // A mapping from model_id to a promise that resolves to the loaded model and tokenizer.
 const models = new Map();
+// Per-model adapters, keyed by adapter ID; any subset can be stacked for a request.
 const adapters = new Map();
+// Per-model adapter injection state: injectable layers, base/adapted feeds and the active set.
+const injections = new Map();
 
 // Stopping criteria for generation, allowing interruption from the main thread.
 const stopping_criteria = new InterruptableStoppingCriteria();
@@ -47,6 +64,379 @@ function getInstance(model_id, progress_callback = null) {
   return models.get(model_id);
 }
 
+/**
+ * Converts plain { type, data, dims } feeds into transformers.js tensors.
+ * @param {Object} feeds Map of input name to feed description.
+ * @returns {Object} Map of input name to Tensor.
+ */
+function toTensors(feeds) {
+  return Object.fromEntries(
+    Object.entries(feeds).map(([name, { type, data, dims }]) => [name, new Tensor(type, data, dims)])
+  );
+}
+
+/**
+ * Sets up adapter injection for a model the first time it is used.
+ * Models whose graph declares no LoRA inputs are left untouched.
+ * @param {string} model_id The model ID.
+ * @param {AutoModelForCausalLM} model The loaded model.
+ * @returns {object} The injection state for the model.
+ */
+function getInjection(model_id, model) {
+  if (!injections.has(model_id)) {
+    const injectableLayers = findInjectableLayers(model);
+    const state = { injectableLayers, baseFeeds: {}, stacked: { key: '', feeds: {} }, active: {} };
+
+    if (injectableLayers.length > 0) {
+      state.baseFeeds = toTensors(buildAdapterFeeds(null, injectableLayers, model.config, false).feeds);
+      state.active = state.baseFeeds;
+      installAdapterInjection(model, () => state.active);
+    }
+    injections.set(model_id, state);
+  }
+  return injections.get(model_id);
+}
+
+/**
+ * Adapters loaded for a model, keyed by adapter ID.
+ * @param {string} model_id The model ID.
+ * @returns {Map<string, {adapter: object, applied: string[]}>}
+ */
+function getAdapters(model_id) {
+  if (!adapters.has(model_id)) {
+    adapters.set(model_id, new Map());
+  }
+  return adapters.get(model_id);
+}
+
+/**
+ * Handles the 'load_adapter' message: registers an adapter and reports which of its
+ * layers the model's graph can take. Loading under an existing ID replaces that adapter.
+ * @param {object} data The data from the main thread, containing model_id, adapter_id and adapter.
+ */
+async function handleLoadAdapter({ model_id, adapter_id = 'default', adapter }) {
+  const [, model] = await getInstance(model_id);
+  const injection = getInjection(model_id, model);
+  const { layers, unmatched: unsupported } = matchAdapterLayers(adapter.layers, injection.injectableLayers);
+  const applied = Object.keys(layers);
+
+  getAdapters(model_id).set(adapter_id, { adapter, applied });
+  injection.stacked = { key: '', feeds: {} };
+
+  if (applied.length === 0) {
+    console.warn(`Model ${model_id} exposes no LoRA inputs for adapter ${adapter_id}; it will not change generation.`);
+  }
+
+  self.postMessage({ status: 'adapter_loaded', model_id, adapter_id, applied, unsupported });
+}
+
+/**
+ * Selects the graph feeds for a generation request.
+ * The selected adapters are stacked into one weighted sum (combineAdapters), so any number
+ * of them runs through the graph's single pair of LoRA inputs per layer.
+ * The stacked feeds are kept until the selection or its scales change.
+ * @param {string} model_id The model ID.
+ * @param {AutoModelForCausalLM} model The loaded model.
+ * @param {Array<{id: string, scale: number}>} selection Requested adapters and their scales.
+ * @returns {Array<{id: string, scale: number}>} The adapters actually applied.
+ */
+function activateAdapters(model_id, model, selection) {
+  const injection = getInjection(model_id, model);
+  const loaded = getAdapters(model_id);
+  const active = selection.filter(({ id, scale }) => scale !== 0 && loaded.get(id)?.applied.length > 0);
+
+  if (active.length === 0) {
+    injection.active = injection.baseFeeds;
+    return [];
+  }
+
+  const key = JSON.stringify(active.map(({ id, scale }) => [id, scale]));
+  if (injection.stacked.key !== key) {
+    const { adapter } = combineAdapters(
+      active.map(({ id, scale }) => ({ adapter: loaded.get(id).adapter, weight: scale })),
+      injection.injectableLayers
+    );
+    injection.stacked = { key, feeds: toTensors(buildAdapterFeeds(adapter, injection.injectableLayers, model.config, true).feeds) };
+  }
+  injection.active = injection.stacked.feeds;
+  return active;
+}
+
+/**
+ * Converts the logits to float32 and applies the repetition penalty (as in HF transformers:
+ * logits of tokens already in the sequence are divided by the penalty when positive and
+ * multiplied by it when negative). The built-in processor edits the logits in place, which
+ * does not work on the fp16 logits of q4f16 models, so it is disabled and replaced by this one.
+ * Later processors and the sampler receive the float32 copy.
+ */
+class RepetitionPenaltyProcessor extends LogitsProcessor {
+  constructor(penalty) {
+    super();
+    this.penalty = penalty;
+  }
+
+  _call(input_ids, logits) {
+    const vocabSize = logits.dims.at(-1);
+    const values = logits.data instanceof Uint16Array
+      ? Float32Array.from(logits.data, float16BitsToFloat32)
+      : Float32Array.from(logits.data);
+
+    if (this.penalty !== 1) {
+      for (let batch = 0; batch < input_ids.length; batch++) {
+        const offset = batch * vocabSize;
+        for (const tokenId of new Set(input_ids[batch])) {
+          const index = offset + Number(tokenId);
+          values[index] = values[index] < 0 ? values[index] * this.penalty : values[index] / this.penalty;
+        }
+      }
+    }
+    return new Tensor("float32", values, logits.dims);
+  }
+}
+
+/**
+ * Applies temperature, top-k and top-p (nucleus) filtering to float32 logits; filtered
+ * tokens get -Infinity, so the multinomial sampler never picks them. transformers.js does
+ * not run its own temperature and top-p warpers during generate, hence this processor.
+ * Tokens more than 30 nats below the most likely one are always dropped: their probability
+ * is below 1e-13 and skipping them keeps the sort small.
+ */
+class SamplingWarper extends LogitsProcessor {
+  constructor({ temperature, topK, topP }) {
+    super();
+    this.temperature = temperature;
+    this.topK = topK;
+    this.topP = topP;
+  }
+
+  _call(input_ids, logits) {
+    const vocabSize = logits.dims.at(-1);
+    for (let offset = 0; offset < logits.data.length; offset += vocabSize) {
+      this.warp(logits.data.subarray(offset, offset + vocabSize));
+    }
+    return logits;
+  }
+
+  warp(values) {
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      values[i] /= this.temperature;
+      if (values[i] > max) max = values[i];
+    }
+
+    let candidates = [];
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] >= max - 30) candidates.push(i);
+    }
+    candidates.sort((a, b) => values[b] - values[a]);
+    if (this.topK > 0) {
+      candidates = candidates.slice(0, this.topK);
+    }
+
+    if (this.topP < 1) {
+      const weights = candidates.map(i => Math.exp(values[i] - max));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let cumulative = 0;
+      let keep = 0;
+      while (keep < candidates.length && cumulative < this.topP * total) {
+        cumulative += weights[keep++];
+      }
+      candidates = candidates.slice(0, keep);
+    }
+
+    const kept = new Set(candidates);
+    for (let i = 0; i < values.length; i++) {
+      if (!kept.has(i)) values[i] = -Infinity;
+    }
+  }
+}
+
+/**
+ * Ends generation at user-defined stop sequences and keeps them out of the streamed text.
+ * As a stopping criterion it decodes the tail of each sequence after every step; as a text
+ * filter (push/flush) it holds back streamed text that could be the start of a stop sequence
+ * and cuts the response where a stop sequence begins.
+ */
+class StopSequenceCriteria extends StoppingCriteria {
+  /**
+   * @param {AutoTokenizer} tokenizer The model's tokenizer.
+   * @param {string[]} stopSequences Strings that end the response.
+   * @param {number} promptLength Number of prompt tokens, which are never searched.
+   */
+  constructor(tokenizer, stopSequences, promptLength) {
+    super();
+    this.tokenizer = tokenizer;
+    this.stopSequences = stopSequences;
+    this.promptLength = promptLength;
+    // Every token decodes to at least one character, except a few that decode to none
+    this.window = Math.max(0, ...stopSequences.map(sequence => sequence.length)) + 4;
+    this.buffer = "";
+    this.stopped = false;
+  }
+
+  _call(input_ids) {
+    return input_ids.map((ids) => {
+      if (this.stopped) return true;
+      if (this.stopSequences.length === 0) return false;
+      const tail = ids.slice(Math.max(this.promptLength, ids.length - this.window));
+      const text = this.tokenizer.decode(tail, { skip_special_tokens: true });
+      return this.stopSequences.some(sequence => text.includes(sequence));
+    });
+  }
+
+  /**
+   * Passes streamed text through the filter.
+   * @param {string} text Newly streamed text.
+   * @returns {string} The text that can be shown now.
+   */
+  push(text) {
+    if (this.stopped) return "";
+    this.buffer += text;
+
+    const stops = this.stopSequences.map(sequence => this.buffer.indexOf(sequence)).filter(index => index >= 0);
+    if (stops.length > 0) {
+      this.stopped = true;
+      return this.buffer.slice(0, Math.min(...stops));
+    }
+
+    // Hold back the longest ending of the buffer that begins a stop sequence
+    let held = 0;
+    for (const sequence of this.stopSequences) {
+      for (let length = Math.min(sequence.length - 1, this.buffer.length); length > held; length--) {
+        if (this.buffer.endsWith(sequence.slice(0, length))) {
+          held = length;
+          break;
+        }
+      }
+    }
+    const output = this.buffer.slice(0, this.buffer.length - held);
+    this.buffer = this.buffer.slice(this.buffer.length - held);
+    return output;
+  }
+
+  /**
+   * Releases the text held back at the end of generation.
+   * @returns {string} The remaining text, empty when a stop sequence was hit.
+   */
+  flush() {
+    const output = this.stopped ? "" : this.buffer;
+    this.buffer = "";
+    return output;
+  }
+}
+
+/**
+ * Records the log-probability of each generated token under the model's next-token
+ * distribution (the logits after the repetition penalty, before temperature and filtering).
+ * Only the first sequence of the batch is tracked.
+ */
+class TokenLogProbRecorder extends LogitsProcessor {
+  constructor() {
+    super();
+    this.logits = null;
+    this.logSumExp = 0;
+    this.tokens = [];
+  }
+
+  _call(input_ids, logits) {
+    const vocabSize = logits.dims.at(-1);
+    const raw = logits.data.subarray(0, vocabSize);
+    const values = raw instanceof Uint16Array ? Float32Array.from(raw, float16BitsToFloat32) : raw;
+
+    let max = -Infinity;
+    for (let i = 0; i < vocabSize; i++) {
+      if (values[i] > max) max = values[i];
+    }
+    let sum = 0;
+    for (let i = 0; i < vocabSize; i++) {
+      sum += Math.exp(values[i] - max);
+    }
+    this.logits = values;
+    this.logSumExp = max + Math.log(sum);
+    return logits;
+  }
+
+  /**
+   * Called with the token(s) sampled from the logits last seen.
+   * @param {bigint[]} tokenIds The sampled token IDs.
+   */
+  record(tokenIds) {
+    for (const tokenId of tokenIds) {
+      const logprob = this.logits ? this.logits[Number(tokenId)] - this.logSumExp : null;
+      this.tokens.push({ id: Number(tokenId), logprob });
+    }
+  }
+}
+
+/**
+ * Runs a generation with a seeded sampler. transformers.js samples with Math.random, so it is
+ * swapped for a deterministic generator while the generation runs; requests are handled one at
+ * a time, so nothing else in the worker draws from it meanwhile (compared responses switch
+ * generators on every turn instead, see handleCompare).
+ * @param {number|null} seed 32-bit seed, or null for unseeded sampling.
+ * @param {function(): Promise<*>} run The generation to run.
+ */
+async function withSeed(seed, run) {
+  if (seed === null || seed === undefined) return run();
+
+  const random = Math.random;
+  Math.random = createRng(seed);
+  try {
+    return await run();
+  } finally {
+    Math.random = random;
+  }
+}
+
+/**
+ * Tokenizes a conversation with the model's chat template.
+ * Templates without a system role (e.g. Gemma) reject system messages; for those the system
+ * prompt is put in front of the first user message instead.
+ * @param {AutoTokenizer} tokenizer The model's tokenizer.
+ * @param {Array<{role: string, content: string}>} messages The conversation.
+ * @param {object} [options] Extra apply_chat_template options.
+ * @returns {*} The apply_chat_template result.
+ */
+function applyChatTemplate(tokenizer, messages, options = {}) {
+  const templateOptions = { add_generation_prompt: true, ...options };
+  try {
+    return tokenizer.apply_chat_template(messages, templateOptions);
+  } catch (error) {
+    if (messages[0]?.role !== "system" || messages.length < 2) throw error;
+    const [system, first, ...rest] = messages;
+    const merged = { ...first, content: `${system.content}\n\n${first.content}` };
+    return tokenizer.apply_chat_template([merged, ...rest], templateOptions);
+  }
+}
+
+/**
+ * Fits a conversation into the model's context window, leaving room for the response.
+ * @param {AutoTokenizer} tokenizer The model's tokenizer.
+ * @param {AutoModelForCausalLM} model The loaded model.
+ * @param {Array<{role: string, content: string}>} messages The conversation, ending with the new user message.
+ * @param {object} config Normalized generation config.
+ * @returns {{messages: object[], context: object}} The messages to send, and the context usage:
+ *   fitConversation's statistics plus the context limit and the prompt budget.
+ */
+function fitContext(tokenizer, model, messages, config) {
+  const limit = getContextLimit(model.config);
+  const budget = Math.max(limit - config.maxNewTokens, 1);
+  const countTokens = (candidate) => applyChatTemplate(tokenizer, candidate, { tokenize: true, return_tensor: false }).length;
+  const { messages: fitted, ...stats } = fitConversation(messages, countTokens, budget, config.contextStrategy);
+  return { messages: fitted, context: { ...stats, limit, budget } };
+}
+
+/**
+ * Handles the 'measure_context' message: how much of the context window a conversation
+ * would take, without generating.
+ * @param {object} data The data from the main thread: model_id, request_id, messages and generation.
+ */
+async function handleMeasureContext({ model_id, request_id, messages, generation = {} }) {
+  const [tokenizer, model] = await getInstance(model_id);
+  const { context } = fitContext(tokenizer, model, messages, normalizeGenerationConfig(generation));
+  self.postMessage({ status: "context", model_id, request_id, context });
+}
+
 /**
  * Handles the 'load' message from the main thread.
  * It pre-loads the model and warms it up by running a dummy generation.
@@ -59,6 +449,9 @@ async function handleLoad(model_id) {
     self.postMessage({ ...progress, model_id });
   });
 
+  // Adapter-capable graphs require their LoRA inputs on every run, including the warm-up
+  getInjection(model_id, model);
+
   self.postMessage({
     status: "loading",
     data: "Compiling shaders and warming up model...",
@@ -76,71 +469,224 @@ async function handleLoad(model_id) {
 /**
  * Handles the 'generate' message from the main thread.
  * Generates text based on the provided messages.
- * @param {object} data The data from the main thread, containing model_id and messages.
+ * @param {object} data The data from the main thread, containing model_id, the conversation
+ *   (messages, ending with the new user message) and the adapters to apply ([{ id, scale }]). Without an adapter list, `useLoRA` applies every loaded
+ *   adapter at scale 1. An optional `seed` makes sampling reproducible, so two requests with the
+ *   same seed differ only by their adapters. `generation` holds the sampling settings
+ *   (see generationConfig.js); missing fields use the defaults.
  */
-async function handleGenerate({ model_id, messages, useLoRA }) {
+async function handleGenerate({ model_id, messages, adapters: selection, useLoRA, seed = null, generation = {} }) {
   const [tokenizer, model] = await getInstance(model_id);
 
-  // Cosmetically apply the LoRA adapter if requested
-  if (useLoRA && adapters.has(model_id)) {
-    console.log(`Applying LoRA adapter for model: ${model_id}`);
-    const originalContent = messages[0].content;
-    messages[0].content = `[LoRA Adapter Active] ${originalContent}`;
-  }
+  // Switch the graph's LoRA inputs between the selected adapters and zeros (base model)
+  const requested = selection ?? (useLoRA ? [...getAdapters(model_id).keys()].map(id => ({ id, scale: 1 })) : []);
+  const activeAdapters = activateAdapters(model_id, model, requested);
+
+  await generateResponse(tokenizer, model, { messages, seed, generation, activeAdapters }, {
+    post: (message) => self.postMessage({ ...message, model_id }),
+    run: (generate) => withSeed(seed, generate),
+  });
+}
+
+/**
+ * Handles the 'compare' message from the main thread: answers the same conversation once per
+ * column, each column with its own adapters and all with the same seed, and streams the answers
+ * at the same time. The columns share the model's session, so they take turns one decoding step
+ * at a time (see createTurns). Each column samples from its own generator, so the alternation
+ * does not change what it samples. Messages carry the column index, and 'compare_complete'
+ * follows once every column has finished.
+ * @param {object} data The data from the main thread: model_id, messages, `columns` ([{ adapters }],
+ *   adapters as for 'generate'), seed and generation.
+ */
+async function handleCompare({ model_id, messages, columns, seed = null, generation = {} }) {
+  const [tokenizer, model] = await getInstance(model_id);
+  const injection = getInjection(model_id, model);
+  const turns = createTurns(columns.length);
+  const random = Math.random;
+
+  const responses = columns.map(({ adapters: selection }, column) => {
+    const activeAdapters = activateAdapters(model_id, model, selection);
+    const feeds = injection.active;
+    const rng = seed === null || seed === undefined ? random : createRng(seed);
+
+    // Throughput counts only the time the column held the turn
+    let busy = 0;
+    let turnStart = null;
+    const endTurn = () => {
+      if (turnStart !== null) busy += performance.now() - turnStart;
+      turnStart = null;
+    };
+
+    // A per-column view of the model whose forward waits for the column's turn
+    const runner = Object.create(model);
+    runner.forward = async function (modelInputs) {
+      endTurn();
+      await turns.take(column);
+      turnStart = performance.now();
+      injection.active = feeds;
+      Math.random = rng;
+      return model.forward.call(this, modelInputs);
+    };
 
-  const inputs = tokenizer.apply_chat_template(messages, {
-    add_generation_prompt: true,
-    return_dict: true,
+    const response = generateResponse(tokenizer, runner, { messages, seed, generation, activeAdapters }, {
+      post: (message) => self.postMessage({ ...message, model_id, column }),
+      run: (generate) => generate().finally(endTurn),
+      clock: () => busy + (turnStart !== null ? performance.now() - turnStart : 0),
+    });
+    // A column that fails before its first forward pass must still hand on the turn
+    return response.finally(() => turns.finish(column));
   });
 
+  try {
+    const results = await Promise.allSettled(responses);
+    const errors = results.map(({ status, value, reason }) => (status === "rejected" ? reason.toString() : value.error ?? null));
+    self.postMessage({ status: "compare_complete", model_id, errors });
+  } finally {
+    Math.random = random;
+  }
+}
+
+/**
+ * Round-robin turns for generations sharing one model: a generation holds the turn from its
+ * forward pass through the sampling after it, and hands it on when it calls forward again or
+ * finishes. Only the holder runs, so no two forward passes overlap and Math.random can be
+ * switched to the holder's generator.
+ * @param {number} count Number of generations.
+ * @returns {{take: function(number): Promise<void>, finish: function(number): void}}
+ */
+function createTurns(count) {
+  const started = new Array(count).fill(false);
+  const finished = new Array(count).fill(false);
+  const waiting = new Array(count).fill(null);
+  let current = 0;
+
+  const handOn = (index) => {
+    for (let offset = 1; offset <= count; offset++) {
+      const candidate = (index + offset) % count;
+      if (!finished[candidate]) {
+        current = candidate;
+        break;
+      }
+    }
+    const wake = waiting[current];
+    waiting[current] = null;
+    if (wake) wake();
+  };
+
+  return {
+    async take(index) {
+      if (started[index]) handOn(index);
+      started[index] = true;
+      if (current !== index) {
+        await new Promise((resolve) => { waiting[index] = resolve; });
+      }
+    },
+    finish(index) {
+      finished[index] = true;
+      if (current === index) handOn(index);
+    },
+  };
+}
+
+/**
+ * Generates one response and streams it to the main thread.
+ * @param {AutoTokenizer} tokenizer The model's tokenizer.
+ * @param {AutoModelForCausalLM} model The model (or a per-column view of it, see handleCompare).
+ * @param {object} request { messages, seed, generation, activeAdapters }
+ * @param {object} hooks `post` sends a message to the main thread, `run` runs the model.generate
+ *   call it is given, and the optional `clock` returns the time in ms that throughput is measured with.
+ * @returns {Promise<{output: string[]}|{error: string}>} The decoded output, or the error.
+ */
+async function generateResponse(tokenizer, model, { messages, seed, generation, activeAdapters }, { post, run, clock = () => performance.now() }) {
+  const config = normalizeGenerationConfig(generation);
+  const adapterApplied = activeAdapters.length > 0;
+
+  const recorder = new TokenLogProbRecorder();
+  let stops = null;
+
   let startTime;
   let numTokens = 0;
-  const token_callback_function = () => {
+  const token_callback_function = (tokens) => {
     if (numTokens === 0) {
-      startTime = performance.now();
+      startTime = clock();
     }
     numTokens++;
-    const tps = (numTokens / (performance.now() - startTime)) * 1000;
-    self.postMessage({ status: "token", tps, numTokens, model_id });
+    recorder.record(tokens);
+    const tps = (numTokens / (clock() - startTime)) * 1000;
+    post({ status: "token", tps, numTokens });
   };
 
-  const streamer = new TextStreamer(tokenizer, {
-    skip_prompt: true,
-    skip_special_tokens: true,
-    callback_function: (output) => {
-      self.postMessage({ status: "update", output, model_id });
-    },
-    token_callback_function,
-  });
+  const postUpdate = (output) => {
+    if (output) {
+      post({ status: "update", output });
+    }
+  };
 
-  self.postMessage({ status: "start", model_id });
+  // Per-response statistics: throughput, and the sequence log-probability with its tokens
+  const getStats = () => {
+    const logprob = recorder.tokens.reduce((sum, token) => sum + (token.logprob ?? 0), 0);
+    return {
+      numTokens,
+      tps: numTokens > 1 ? (numTokens / (clock() - startTime)) * 1000 : 0,
+      logprob,
+      meanLogprob: recorder.tokens.length > 0 ? logprob / recorder.tokens.length : 0,
+      tokens: recorder.tokens.map(({ id, logprob }) => ({ id, logprob, text: tokenizer.decode([id], { skip_special_tokens: true }) })),
+      stoppedBySequence: stops?.stopped ?? false,
+    };
+  };
 
   try {
-    const { sequences } = await model.generate({
+    // Earlier turns are dropped or summarized when the conversation outgrows the context window.
+    // The chat template may reject the conversation (e.g. two user turns in a row after a failed reply)
+    const { messages: fitted, context } = fitContext(tokenizer, model, messages, config);
+    const inputs = applyChatTemplate(tokenizer, fitted, { return_dict: true });
+
+    stops = new StopSequenceCriteria(tokenizer, config.stopSequences, inputs.input_ids.dims.at(-1));
+    const logits_processor = [new RepetitionPenaltyProcessor(config.repetitionPenalty), recorder];
+    if (config.doSample) {
+      logits_processor.push(new SamplingWarper(config));
+    }
+
+    const streamer = new TextStreamer(tokenizer, {
+      skip_prompt: true,
+      skip_special_tokens: true,
+      callback_function: (output) => postUpdate(stops.push(output)),
+      token_callback_function,
+    });
+
+    post({ status: "start", adapterApplied, adapters: activeAdapters, seed, generation: config, context });
+
+    const { sequences } = await run(() => model.generate({
       ...inputs,
-      max_new_tokens: 1024,
-      do_sample: true,
-      top_k: 3,
-      temperature: 0.2,
+      max_new_tokens: config.maxNewTokens,
+      do_sample: config.doSample,
+      top_k: config.doSample ? config.topK : 0,
+      repetition_penalty: 1,
       streamer,
-      stopping_criteria,
+      stopping_criteria: [stopping_criteria, stops],
+      logits_processor,
       return_dict_in_generate: true,
-    });
+    }));
 
+    postUpdate(stops.flush());
     const decoded = tokenizer.batch_decode(sequences, { skip_special_tokens: true });
 
-    self.postMessage({
+    post({
       status: "complete",
       output: decoded,
-      model_id,
+      stats: getStats(),
     });
+    return { output: decoded };
 
   } catch (e) {
     if (e.name !== 'InterruptException') {
       console.error(e);
-      self.postMessage({ status: "error", error: e.toString(), model_id });
+      post({ status: "error", error: e.toString() });
+      return { error: e.toString() };
     } else {
-       self.postMessage({ status: "interrupted", model_id });
+       postUpdate(stops.flush());
+       post({ status: "interrupted", stats: getStats() });
+       return { output: null };
     }
   }
 }
@@ -157,18 +703,48 @@ self.addEventListener("message", async (e) => {
     case "unload":
       if (models.has(data.model_id)) {
         models.delete(data.model_id);
+        injections.delete(data.model_id);
+        adapters.delete(data.model_id);
         self.postMessage({ status: 'unloaded', model_id: data.model_id });
       }
       break;
 
     case "load_adapter":
-      adapters.set(data.model_id, data.adapter);
-      self.postMessage({ status: 'adapter_loaded', model_id: data.model_id });
+      handleLoadAdapter(data).catch((error) => {
+        console.error(error);
+        self.postMessage({ status: 'adapter_error', error: error.toString(), model_id: data.model_id });
+      });
+      break;
+
+    case "unload_adapter":
+      getAdapters(data.model_id).delete(data.adapter_id);
+      if (injections.has(data.model_id)) {
+        injections.get(data.model_id).stacked = { key: '', feeds: {} };
+      }
+      self.postMessage({ status: 'adapter_unloaded', model_id: data.model_id, adapter_id: data.adapter_id });
+      break;
+
+    case "measure_context":
+      handleMeasureContext(data).catch((error) => {
+        self.postMessage({ status: "context", model_id: data.model_id, request_id: data.request_id, error: error.toString() });
+      });
       break;
 
     case "generate":
       stopping_criteria.reset();
-      handleGenerate(data);
+      // Errors before generateResponse (adapters, model loading) must still end the request
+      handleGenerate(data).catch((error) => {
+        console.error(error);
+        self.postMessage({ status: "error", error: error.toString(), model_id: data.model_id });
+      });
+      break;
+
+    case "compare":
+      stopping_criteria.reset();
+      handleCompare(data).catch((error) => {
+        console.error(error);
+        self.postMessage({ status: "compare_complete", model_id: data.model_id, errors: data.columns.map(() => error.toString()) });
+      });
       break;
 
     case "interrupt":
@@ -0,0 +1,93 @@
+/**
+ * Web Worker for merging LoRA adapters into a base model
+ *
+ * Reads the base model's ONNX graph and external data (from the transformers.js cache, or the Hub),
+ * folds the adapter into the projection weights, and stores the result with the tokenizer and
+ * config files under a new model ID, so generation.worker.js can load it like any other model.
+ */
+
+import { readOnnxModel, writeOnnxModel } from '../utils/onnxProto.js';
+import { mergeAdapter } from '../trainers/adapterMerge.js';
+import {
+  MODEL_SUPPORT_FILES,
+  getOnnxFilePaths,
+  readModelFile,
+  writeModelFile,
+  deleteModelFiles
+} from '../utils/modelCache.js';
+
+/**
+ * Message handler for worker communication
+ */
+self.onmessage = async function(event) {
+  const { type, data } = event.data;
+
+  try {
+    switch (type) {
+      case 'MERGE':
+        await handleMerge(data);
+        break;
+      default:
+        console.warn('Unknown message type:', type);
+    }
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      data: { message: error.message, stack: error.stack }
+    });
+  }
+};
+
+function postProgress(stage, message, progress) {
+  self.postMessage({ type: 'MERGE_PROGRESS', data: { stage, message, progress } });
+}
+
+/**
+ * Merge an adapter into a base model and store it under targetModelId
+ */
+async function handleMerge(data) {
+  const { modelId, adapter, targetModelId, dtype = 'q4f16' } = data;
+  const paths = getOnnxFilePaths(dtype);
+  const externalDataName = paths.externalData.split('/').pop();
+
+  postProgress('download', `Reading ${modelId} weights`, 0);
+  const modelBytes = await readModelFile(modelId, paths.model);
+  const externalBytes = await readModelFile(modelId, paths.externalData, { optional: true });
+  const model = readOnnxModel(modelBytes, externalBytes ? { [externalDataName]: externalBytes } : {});
+
+  const { merged, skipped } = mergeAdapter(model, adapter, {
+    onLayer: (done, total, layer) => postProgress('merge', `Merged ${layer}`, done / total)
+  });
+  if (merged.length === 0) {
+    throw new Error('None of the adapter layers match a projection in the model graph');
+  }
+
+  postProgress('write', 'Writing merged model', 1);
+  const output = writeOnnxModel(model, { externalDataName });
+  const files = [];
+  const written = [];
+  try {
+    files.push({ path: paths.model, size: await writeModelFile(targetModelId, paths.model, output.model) });
+    written.push(paths.model);
+    if (output.externalDataSize > 0) {
+      files.push({ path: paths.externalData, size: await writeModelFile(targetModelId, paths.externalData, output.externalData) });
+      written.push(paths.externalData);
+    }
+
+    for (const path of MODEL_SUPPORT_FILES) {
+      const contents = await readModelFile(modelId, path, { optional: true });
+      if (!contents) continue;
+      files.push({ path, size: await writeModelFile(targetModelId, path, contents) });
+      written.push(path);
+    }
+  } catch (error) {
+    // Don't leave a half-written model behind (e.g. when the storage quota runs out)
+    await deleteModelFiles(targetModelId, written).catch(() => {});
+    throw error;
+  }
+
+  self.postMessage({
+    type: 'MERGE_COMPLETED',
+    data: { modelId: targetModelId, baseModelId: modelId, dtype, merged, skipped, files }
+  });
+}
@@ -5,8 +5,22 @@
 
 import { LoRARankScheduler, RANK_STRATEGIES } from '../trainers/rankScheduler.js';
 import { loadDataset } from '../data/datasetLoader.js';
+import { tokenizeConversation, DATASET_FORMATS } from '../data/datasetFormats.js';
+import { buildSequences, resolvePackingMode, splitSamples, PACKING_MODES } from '../data/sequencePacking.js';
+import { captureLayerSignals, assertCaptureSupport } from '../trainers/activationCapture.js';
+import { resolveLayerShapes, countAdapterParameters } from '../trainers/modelShapes.js';
+import { createTrainingBackend } from '../trainers/trainingBackend.js';
+import { findInjectableLayers, buildAdapterFeeds, matchAdapterLayers } from '../trainers/adapterInjection.js';
+import { EarlyStopping, STOP_REASONS } from '../trainers/earlyStopping.js';
+import { PREFERENCE_OBJECTIVES, computePreferenceLoss, mergeScaledCaptures } from '../trainers/preferenceLoss.js';
+import { createRng } from '../trainers/loraReference.js';
+import { normalizeLrSchedule, learningRateAt } from '../trainers/lrScheduler.js';
+import { resizeAdapterState } from '../trainers/rankReallocation.js';
+import { layerRank, rankPattern, componentSensitivity } from '../trainers/rankAllocation.js';
+import { normalizeOptimizer, OPTIMIZER_DEFAULTS, OPTIMIZER_LABELS, optimizerStateBytes, loraMatrixShapes } from '../trainers/optimizers.js';
+import { createCheckpointStore } from '../utils/checkpointStorage.js';
 import * as ort from 'onnxruntime-web';
-import { AutoTokenizer, AutoModelForCausalLM } from "@huggingface/transformers";
+import { AutoTokenizer, AutoModelForCausalLM, Tensor } from "@huggingface/transformers";
 
 // A mapping from model_id to a promise that resolves to the loaded model and tokenizer.
 const models = new Map();
@@ -17,47 +31,38 @@ const models = new Map();
  * If already loaded, it returns the resolved promise.
  * @param {string} model_id The Hugging Face model ID.
  * @param {function} progress_callback A callback to report loading progress.
+ * @param {string} device The transformers.js device for the base model ('webgpu' or 'wasm').
  * @returns {Promise<[AutoTokenizer, AutoModelForCausalLM]>} A promise that resolves to an array containing the tokenizer and model.
  */
-function getInstance(model_id, progress_callback = null) {
-  if (!models.has(model_id)) {
+function getInstance(model_id, progress_callback = null, device = "webgpu") {
+  const cacheKey = `${model_id}@${device}`;
+  if (!models.has(cacheKey)) {
     const modelPromise = Promise.all([
       AutoTokenizer.from_pretrained(model_id, { progress_callback }),
       AutoModelForCausalLM.from_pretrained(model_id, {
         dtype: "q4f16", // Using float16 for better performance on WebGPU
-        device: "webgpu",
+        device,
         use_external_data_format: true, // Important for models with external data files
         progress_callback,
       }),
     ]);
-    models.set(model_id, modelPromise);
+    models.set(cacheKey, modelPromise);
   }
-  return models.get(model_id);
+  return models.get(cacheKey);
 }
 
 /**
- * Create training sequences from tokens
- * @param {Array} tokens - Array of token IDs
- * @param {number} sequenceLength - Length of each sequence
- * @param {number} stride - Stride between sequences
- * @returns {Array} Array of sequences
+ * Trained vs masked label counts over a set of sequences, for sanity-checking chat templates.
+ * Padding positions are not counted.
  */
-function createTrainingSequences(tokens, sequenceLength = 512, stride = 256) {
-  const sequences = [];
-  
-  for (let i = 0; i < tokens.length - sequenceLength; i += stride) {
-    const sequence = tokens.slice(i, i + sequenceLength);
-    const labels = tokens.slice(i + 1, i + sequenceLength + 1); // Next token prediction
-    
-    sequences.push({
-      input: sequence,
-      labels: labels,
-      startIndex: i,
-      endIndex: i + sequenceLength
-    });
-  }
-  
-  return sequences;
+function summarizeTokenMask(sequences) {
+  const totalTokens = sequences.reduce((sum, sequence) => sum + sequence.labels.length - sequence.paddingTokens, 0);
+  const trainedTokens = sequences.reduce((sum, sequence) => sum + sequence.trainedTokens, 0);
+  return {
+    trainedTokens,
+    maskedTokens: totalTokens - trainedTokens,
+    trainedRatio: totalTokens > 0 ? trainedTokens / totalTokens : 0
+  };
 }
 
 // Worker state
@@ -73,101 +78,54 @@ let totalSteps = 0;
 let startTime = null;
 
 let initialAWeightsForVerification = null; // Store initial weights for verification
-
-// LoRA adapter buffers - NOW PER-LAYER
-const loraLayerBuffers = {
-    weightsA: {},
-    weightsB: {},
-    gradientsA: {},
-    gradientsB: {},
-    momentumA: {},
-    momentumB: {},
-    velocityA: {},
-    velocityB: {},
-};
+let reportedMissingCaptures = new Set(); // Layers already reported as lacking captured activations
+let modelShape = null; // Hidden/intermediate/head widths read from the model config
+let layerShapes = {}; // Per-layer { inputDim, outputDim, moduleType } for every LoRA target
+
+// Device that runs the LoRA passes and optimizer updates (WebGPU or CPU, see trainingBackend.js)
+let backend = null;
+
+// Checkpointing: one checkpoint per training session, overwritten as training progresses
+let checkpointStore = null;
+let sessionId = null;
+let sessionSource = null; // { modelSource, dataset } needed to rebuild the session on resume
+let seed = 0;
+let rng = Math.random; // Seeded generator for weight init and simulated metrics, restored on resume
+let dataCursor = 0; // Index of the next training sequence
+let elapsedBeforeResume = 0; // Training time carried over from the checkpoint, in ms
+let tokenStats = null; // Trained vs masked label counts for the current dataset
+let packingStats = null; // Sequence layout report (padding waste, truncation) from sequencePacking.js
+let warnedMissingSegmentIds = false;
+
+// Held-out evaluation: sequences never trained on, evaluated every `evalInterval` steps
+let validationData = [];
+let validationHistory = []; // { step, loss, perplexity, tokens }
+let injectableLayers = []; // Layers whose adapter weights the training graph accepts as inputs
+
+// Early stopping and the best adapter weights seen at an evaluation, which are what gets exported
+let earlyStopping = null;
+let bestSnapshot = null; // { step, loss, metric, rank, layers: { [name]: { A, B } } }
+// Weights at the start of the current evaluation interval, kept until there is a best snapshot,
+// so a run that diverges before its first improving evaluation never exports diverged weights.
+// Taken once per interval rather than every step: on WebGPU each copy reads back every layer
+let lastFiniteSnapshot = null;
+
+// DPO/ORPO on preference data: trainingData and validationData then hold
+// { chosen, rejected, reference } pairs of sequences instead of sequences
+let preferenceObjective = null;
+
+let lrSchedule = null; // Learning rate of every step, from lrScheduler.js
+
+const DEFAULT_EVAL_INTERVAL = 50;
+const DEFAULT_MAX_EVAL_SEQUENCES = 32;
+
+const DEFAULT_CHECKPOINT_INTERVAL = 50;
 
 // Training metrics
 let lossHistory = [];
 let throughputHistory = [];
 let memoryUsage = 0;
 
-// GPU compute context
-let device = null;
-let computePipelines = {};
-
-/**
- * Initialize WebGPU compute context
- */
-async function initializeWebGPU() {
-  try {
-    if (!navigator.gpu) {
-      throw new Error('WebGPU not supported');
-    }
-
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-      throw new Error('No WebGPU adapter available');
-    }
-
-    device = await adapter.requestDevice({
-      requiredFeatures: adapter.features.has('shader-f16') ? ['shader-f16'] : [],
-      requiredLimits: {
-        maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
-        maxBufferSize: adapter.limits.maxBufferSize,
-      }
-    });
-
-    console.log('WebGPU device initialized:', device);
-    return true;
-  } catch (error) {
-    console.error('WebGPU initialization failed:', error);
-    return false;
-  }
-}
-
-/**
- * Create compute pipelines for training operations
- */
-async function createComputePipelines() {
-  if (!device) return false;
-
-  try {
-    // Fetch the WGSL shader code from the external file
-    const response = await fetch(new URL('../trainers/loraKernels.wgsl', import.meta.url));
-    const shaderCode = await response.text();
-
-    const shaderModule = device.createShaderModule({
-      code: shaderCode
-    });
-
-    // Create compute pipelines for all LoRA operations
-    const pipelineDescriptors = {
-      loraForwardA: 'lora_forward_A_main',
-      loraForwardB: 'lora_forward_B_main',
-      loraBackwardA: 'lora_backward_A_main',
-      loraBackwardB: 'lora_backward_B_main',
-      adamOptimizer: 'adam_optimizer_8bit_main',
-      crossEntropyLoss: 'cross_entropy_loss_main',
-    };
-
-    for (const [name, entryPoint] of Object.entries(pipelineDescriptors)) {
-      computePipelines[name] = device.createComputePipeline({
-        layout: 'auto',
-        compute: {
-          module: shaderModule,
-          entryPoint: entryPoint
-        }
-      });
-    }
-
-    console.log('All compute pipelines created successfully');
-    return true;
-  } catch (error) {
-    console.error('Failed to create compute pipelines:', error);
-    return false;
-  }
-}
-
 /**
  * Message handler for worker communication
  */
@@ -206,27 +164,68 @@ self.onmessage = async function(event) {
  * Initialize training worker and start training
  */
 async function handleInitializeAndStart(data) {
-  const { modelSource, dataset, trainingConfig: receivedTrainingConfig } = data; // renamed to avoid conflict
-
   try {
-    // Initialize WebGPU context first
-    const webGPUSupported = await initializeWebGPU();
-    if (webGPUSupported) {
-      await createComputePipelines();
+    checkpointStore = checkpointStore || await createCheckpointStore();
+    const checkpoint = data.resumeFrom ? await checkpointStore.load(data.resumeFrom) : null;
+    if (data.resumeFrom && !checkpoint) {
+      throw new Error(`Checkpoint ${data.resumeFrom} not found`);
     }
 
+    // A resumed session takes its model, dataset and configuration from the checkpoint
+    const { modelSource, dataset, trainingConfig: receivedTrainingConfig } = checkpoint ? checkpoint.state : data; // renamed to avoid conflict
+
+    sessionId = checkpoint ? checkpoint.id : `session-${Date.now().toString(36)}`;
+    sessionSource = { modelSource, dataset };
+    seed = checkpoint ? checkpoint.state.seed : (receivedTrainingConfig.seed ?? Math.floor(Math.random() * 0x100000000)) >>> 0;
+    rng = createRng(seed);
+
+    // Pick the training backend first: the base model runs on the matching device
+    const optimizer = normalizeOptimizer(receivedTrainingConfig.optimizer);
+    if (backend) backend.destroy();
+    backend = await createTrainingBackend(receivedTrainingConfig.backend, { random: rng, optimizer });
+    self.postMessage({
+      type: 'STATUS_UPDATE',
+      data: {
+        message: `Training adapters on ${backend.name === 'webgpu' ? 'WebGPU' : 'CPU'} with ${OPTIMIZER_LABELS[optimizer]}`,
+        backend: backend.name
+      }
+    });
+
     [tokenizer, model] = await getInstance(modelSource, (progress) => {
         self.postMessage({ type: 'TRAINING_PROGRESS', data: { ...progress, status: 'loading-model' } });
-    });
+    }, backend.modelDevice);
 
     isTraining = true;
     isPaused = false;
     startTime = Date.now();
+    elapsedBeforeResume = 0;
     currentStep = 0;
+    dataCursor = 0;
     lossHistory = [];
     throughputHistory = [];
-
-    trainingConfig = receivedTrainingConfig;
+    validationHistory = [];
+    reportedMissingCaptures = new Set();
+    warnedMissingSegmentIds = false;
+
+    trainingConfig = {
+      ...OPTIMIZER_DEFAULTS[optimizer],
+      checkpointInterval: DEFAULT_CHECKPOINT_INTERVAL,
+      validationSplit: 0,
+      evalInterval: DEFAULT_EVAL_INTERVAL,
+      maxEvalSequences: DEFAULT_MAX_EVAL_SEQUENCES,
+      earlyStoppingPatience: 3,
+      earlyStoppingMinDelta: 0.001,
+      divergenceFactor: 3,
+      dpoBeta: 0.1,
+      orpoLambda: 0.1,
+      gradientAccumulationSteps: 1,
+      maxGradNorm: 1.0,
+      ...receivedTrainingConfig,
+      optimizer,
+      seed
+    };
+    trainingConfig.gradientAccumulationSteps = Math.max(1, Math.round(trainingConfig.gradientAccumulationSteps) || 1);
+    trainingConfig.maxGradNorm = Math.max(0, Number(trainingConfig.maxGradNorm ?? 1.0) || 0); // 0 disables clipping
 
     const targetLayers = findLoraTargetLayers(model);
     console.log('Found potential LoRA target layers:', targetLayers);
@@ -235,56 +234,163 @@ async function handleInitializeAndStart(data) {
         throw new Error('Could not find any suitable layers for LoRA in this model. Please try a different model.');
     }
 
-    // Initialize LoRA adapter matrices on the GPU for each target layer
-    if (device) {
-        ensureTrainingBuffers(targetLayers, trainingConfig);
-
-        // --- Verification Step: Read initial weights ---
-        const firstLayerName = targetLayers[0];
-        const rank = trainingConfig.adapterConfig.rank;
-        const inputDim = 768; // Assuming fixed dimensions
-        const sizeA = inputDim * rank * 4;
-
-        const readableInitialBuffer = device.createBuffer({ size: sizeA, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
-        const commandEncoder = device.createCommandEncoder();
-        commandEncoder.copyBufferToBuffer(loraLayerBuffers.weightsA[firstLayerName], 0, readableInitialBuffer, 0, sizeA);
-        device.queue.submit([commandEncoder.finish()]);
-
-        await readableInitialBuffer.mapAsync(GPUMapMode.READ);
-        initialAWeightsForVerification = new Float32Array(readableInitialBuffer.getMappedRange()).slice();
-        readableInitialBuffer.unmap();
-        readableInitialBuffer.destroy();
-        console.log('Initial LoRA A weights for verification (first 5):', initialAWeightsForVerification.slice(0, 5));
+    ({ modelShape, layers: layerShapes } = resolveLayerShapes(model, targetLayers));
+    console.log('Resolved LoRA layer shapes:', layerShapes);
+
+    // Gradients come from the graph's capture outputs; without any, no step would update a weight
+    const { unsupported: uncapturedLayers } = assertCaptureSupport(model, targetLayers);
+    if (uncapturedLayers.length > 0) {
+      reportMissingCaptures(uncapturedLayers.map(layer => ({ layer, reason: 'no capture outputs in the model graph' })));
+    }
+
+    // Initialize LoRA adapter matrices for each target layer
+    backend.ensureLayers(targetLayers, layerShapes, trainingConfig.adapterConfig);
+
+    // A new session can continue from an existing adapter instead of a fresh initialization
+    if (!checkpoint && data.initialAdapter) {
+      await loadInitialAdapter(data.initialAdapter, targetLayers);
     }
 
+    // --- Verification Step: Read initial weights ---
+    const firstLayerName = targetLayers[0];
+    const initialWeights = await backend.readWeights([firstLayerName]);
+    initialAWeightsForVerification = initialWeights[firstLayerName].A;
+    console.log('Initial LoRA A weights for verification (first 5):', initialAWeightsForVerification.slice(0, 5));
+
     // Process training data
     const tokenizedDataset = await loadDataset(dataset.text, {
+      format: dataset.format,
       sequenceLength: trainingConfig.sequenceLength,
       maxTokens: 100000 // Limit for demo
     });
 
-    // Tokenize the dataset text
-    const tokens = tokenizer.encode(tokenizedDataset.text);
+    // Preference data trains with DPO unless another objective was chosen; SFT uses the chosen responses
+    const preferenceData = tokenizedDataset.format === DATASET_FORMATS.PREFERENCE;
+    trainingConfig.objective = trainingConfig.objective || (preferenceData ? PREFERENCE_OBJECTIVES.DPO : PREFERENCE_OBJECTIVES.SFT);
+    preferenceObjective = trainingConfig.objective === PREFERENCE_OBJECTIVES.SFT ? null : trainingConfig.objective;
+    if (preferenceObjective && !preferenceData) {
+      throw new Error(`${preferenceObjective.toUpperCase()} needs a preference dataset (prompt/chosen/rejected records)`);
+    }
+    // DPO losses approach zero, so a multiple of the best loss says nothing about divergence
+    if (preferenceObjective === PREFERENCE_OBJECTIVES.DPO && receivedTrainingConfig.divergenceFactor === undefined) {
+      trainingConfig.divergenceFactor = 0;
+    }
 
-    trainingData = createTrainingSequences(
-      tokens,
-      trainingConfig.sequenceLength,
-      trainingConfig.sequenceLength // No overlap for simplicity
-    );
+    // Tokenize the dataset text, or each structured sample through the chat template
+    const structured = Boolean(tokenizedDataset.conversations);
+    const packing = preferenceObjective ? PACKING_MODES.TRUNCATE : resolvePackingMode(trainingConfig.packing, structured);
+    const packingOptions = {
+      mode: packing,
+      sequenceLength: trainingConfig.sequenceLength,
+      eosTokenId: tokenizer.eos_token_id ?? null,
+      padTokenId: tokenizer.pad_token_id ?? tokenizer.eos_token_id ?? 0
+    };
+    let stats;
+
+    if (preferenceObjective) {
+      stats = await preparePreferenceData(tokenizedDataset, dataset.validationText, packingOptions);
+    } else {
+      const samples = structured
+        ? tokenizeConversations(tokenizedDataset)
+        : tokenizeDocuments(tokenizedDataset.text, packing);
+
+      // Validation comes from a separate file when one was given, otherwise from a held-out share.
+      // The split has its own generator so it does not depend on how much of `rng` was used.
+      const { train: trainSamples, validation: validationSamples } = dataset.validationText
+        ? { train: samples, validation: await loadValidationSamples(dataset.validationText, tokenizedDataset.format, packing) }
+        : splitSamples(samples, trainingConfig.validationSplit, createRng(seed ^ 0x9e3779b9));
+
+      let sequences;
+      ({ sequences, stats } = buildSequences(trainSamples, packingOptions));
+      trainingData = sequences;
+      validationData = buildSequences(validationSamples, packingOptions).sequences
+        .filter(sequence => sequence.trainedTokens > 0)
+        .slice(0, trainingConfig.maxEvalSequences);
+    }
+    injectableLayers = findInjectableLayers(model);
+
+    if (validationData.length > 0) {
+      let message = `Validation: ${validationData.length} held-out ${preferenceObjective ? 'pair' : 'sequence'}(s), evaluated every ${trainingConfig.evalInterval} steps`;
+      if (injectableLayers.length === 0) {
+        message += '. The model graph takes no adapter inputs, so eval loss reflects the base model only';
+      }
+      self.postMessage({ type: 'STATUS_UPDATE', data: { message } });
+    }
+    packingStats = stats;
+    tokenStats = summarizeTokenMask(preferenceObjective ? trainingData.flatMap(pairSequences) : trainingData);
+
+    self.postMessage({
+      type: 'STATUS_UPDATE',
+      data: { message: describePacking(packingStats), packingStats }
+    });
+    if (structured) {
+      self.postMessage({
+        type: 'STATUS_UPDATE',
+        data: {
+          message: `Loss mask: ${(tokenStats.trainedRatio * 100).toFixed(1)}% of label tokens trained ` +
+                   `(${tokenStats.trainedTokens} trained / ${tokenStats.maskedTokens} masked)`,
+          tokenStats
+        }
+      });
+    }
 
     totalSteps = Math.min(trainingConfig.maxSteps, trainingData.length);
+    lrSchedule = normalizeLrSchedule(trainingConfig, totalSteps);
+    if (trainingConfig.gradientAccumulationSteps > 1) {
+      const { batchSize, gradientAccumulationSteps } = trainingConfig;
+      self.postMessage({
+        type: 'STATUS_UPDATE',
+        data: { message: `Gradient accumulation: ${gradientAccumulationSteps} micro-batches of ${batchSize} per step (effective batch ${batchSize * gradientAccumulationSteps})` }
+      });
+    }
 
     rankScheduler = new LoRARankScheduler({
       strategy: trainingConfig.rankStrategy || RANK_STRATEGIES.HARDWARE_AWARE,
       initialRank: trainingConfig.adapterConfig.rank,
+      totalSteps
+    });
+    rankScheduler.setLayers(layerShapes, getLayerRanks());
+    earlyStopping = new EarlyStopping({
+      patience: trainingConfig.earlyStoppingPatience,
+      minDelta: trainingConfig.earlyStoppingMinDelta,
+      divergenceFactor: trainingConfig.divergenceFactor
     });
+    bestSnapshot = null;
+    lastFiniteSnapshot = null;
+
+    if (checkpoint) {
+      restoreCheckpoint(checkpoint);
+    }
+
+    // The importance strategy starts every layer above the target rank and prunes from there
+    await updateAdapterRank(rankScheduler.getLayerRanks());
+    if (rankScheduler.tracksImportance() && !checkpoint) {
+      self.postMessage({
+        type: 'STATUS_UPDATE',
+        data: { message: `Per-layer ranks start at ${layerRank(trainingConfig.adapterConfig, targetLayers[0])} and are pruned by importance to an average of ${trainingConfig.adapterConfig.rank}` }
+      });
+    }
+
+    // DPO compares against the weights the run started with, so a resumed run keeps its references
+    if (preferenceObjective === PREFERENCE_OBJECTIVES.DPO) {
+      if (checkpoint?.state.referenceLogProbs) {
+        applyReferenceLogProbs(checkpoint.state.referenceLogProbs);
+      } else {
+        await computeReferenceLogProbs();
+      }
+    }
 
     self.postMessage({
       type: 'TRAINING_STARTED',
       data: {
         totalSteps,
         datasetSize: trainingData.length,
-        config: trainingConfig
+        config: trainingConfig,
+        tokenStats,
+        packingStats,
+        validationSequences: validationData.length,
+        lrSchedule,
+        sessionId
       }
     });
     
@@ -292,19 +398,37 @@ async function handleInitializeAndStart(data) {
     self.postMessage({
       type: 'TRAINING_PROGRESS',
       data: {
-        step: 0,
+        step: currentStep,
         totalSteps,
-        progress: 0,
+        progress: (currentStep / totalSteps) * 100,
         loss: 0,
         averageLoss: 0,
         throughput: 0,
-        eta: totalSteps * 2, // Rough initial estimate
+        eta: (totalSteps - currentStep) * 2, // Rough initial estimate
         memoryUsage: estimateMemoryUsage(),
+        learningRate: learningRateAt(currentStep + 1, lrSchedule),
         currentRank: rankScheduler.getCurrentRank(),
-        rankDecision: 'Initial rank set'
+        rankDecision: checkpoint ? `Resumed at step ${currentStep}` : 'Initial rank set'
       }
     });
 
+    if (checkpoint) {
+      self.postMessage({
+        type: 'CHECKPOINT_RESTORED',
+        data: {
+          id: sessionId,
+          modelSource,
+          step: currentStep,
+          totalSteps,
+          lossHistory: [...lossHistory],
+          // Entry i of the loss history is step i + 1, trained at that step's scheduled rate
+          learningRateHistory: lossHistory.map((loss, i) => learningRateAt(i + 1, lrSchedule)),
+          validationHistory: [...validationHistory],
+          currentRank: rankScheduler.getCurrentRank()
+        }
+      });
+    }
+
     await runTrainingLoop();
 
   } catch (error) {
@@ -316,13 +440,195 @@ async function handleInitializeAndStart(data) {
   }
 }
 
+/**
+ * Render structured samples with the chat template, one tokenized sample per record.
+ * Only assistant tokens are marked for training (see tokenizeConversation).
+ * Records that fail to parse or render are reported once and skipped.
+ */
+function tokenizeConversations({ format, conversations, recordErrors, recordCount }, purpose = 'training') {
+  const errors = [...recordErrors];
+  const samples = [];
+  let tokenCount = 0;
+  let overLength = 0;
+
+  for (const { index, line, messages } of conversations) {
+    try {
+      const { inputIds, trainMask } = tokenizeConversation(tokenizer, messages);
+      if (inputIds.length > trainingConfig.sequenceLength) overLength++;
+      tokenCount += inputIds.length;
+      samples.push({ inputIds, trainMask });
+    } catch (error) {
+      errors.push({ index, line, message: `Chat template failed: ${error.message}` });
+    }
+  }
+
+  let message = `Loaded ${samples.length}/${recordCount} ${format} ${purpose} samples (${tokenCount} tokens)`;
+  if (errors.length > 0) message += `, skipped ${errors.length} invalid record(s)`;
+  if (overLength > 0) message += `, ${overLength} longer than ${trainingConfig.sequenceLength} tokens`;
+
+  self.postMessage({
+    type: 'STATUS_UPDATE',
+    data: { message, recordErrors: errors.slice(0, 100) }
+  });
+
+  return samples;
+}
+
+/**
+ * Tokenize preference records into chosen and rejected samples. Only the response tokens are
+ * trained, not assistant turns inside the prompt, so both sides share their prompt exactly.
+ */
+function tokenizePreferencePairs({ conversations, recordErrors, recordCount }, purpose = 'training') {
+  const errors = [...recordErrors];
+  const pairs = [];
+  let tokenCount = 0;
+
+  for (const { index, line, messages, rejected, promptTurns } of conversations) {
+    try {
+      const pair = {
+        chosen: tokenizeConversation(tokenizer, messages, { fromTurn: promptTurns }),
+        rejected: tokenizeConversation(tokenizer, rejected, { fromTurn: promptTurns })
+      };
+      tokenCount += pair.chosen.inputIds.length + pair.rejected.inputIds.length;
+      pairs.push(pair);
+    } catch (error) {
+      errors.push({ index, line, message: `Chat template failed: ${error.message}` });
+    }
+  }
+
+  let message = `Loaded ${pairs.length}/${recordCount} preference ${purpose} pairs (${tokenCount} tokens)`;
+  if (errors.length > 0) message += `, skipped ${errors.length} invalid record(s)`;
+
+  self.postMessage({
+    type: 'STATUS_UPDATE',
+    data: { message, recordErrors: errors.slice(0, 100) }
+  });
+
+  return pairs;
+}
+
+/**
+ * Build the chosen/rejected sequence pairs for DPO/ORPO, one sample per sequence, and hold out
+ * validation pairs the same way as other datasets. Pairs whose response does not fit in the
+ * sequence length on either side are dropped: they carry no preference signal.
+ * @returns {Promise<Object>} Packing report over every chosen and rejected sequence
+ */
+async function preparePreferenceData(tokenizedDataset, validationText, packingOptions) {
+  const pairs = tokenizePreferencePairs(tokenizedDataset);
+  const { train, validation } = validationText
+    ? { train: pairs, validation: tokenizePreferencePairs(await loadDataset(validationText, { format: tokenizedDataset.format }), 'validation') }
+    : pairs.length > 1
+      ? splitSamples(pairs, trainingConfig.validationSplit, createRng(seed ^ 0x9e3779b9))
+      : { train: pairs, validation: [] };
+
+  const build = (samplePairs) => {
+    const { sequences, stats } = buildSequences(
+      [...samplePairs.map(pair => pair.chosen), ...samplePairs.map(pair => pair.rejected)],
+      packingOptions
+    );
+    const built = samplePairs
+      .map((pair, i) => ({ chosen: sequences[i], rejected: sequences[samplePairs.length + i], reference: null }))
+      .filter(pair => pair.chosen.trainedTokens > 0 && pair.rejected.trainedTokens > 0);
+    return { pairs: built, stats, dropped: samplePairs.length - built.length };
+  };
+
+  const trainBuild = build(train);
+  trainingData = trainBuild.pairs;
+  validationData = build(validation).pairs.slice(0, trainingConfig.maxEvalSequences);
+  if (trainingData.length === 0) {
+    throw new Error(`No preference pair has response tokens within ${trainingConfig.sequenceLength} tokens on both sides`);
+  }
+
+  let message = `Preference training: ${trainingData.length} pair(s) with ${preferenceObjective.toUpperCase()} ` +
+                (preferenceObjective === PREFERENCE_OBJECTIVES.DPO ? `(beta ${trainingConfig.dpoBeta})` : `(lambda ${trainingConfig.orpoLambda})`);
+  if (trainBuild.dropped > 0) message += `, ${trainBuild.dropped} pair(s) dropped with a response past the sequence length`;
+  self.postMessage({ type: 'STATUS_UPDATE', data: { message } });
+
+  return trainBuild.stats;
+}
+
+/**
+ * The two sequences of a preference pair
+ */
+function pairSequences(pair) {
+  return [pair.chosen, pair.rejected];
+}
+
+/**
+ * Log-probabilities of every training and validation response under the current weights,
+ * before the first update. DPO measures how far training moved them.
+ */
+async function computeReferenceLogProbs() {
+  const pairs = [...trainingData, ...validationData];
+  self.postMessage({
+    type: 'STATUS_UPDATE',
+    data: { message: `Computing reference log-probabilities for ${pairs.length} preference pair(s)` }
+  });
+
+  for (const pair of pairs) {
+    pair.reference = {
+      chosen: -(await forwardSequence(pair.chosen)).nll,
+      rejected: -(await forwardSequence(pair.rejected)).nll
+    };
+  }
+}
+
+function collectReferenceLogProbs() {
+  const collect = pairs => pairs.map(({ reference }) => [reference.chosen, reference.rejected]);
+  return { train: collect(trainingData), validation: collect(validationData) };
+}
+
+function applyReferenceLogProbs({ train, validation }) {
+  const apply = (pairs, references) => pairs.forEach((pair, i) => {
+    pair.reference = { chosen: references[i][0], rejected: references[i][1] };
+  });
+  apply(trainingData, train);
+  apply(validationData, validation);
+}
+
+/**
+ * Tokenize plain text. The continuous stream keeps it as one document; the packing and
+ * truncation modes treat blank-line separated paragraphs as separate samples.
+ */
+function tokenizeDocuments(text, packing) {
+  const documents = packing === PACKING_MODES.STREAM
+    ? [text]
+    : text.split(/\n\s*\n/).filter(document => document.trim());
+  return documents.map(document => ({ inputIds: tokenizer.encode(document), trainMask: null }));
+}
+
+/**
+ * Tokenize a separate validation file in the same format as the training data
+ */
+async function loadValidationSamples(text, format, packing) {
+  const validationDataset = await loadDataset(text, { format });
+  return validationDataset.conversations
+    ? tokenizeConversations(validationDataset, 'validation')
+    : tokenizeDocuments(validationDataset.text, packing);
+}
+
+/**
+ * One-line summary of a packing report for the console.
+ */
+function describePacking(stats) {
+  let message = `Sequences: ${stats.sequences} (${stats.mode}) from ${stats.samples} sample(s), ` +
+                `${(stats.paddingRatio * 100).toFixed(1)}% padding`;
+  if (stats.mode === PACKING_MODES.PACK) message += `, ${stats.samplesPerSequence.toFixed(1)} samples/sequence`;
+  if (stats.truncatedSamples > 0) {
+    message += `, ${stats.truncatedSamples} sample(s) truncated (${stats.droppedTokens} tokens dropped)`;
+  }
+  return message;
+}
+
 /**
  * Main training loop
  */
 async function runTrainingLoop() {
   const batchSize = trainingConfig.batchSize;
+  const accumulationSteps = trainingConfig.gradientAccumulationSteps;
   let accumulatedLoss = 0;
   let stepStartTime = Date.now();
+  let stopDecision = null;
 
   while (isTraining && currentStep < totalSteps) {
     if (isPaused) {
@@ -332,11 +638,19 @@ async function runTrainingLoop() {
     }
     
     try {
-      // Get training batch
-      const batch = getTrainingBatch(currentStep, batchSize);
+      // Get the micro-batches of this optimizer step
+      const microBatches = Array.from(
+        { length: accumulationSteps },
+        (_, i) => getTrainingBatch(dataCursor + i * batchSize, batchSize)
+      );
+      const batch = microBatches.flat();
       
-      // Perform training step
-      const stepResult = await performTrainingStep(batch);
+      // Perform training step; a diverging step is not applied and ends the run
+      const stepResult = await performOptimizerStep(microBatches);
+      if (stepResult.stop) {
+        stopDecision = stepResult.stop;
+        break;
+      }
       
       // Update metrics
       accumulatedLoss += stepResult.loss;
@@ -344,9 +658,31 @@ async function runTrainingLoop() {
       
       // Calculate throughput
       const stepTime = Date.now() - stepStartTime;
-      const tokensProcessed = batch.length * trainingConfig.sequenceLength;
+      // Padding is not counted as processed text
+      const tokensProcessed = (preferenceObjective ? batch.flatMap(pairSequences) : batch)
+        .reduce((sum, sequence) => sum + sequence.input.length - sequence.paddingTokens, 0);
       const throughput = Math.round(tokensProcessed / (stepTime / 1000));
       throughputHistory.push(throughput);
+
+      const completedSteps = currentStep + 1;
+
+      // Evaluate after this step's update; the result feeds the adaptive rank strategy
+      const shouldEvaluate = completedSteps % trainingConfig.evalInterval === 0 || completedSteps === totalSteps;
+      const validation = shouldEvaluate && validationData.length > 0 ? await runValidation(completedSteps) : null;
+
+      // Without a validation set the mean training loss since the previous evaluation is monitored.
+      // The snapshot is taken before any rank change below so it matches the evaluated weights.
+      if (shouldEvaluate) {
+        const recentLosses = lossHistory.slice(-trainingConfig.evalInterval);
+        const monitoredLoss = validation
+          ? validation.loss
+          : recentLosses.reduce((sum, loss) => sum + loss, 0) / recentLosses.length;
+        const evaluation = earlyStopping.updateEvaluation(completedSteps, monitoredLoss);
+        if (evaluation.improved) {
+          await captureBestSnapshot(completedSteps, monitoredLoss, validation ? 'validation' : 'training');
+        }
+        stopDecision = evaluation.stop;
+      }
       
       // Update rank scheduler
       const rankDecision = rankScheduler.update({
@@ -354,15 +690,21 @@ async function runTrainingLoop() {
         loss: stepResult.loss,
         gradientNorm: stepResult.gradientNorm,
         memoryUsageGB: memoryUsage,
-        throughputTokensPerSec: throughput
+        throughputTokensPerSec: throughput,
+        validationLoss: validation ? validation.loss : null
       });
 
       // Apply rank changes if recommended
       if (rankDecision.shouldAdapt) {
-        await updateAdapterRank(rankDecision.recommendedRank);
+        await updateAdapterRank(rankDecision.layerRanks, rankDecision.recommendedRank);
       }
 
       currentStep++;
+      dataCursor = (dataCursor + batchSize * accumulationSteps) % trainingData.length;
+
+      if (currentStep % trainingConfig.checkpointInterval === 0 && currentStep < totalSteps && !stopDecision) {
+        await saveCheckpoint();
+      }
       
       // Report progress more frequently at the start
       const shouldReport = currentStep <= 10 || // Every step for first 10 steps
@@ -389,14 +731,20 @@ async function runTrainingLoop() {
             throughput: avgThroughput,
             eta,
             memoryUsage,
+            learningRate: learningRateAt(currentStep, lrSchedule),
+            gradientNorm: stepResult.gradientNorm,
+            gradientClipped: stepResult.clipped,
             currentRank: rankScheduler.getCurrentRank(),
-            rankDecision: rankDecision.reason
+            rankDecision: rankDecision.reason,
+            preference: stepResult.preference
           }
         });
       }
 
       stepStartTime = Date.now();
       
+      if (stopDecision) break;
+
       // Small delay to prevent blocking
       if (currentStep % 5 === 0) {
         await new Promise(resolve => setTimeout(resolve, 1));
@@ -415,15 +763,47 @@ async function runTrainingLoop() {
 
   // Training completed
   if (isTraining) {
-    await handleTrainingCompletion();
+    await handleTrainingCompletion(stopDecision || {
+      reason: STOP_REASONS.MAX_STEPS,
+      step: currentStep,
+      message: `Completed all ${totalSteps} steps`
+    });
+  } else if (isPaused) {
+    // The loop only exits once the in-flight step has finished, so the state is consistent here
+    await saveCheckpoint();
   }
 }
 
 /**
- * Get training batch
+ * Keep a copy of the adapter weights at a new best evaluation
+ * @param {number} step - Completed training steps
+ * @param {number} loss - Monitored loss at that step
+ * @param {string} metric - 'validation' or 'training'
+ */
+async function captureBestSnapshot(step, loss, metric) {
+  bestSnapshot = await snapshotWeights(step, loss, metric);
+  lastFiniteSnapshot = null;
+}
+
+/**
+ * Copy of the current adapter weights
+ * @returns {Promise<Object>} { step, loss, metric, rank, layers: { [name]: { A, B } } }
+ */
+async function snapshotWeights(step, loss, metric) {
+  return {
+    step,
+    loss,
+    metric,
+    rank: trainingConfig.adapterConfig.rank,
+    layers: await backend.readWeights()
+  };
+}
+
+/**
+ * Get training batch starting at the given data cursor
  */
-function getTrainingBatch(step, batchSize) {
-  const startIdx = (step * batchSize) % trainingData.length;
+function getTrainingBatch(cursor, batchSize) {
+  const startIdx = cursor % trainingData.length;
   const batch = [];
   
   for (let i = 0; i < batchSize; i++) {
@@ -435,397 +815,446 @@ function getTrainingBatch(step, batchSize) {
 }
 
 /**
- * Perform a single training step
+ * int64 input_ids / attention_mask / position_ids / labels tensors for a batch of equal-length sequences.
+ * Masked label positions carry IGNORE_INDEX; padding has attention 0.
+ *
+ * Packed sequences restart position ids at every sample. Graphs that support block-diagonal
+ * attention declare a `segment_ids` input (same shape, 0 = padding) and only attend within a
+ * segment; other graphs ignore it, so packed samples can still see earlier samples in the row.
  */
-async function performTrainingStep(batch) {
-  // --- Step 1: Get Loss from Transformers.js Forward Pass ---
-  // The batch contains token IDs. We decode them back to text and then re-tokenize to get tensors.
-  const inputText = tokenizer.batch_decode(batch.map(x => x.input));
-  const labelText = tokenizer.batch_decode(batch.map(x => x.labels));
-
-  const inputs = tokenizer(inputText, {
-    return_tensors: "pt",
-    padding: true,
-    truncation: true
+function createBatchTensors(batch) {
+  const sequenceLength = batch[0].input.length;
+  const dims = [batch.length, sequenceLength];
+  const size = batch.length * sequenceLength;
+  const inputIds = new BigInt64Array(size);
+  const attentionMask = new BigInt64Array(size);
+  const positionIds = new BigInt64Array(size);
+  const segmentIds = new BigInt64Array(size);
+  const labels = new BigInt64Array(size);
+
+  batch.forEach((sequence, row) => {
+    for (let j = 0; j < sequenceLength; j++) {
+      const idx = row * sequenceLength + j;
+      inputIds[idx] = BigInt(sequence.input[j]);
+      attentionMask[idx] = BigInt(sequence.attentionMask[j]);
+      positionIds[idx] = BigInt(sequence.positionIds[j]);
+      segmentIds[idx] = BigInt(sequence.segmentIds[j]);
+      labels[idx] = BigInt(sequence.labels[j]);
+    }
   });
-  const labels = tokenizer(labelText, { return_tensors: "pt", padding: true, truncation: true }).input_ids;
 
-  // For the backward pass, we need the input tensor that goes into the LoRA layer.
-  // In a real implementation, this would be an intermediate activation from the model.
-  // Here, we'll use the token embeddings as a stand-in.
-  const { input_ids } = tokenizer(inputText, { return_tensors: "pt", padding: true, truncation: true });
-  // Get the actual embeddings from the model
-  const embeddingLayer = model.model.embed_tokens || model.model.wte;
-  const inputEmbeddings = await embeddingLayer(input_ids);
-
-
-  const { loss: realLoss, logits } = await model({ ...inputs, labels });
+  const inputs = {
+    input_ids: new Tensor('int64', inputIds, dims),
+    attention_mask: new Tensor('int64', attentionMask, dims),
+    position_ids: new Tensor('int64', positionIds, dims)
+  };
 
-  let lossValue;
-  if (realLoss === undefined) {
-    // Attempt to compute loss with custom WGSL kernel
-    const gpuLoss = await computeLossWithGPU(logits, labels);
-    if (gpuLoss !== null) {
-      lossValue = gpuLoss;
-    } else {
-      console.warn("Falling back to simulated loss – unable to obtain logits for GPU CE loss.");
-      lossValue = simulateLossCalculation(null, null);
+  if (batch.some(sequence => sequence.numSamples > 1)) {
+    if (modelAcceptsInput('segment_ids')) {
+      inputs.segment_ids = new Tensor('int64', segmentIds, dims);
+    } else if (!warnedMissingSegmentIds) {
+      warnedMissingSegmentIds = true;
+      self.postMessage({
+        type: 'STATUS_UPDATE',
+        data: {
+          message: 'Model graph has no segment_ids input: packed samples share attention within a sequence ' +
+                   '(positions still restart per sample). Use truncate mode for strict isolation.'
+        }
+      });
     }
-  } else {
-    lossValue = await realLoss.item();
   }
 
-  // --- Step 2: GPU-based LoRA Forward, Backward, and Optimizer Passes ---
-  if (device && allPipelinesReady()) {
-    try {
-      const batchSize = batch.length;
-      const seqLength = trainingConfig.sequenceLength;
-      const inputDim = 768; // Hardcoded for now
-      const outputDim = inputDim;
-      const rank = trainingConfig.adapterConfig.rank;
-      
-      // Ensure all necessary GPU buffers are allocated
-      const trainingBuffers = ensureTrainingBuffers(findLoraTargetLayers(model), trainingConfig);
-
-      // --- REAL GRADIENT & ACTIVATIONS ---
-      const outputGradientData = new Float32Array(batch.length * trainingConfig.sequenceLength * 768);
-      // Derive the gradient from the loss. Higher loss = stronger gradient signal.
-      const gradientSignal = (lossValue > 0 ? -1 : 1) * Math.min(Math.abs(lossValue), 1.0);
-      outputGradientData.fill(gradientSignal);
-      
-      const inputActivationData = new Float32Array(inputEmbeddings.data);
-      // --- END REAL GRADIENT & ACTIVATIONS ---
+  return { inputs, labels: new Tensor('int64', labels, dims) };
+}
 
-      const commandEncoder = device.createCommandEncoder();
+/**
+ * Whether the model's decoder session declares a graph input.
+ */
+function modelAcceptsInput(name) {
+  const session = model?.sessions?.model ?? model?.sessions?.decoder_model_merged;
+  return Boolean(session?.inputNames?.includes(name));
+}
 
-      // For each target layer, run the full forward/backward/update pass
-      for (const layerName of Object.keys(loraLayerBuffers.weightsA)) {
-          const buffers = getLayerBuffers(layerName, batchSize, seqLength, inputDim, outputDim, rank);
+/**
+ * Forward a batch through the model with the current adapter applied and compute its loss.
+ * @returns {Promise<{outputs: Object, loss: number, simulated: boolean}>}
+ */
+async function forwardBatch(batch) {
+  // The batch already holds token IDs; build the tensors directly so the label mask
+  // stays aligned with the tokens (decoding and re-tokenizing would shift it).
+  const { inputs, labels } = createBatchTensors(batch);
+  const adapterFeeds = await getAdapterFeeds();
+
+  // Training-graph exports return the per-layer activations and upstream gradients
+  // alongside the loss/logits (see activationCapture.js).
+  const outputs = await model({ ...inputs, ...adapterFeeds, labels });
+  const { loss: realLoss, logits } = outputs;
+
+  if (realLoss !== undefined) {
+    return { outputs, loss: await realLoss.item(), simulated: false };
+  }
 
-          // We only need to write the input activations and output gradients once per step
-          if (layerName === Object.keys(loraLayerBuffers.weightsA)[0]) {
-            device.queue.writeBuffer(buffers.outputGradientBuffer, 0, outputGradientData);
-            device.queue.writeBuffer(buffers.inputActivationBuffer, 0, inputActivationData);
-          }
-          
-          // 1. Forward Pass
-          encodeLoraForward(commandEncoder, buffers, batchSize, seqLength);
-          
-          // 2. Backward Pass
-          encodeLoraBackward(commandEncoder, buffers, batchSize, seqLength);
-
-          // 3. Optimizer Pass
-          encodeAdamUpdate(commandEncoder, buffers);
-      }
+  // Attempt to compute loss on the training backend (WGSL kernel or CPU reference)
+  const backendLoss = await backend.computeLoss(logits, labels);
+  if (backendLoss !== null) {
+    return { outputs, loss: backendLoss, simulated: false };
+  }
 
-      // --- Submit the command buffer to the GPU queue ---
-      device.queue.submit([commandEncoder.finish()]);
+  console.warn("Falling back to simulated loss – unable to obtain logits for cross-entropy loss.");
+  return { outputs, loss: simulateLossCalculation(null, null), simulated: true };
+}
 
-    } catch (gpuErr) {
-      console.warn('GPU kernel execution failed:', gpuErr);
-    }
+/**
+ * Current adapter weights as graph inputs, for training graphs that declare `<layer>.lora_A/B`
+ * inputs (see adapterInjection.js). Without them the forward pass sees the base model only.
+ */
+async function getAdapterFeeds() {
+  if (injectableLayers.length === 0) return {};
+
+  const weights = await backend.readWeights(injectableLayers);
+  const layers = {};
+  for (const [layerName, { A, B }] of Object.entries(weights)) {
+    const { inputDim, outputDim } = layerShapes[layerName];
+    const rank = A.length / inputDim;
+    layers[layerName] = {
+      A: { data: A, shape: [inputDim, rank] },
+      B: { data: B, shape: [rank, outputDim] }
+    };
   }
 
-  // --- Step 3: Return Real Loss and Simulated Gradient ---
-  return {
-    loss: lossValue,
-    // We can derive a more meaningful gradient norm later from the gradient buffers
-    gradientNorm: simulateGradientNorm(lossValue)
-  };
+  const adapter = { alpha: trainingConfig.adapterConfig.alpha, layers };
+  const { feeds } = buildAdapterFeeds(adapter, injectableLayers, model.config, true);
+  return Object.fromEntries(
+    Object.entries(feeds).map(([name, { type, data, dims }]) => [name, new Tensor(type, data, dims)])
+  );
 }
 
 /**
- * Checks if all required compute pipelines are created.
+ * Evaluate the held-out sequences without touching adapter weights or optimizer state.
+ * Losses are weighted by trained tokens, so the result is the mean over every evaluated token.
+ * @param {number} step - Number of completed training steps
+ * @returns {Promise<Object|null>} { step, loss, perplexity, tokens }, or null without a real loss
  */
-function allPipelinesReady() {
-    return computePipelines.loraForwardA &&
-           computePipelines.loraForwardB &&
-           computePipelines.loraBackwardA &&
-           computePipelines.loraBackwardB &&
-           computePipelines.adamOptimizer;
+async function runValidation(step) {
+  if (preferenceObjective) return runPreferenceValidation(step);
+
+  const batchSize = trainingConfig.batchSize;
+  let weightedLoss = 0;
+  let tokens = 0;
+
+  for (let i = 0; i < validationData.length; i += batchSize) {
+    const batch = validationData.slice(i, i + batchSize);
+    const { loss, simulated } = await forwardBatch(batch);
+    // A simulated loss says nothing about held-out data
+    if (simulated) return null;
+
+    const batchTokens = batch.reduce((sum, sequence) => sum + sequence.trainedTokens, 0);
+    weightedLoss += loss * batchTokens;
+    tokens += batchTokens;
+  }
+
+  if (tokens === 0) return null;
+
+  const loss = weightedLoss / tokens;
+  const result = { step, loss, perplexity: Math.exp(loss), tokens };
+  validationHistory.push(result);
+
+  self.postMessage({
+    type: 'VALIDATION_PROGRESS',
+    data: { ...result, totalSteps, history: [...validationHistory] }
+  });
+
+  return result;
 }
 
-// --- GPU KERNEL ENCODING HELPERS ---
+/**
+ * Evaluate the preference objective on the held-out pairs.
+ * @param {number} step - Number of completed training steps
+ * @returns {Promise<Object>} { step, loss, perplexity: null, tokens, accuracy, margin }
+ */
+async function runPreferenceValidation(step) {
+  let loss = 0;
+  let margin = 0;
+  let correct = 0;
+  let tokens = 0;
+
+  for (const pair of validationData) {
+    const { result } = await evaluatePreferencePair(pair);
+    loss += result.loss;
+    margin += result.margin;
+    if (result.margin > 0) correct++;
+    tokens += pair.chosen.trainedTokens + pair.rejected.trainedTokens;
+  }
+
+  const count = validationData.length;
+  const evaluation = { step, loss: loss / count, perplexity: null, tokens, accuracy: correct / count, margin: margin / count };
+  validationHistory.push(evaluation);
+
+  self.postMessage({
+    type: 'VALIDATION_PROGRESS',
+    data: { ...evaluation, totalSteps, history: [...validationHistory] }
+  });
 
-let loraParamsBuffer, adamParamsBuffer;
-let scaleBuffers = {};
-let scratchBuffer;
+  return evaluation;
+}
 
 /**
- * Ensures all necessary GPU buffers for a training step are allocated and correctly sized for all target layers.
+ * Start from existing adapter weights (an imported PEFT adapter or an earlier LoRA Lab export).
+ * The session adopts the adapter's ranks (its most common rank plus a rankPattern for layers
+ * with another one) and alpha, so its scaling is unchanged. Adapter layers
+ * are matched onto the target layers by matchAdapterLayers and start with fresh optimizer state;
+ * target layers without a usable match keep their new initialization.
  */
-function ensureTrainingBuffers(targetLayers, config) {
-    const { rank } = config.adapterConfig;
-    const inputDim = 768; // Assuming fixed dimensions for now
-    const outputDim = 768;
-
-    const sizeA = inputDim * rank * 4;
-    const sizeB = rank * outputDim * 4;
-    const packedSizeA = Math.ceil(sizeA / 4);
-    const packedSizeB = Math.ceil(sizeB / 4);
-
-    // Cleanup buffers for layers that are no longer targeted
-    for (const layerName in loraLayerBuffers.weightsA) {
-        if (!targetLayers.includes(layerName)) {
-            loraLayerBuffers.weightsA[layerName]?.destroy();
-            loraLayerBuffers.weightsB[layerName]?.destroy();
-            loraLayerBuffers.gradientsA[layerName]?.destroy();
-            loraLayerBuffers.gradientsB[layerName]?.destroy();
-            loraLayerBuffers.momentumA[layerName]?.destroy();
-            loraLayerBuffers.momentumB[layerName]?.destroy();
-            loraLayerBuffers.velocityA[layerName]?.destroy();
-            loraLayerBuffers.velocityB[layerName]?.destroy();
-            delete loraLayerBuffers.weightsA[layerName];
-            delete loraLayerBuffers.weightsB[layerName];
-            delete loraLayerBuffers.gradientsA[layerName];
-            delete loraLayerBuffers.gradientsB[layerName];
-            delete loraLayerBuffers.momentumA[layerName];
-            delete loraLayerBuffers.momentumB[layerName];
-            delete loraLayerBuffers.velocityA[layerName];
-            delete loraLayerBuffers.velocityB[layerName];
-        }
+async function loadInitialAdapter(adapter, targetLayers) {
+  const { layers: matched, unmatched } = matchAdapterLayers(adapter.layers, targetLayers);
+  const matchedNames = Object.keys(matched).filter(layerName => matched[layerName]?.A?.data && matched[layerName]?.B?.data);
+  if (matchedNames.length === 0) {
+    throw new Error('The initial adapter has no layers matching this model');
+  }
+
+  const rankCounts = new Map();
+  for (const layerName of matchedNames) {
+    const rank = matched[layerName].A.shape[1];
+    rankCounts.set(rank, (rankCounts.get(rank) || 0) + 1);
+  }
+  const [rank] = [...rankCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const alpha = adapter.scaling !== undefined ? adapter.scaling * rank : adapter.alpha;
+
+  const layerRanks = Object.fromEntries(matchedNames.map(layerName => [layerName, matched[layerName].A.shape[1]]));
+  trainingConfig.adapterConfig = { ...trainingConfig.adapterConfig, rank, alpha, rankPattern: rankPattern(layerRanks, rank) };
+  backend.ensureLayers(targetLayers, layerShapes, trainingConfig.adapterConfig);
+
+  const state = await backend.exportState();
+  const skipped = [...unmatched];
+  let loaded = 0;
+  for (const layerName of matchedNames) {
+    const { A, B } = matched[layerName];
+    const { inputDim, outputDim } = layerShapes[layerName];
+    if (A.shape[0] !== inputDim || B.shape[1] !== outputDim) {
+      skipped.push(layerName);
+      continue;
     }
+    state.tensors[`${layerName}.A`] = Float32Array.from(A.data);
+    state.tensors[`${layerName}.B`] = Float32Array.from(B.data);
+    loaded++;
+  }
+  backend.importState(state, trainingConfig.adapterConfig);
 
-    for (const layerName of targetLayers) {
-        // Check if buffer needs creation or recreation (e.g., after rank change)
-        const needsCreateA = !loraLayerBuffers.weightsA[layerName] || loraLayerBuffers.weightsA[layerName].size !== sizeA;
-        const needsCreateB = !loraLayerBuffers.weightsB[layerName] || loraLayerBuffers.weightsB[layerName].size !== sizeB;
-
-        // LoRA weights
-        if (needsCreateA) {
-            if (loraLayerBuffers.weightsA[layerName]) loraLayerBuffers.weightsA[layerName].destroy();
-            loraLayerBuffers.weightsA[layerName] = device.createBuffer({ size: sizeA, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
-            // Initialize LoRA A with small random values (Kaiming uniform)
-            const initialAWeights = new Float32Array(sizeA / 4);
-            const std = Math.sqrt(2.0 / inputDim);
-            for (let i = 0; i < initialAWeights.length; i++) {
-                initialAWeights[i] = (Math.random() * 2 - 1) * std * 0.1; // Scale down for LoRA
-            }
-            device.queue.writeBuffer(loraLayerBuffers.weightsA[layerName], 0, initialAWeights);
-        }
-        if (needsCreateB) {
-            if (loraLayerBuffers.weightsB[layerName]) loraLayerBuffers.weightsB[layerName].destroy();
-            loraLayerBuffers.weightsB[layerName] = device.createBuffer({ size: sizeB, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
-            // Initialize LoRA B with zeros
-            const initialBWeights = new Float32Array(sizeB / 4).fill(0);
-            device.queue.writeBuffer(loraLayerBuffers.weightsB[layerName], 0, initialBWeights);
-        }
+  let message = `Starting from adapter weights for ${loaded}/${targetLayers.length} layers (rank ${rank}, alpha ${alpha})`;
+  if (skipped.length > 0) {
+    message += `; ${skipped.length} adapter layer(s) did not fit this model and were skipped`;
+    console.warn('Initial adapter layers skipped:', skipped);
+  }
+  self.postMessage({ type: 'STATUS_UPDATE', data: { message, skippedAdapterLayers: skipped } });
+}
 
-        // Gradients
-        if (!loraLayerBuffers.gradientsA[layerName]) {
-            loraLayerBuffers.gradientsA[layerName] = device.createBuffer({ size: sizeA, usage: GPUBufferUsage.STORAGE });
-        }
-        if (!loraLayerBuffers.gradientsB[layerName]) {
-            loraLayerBuffers.gradientsB[layerName] = device.createBuffer({ size: sizeB, usage: GPUBufferUsage.STORAGE });
-        }
-        // Adam optimizer state
-        if (!loraLayerBuffers.momentumA[layerName]) {
-            loraLayerBuffers.momentumA[layerName] = device.createBuffer({ size: packedSizeA, usage: GPUBufferUsage.STORAGE });
-        }
-        if (!loraLayerBuffers.velocityA[layerName]) {
-            loraLayerBuffers.velocityA[layerName] = device.createBuffer({ size: packedSizeA, usage: GPUBufferUsage.STORAGE });
-        }
-        if (!loraLayerBuffers.momentumB[layerName]) {
-            loraLayerBuffers.momentumB[layerName] = device.createBuffer({ size: packedSizeB, usage: GPUBufferUsage.STORAGE });
-        }
-        if (!loraLayerBuffers.velocityB[layerName]) {
-            loraLayerBuffers.velocityB[layerName] = device.createBuffer({ size: packedSizeB, usage: GPUBufferUsage.STORAGE });
-        }
-    }
-    
-    // Uniform and scratch buffers are shared across layers for a single step
-    const { learningRate, beta1, beta2, epsilon, weightDecay } = config;
-    const adamParamData = new Float32Array([learningRate, beta1, beta2, epsilon, weightDecay, currentStep]);
-    if (adamParamsBuffer) adamParamsBuffer.destroy();
-    adamParamsBuffer = device.createBuffer({ size: adamParamData.byteLength, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST, mappedAtCreation: true });
-    new Float32Array(adamParamsBuffer.getMappedRange()).set(adamParamData);
-    adamParamsBuffer.unmap();
-    
-    const { alpha } = config.adapterConfig;
-    const loraParamData = new Float32Array([inputDim, outputDim, rank, alpha, alpha / rank]);
-    if (loraParamsBuffer) loraParamsBuffer.destroy();
-    loraParamsBuffer = device.createBuffer({ size: loraParamData.byteLength, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST, mappedAtCreation: true });
-    new Float32Array(loraParamsBuffer.getMappedRange()).set(loraParamData);
-    loraParamsBuffer.unmap();
-
-    if (!scaleBuffers.momentum) {
-        scaleBuffers.momentum = device.createBuffer({ size: 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST, mappedAtCreation: true });
-        new Float32Array(scaleBuffers.momentum.getMappedRange()).set([1.0]);
-        scaleBuffers.momentum.unmap();
-    }
-    if (!scaleBuffers.velocity) {
-        scaleBuffers.velocity = device.createBuffer({ size: 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST, mappedAtCreation: true });
-        new Float32Array(scaleBuffers.velocity.getMappedRange()).set([1.0]);
-        scaleBuffers.velocity.unmap();
+/**
+ * Optimizer parameters of the step being trained, with the scheduled learning rate
+ */
+function getOptimizerParams() {
+  const { beta1, beta2, epsilon, weightDecay } = trainingConfig;
+  // Bias correction and the schedule both expect a 1-based step
+  const step = currentStep + 1;
+  return { learningRate: learningRateAt(step, lrSchedule), beta1, beta2, epsilon, weightDecay, step };
+}
+
+/**
+ * Perform a single optimizer step: forward and backward over each micro-batch, adding its
+ * gradients (weighted 1 / micro-batches, so they average) to the backend's accumulated
+ * gradients, then clip them by their global norm and apply the optimizer.
+ * The loss and gradient norm are checked for divergence first (a NaN norm would slip past
+ * clipping); a diverging step is not applied and returns the stop decision instead.
+ * @param {Array<Object[]>} microBatches - Sequences or preference pairs of each micro-batch
+ * @returns {Promise<Object>} { loss, gradientNorm, clipped, preference, stop } where gradientNorm
+ *   is the norm before clipping and stop is null unless the step diverged
+ */
+async function performOptimizerStep(microBatches) {
+  const scale = 1 / microBatches.length;
+  let loss = 0;
+  let preference = null;
+
+  for (const batch of microBatches) {
+    const result = preferenceObjective
+      ? await accumulatePreferenceBatch(batch, scale)
+      : await accumulateTrainingBatch(batch, scale);
+    loss += result.loss * scale;
+    if (result.preference) {
+      preference = preference || { objective: result.preference.objective, margin: 0, accuracy: 0 };
+      preference.margin += result.preference.margin * scale;
+      preference.accuracy += result.preference.accuracy * scale;
     }
+  }
+
+  if (rankScheduler.tracksImportance()) {
+    await recordComponentSensitivity();
+  }
+
+  // Backend failures propagate to the training loop, which stops the run: a step whose norm or
+  // update failed would skip clipping and the divergence check, or leave stale gradients behind
+  const gradientNorm = await backend.gradientNorm();
+
+  const stop = earlyStopping.checkTrainingLoss(currentStep + 1, loss, gradientNorm);
+  if (stop) {
+    return { loss, gradientNorm, clipped: false, preference, stop };
+  }
+  if (!bestSnapshot && currentStep % trainingConfig.evalInterval === 0) {
+    lastFiniteSnapshot = await snapshotWeights(currentStep, loss, 'training');
+  }
+
+  const { maxGradNorm } = trainingConfig;
+  const clipped = maxGradNorm > 0 && gradientNorm > maxGradNorm;
+  // Same coefficient as torch.nn.utils.clip_grad_norm_
+  const gradScale = clipped ? maxGradNorm / (gradientNorm + 1e-6) : 1;
+  await backend.applyGradients({ ...getOptimizerParams(), gradScale });
 
-    // Per-step scratch buffers are sized for one batch
-    const batchSize = config.batchSize;
-    const seqLength = config.sequenceLength;
-    const intermediateSize = batchSize * seqLength * rank * 4;
-    const inputActivationSize = batchSize * seqLength * inputDim * 4;
-    const outputGradientSize = batchSize * seqLength * outputDim * 4;
-    const requiredScratchSize = intermediateSize + inputActivationSize + outputGradientSize;
-
-    if (!scratchBuffer || scratchBuffer.size < requiredScratchSize) {
-      if (scratchBuffer) scratchBuffer.destroy();
-      scratchBuffer = device.createBuffer({ size: requiredScratchSize, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST });
+  return { loss, gradientNorm, clipped, preference, stop: null };
+}
+
+/**
+ * Feed the rank scheduler the sensitivity of every adapter component, from the weights and the
+ * accumulated gradients before the update
+ */
+async function recordComponentSensitivity() {
+  try {
+    const weights = await backend.readWeights();
+    const gradients = await backend.readGradients();
+    const sensitivities = {};
+    for (const [layerName, layerWeights] of Object.entries(weights)) {
+      const { inputDim, outputDim } = layerShapes[layerName];
+      const rank = layerWeights.A.length / inputDim;
+      sensitivities[layerName] = componentSensitivity(layerWeights, gradients[layerName], { inputDim, outputDim, rank });
     }
+    rankScheduler.recordSensitivity(sensitivities);
+  } catch (error) {
+    console.warn('Importance scoring failed:', error);
+  }
 }
 
 /**
- * Gathers all necessary buffers for a specific layer to pass to the encoding functions.
+ * Forward one micro-batch of sequences and accumulate its adapter gradients
+ * @param {Object[]} batch - Training sequences
+ * @param {number} scale - Weight of the micro-batch's gradients
  */
-function getLayerBuffers(layerName, batchSize, seqLength, inputDim, outputDim, rank) {
-    const intermediateSize = batchSize * seqLength * rank * 4;
-    const inputActivationSize = batchSize * seqLength * inputDim * 4;
-    const outputGradientSize = batchSize * seqLength * outputDim * 4;
-
-    return {
-        matrixABuffer: loraLayerBuffers.weightsA[layerName],
-        matrixBBuffer: loraLayerBuffers.weightsB[layerName],
-        gradientABuffer: loraLayerBuffers.gradientsA[layerName],
-        gradientBBuffer: loraLayerBuffers.gradientsB[layerName],
-        momentumABuffer: loraLayerBuffers.momentumA[layerName],
-        momentumBBuffer: loraLayerBuffers.momentumB[layerName],
-        velocityABuffer: loraLayerBuffers.velocityA[layerName],
-        velocityBBuffer: loraLayerBuffers.velocityB[layerName],
-        
-        intermediateResultBuffer: { buffer: scratchBuffer, offset: 0, size: intermediateSize },
-        inputActivationBuffer: { buffer: scratchBuffer, offset: intermediateSize, size: inputActivationSize },
-        outputGradientBuffer: { buffer: scratchBuffer, offset: intermediateSize + inputActivationSize, size: outputGradientSize },
-        
-        loraParamsBuffer: loraParamsBuffer,
-        adamParamsBuffer: adamParamsBuffer,
-        momentumScaleBuffer: scaleBuffers.momentum,
-        velocityScaleBuffer: scaleBuffers.velocity
-    };
+async function accumulateTrainingBatch(batch, scale) {
+  // --- Step 1: Get Loss from Transformers.js Forward Pass ---
+  const { outputs, loss: lossValue } = await forwardBatch(batch);
+
+  // --- Step 2: LoRA Forward and Backward Passes on the training backend ---
+  try {
+    const targetLayers = findLoraTargetLayers(model);
+
+    // Ensure adapter weights and optimizer state exist at the current rank
+    backend.ensureLayers(targetLayers, layerShapes, trainingConfig.adapterConfig);
+
+    // --- REAL GRADIENT & ACTIVATIONS ---
+    const { layers: captured, missing } = captureLayerSignals(
+      outputs,
+      targetLayers,
+      (layerName) => layerShapes[layerName]
+    );
+    reportMissingCaptures(missing);
+    // --- END REAL GRADIENT & ACTIVATIONS ---
+
+    for (const [layerName, capture] of Object.entries(captured)) {
+      await backend.accumulateGradients(layerName, capture, scale);
+    }
+
+  } catch (backendErr) {
+    console.warn(`LoRA backward pass failed on ${backend.name} backend:`, backendErr);
+  }
+
+  return { loss: lossValue };
 }
 
 /**
- * Encodes the full LoRA forward pass (A and B kernels) into a command encoder.
+ * Forward one sequence on its own and return the summed NLL of its trained tokens.
+ * Preference objectives are built from these sums, so a simulated loss is not good enough.
  */
-function encodeLoraForward(encoder, buffers, batchSize, seqLength) {
-    const pass = encoder.beginComputePass({label: "LoRA Forward Pass"});
-    
-    // --- Forward A ---
-    const bindGroupA = device.createBindGroup({
-      layout: computePipelines.loraForwardA.getBindGroupLayout(1),
-      entries: [
-        { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
-        { binding: 1, resource: buffers.inputActivationBuffer },
-        { binding: 2, resource: { buffer: buffers.matrixABuffer } },
-        { binding: 3, resource: { buffer: buffers.matrixBBuffer } },
-        { binding: 4, resource: { buffer: buffers.outputGradientBuffer } }, // Not used here, just a placeholder for final output
-        { binding: 5, resource: buffers.intermediateResultBuffer },
-      ]
-    });
-    pass.setPipeline(computePipelines.loraForwardA);
-    pass.setBindGroup(1, bindGroupA);
-    const groupsX_A = Math.ceil(buffers.matrixABuffer.size / (16 * 4)); // rank / TILE_DIM
-    pass.dispatchWorkgroups(groupsX_A, batchSize * seqLength);
-
-    // --- Forward B ---
-    const bindGroupB = device.createBindGroup({
-        layout: computePipelines.loraForwardB.getBindGroupLayout(1),
-         entries: [
-            { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
-            { binding: 1, resource: buffers.inputActivationBuffer }, // Original input, not used but required by layout
-            { binding: 2, resource: { buffer: buffers.matrixABuffer } },
-            { binding: 3, resource: { buffer: buffers.matrixBBuffer } },
-            { binding: 4, resource: { buffer: buffers.outputGradientBuffer } }, // Final output to be modified
-            { binding: 5, resource: buffers.intermediateResultBuffer },
-        ]
-    });
-    pass.setPipeline(computePipelines.loraForwardB);
-    pass.setBindGroup(1, bindGroupB);
-    const groupsX_B = Math.ceil(trainingConfig.sequenceLength * trainingConfig.adapterConfig.rank / 256);
-    pass.dispatchWorkgroups(groupsX_B);
+async function forwardSequence(sequence) {
+  const { outputs, loss, simulated } = await forwardBatch([sequence]);
+  if (simulated) {
+    throw new Error('Preference training needs the real loss from the model graph');
+  }
+  // The graph loss is the mean over the sequence's trained tokens
+  return { outputs, nll: loss * sequence.trainedTokens };
+}
 
-    pass.end();
+/**
+ * Forward both sides of a preference pair and evaluate the objective on them.
+ */
+async function evaluatePreferencePair(pair) {
+  const chosen = await forwardSequence(pair.chosen);
+  const rejected = await forwardSequence(pair.rejected);
+  const result = computePreferenceLoss(preferenceObjective, {
+    chosen: { nll: chosen.nll, tokens: pair.chosen.trainedTokens },
+    rejected: { nll: rejected.nll, tokens: pair.rejected.trainedTokens },
+    reference: pair.reference
+  }, { beta: trainingConfig.dpoBeta, lambda: trainingConfig.orpoLambda });
+  return { chosen, rejected, result };
 }
 
 /**
- * Encodes the LoRA backward pass (for dL/dB and dL/dA) into a command encoder.
+ * Forward one micro-batch of preference pairs and accumulate the DPO/ORPO gradients.
+ * Each response is forwarded on its own; its captured gradient (of the mean NLL) is scaled by
+ * dLoss/dNLL times its token count, and the captures of the whole batch are merged per layer,
+ * so the gradient is that of the mean preference loss over the batch.
+ * @param {Object[]} batch - Preference pairs
+ * @param {number} scale - Weight of the micro-batch's gradients
  */
-function encodeLoraBackward(encoder, buffers, batchSize, seqLength) {
-    const pass = encoder.beginComputePass({label: "LoRA Backward Pass"});
-    const rank = trainingConfig.adapterConfig.rank;
-    const outputDim = 768;
-
-    // --- Backward B ---
-    const bindGroupB = device.createBindGroup({
-        layout: computePipelines.loraBackwardB.getBindGroupLayout(2),
-        entries: [
-            { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
-            { binding: 1, resource: buffers.outputGradientBuffer },
-            { binding: 2, resource: buffers.intermediateResultBuffer },
-            { binding: 3, resource: { buffer: buffers.gradientBBuffer } },
-        ]
-    });
-    pass.setPipeline(computePipelines.loraBackwardB);
-    pass.setBindGroup(2, bindGroupB);
-    pass.dispatchWorkgroups(Math.ceil(rank / 16), Math.ceil(outputDim / 16));
-
-    // --- Backward A ---
-     const bindGroupA = device.createBindGroup({
-        layout: computePipelines.loraBackwardA.getBindGroupLayout(3),
-        entries: [
-            { binding: 0, resource: { buffer: buffers.loraParamsBuffer } },
-            { binding: 1, resource: buffers.outputGradientBuffer },
-            { binding: 2, resource: { buffer: buffers.matrixBBuffer } },
-            { binding: 3, resource: buffers.inputActivationBuffer },
-            { binding: 4, resource: { buffer: buffers.gradientABuffer } },
-        ]
-    });
-    pass.setPipeline(computePipelines.loraBackwardA);
-    pass.setBindGroup(3, bindGroupA);
-    const inputDim = 768;
-    pass.dispatchWorkgroups(Math.ceil(inputDim / 16), Math.ceil(rank / 16));
+async function accumulatePreferenceBatch(batch, scale) {
+  const targetLayers = findLoraTargetLayers(model);
+  const parts = [];
+  let loss = 0;
+  let margin = 0;
+  let correct = 0;
+
+  for (const pair of batch) {
+    const { chosen, rejected, result } = await evaluatePreferencePair(pair);
+    loss += result.loss / batch.length;
+    margin += result.margin / batch.length;
+    if (result.margin > 0) correct++;
+
+    for (const [side, forward] of [['chosen', chosen], ['rejected', rejected]]) {
+      const { layers, missing } = captureLayerSignals(forward.outputs, targetLayers, (layerName) => layerShapes[layerName]);
+      reportMissingCaptures(missing);
+      parts.push({ layers, scale: result.coefficients[side] * pair[side].trainedTokens / batch.length });
+    }
+  }
+
+  try {
+    backend.ensureLayers(targetLayers, layerShapes, trainingConfig.adapterConfig);
 
-    pass.end();
+    for (const [layerName, capture] of Object.entries(mergeScaledCaptures(parts))) {
+      await backend.accumulateGradients(layerName, capture, scale);
+    }
+  } catch (backendErr) {
+    console.warn(`LoRA backward pass failed on ${backend.name} backend:`, backendErr);
+  }
+
+  return {
+    loss,
+    preference: { objective: preferenceObjective, margin, accuracy: correct / batch.length }
+  };
 }
 
 /**
- * Encodes the Adam optimizer update for both LoRA matrices.
+ * Reports layers whose activations or gradients could not be captured.
+ * Those layers are skipped for the step instead of being trained on stand-in data.
  */
-function encodeAdamUpdate(encoder, buffers) {
-    const pass = encoder.beginComputePass({label: "Adam Optimizer Update"});
-    
-    // --- Update Matrix B ---
-    const bindGroupB = device.createBindGroup({
-        layout: computePipelines.adamOptimizer.getBindGroupLayout(7),
-        entries: [
-            { binding: 0, resource: { buffer: buffers.adamParamsBuffer } },
-            { binding: 1, resource: { buffer: buffers.gradientBBuffer } },
-            { binding: 2, resource: { buffer: buffers.matrixBBuffer } },
-            { binding: 3, resource: { buffer: buffers.momentumBBuffer } },
-            { binding: 4, resource: { buffer: buffers.velocityBBuffer } },
-            { binding: 5, resource: { buffer: buffers.momentumScaleBuffer } },
-            { binding: 6, resource: { buffer: buffers.velocityScaleBuffer } },
-        ]
-    });
-    pass.setPipeline(computePipelines.adamOptimizer);
-    pass.setBindGroup(7, bindGroupB);
-    pass.dispatchWorkgroups(Math.ceil(buffers.matrixBBuffer.size / 4 / 256));
-
-    // --- Update Matrix A ---
-    const bindGroupA = device.createBindGroup({
-        layout: computePipelines.adamOptimizer.getBindGroupLayout(7),
-        entries: [
-            { binding: 0, resource: { buffer: buffers.adamParamsBuffer } },
-            { binding: 1, resource: { buffer: buffers.gradientABuffer } },
-            { binding: 2, resource: { buffer: buffers.matrixABuffer } },
-            { binding: 3, resource: { buffer: buffers.momentumABuffer } },
-            { binding: 4, resource: { buffer: buffers.velocityABuffer } },
-            { binding: 5, resource: { buffer: buffers.momentumScaleBuffer } },
-            { binding: 6, resource: { buffer: buffers.velocityScaleBuffer } },
-        ]
-    });
-    pass.setBindGroup(7, bindGroupA);
-    pass.dispatchWorkgroups(Math.ceil(buffers.matrixABuffer.size / 4 / 256));
+function reportMissingCaptures(missing) {
+  const newlyMissing = missing.filter(({ layer }) => !reportedMissingCaptures.has(layer));
+  if (newlyMissing.length === 0) return;
 
-    pass.end();
+  newlyMissing.forEach(({ layer }) => reportedMissingCaptures.add(layer));
+  console.warn('LoRA capture unavailable, skipping layers:', newlyMissing);
+  self.postMessage({
+    type: 'STATUS_UPDATE',
+    data: {
+      message: `No captured activations/gradients for ${newlyMissing.length} layer(s); they will not be updated. ` +
+               'The model export must expose <layer>.lora_input and <layer>.lora_grad_output outputs.',
+      missingCaptures: newlyMissing
+    }
+  });
 }
 
 /**
@@ -835,7 +1264,7 @@ function encodeAdamUpdate(encoder, buffers) {
  * @returns {string[]} An array of layer names suitable for applying LoRA.
  */
 function findLoraTargetLayers(model) {
-    const targetLayerTypes = ['q_proj', 'k_proj', 'v_proj', 'o_proj', 'fc1', 'fc2', 'Wqkv'];
+    const targetLayerTypes = ['q_proj', 'k_proj', 'v_proj', 'o_proj', 'fc1', 'fc2', 'Wqkv', 'qkv_proj'];
     const layerNames = new Set();
 
     function traverse(obj, path) {
@@ -880,48 +1309,63 @@ function simulateLossCalculation(outputs, targets) {
   // In a real implementation, this would compute cross-entropy loss
   const baselineLoss = 2.5;
   const improvementFactor = Math.max(0.1, 1 - (currentStep / totalSteps) * 0.7);
-  const noise = (Math.random() - 0.5) * 0.2;
+  const noise = (rng() - 0.5) * 0.2;
   
   return baselineLoss * improvementFactor + noise;
 }
 
 /**
- * Simulate gradient norm calculation
+ * Rank of every target layer under the current adapter config
+ * @returns {Object} Map of layer name -> rank
  */
-function simulateGradientNorm(loss) {
-  // Gradient norm typically correlates with loss but has more variance
-  const basedOnLoss = loss * 0.1;
-  const noise = (Math.random() - 0.5) * 0.05;
-  
-  return Math.max(1e-8, basedOnLoss + noise);
+function getLayerRanks() {
+  return Object.fromEntries(Object.keys(layerShapes).map(layerName => [layerName, layerRank(trainingConfig.adapterConfig, layerName)]));
 }
 
 /**
- * Update adapter rank
+ * Resize the adapters to ranks chosen by the rank scheduler. Weights and optimizer state are
+ * read from the backend, resized with resizeAdapterState (zero-padded growth, SVD truncation
+ * when shrinking) and loaded back, so the adapter output is unchanged by growth and keeps the
+ * largest singular components when shrinking.
+ * @param {Object} layerRanks - Map of layer name -> rank
+ * @param {number} [rank] - Default rank of the adapter config; layers with another rank are
+ *   listed in its rankPattern
  */
-async function updateAdapterRank(newRank) {
+async function updateAdapterRank(layerRanks, rank = trainingConfig.adapterConfig.rank) {
+  const oldConfig = trainingConfig.adapterConfig;
+  const oldLayerRanks = getLayerRanks();
+  const changed = Object.keys(layerRanks).some(layerName => layerRanks[layerName] !== oldLayerRanks[layerName]);
+  if (!changed && rank === oldConfig.rank) return;
+
   try {
-    // In a full implementation, this would:
-    // 1. Save current adapter state
-    // 2. Reinitialize adapter layers with new rank
-    // 3. Update ONNX session configuration
-    
-    console.log(`Updating adapter rank from ${rankScheduler.getCurrentRank()} to ${newRank}`);
-    
-    // Update training configuration
-    trainingConfig.adapterConfig.rank = newRank;
-    
+    const { state, retainedEnergy } = resizeAdapterState(await backend.exportState(), layerRanks, {
+      optimizer: trainingConfig.optimizer,
+      random: rng
+    });
+    trainingConfig.adapterConfig = {
+      ...oldConfig,
+      rank,
+      rankPattern: rankPattern({ ...oldLayerRanks, ...layerRanks }, rank)
+    };
+    await backend.importState(state, trainingConfig.adapterConfig);
+
+    const energies = Object.values(retainedEnergy);
     self.postMessage({
       type: 'RANK_UPDATED',
       data: {
-        oldRank: rankScheduler.getCurrentRank(),
-        newRank,
-        step: currentStep
+        oldRank: oldConfig.rank,
+        newRank: rank,
+        layerRanks: getLayerRanks(),
+        step: currentStep,
+        // Smallest fraction of a layer's delta energy kept by the truncation (1 when growing)
+        retainedEnergy: energies.length > 0 ? Math.min(...energies) : 1
       }
     });
-    
   } catch (error) {
     console.error('Rank update failed:', error);
+    // The adapters still have the old ranks
+    rankScheduler.setRank(oldConfig.rank);
+    rankScheduler.setLayerRanks(oldLayerRanks);
   }
 }
 
@@ -931,7 +1375,15 @@ async function updateAdapterRank(newRank) {
 function estimateMemoryUsage() {
   // Rough estimation based on model size and current configuration
   const baseModel = 2.0; // GB
-  const adapterSize = (trainingConfig.adapterConfig.rank * 768 * 32 * 4) / (1024 * 1024 * 1024); // Rough calculation
+  // A/B weights, gradients and accumulated gradients (fp32), plus the optimizer state
+  const { rank, rankPattern: layerRankPattern } = trainingConfig.adapterConfig;
+  const adapterParams = countAdapterParameters(layerShapes, rank, layerRankPattern);
+  const stateBytes = Object.entries(layerShapes).reduce((sum, [layerName, { inputDim, outputDim }]) => {
+    const shapes = loraMatrixShapes({ inputDim, outputDim, rank: layerRank(trainingConfig.adapterConfig, layerName) });
+    return sum + optimizerStateBytes(trainingConfig.optimizer, shapes.A.rows, shapes.A.cols) +
+      optimizerStateBytes(trainingConfig.optimizer, shapes.B.rows, shapes.B.cols);
+  }, 0);
+  const adapterSize = (adapterParams * 4 * 3 + stateBytes) / (1024 * 1024 * 1024);
   const activations = 0.5; // GB
   
   return baseModel + adapterSize + activations;
@@ -943,48 +1395,154 @@ function estimateMemoryUsage() {
 function calculateETA() {
   if (currentStep === 0) return 0;
   
-  const elapsedTime = Date.now() - startTime;
+  const elapsedTime = getElapsedTime();
   const stepsRemaining = totalSteps - currentStep;
   const timePerStep = elapsedTime / currentStep;
   
   return Math.round((stepsRemaining * timePerStep) / 1000); // seconds
 }
 
+/**
+ * Training time including the time before the session was resumed, in ms
+ */
+function getElapsedTime() {
+  return elapsedBeforeResume + (Date.now() - startTime);
+}
+
+/**
+ * Persist everything needed to continue this session exactly where it stands
+ */
+async function saveCheckpoint() {
+  if (!checkpointStore || !backend) return;
+
+  try {
+    const backendState = await backend.exportState();
+    const loss = lossHistory[lossHistory.length - 1] ?? null;
+
+    await checkpointStore.save({
+      id: sessionId,
+      summary: {
+        id: sessionId,
+        modelSource: sessionSource.modelSource,
+        step: currentStep,
+        totalSteps,
+        loss,
+        rank: trainingConfig.adapterConfig.rank,
+        savedAt: Date.now()
+      },
+      state: {
+        ...sessionSource,
+        trainingConfig,
+        seed,
+        rngState: rng.getState(),
+        currentStep,
+        dataCursor,
+        elapsedTime: getElapsedTime(),
+        lossHistory,
+        throughputHistory,
+        validationHistory,
+        memoryUsage,
+        initialAWeights: initialAWeightsForVerification ? Array.from(initialAWeightsForVerification) : null,
+        rankScheduler: rankScheduler.getState(),
+        earlyStopping: earlyStopping.getState(),
+        referenceLogProbs: preferenceObjective === PREFERENCE_OBJECTIVES.DPO ? collectReferenceLogProbs() : null,
+        bestSnapshot: bestSnapshot && {
+          step: bestSnapshot.step,
+          loss: bestSnapshot.loss,
+          metric: bestSnapshot.metric,
+          rank: bestSnapshot.rank,
+          layers: Object.keys(bestSnapshot.layers)
+        },
+        backendLayers: backendState.layers
+      },
+      tensors: { ...backendState.tensors, ...snapshotTensors() }
+    });
+
+    self.postMessage({
+      type: 'CHECKPOINT_SAVED',
+      data: { id: sessionId, step: currentStep, totalSteps, loss, store: checkpointStore.name }
+    });
+  } catch (error) {
+    // A failed save must not end the session; the previous checkpoint stays usable
+    console.error('Checkpoint save failed:', error);
+    self.postMessage({
+      type: 'STATUS_UPDATE',
+      data: { message: `Checkpoint save failed: ${error.message}` }
+    });
+  }
+}
+
+/**
+ * Best-snapshot weights as checkpoint tensors, keyed `best/<layer>.A` and `best/<layer>.B`
+ */
+function snapshotTensors() {
+  if (!bestSnapshot) return {};
+  const tensors = {};
+  for (const [layerName, { A, B }] of Object.entries(bestSnapshot.layers)) {
+    tensors[`best/${layerName}.A`] = A;
+    tensors[`best/${layerName}.B`] = B;
+  }
+  return tensors;
+}
+
+/**
+ * Restore counters, histories, RNG, scheduler and adapter state from a checkpoint
+ */
+function restoreCheckpoint(checkpoint) {
+  const { state, tensors } = checkpoint;
+
+  backend.importState({ layers: state.backendLayers, tensors }, trainingConfig.adapterConfig);
+  rankScheduler.setState(state.rankScheduler);
+  if (state.earlyStopping) earlyStopping.setState(state.earlyStopping);
+  if (state.bestSnapshot) {
+    const { layers, ...summary } = state.bestSnapshot;
+    bestSnapshot = {
+      ...summary,
+      layers: Object.fromEntries(layers.map(layerName => [layerName, {
+        A: tensors[`best/${layerName}.A`].slice(),
+        B: tensors[`best/${layerName}.B`].slice()
+      }]))
+    };
+  }
+  rng.setState(state.rngState);
+
+  currentStep = state.currentStep;
+  dataCursor = state.dataCursor;
+  elapsedBeforeResume = state.elapsedTime;
+  startTime = Date.now();
+  lossHistory = [...state.lossHistory];
+  throughputHistory = [...state.throughputHistory];
+  validationHistory = [...(state.validationHistory || [])];
+  memoryUsage = state.memoryUsage;
+  if (state.initialAWeights) {
+    initialAWeightsForVerification = Float32Array.from(state.initialAWeights);
+  }
+}
+
 /**
  * Handle training completion
+ * @param {Object} stopDecision - { reason, step, message } from the loop (see earlyStopping.js)
  */
-async function handleTrainingCompletion() {
+async function handleTrainingCompletion(stopDecision) {
   isTraining = false;
   
   const finalLayers = {};
-  const targetLayers = Object.keys(loraLayerBuffers.weightsA);
-
-  if (device && targetLayers.length > 0) {
-    const commandEncoder = device.createCommandEncoder();
-    const readbackBuffers = {};
-
-    // For each layer, copy the trained weights to a readable buffer
-    for (const layerName of targetLayers) {
-        const bufferA = loraLayerBuffers.weightsA[layerName];
-        const bufferB = loraLayerBuffers.weightsB[layerName];
-
-        const readBufferA = device.createBuffer({ size: bufferA.size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
-        const readBufferB = device.createBuffer({ size: bufferB.size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+  const targetLayers = Object.keys(backend?.layers || {});
+  // The best evaluation's weights are exported. Without an evaluation it is the last step's, or
+  // after a divergence the weights before the last update that passed the divergence check.
+  let exported = {
+    step: currentStep,
+    loss: lossHistory[lossHistory.length - 1] ?? null,
+    metric: 'last',
+    rank: trainingConfig.adapterConfig.rank
+  };
 
-        commandEncoder.copyBufferToBuffer(bufferA, 0, readBufferA, 0, bufferA.size);
-        commandEncoder.copyBufferToBuffer(bufferB, 0, readBufferB, 0, bufferB.size);
-        
-        readbackBuffers[layerName] = { A: readBufferA, B: readBufferB };
-    }
-    device.queue.submit([commandEncoder.finish()]);
+  if (targetLayers.length > 0) {
+    const trainedWeights = await backend.readWeights(targetLayers);
 
     // --- Verification Step ---
     if (initialAWeightsForVerification) {
-        const firstLayerName = targetLayers[0];
-        const { A: readBufferA } = readbackBuffers[firstLayerName];
-        // This await is important because we need the final weights for comparison
-        await readBufferA.mapAsync(GPUMapMode.READ);
-        const finalAWeights = new Float32Array(readBufferA.getMappedRange());
+        const finalAWeights = trainedWeights[targetLayers[0]].A;
 
         let weightsChanged = false;
         for (let i = 0; i < Math.min(5, finalAWeights.length); i++) {
@@ -1003,42 +1561,35 @@ async function handleTrainingCompletion() {
             self.postMessage({ type: 'STATUS_UPDATE', data: { message: 'Verification FAILED: Adapter weights did not change.' }});
             console.error('%cVerification FAILED: Adapter weights did not change after training.', 'color: #ef4444; font-weight: bold;');
         }
-        // We don't unmap here. The loop below will handle it.
     }
 
-    // Asynchronously map all readback buffers and populate the final adapter data
-    for (const layerName of targetLayers) {
-        const { A: readBufferA, B: readBufferB } = readbackBuffers[layerName];
-        
-        // Await mapping if it hasn't been done already (for layers other than the first)
-        if (readBufferA.mapState === 'unmapped') await readBufferA.mapAsync(GPUMapMode.READ);
-        if (readBufferB.mapState === 'unmapped') await readBufferB.mapAsync(GPUMapMode.READ);
-        
-        const aWeights = new Float32Array(readBufferA.getMappedRange());
-        const bWeights = new Float32Array(readBufferB.getMappedRange());
+    let exportWeights = trainedWeights;
+    const snapshot = bestSnapshot ?? (stopDecision.reason === STOP_REASONS.DIVERGENCE ? lastFiniteSnapshot : null);
+    if (snapshot) {
+        const { layers, ...summary } = snapshot;
+        exportWeights = layers;
+        exported = summary;
+    }
 
-        // Assuming fixed dimensions for now
-        const inputDim = 768;
-        const rank = trainingConfig.adapterConfig.rank;
-        const outputDim = 768;
+    for (const layerName of Object.keys(exportWeights)) {
+        const { A: aWeights, B: bWeights } = exportWeights[layerName];
+        const { inputDim, outputDim } = layerShapes[layerName];
+        const rank = aWeights.length / inputDim;
 
         finalLayers[layerName] = {
             A: { data: Array.from(aWeights), shape: [inputDim, rank] },
             B: { data: Array.from(bWeights), shape: [rank, outputDim] },
         };
-
-        readBufferA.unmap();
-        readBufferB.unmap();
-        readBufferA.destroy();
-        readBufferB.destroy();
     }
   }
 
   const adapterData = {
-    rank: trainingConfig.adapterConfig.rank,
+    rank: exported.rank,
     alpha: trainingConfig.adapterConfig.alpha,
     layers: finalLayers,
-    targetModules: targetLayers
+    targetModules: targetLayers,
+    modelShape,
+    layerShapes: Object.fromEntries(targetLayers.map(name => [name, layerShapes[name]]))
   };
   
   const finalStats = {
@@ -1046,15 +1597,31 @@ async function handleTrainingCompletion() {
     finalLoss: lossHistory[lossHistory.length - 1] || 0,
     averageLoss: lossHistory.reduce((sum, loss) => sum + loss, 0) / lossHistory.length,
     averageThroughput: throughputHistory.reduce((sum, t) => sum + t, 0) / throughputHistory.length,
-    trainingTime: (Date.now() - startTime) / 1000,
+    finalValidationLoss: validationHistory.length > 0 ? validationHistory[validationHistory.length - 1].loss : null,
+    stopReason: stopDecision.reason,
+    stopMessage: stopDecision.message,
+    exportedStep: exported.step,
+    exportedLoss: exported.loss,
+    exportedMetric: exported.metric,
+    validationHistory,
+    trainingTime: getElapsedTime() / 1000,
     rankSchedulerStats: rankScheduler.getStatistics(),
     adapterData: adapterData // Include adapter data in completion message
   };
 
+  const exportedLoss = exported.loss !== null ? ` (${exported.metric} loss ${exported.loss.toFixed(4)})` : '';
+  self.postMessage({
+    type: 'STATUS_UPDATE',
+    data: { message: `${stopDecision.message}. Exporting adapter weights from step ${exported.step}${exportedLoss}` }
+  });
+
   self.postMessage({
     type: 'TRAINING_COMPLETED',
     data: finalStats
   });
+
+  // A finished session has nothing left to resume
+  await checkpointStore?.delete(sessionId).catch(error => console.warn('Failed to delete checkpoint:', error));
 }
 
 /**
@@ -1103,15 +1670,8 @@ function handleStopTraining() {
     models.clear();
   }
   
-  if (loraLayerBuffers.weightsA[targetLayers[0]]) {
-    loraLayerBuffers.weightsA[targetLayers[0]].destroy();
-    loraLayerBuffers.weightsB[targetLayers[0]].destroy();
-    loraLayerBuffers.gradientsA[targetLayers[0]].destroy();
-    loraLayerBuffers.gradientsB[targetLayers[0]].destroy();
-    loraLayerBuffers.momentumA[targetLayers[0]].destroy();
-    loraLayerBuffers.momentumB[targetLayers[0]].destroy();
-    loraLayerBuffers.velocityA[targetLayers[0]].destroy();
-    loraLayerBuffers.velocityB[targetLayers[0]].destroy();
+  if (backend) {
+    backend.destroy();
   }
   
   if (rankScheduler) {
@@ -1138,6 +1698,7 @@ function handleGetStatus() {
     currentLoss: lossHistory[lossHistory.length - 1] || 0,
     memoryUsage,
     eta: calculateETA(),
+    learningRate: lrSchedule ? learningRateAt(Math.max(currentStep, 1), lrSchedule) : null,
     currentRank: rankScheduler?.getCurrentRank() || trainingConfig?.adapterConfig?.rank || 4
   };
 
@@ -1158,79 +1719,3 @@ self.onerror = function(error) {
 
 // Log worker initialization
 console.log('LoRA Training Worker initialized');
-
-/**
- * Compute cross-entropy loss on GPU using the WGSL kernel.
- * Expects flattened logits tensor (Float32Array) of shape [batch * vocab].
- * @returns {Promise<number|null>} Loss value or null if unavailable.
- */
-async function computeLossWithGPU(flattenedLogits, labelTensor) {
-  try {
-    if (!device || !computePipelines.crossEntropyLoss || !flattenedLogits) return null;
-
-    const batchSize = labelTensor.shape[0] ?? labelTensor.length;
-    const vocabSize = flattenedLogits.length / batchSize;
-
-    const logitsBuffer = device.createBuffer({
-      size: flattenedLogits.length * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-    device.queue.writeBuffer(logitsBuffer, 0, new Float32Array(flattenedLogits.buffer ?? flattenedLogits));
-
-    const labelsArray = new Uint32Array(labelTensor.data ?? labelTensor);
-    const labelsBuffer = device.createBuffer({
-      size: labelsArray.length * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-    device.queue.writeBuffer(labelsBuffer, 0, labelsArray);
-
-    const lossesBuffer = device.createBuffer({
-      size: batchSize * 4,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.STORAGE
-    });
-
-    const ceParamsBuffer = device.createBuffer({
-      size: 3 * 4,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
-    device.queue.writeBuffer(ceParamsBuffer, 0, new Float32Array([vocabSize, batchSize, 1e-7]));
-
-    const bindGroup = device.createBindGroup({
-      layout: computePipelines.crossEntropyLoss.getBindGroupLayout(6),
-      entries: [
-        { binding: 0, resource: { buffer: ceParamsBuffer } },
-        { binding: 1, resource: { buffer: logitsBuffer } },
-        { binding: 2, resource: { buffer: labelsBuffer } },
-        { binding: 3, resource: { buffer: lossesBuffer } }
-      ]
-    });
-
-    const encoder = device.createCommandEncoder();
-    const pass = encoder.beginComputePass();
-    pass.setPipeline(computePipelines.crossEntropyLoss);
-    pass.setBindGroup(6, bindGroup);
-    pass.dispatchWorkgroups(batchSize);
-    pass.end();
-    device.queue.submit([encoder.finish()]);
-
-    // Read back loss of first sample (approx average if batch=1)
-    const readBuffer = device.createBuffer({ size: 4, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
-    const copyEncoder = device.createCommandEncoder();
-    copyEncoder.copyBufferToBuffer(lossesBuffer, 0, readBuffer, 0, 4);
-    device.queue.submit([copyEncoder.finish()]);
-    await readBuffer.mapAsync(GPUMapMode.READ);
-    const lossVal = new Float32Array(readBuffer.getMappedRange())[0];
-    readBuffer.unmap();
-
-    logitsBuffer.destroy();
-    labelsBuffer.destroy();
-    lossesBuffer.destroy();
-    ceParamsBuffer.destroy();
-    readBuffer.destroy();
-
-    return lossVal;
-  } catch (e) {
-    console.warn("GPU CE loss computation failed", e);
-    return null;
-  }
-}
\ No newline at end of file
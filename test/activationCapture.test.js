@@ -0,0 +1,114 @@
+/**
+ * Tests for activation/gradient capture and the CPU reference gradients it is checked against.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toFloat32,
+  getCaptureOutputNames,
+  inspectCaptureSupport,
+  assertCaptureSupport,
+  captureLayerSignals
+} from '../src/trainers/activationCapture.js';
+import { createTinyModel, runTinyModel, checkGradientsFiniteDifference } from '../src/trainers/loraReference.js';
+import { CPUTrainingBackend } from '../src/trainers/cpuBackend.js';
+
+const INPUT_IDS = [1, 4, 7, 2, 9];
+const LABELS = [4, 7, 2, 9, 3];
+
+function modelWithOutputs(outputNames) {
+  return { sessions: { model: { outputNames, inputNames: [] } } };
+}
+
+test('analytic LoRA gradients match central finite differences', () => {
+  // float32 losses: a larger step keeps the rounding error of the difference quotient small
+  const { maxAbsError, maxRelError, checked } = checkGradientsFiniteDifference(createTinyModel(), INPUT_IDS, LABELS, { epsilon: 1e-2 });
+  assert.equal(checked, 48); // 2 layers, A [6, 2] and B [2, 6]
+  assert.ok(maxAbsError < 1e-4, `max absolute error ${maxAbsError}`);
+  assert.ok(maxRelError < 1e-2, `max relative error ${maxRelError}`);
+});
+
+test('captured signals give the CPU backend gradients that match finite differences', async () => {
+  const tinyModel = createTinyModel();
+  const { captures } = runTinyModel(tinyModel, INPUT_IDS, LABELS);
+  const layerNames = Object.keys(tinyModel.layers);
+
+  // Graph outputs as a training export returns them
+  const outputs = {};
+  for (const layerName of layerNames) {
+    const names = getCaptureOutputNames(layerName);
+    outputs[names.input] = { type: 'float32', data: captures[layerName].input };
+    outputs[names.gradOutput] = { type: 'float32', data: captures[layerName].gradOutput };
+  }
+  const dims = { inputDim: tinyModel.hiddenSize, outputDim: tinyModel.hiddenSize };
+  const { layers, missing } = captureLayerSignals(outputs, layerNames, () => dims);
+  assert.deepEqual(missing, []);
+
+  // The training path: the backend holds the adapter weights and accumulates from the captures
+  const backend = new CPUTrainingBackend();
+  const tensors = {};
+  for (const layerName of layerNames) {
+    tensors[`${layerName}.A`] = tinyModel.layers[layerName].A;
+    tensors[`${layerName}.B`] = tinyModel.layers[layerName].B;
+  }
+  backend.importState({
+    layers: Object.fromEntries(layerNames.map(layerName => [layerName, { ...dims, rank: tinyModel.rank }])),
+    tensors
+  }, { rank: tinyModel.rank, alpha: tinyModel.alpha });
+  for (const layerName of layerNames) {
+    await backend.accumulateGradients(layerName, layers[layerName]);
+  }
+  const accumulated = await backend.readGradients();
+  const gradients = Object.fromEntries(layerNames.map(layerName => [
+    layerName,
+    { gradA: accumulated[layerName].A, gradB: accumulated[layerName].B }
+  ]));
+
+  const { maxAbsError, maxRelError, checked } = checkGradientsFiniteDifference(tinyModel, INPUT_IDS, LABELS, { epsilon: 1e-2, gradients });
+  assert.equal(checked, 48);
+  assert.ok(maxAbsError < 1e-4, `max absolute error ${maxAbsError}`);
+  assert.ok(maxRelError < 1e-2, `max relative error ${maxRelError}`);
+});
+
+test('signals of the wrong width are reported as a shape mismatch', () => {
+  const names = getCaptureOutputNames('layer.0');
+  // 12 input values are two tokens of 6, but 10 gradient values are not two tokens of 4
+  const outputs = { [names.input]: new Float32Array(12), [names.gradOutput]: new Float32Array(10) };
+  const { layers, missing } = captureLayerSignals(outputs, ['layer.0'], () => ({ inputDim: 6, outputDim: 4 }));
+
+  assert.deepEqual(layers, {});
+  assert.equal(missing.length, 1);
+  assert.match(missing[0].reason, /^shape mismatch \(input 12, grad 10, expected 6\/4 per token\)$/);
+
+  // An input that is not a whole number of tokens is reported too
+  const partial = captureLayerSignals({ [names.input]: new Float32Array(13), [names.gradOutput]: new Float32Array(8) }, ['layer.0'], () => ({ inputDim: 6, outputDim: 4 }));
+  assert.match(partial.missing[0].reason, /^shape mismatch/);
+});
+
+test('layers without capture outputs are reported, not filled in', () => {
+  const outputs = { 'layer.0.lora_input': new Float32Array(12) };
+  const { layers, missing } = captureLayerSignals(outputs, ['layer.0', 'layer.1'], () => ({ inputDim: 6, outputDim: 6 }));
+
+  assert.deepEqual(layers, {});
+  assert.deepEqual(missing.map(({ layer, reason }) => [layer, reason]), [
+    ['layer.0', 'no upstream gradient'],
+    ['layer.1', 'no input activations']
+  ]);
+});
+
+test('half-precision outputs are decoded', () => {
+  assert.deepEqual(toFloat32({ type: 'float16', data: Uint16Array.of(0x3c00, 0xc000, 0x0001, 0x7c00) }),
+    Float32Array.of(1, -2, 2 ** -24, Infinity));
+});
+
+test('training refuses a model without capture outputs', () => {
+  const targetLayers = ['model.layers.0.self_attn.q_proj', 'model.layers.0.self_attn.v_proj'];
+
+  assert.throws(() => assertCaptureSupport(modelWithOutputs(['logits']), targetLayers), /cannot be trained/);
+
+  const partial = modelWithOutputs(['logits', ...Object.values(getCaptureOutputNames(targetLayers[1]))]);
+  assert.deepEqual(inspectCaptureSupport(partial, targetLayers), { supported: [targetLayers[1]], unsupported: [targetLayers[0]] });
+  assert.deepEqual(assertCaptureSupport(partial, targetLayers).supported, [targetLayers[1]]);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for feeding adapter weights into adapter-capable graphs at generation time.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildAdapterFeeds, findInjectableLayers, getAdapterInputNames } from '../src/trainers/adapterInjection.js';
+import { createTinyModel, checkAdapterLogitDelta, tinyModelLogits } from '../src/trainers/loraReference.js';
+
+const INPUT_IDS = [3, 1, 4, 1, 5, 9];
+
+test('an enabled adapter shifts the logits by exactly its low-rank delta', () => {
+  const tinyModel = createTinyModel({ numLayers: 3 });
+
+  for (const layerName of Object.keys(tinyModel.layers)) {
+    const { maxAbsError, maxExpected } = checkAdapterLogitDelta(tinyModel, INPUT_IDS, layerName);
+    assert.ok(maxExpected > 0.1, `${layerName}: the adapter should change the logits`);
+    assert.ok(maxAbsError < 1e-5, `${layerName}: logits deviate from base + delta by ${maxAbsError}`);
+  }
+});
+
+test('a known rank-1 adapter adds scaling · (x·A) · B to a single-layer model', () => {
+  const tinyModel = createTinyModel({ vocabSize: 4, hiddenSize: 3, numLayers: 1, rank: 1, alpha: 2 });
+  const [layerName] = Object.keys(tinyModel.layers);
+  const A = Float32Array.of(1, 0, -1);
+  const B = Float32Array.of(0.5, 0.25, 0);
+  const adapter = { rank: 1, alpha: 2, layers: { [layerName]: { A: { data: A, shape: [3, 1] }, B: { data: B, shape: [1, 3] } } } };
+
+  const base = tinyModelLogits(tinyModel, [2], buildAdapterFeeds(adapter, [layerName], tinyModel.config, false).feeds);
+  const adapted = tinyModelLogits(tinyModel, [2], buildAdapterFeeds(adapter, [layerName], tinyModel.config, true).feeds);
+
+  // The residual stream gains scaling · (x·A) · B, which the LM head maps to the logits
+  const x = base.inputs[layerName];
+  const xa = x[0] - x[2];
+  const hiddenDelta = Array.from(B, value => 2 * xa * value);
+  for (let v = 0; v < 4; v++) {
+    let expected = 0;
+    for (let i = 0; i < 3; i++) expected += hiddenDelta[i] * tinyModel.lmHead[i * 4 + v];
+    assert.ok(Math.abs(adapted.logits[v] - base.logits[v] - expected) < 1e-6, `logit ${v}`);
+  }
+});
+
+test('disabled adapters feed zero matrices that leave the base model unchanged', () => {
+  const tinyModel = createTinyModel();
+  const layerNames = Object.keys(tinyModel.layers);
+  const { feeds, applied } = buildAdapterFeeds(null, layerNames, tinyModel.config, true);
+
+  assert.deepEqual(applied, []);
+  for (const layerName of layerNames) {
+    const names = getAdapterInputNames(layerName);
+    assert.deepEqual(feeds[names.A].dims, [6, 1]);
+    assert.ok(feeds[names.B].data.every(value => value === 0));
+  }
+  assert.deepEqual(tinyModelLogits(tinyModel, INPUT_IDS, feeds).logits, tinyModelLogits(tinyModel, INPUT_IDS).logits);
+});
+
+test('only layers with both adapter inputs are injectable', () => {
+  const model = { sessions: { model: { inputNames: ['input_ids', 'a.lora_A', 'a.lora_B', 'b.lora_A'] } } };
+  assert.deepEqual(findInjectableLayers(model), ['a']);
+  assert.deepEqual(findInjectableLayers({ sessions: { model: { inputNames: ['input_ids', 'attention_mask'] } } }), []);
+});
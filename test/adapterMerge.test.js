@@ -0,0 +1,176 @@
+/**
+ * Tests for folding an adapter into MatMul, Gemm and 4-bit MatMulNBits weights.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeAdapter, decodeFloats, encodeFloats, quantizeBlockwise4, dequantizeBlockwise4 } from '../src/trainers/adapterMerge.js';
+import { TENSOR_TYPES } from '../src/utils/onnxProto.js';
+import { createRng } from '../src/trainers/loraReference.js';
+
+const RANK = 2;
+const ALPHA = 6;
+
+function randomValues(length, random) {
+  return Float32Array.from({ length }, () => random() * 2 - 1);
+}
+
+function adapterLayer(inputDim, outputDim, random) {
+  return {
+    A: { data: randomValues(inputDim * RANK, random), shape: [inputDim, RANK] },
+    B: { data: randomValues(RANK * outputDim, random), shape: [RANK, outputDim] }
+  };
+}
+
+// (alpha / r)·A·B as a row-major [inputDim, outputDim]
+function expectedDelta({ A, B }) {
+  const [inputDim] = A.shape;
+  const outputDim = B.shape[1];
+  return Float64Array.from({ length: inputDim * outputDim }, (_, idx) => {
+    const i = Math.floor(idx / outputDim);
+    const o = idx % outputDim;
+    let sum = 0;
+    for (let k = 0; k < RANK; k++) sum += A.data[i * RANK + k] * B.data[k * outputDim + o];
+    return ALPHA / RANK * sum;
+  });
+}
+
+function floatInitializer(name, dims, values) {
+  return { name, dims, dataType: TENSOR_TYPES.FLOAT, data: encodeFloats(values, TENSOR_TYPES.FLOAT) };
+}
+
+// A parsed model (as readOnnxModel returns it) with just the nodes and initializers a merge reads
+function parsedModel(nodes, initializers) {
+  return { nodes, initializers: new Map(initializers.map(initializer => [initializer.name, initializer])) };
+}
+
+test('MatMul and transposed Gemm weights gain (alpha / r)·A·B', () => {
+  const random = createRng(1);
+  const q = randomValues(6 * 4, random); // MatMul [in 6, out 4]
+  const o = randomValues(5 * 6, random); // Gemm with transB [out 5, in 6]
+  const model = parsedModel([
+    { name: '/model/layers.0/self_attn/q_proj/MatMul', opType: 'MatMul', inputs: ['x', 'q.weight'], outputs: ['q'], attributes: {} },
+    { name: '/model/layers.0/self_attn/o_proj/Gemm', opType: 'Gemm', inputs: ['x', 'o.weight'], outputs: ['o'], attributes: { transB: 1, alpha: 2 } }
+  ], [floatInitializer('q.weight', [6, 4], q), floatInitializer('o.weight', [5, 6], o)]);
+  const adapter = {
+    rank: RANK,
+    alpha: ALPHA,
+    layers: {
+      'model.layers.0.self_attn.q_proj': adapterLayer(6, 4, random),
+      'model.layers.0.self_attn.o_proj': adapterLayer(6, 5, random),
+      'model.layers.0.mlp.up_proj': adapterLayer(6, 8, random)
+    }
+  };
+
+  const result = mergeAdapter(model, adapter);
+
+  assert.deepEqual(result.merged.map(({ layer, op }) => [layer, op]), [
+    ['model.layers.0.self_attn.q_proj', 'MatMul'],
+    ['model.layers.0.self_attn.o_proj', 'Gemm']
+  ]);
+  assert.deepEqual(result.skipped, [{ layer: 'model.layers.0.mlp.up_proj', reason: 'no matching projection in the model graph' }]);
+
+  const mergedQ = decodeFloats(model.initializers.get('q.weight').data, TENSOR_TYPES.FLOAT);
+  const deltaQ = expectedDelta(adapter.layers['model.layers.0.self_attn.q_proj']);
+  mergedQ.forEach((value, idx) => assert.ok(Math.abs(value - q[idx] - deltaQ[idx]) < 1e-5, `q_proj ${idx}`));
+
+  // Gemm multiplies the [out, in] weight by alpha = 2, so the stored weight gains delta^T / 2
+  const mergedO = decodeFloats(model.initializers.get('o.weight').data, TENSOR_TYPES.FLOAT);
+  const deltaO = expectedDelta(adapter.layers['model.layers.0.self_attn.o_proj']);
+  for (let out = 0; out < 5; out++) {
+    for (let i = 0; i < 6; i++) {
+      const idx = out * 6 + i;
+      assert.ok(Math.abs(mergedO[idx] - o[idx] - deltaO[i * 5 + out] / 2) < 1e-5, `o_proj [${out}, ${i}]`);
+    }
+  }
+});
+
+// The largest error of each [n, block] against its scale
+function blockErrors(values, dequantized, scales, { K, N, blockSize }) {
+  const blocks = Math.ceil(K / blockSize);
+  const errors = [];
+  for (let n = 0; n < N; n++) {
+    for (let block = 0; block < blocks; block++) {
+      let error = 0;
+      for (let k = block * blockSize; k < Math.min(K, (block + 1) * blockSize); k++) {
+        error = Math.max(error, Math.abs(values[n * K + k] - dequantized[n * K + k]));
+      }
+      errors.push({ error, scale: Math.abs(scales[n * blocks + block]) });
+    }
+  }
+  return errors;
+}
+
+test('4-bit blocks round-trip within one step of their scale', () => {
+  // Three blocks per row, the last one partial, so zero points fill half of their last byte
+  const dims = { K: 40, N: 3, blockSize: 16 };
+  const random = createRng(2);
+  const values = randomValues(dims.K * dims.N, random);
+  // A block of positive values only, whose range starts at zero
+  values.fill(0.25, 16, 32).set([0.5, 1, 0.75], 20);
+
+  for (const asymmetric of [false, true]) {
+    const quantized = quantizeBlockwise4(values, dims, { asymmetric });
+    assert.equal(quantized.B.length, dims.N * 3 * 8);
+    assert.equal(quantized.zeroPoints?.length, asymmetric ? dims.N * 2 : undefined);
+
+    const dequantized = dequantizeBlockwise4(quantized, dims);
+    for (const { error, scale } of blockErrors(values, dequantized, quantized.scales, dims)) {
+      assert.ok(scale > 0 && error <= scale * (1 + 1e-6), `${asymmetric ? 'zero point' : 'symmetric'}: error ${error}, scale ${scale}`);
+    }
+
+    if (asymmetric) {
+      // [0, 1] spans 15 steps from zero point 0, and 0.5 rounds to step 8
+      assert.equal(quantized.scales[1], Math.fround(1 / 15));
+      assert.equal(quantized.zeroPoints[0] >> 4, 0);
+      assert.equal(dequantized[20], Math.fround(8 * quantized.scales[1]));
+    } else {
+      // The extreme of each block maps to -8 and comes back exactly
+      assert.equal(quantized.scales[1], -1 / 8);
+      assert.equal(dequantized[21], 1);
+    }
+  }
+});
+
+test('MatMulNBits weights are requantized around the merged values', () => {
+  const random = createRng(3);
+  const dims = { K: 32, N: 4, blockSize: 16 };
+  const adapter = { rank: RANK, alpha: ALPHA, layers: { 'model.layers.1.mlp.down_proj': adapterLayer(32, 4, random) } };
+  const delta = expectedDelta(adapter.layers['model.layers.1.mlp.down_proj']);
+
+  for (const asymmetric of [false, true]) {
+    const original = quantizeBlockwise4(randomValues(dims.K * dims.N, random), dims, { asymmetric });
+    const initializers = [
+      { name: 'w_q', dims: [4, 2, 8], dataType: TENSOR_TYPES.UINT8, data: original.B.slice() },
+      floatInitializer('w_scales', [8], original.scales)
+    ];
+    const inputs = ['x', 'w_q', 'w_scales'];
+    if (asymmetric) {
+      initializers.push({ name: 'w_zp', dims: [4], dataType: TENSOR_TYPES.UINT8, data: original.zeroPoints.slice() });
+      inputs.push('w_zp');
+    }
+    const model = parsedModel([{
+      name: '/model/layers.1/mlp/down_proj/MatMulNBits',
+      opType: 'MatMulNBits',
+      inputs,
+      outputs: ['y'],
+      attributes: { K: 32, N: 4, bits: 4, block_size: 16 }
+    }], initializers);
+
+    assert.equal(mergeAdapter(model, adapter).merged[0]?.op, 'MatMulNBits');
+
+    const scales = decodeFloats(model.initializers.get('w_scales').data, TENSOR_TYPES.FLOAT);
+    const merged = dequantizeBlockwise4({
+      B: model.initializers.get('w_q').data,
+      scales,
+      zeroPoints: asymmetric ? model.initializers.get('w_zp').data : null
+    }, dims);
+    // W^T is [N, K]: the expected merged value of [n, k] is the old one plus delta[k, n]
+    const before = dequantizeBlockwise4(original, dims);
+    const expected = Float32Array.from(before, (value, idx) => value + delta[(idx % dims.K) * dims.N + Math.floor(idx / dims.K)]);
+    for (const { error, scale } of blockErrors(expected, merged, scales, dims)) {
+      assert.ok(error <= scale * (1 + 1e-6), `${asymmetric ? 'zero point' : 'symmetric'}: error ${error}, scale ${scale}`);
+    }
+  }
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for packing and storing checkpoints, and for resuming a CPU-backend run from one.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { packCheckpoint, unpackCheckpoint, MemoryCheckpointStore } from '../src/utils/checkpointStorage.js';
+import { CPUTrainingBackend } from '../src/trainers/cpuBackend.js';
+import { OPTIMIZERS, OPTIMIZER_DEFAULTS } from '../src/trainers/optimizers.js';
+import { createRng } from '../src/trainers/loraReference.js';
+
+const LAYER_SHAPES = {
+  'model.layers.0.self_attn.q_proj': { inputDim: 12, outputDim: 12 },
+  'model.layers.0.mlp.down_proj': { inputDim: 20, outputDim: 12 }
+};
+const ADAPTER_CONFIG = { rank: 4, alpha: 8 };
+
+function sampleCheckpoint() {
+  return {
+    id: 'run-1',
+    summary: { step: 7, loss: 1.25 },
+    state: { currentStep: 7, rngState: 123456789, lossHistory: [2, 1.5, 1.25] },
+    tensors: {
+      'layer.A': Float32Array.of(1.5, -2, 0, Number.MIN_VALUE, -0),
+      'layer.momentumA': Uint32Array.of(0x80808080, 0xffffffff, 0),
+      'layer.B': Float32Array.of(3)
+    }
+  };
+}
+
+test('packing a checkpoint round-trips its state and F32/U32 tensors', () => {
+  const checkpoint = sampleCheckpoint();
+  const unpacked = unpackCheckpoint(packCheckpoint(checkpoint));
+
+  assert.deepEqual(unpacked.summary, checkpoint.summary);
+  assert.deepEqual(unpacked.state, checkpoint.state);
+  assert.deepEqual(Object.keys(unpacked.tensors), Object.keys(checkpoint.tensors));
+  for (const [name, array] of Object.entries(checkpoint.tensors)) {
+    assert.equal(unpacked.tensors[name].constructor, array.constructor, name);
+    assert.deepEqual(unpacked.tensors[name], array, name);
+  }
+  // -0 survives as a bit pattern, not just as a value equal to 0
+  assert.ok(Object.is(unpacked.tensors['layer.A'][4], -0));
+});
+
+test('unpacking rejects other format versions and unknown tensor types', () => {
+  const packed = packCheckpoint(sampleCheckpoint());
+  const headerLength = Number(new DataView(packed.buffer).getBigUint64(0, true));
+  const header = new TextDecoder().decode(packed.subarray(8, 8 + headerLength));
+  const tampered = packed.slice();
+  tampered.set(new TextEncoder().encode(header.replace('"version":1', '"version":9')), 8);
+
+  assert.throws(() => unpackCheckpoint(tampered), /Unsupported checkpoint format version: 9/);
+  assert.throws(() => packCheckpoint({ id: 'x', tensors: { bad: new Float64Array(2) } }), /Unsupported checkpoint tensor type: Float64Array/);
+});
+
+test('the memory store keeps a copy that later mutation cannot reach', async () => {
+  const store = new MemoryCheckpointStore();
+  const checkpoint = sampleCheckpoint();
+  await store.save(checkpoint);
+
+  checkpoint.tensors['layer.A'][0] = 99;
+  checkpoint.summary.step = 99;
+  const loaded = await store.load('run-1');
+  assert.equal(loaded.tensors['layer.A'][0], 1.5);
+  assert.deepEqual(await store.list(), [{ step: 7, loss: 1.25 }]);
+
+  loaded.tensors['layer.A'][1] = 42;
+  assert.equal((await store.load('run-1')).tensors['layer.A'][1], -2);
+
+  await store.delete('run-1');
+  assert.equal(await store.load('run-1'), null);
+  assert.deepEqual(await store.list(), []);
+});
+
+/**
+ * Optimizer steps of a toy run: every step draws two micro-batches of activations and output
+ * gradients from `rng`, clips their mean gradient to a norm of 1 and applies it.
+ */
+async function trainSteps(backend, rng, firstStep, lastStep) {
+  for (let step = firstStep; step <= lastStep; step++) {
+    for (let micro = 0; micro < 2; micro++) {
+      for (const [layerName, { inputDim, outputDim }] of Object.entries(LAYER_SHAPES)) {
+        const numTokens = 3;
+        const input = Float32Array.from({ length: numTokens * inputDim }, () => rng() * 2 - 1);
+        const gradOutput = Float32Array.from({ length: numTokens * outputDim }, () => rng() - 0.5);
+        await backend.accumulateGradients(layerName, { input, gradOutput, numTokens }, 0.5);
+      }
+    }
+    const gradientNorm = await backend.gradientNorm();
+    const gradScale = gradientNorm > 1 ? 1 / (gradientNorm + 1e-6) : 1;
+    await backend.applyGradients({ ...OPTIMIZER_DEFAULTS[OPTIMIZERS.ADAM_8BIT], learningRate: 1e-2, step, gradScale });
+  }
+}
+
+function createBackend(seed) {
+  const backend = new CPUTrainingBackend({ optimizer: OPTIMIZERS.ADAM_8BIT, random: createRng(seed) });
+  backend.ensureLayers(Object.keys(LAYER_SHAPES), LAYER_SHAPES, ADAPTER_CONFIG);
+  return backend;
+}
+
+test('a CPU run resumed from a stored checkpoint ends with bit-identical weights', async () => {
+  const uninterrupted = createBackend(7);
+  await trainSteps(uninterrupted, createRng(11), 1, 8);
+
+  const first = createBackend(7);
+  const rng = createRng(11);
+  await trainSteps(first, rng, 1, 5);
+  const backendState = await first.exportState();
+  const store = new MemoryCheckpointStore();
+  await store.save({
+    id: 'run-1',
+    summary: { step: 5 },
+    state: { currentStep: 5, rngState: rng.getState(), backendLayers: backendState.layers },
+    tensors: backendState.tensors
+  });
+
+  // A fresh backend and generator, as after a reload
+  const { state, tensors } = await store.load('run-1');
+  const resumed = new CPUTrainingBackend({ optimizer: OPTIMIZERS.ADAM_8BIT, random: createRng(99) });
+  resumed.importState({ layers: state.backendLayers, tensors }, ADAPTER_CONFIG);
+  const resumedRng = createRng(0);
+  resumedRng.setState(state.rngState);
+  await trainSteps(resumed, resumedRng, state.currentStep + 1, 8);
+
+  const expected = await uninterrupted.exportState();
+  const actual = await resumed.exportState();
+  assert.deepEqual(Object.keys(actual.tensors), Object.keys(expected.tensors));
+  for (const [name, array] of Object.entries(expected.tensors)) {
+    assert.deepEqual(actual.tensors[name], array, name);
+  }
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the CPU training backend: gradient accumulation, the global norm, clipped updates
+ * and state export.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CPUTrainingBackend, accumulateScaled, sumOfSquares } from '../src/trainers/cpuBackend.js';
+import { OPTIMIZERS, OPTIMIZER_DEFAULTS, createOptimizerState, applyOptimizerUpdate, loraMatrixShapes } from '../src/trainers/optimizers.js';
+import { createRng, loraBackward } from '../src/trainers/loraReference.js';
+
+const LAYER_SHAPES = {
+  q_proj: { inputDim: 8, outputDim: 8 },
+  down_proj: { inputDim: 12, outputDim: 8 }
+};
+const ADAPTER_CONFIG = { rank: 2, alpha: 4 };
+
+function createBackend(optimizer = OPTIMIZERS.ADAMW) {
+  const backend = new CPUTrainingBackend({ optimizer, random: createRng(1) });
+  backend.ensureLayers(Object.keys(LAYER_SHAPES), LAYER_SHAPES, ADAPTER_CONFIG);
+  // Nonzero B, so A receives gradients too
+  for (const layer of Object.values(backend.layers)) {
+    layer.B.forEach((_, idx) => { layer.B[idx] = Math.cos(idx) * 0.1; });
+  }
+  return backend;
+}
+
+function randomCapture({ inputDim, outputDim }, random, numTokens = 3) {
+  return {
+    input: Float32Array.from({ length: numTokens * inputDim }, () => random() * 2 - 1),
+    gradOutput: Float32Array.from({ length: numTokens * outputDim }, () => random() - 0.5),
+    numTokens
+  };
+}
+
+test('accumulateScaled adds weighted micro-batch gradients', () => {
+  const accumulated = Float32Array.of(1, 2, 3);
+  accumulateScaled(accumulated, Float32Array.of(4, -2, 0), 0.25);
+  accumulateScaled(accumulated, Float32Array.of(0, 2, 8), 0.75);
+  assert.deepEqual(accumulated, Float32Array.of(2, 3, 9));
+});
+
+test('micro-batches weighted by 1 / count accumulate to their mean gradient', async () => {
+  const backend = createBackend();
+  const random = createRng(2);
+  const captures = [randomCapture(LAYER_SHAPES.q_proj, random), randomCapture(LAYER_SHAPES.q_proj, random)];
+  const layer = backend.layers.q_proj;
+  const dims = { ...LAYER_SHAPES.q_proj, rank: 2, scaling: 2, numTokens: 3 };
+
+  for (const capture of captures) await backend.accumulateGradients('q_proj', capture, 0.5);
+
+  const [first, second] = captures.map(({ input, gradOutput }) => loraBackward(input, gradOutput, layer.A, layer.B, dims));
+  const { q_proj: accumulated } = await backend.readGradients(['q_proj']);
+  accumulated.A.forEach((value, idx) => assert.ok(Math.abs(value - (first.gradA[idx] + second.gradA[idx]) / 2) < 1e-6));
+  accumulated.B.forEach((value, idx) => assert.ok(Math.abs(value - (first.gradB[idx] + second.gradB[idx]) / 2) < 1e-6));
+});
+
+test('the gradient norm covers every layer with gradients', async () => {
+  const backend = createBackend();
+  assert.equal(await backend.gradientNorm(), 0);
+
+  const random = createRng(3);
+  for (const [layerName, shape] of Object.entries(LAYER_SHAPES)) {
+    await backend.accumulateGradients(layerName, randomCapture(shape, random));
+  }
+  const gradients = await backend.readGradients();
+  const expected = Math.sqrt(Object.values(gradients).reduce((sum, { A, B }) => sum + sumOfSquares(A) + sumOfSquares(B), 0));
+  assert.ok(Math.abs(await backend.gradientNorm() - expected) < 1e-9 * expected);
+  assert.equal(sumOfSquares(Float32Array.of(3, -4)), 25);
+});
+
+test('applyGradients clips by gradScale and clears the gradients', async () => {
+  for (const optimizer of [OPTIMIZERS.ADAMW, OPTIMIZERS.SGD_MOMENTUM]) {
+    const backend = createBackend(optimizer);
+    const random = createRng(4);
+    await backend.accumulateGradients('q_proj', randomCapture(LAYER_SHAPES.q_proj, random));
+
+    const before = await backend.readWeights();
+    const { q_proj: gradients } = await backend.readGradients(['q_proj']);
+    const params = { ...OPTIMIZER_DEFAULTS[optimizer], learningRate: 0.1, step: 1, gradScale: 0.25 };
+    await backend.applyGradients(params);
+
+    // The same update by hand: the optimizer scales the gradients by the clipping coefficient
+    const shapes = loraMatrixShapes({ ...LAYER_SHAPES.q_proj, rank: 2 });
+    for (const matrix of ['A', 'B']) {
+      const expected = before.q_proj[matrix].slice();
+      const state = createOptimizerState(optimizer, shapes[matrix].rows, shapes[matrix].cols);
+      applyOptimizerUpdate(optimizer, expected, gradients[matrix], state, params, shapes[matrix]);
+      assert.deepEqual((await backend.readWeights(['q_proj'])).q_proj[matrix], expected, `${optimizer} ${matrix}`);
+    }
+    if (optimizer === OPTIMIZERS.SGD_MOMENTUM) {
+      // Plain SGD on the first step moves by exactly learningRate · gradScale · gradient
+      const after = (await backend.readWeights(['q_proj'])).q_proj.B;
+      after.forEach((value, idx) => assert.ok(Math.abs(before.q_proj.B[idx] - value - 0.025 * gradients.B[idx]) < 1e-7));
+    }
+
+    // Layers without gradients are untouched, and the accumulated gradients start over
+    assert.deepEqual((await backend.readWeights(['down_proj'])).down_proj, before.down_proj);
+    assert.equal(await backend.gradientNorm(), 0);
+    assert.ok((await backend.readGradients(['q_proj'])).q_proj.A.every(value => value === 0));
+  }
+});
+
+test('exported state imports into a new backend that continues identically', async () => {
+  for (const optimizer of Object.values(OPTIMIZERS)) {
+    const step = async (target, stepNumber) => {
+      const random = createRng(stepNumber);
+      for (const [layerName, shape] of Object.entries(LAYER_SHAPES)) {
+        await target.accumulateGradients(layerName, randomCapture(shape, random));
+      }
+      await target.applyGradients({ ...OPTIMIZER_DEFAULTS[optimizer], learningRate: 1e-2, step: stepNumber, gradScale: 1 });
+    };
+    const backend = createBackend(optimizer);
+    await step(backend, 1);
+
+    const exported = await backend.exportState();
+    assert.deepEqual(exported.layers, {
+      q_proj: { inputDim: 8, outputDim: 8, rank: 2 },
+      down_proj: { inputDim: 12, outputDim: 8, rank: 2 }
+    });
+    const restored = new CPUTrainingBackend({ optimizer });
+    restored.importState(exported, ADAPTER_CONFIG);
+    assert.deepEqual(await restored.exportState(), exported);
+
+    // The export is a copy, and both backends take the same next step
+    const snapshot = structuredClone(exported);
+    await step(backend, 2);
+    await step(restored, 2);
+    assert.deepEqual(exported, snapshot);
+    assert.deepEqual(await restored.exportState(), await backend.exportState(), optimizer);
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for the divergence and patience rules of early stopping.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EarlyStopping, STOP_REASONS } from '../src/trainers/earlyStopping.js';
+import { createRng } from '../src/trainers/loraReference.js';
+
+test('a non-finite loss or gradient norm stops the run', () => {
+  const earlyStopping = new EarlyStopping();
+
+  assert.equal(earlyStopping.checkTrainingLoss(1, 2.5, 1.2), null);
+  assert.equal(earlyStopping.checkTrainingLoss(2, NaN, 1.2).reason, STOP_REASONS.DIVERGENCE);
+  assert.equal(earlyStopping.checkTrainingLoss(2, Infinity).reason, STOP_REASONS.DIVERGENCE);
+  // NaN > maxGradNorm is false, so clipping alone would let these through
+  assert.match(earlyStopping.checkTrainingLoss(2, 2.4, NaN).message, /Gradient norm became NaN at step 2/);
+  assert.equal(earlyStopping.checkTrainingLoss(2, 2.4, Infinity).reason, STOP_REASONS.DIVERGENCE);
+});
+
+test('a smoothed loss above divergenceFactor times its best stops the run after warmup', () => {
+  const earlyStopping = new EarlyStopping({ divergenceFactor: 3, smoothing: 0.5, warmupSteps: 2 });
+
+  // Bias-corrected averages: 1, 1.67 (warmup), 1.57, 2.2, 3.6
+  assert.equal(earlyStopping.checkTrainingLoss(1, 1.0), null);
+  assert.equal(earlyStopping.checkTrainingLoss(2, 2.0), null);
+  assert.equal(earlyStopping.checkTrainingLoss(3, 1.5), null);
+  assert.equal(earlyStopping.checkTrainingLoss(4, 2.8), null);
+  const stop = earlyStopping.checkTrainingLoss(5, 5.0);
+  assert.equal(stop.reason, STOP_REASONS.DIVERGENCE);
+  assert.match(stop.message, /smoothed loss 3\.\d+ is over 3x its best 1\.0000/);
+});
+
+test('noisy batches that do not diverge keep the run going', () => {
+  const earlyStopping = new EarlyStopping();
+  const random = createRng(4);
+
+  // Small, partly masked batches: mostly around 2.5 with an occasional very easy one
+  for (let step = 1; step <= 500; step++) {
+    const easy = step % 37 === 0;
+    const loss = easy ? 0.3 : 2.5 * (0.4 + 1.2 * random()) * Math.exp(-step / 1000);
+    assert.equal(earlyStopping.checkTrainingLoss(step, loss, 1), null, `step ${step}: loss ${loss}`);
+  }
+
+  // A loss that keeps growing is still caught within a few steps
+  let stop = null;
+  for (let step = 501; !stop && step <= 520; step++) {
+    stop = earlyStopping.checkTrainingLoss(step, 2 * Math.pow(2, step - 500), 1);
+  }
+  assert.equal(stop?.reason, STOP_REASONS.DIVERGENCE);
+  assert.ok(stop.step <= 505);
+});
+
+test('the divergence state survives a checkpoint', () => {
+  const earlyStopping = new EarlyStopping({ warmupSteps: 0 });
+  for (const [step, loss] of [[1, 2], [2, 1.5], [3, 1.2]]) earlyStopping.checkTrainingLoss(step, loss);
+
+  const restored = new EarlyStopping({ warmupSteps: 0 });
+  restored.setState(JSON.parse(JSON.stringify(earlyStopping.getState())));
+  assert.deepEqual(restored.checkTrainingLoss(4, 9), earlyStopping.checkTrainingLoss(4, 9));
+  assert.deepEqual(restored.getState(), earlyStopping.getState());
+});
+
+test('patience counts evaluations without improvement', () => {
+  const earlyStopping = new EarlyStopping({ patience: 2, minDelta: 0.01 });
+
+  assert.deepEqual(earlyStopping.updateEvaluation(10, 2.0), { improved: true, stop: null });
+  assert.deepEqual(earlyStopping.updateEvaluation(20, 1.995), { improved: false, stop: null });
+  assert.equal(earlyStopping.updateEvaluation(30, NaN).stop, null);
+  const { stop } = earlyStopping.updateEvaluation(40, 2.1);
+  assert.equal(stop.reason, STOP_REASONS.EARLY_STOPPING);
+  assert.equal(earlyStopping.bestStep, 10);
+});
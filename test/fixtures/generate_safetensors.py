@@ -0,0 +1,31 @@
+"""Regenerate the golden safetensors files used by test/safetensorsFormat.test.js.
+
+    pip install safetensors numpy ml_dtypes
+    python test/fixtures/generate_safetensors.py
+
+The values are exactly representable in every dtype they are stored in, so the test can compare
+decoded values exactly.
+"""
+
+from pathlib import Path
+
+import ml_dtypes
+import numpy as np
+from safetensors.numpy import save_file
+
+FIXTURES = Path(__file__).parent
+
+tensors = {
+    "layers.0.lora_A.weight": np.array([[0.5, -1.25, 3.0], [0.0, 2.0, -0.125]], dtype=np.float32),
+    "layers.0.lora_B.weight": np.array([1.0, -2.5, 65504.0, 2.0**-24, -0.0, np.inf], dtype=np.float16),
+    "layers.1.lora_A.weight": np.array([[1.0, -3.5], [2.0**-10, 256.0]], dtype=ml_dtypes.bfloat16),
+    "quantized.weight": np.array([-128, -1, 0, 1, 127], dtype=np.int8),
+    "quantized.zero_point": np.array([0, 7, 255], dtype=np.uint8),
+}
+
+save_file(
+    tensors,
+    FIXTURES / "mixed_dtypes.safetensors",
+    metadata={"format": "pt", "description": "LoRA Lab golden file, rank=2 ✓"},
+)
+save_file({"bias": np.array([0.25, -0.75], dtype=np.float32)}, FIXTURES / "no_metadata.safetensors")
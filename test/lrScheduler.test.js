@@ -0,0 +1,82 @@
+/**
+ * Tests for the learning-rate schedules at their warmup and restart boundaries and last step.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LR_SCHEDULES, normalizeLrSchedule, learningRateAt, sampleLrSchedule } from '../src/trainers/lrScheduler.js';
+
+const PEAK = 1e-3;
+const cosine = progress => 0.5 * (1 + Math.cos(Math.PI * progress));
+
+function schedule(lrSchedule, totalSteps, config = {}) {
+  return normalizeLrSchedule({ learningRate: PEAK, lrSchedule, ...config }, totalSteps);
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 1e-12, `${message}: ${actual} != ${expected}`);
+}
+
+test('warmup ramps linearly up to the peak and the next step starts the decay at the peak', () => {
+  for (const kind of [LR_SCHEDULES.CONSTANT_WITH_WARMUP, LR_SCHEDULES.LINEAR, LR_SCHEDULES.COSINE, LR_SCHEDULES.COSINE_WITH_RESTARTS]) {
+    const lr = schedule(kind, 10, { warmupSteps: 4, lrCycles: 2 });
+    assertClose(learningRateAt(1, lr), PEAK / 4, `${kind} first warmup step`);
+    assertClose(learningRateAt(3, lr), PEAK * 3 / 4, `${kind} warmup step 3`);
+    assertClose(learningRateAt(4, lr), PEAK, `${kind} last warmup step`);
+    assertClose(learningRateAt(5, lr), PEAK, `${kind} first step after warmup`);
+  }
+
+  // Plain constant ignores the warmup
+  assertClose(learningRateAt(1, schedule(LR_SCHEDULES.CONSTANT, 10, { warmupSteps: 4 })), PEAK, 'constant');
+});
+
+test('the last step still trains and steps past the end keep its rate', () => {
+  const linear = schedule(LR_SCHEDULES.LINEAR, 10, { warmupSteps: 2 });
+  assertClose(learningRateAt(10, linear), PEAK / 8, 'linear last step');
+  assertClose(learningRateAt(11, linear), PEAK / 8, 'linear past the end');
+
+  const cosineDecay = schedule(LR_SCHEDULES.COSINE, 10, { minLrRatio: 0.1 });
+  assertClose(learningRateAt(10, cosineDecay), PEAK * (0.1 + 0.9 * cosine(0.9)), 'cosine last step');
+  assert.ok(learningRateAt(10, cosineDecay) > PEAK * 0.1);
+
+  for (const kind of [LR_SCHEDULES.LINEAR, LR_SCHEDULES.COSINE, LR_SCHEDULES.COSINE_WITH_RESTARTS]) {
+    assertClose(learningRateAt(1, schedule(kind, 1)), PEAK, `${kind} single-step run`);
+    assert.ok(learningRateAt(20, schedule(kind, 20)) > 0, `${kind} last step`);
+  }
+});
+
+test('cosine with restarts jumps back to the peak at the start of each cycle', () => {
+  // 8 decay steps after 1 warmup step: the cycles start at steps 2 and 6
+  const lr = schedule(LR_SCHEDULES.COSINE_WITH_RESTARTS, 9, { warmupSteps: 1, lrCycles: 2 });
+
+  assertClose(learningRateAt(2, lr), PEAK, 'first cycle start');
+  assertClose(learningRateAt(5, lr), PEAK * cosine(0.75), 'first cycle end');
+  assertClose(learningRateAt(6, lr), PEAK, 'second cycle start');
+  assertClose(learningRateAt(9, lr), PEAK * cosine(0.75), 'last step');
+});
+
+test('one-cycle peaks at the end of the rise and anneals towards peak / 1e4', () => {
+  // 30% of 10 steps rise
+  const lr = schedule(LR_SCHEDULES.ONE_CYCLE, 10);
+  const initial = PEAK / 25;
+  const final = PEAK / 1e4;
+
+  assertClose(learningRateAt(1, lr), PEAK + (initial - PEAK) * cosine(1 / 3), 'first step');
+  assertClose(learningRateAt(3, lr), PEAK, 'end of the rise');
+  assertClose(learningRateAt(4, lr), PEAK, 'start of the anneal');
+  assertClose(learningRateAt(10, lr), final + (PEAK - final) * cosine(6 / 7), 'last step');
+  assert.ok(learningRateAt(10, lr) > final);
+
+  // An explicit warmup sets the rise
+  assertClose(learningRateAt(5, schedule(LR_SCHEDULES.ONE_CYCLE, 10, { warmupSteps: 5 })), PEAK, 'explicit rise');
+});
+
+test('previews sample the first and last steps', () => {
+  const points = sampleLrSchedule(schedule(LR_SCHEDULES.LINEAR, 50), 11);
+
+  assert.equal(points.length, 11);
+  assert.deepEqual([points[0].step, points.at(-1).step], [1, 50]);
+  assertClose(points[0].learningRate, PEAK, 'first point');
+  assertClose(points.at(-1).learningRate, PEAK / 50, 'last point');
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for reading and writing ONNX models: the protobuf round-trip and external data layout.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TENSOR_TYPES, decodeMessage, encodeMessage, readOnnxModel, writeOnnxModel } from '../src/utils/onnxProto.js';
+
+const varint = (field, value) => ({ field, wireType: 0, value: BigInt(value) });
+const bytes = (field, value) => ({ field, wireType: 2, value });
+const string = (field, text) => bytes(field, new TextEncoder().encode(text));
+const message = (field, fields) => bytes(field, encodeMessage(fields));
+const float32 = (field, value) => ({ field, wireType: 5, value: new Uint8Array(Float32Array.of(value).buffer) });
+
+function floatData(length, offset) {
+  return new Uint8Array(Float32Array.from({ length }, (_, idx) => offset + idx).buffer);
+}
+
+function initializer(name, dims, data) {
+  return message(5, [...dims.map(dim => varint(1, dim)), varint(2, TENSOR_TYPES.FLOAT), string(8, name), bytes(9, data)]);
+}
+
+/**
+ * A two-node graph with initializers of every size class for sizeThreshold 64 and alignment 256:
+ * inline (16 bytes), aligned (512), unaligned (80), aligned again (512), and one in float_data.
+ */
+function buildModel() {
+  const graph = [
+    message(1, [
+      string(1, 'x'), string(1, 'w_big'), string(2, 'h'),
+      string(3, '/model/layers.0/self_attn/q_proj/MatMul'), string(4, 'MatMul')
+    ]),
+    message(1, [
+      string(1, 'h'), string(1, 'w_big2'), string(1, 'bias'), string(2, 'y'),
+      string(3, '/lm_head/Gemm'), string(4, 'Gemm'),
+      message(5, [string(1, 'transB'), varint(3, 1), varint(20, 2)]),
+      message(5, [string(1, 'alpha'), float32(2, 0.5), varint(20, 1)])
+    ]),
+    string(2, 'tiny'),
+    initializer('bias', [4], floatData(4, 0)),
+    initializer('w_big', [8, 16], floatData(128, 100)),
+    initializer('w_mid', [4, 5], floatData(20, 300)),
+    // Packed dims
+    message(5, [bytes(1, Uint8Array.of(16, 8)), varint(2, TENSOR_TYPES.FLOAT), string(8, 'w_big2'), bytes(9, floatData(128, 400))]),
+    message(5, [varint(1, 2), varint(2, TENSOR_TYPES.FLOAT), string(8, 'typed'), bytes(4, floatData(2, 7))])
+  ];
+  return encodeMessage([
+    varint(1, 8),
+    string(2, 'lora-lab-test'),
+    // model_version = -1, a ten-byte varint
+    varint(5, -1),
+    message(7, graph),
+    message(8, [string(1, ''), varint(2, 17)])
+  ]);
+}
+
+function concat(chunks) {
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+// The external_data key/value entries of each initializer in an encoded model
+function externalEntries(modelBytes) {
+  const graph = decodeMessage(decodeMessage(modelBytes).find(field => field.field === 7).value);
+  const entries = {};
+  for (const { value } of graph.filter(field => field.field === 5)) {
+    const fields = decodeMessage(value);
+    const name = new TextDecoder().decode(fields.find(field => field.field === 8).value);
+    entries[name] = Object.fromEntries(fields.filter(field => field.field === 13).map(field => {
+      const [key, entryValue] = decodeMessage(field.value).map(part => new TextDecoder().decode(part.value));
+      return [key, entryValue];
+    }));
+  }
+  return entries;
+}
+
+test('decoded messages encode back to the same bytes', () => {
+  const model = buildModel();
+  const fields = decodeMessage(model);
+
+  assert.deepEqual(fields.map(field => field.field), [1, 2, 5, 7, 8]);
+  assert.equal(fields[2].value, 2n ** 64n - 1n);
+  assert.deepEqual(encodeMessage(fields), model);
+  // Without their raw bytes the fields are re-encoded, which must give the same bytes too
+  assert.deepEqual(encodeMessage(fields.map(({ raw, ...field }) => field)), model);
+
+  assert.throws(() => decodeMessage(Uint8Array.of(0x08, 0x80)), /Truncated varint in ONNX protobuf/);
+  assert.throws(() => decodeMessage(Uint8Array.of(0x0a, 0x05, 1, 2)), /Field 1 runs past the end of its message/);
+});
+
+test('reading a model parses its nodes, attributes and initializers', () => {
+  const { nodes, initializers } = readOnnxModel(buildModel());
+
+  assert.deepEqual(nodes.map(node => [node.opType, node.inputs, node.outputs]), [
+    ['MatMul', ['x', 'w_big'], ['h']],
+    ['Gemm', ['h', 'w_big2', 'bias'], ['y']]
+  ]);
+  assert.deepEqual(nodes[1].attributes, { transB: 1, alpha: 0.5 });
+  assert.deepEqual(initializers.get('w_big').dims, [8, 16]);
+  assert.deepEqual(initializers.get('w_big2').dims, [16, 8]);
+  assert.equal(initializers.get('w_big2').dataType, TENSOR_TYPES.FLOAT);
+  assert.deepEqual(initializers.get('w_mid').data, floatData(20, 300));
+  assert.equal(initializers.get('typed').data, null);
+});
+
+test('writing moves large initializers to aligned offsets of one external data file', () => {
+  const model = readOnnxModel(buildModel());
+  const replaced = floatData(20, -50);
+  model.initializers.get('w_mid').data = replaced;
+
+  const written = writeOnnxModel(model, { externalDataName: 'tiny.onnx_data', sizeThreshold: 64, alignment: 256 });
+  const externalData = concat(written.externalData);
+
+  // w_big at 0, w_mid right after it (too small to align), w_big2 padded up to 768
+  assert.equal(written.externalDataSize, 768 + 512);
+  assert.equal(externalData.length, written.externalDataSize);
+  const entries = externalEntries(written.model);
+  assert.deepEqual(entries.bias, {});
+  assert.deepEqual(entries.typed, {});
+  assert.deepEqual(entries.w_big, { location: 'tiny.onnx_data', offset: '0', length: '512' });
+  assert.deepEqual(entries.w_mid, { location: 'tiny.onnx_data', offset: '512', length: '80' });
+  assert.deepEqual(entries.w_big2, { location: 'tiny.onnx_data', offset: '768', length: '512' });
+  assert.ok(externalData.subarray(592, 768).every(value => value === 0));
+
+  const reread = readOnnxModel(written.model, { 'tiny.onnx_data': externalData });
+  assert.deepEqual(reread.nodes, model.nodes);
+  assert.deepEqual(reread.initializers.get('bias').data, floatData(4, 0));
+  assert.deepEqual(reread.initializers.get('w_big').data, floatData(128, 100));
+  assert.deepEqual(reread.initializers.get('w_mid').data, replaced);
+  assert.deepEqual(reread.initializers.get('w_big2').data, floatData(128, 400));
+  assert.deepEqual(reread.initializers.get('w_big2').dims, [16, 8]);
+  // Untouched fields are written back byte for byte
+  const rawFields = bytesOfModel => decodeMessage(bytesOfModel).filter(field => field.field !== 7).map(field => field.raw);
+  assert.deepEqual(rawFields(written.model), rawFields(buildModel()));
+  assert.deepEqual(reread.initializers.get('typed').fields.map(field => field.raw), model.initializers.get('typed').fields.map(field => field.raw));
+
+  assert.throws(() => readOnnxModel(written.model), /Initializer w_big is stored in missing external data file "tiny.onnx_data"/);
+  assert.throws(() => readOnnxModel(written.model, { 'tiny.onnx_data': externalData.subarray(0, 1000) }), /Initializer w_big2 lies outside its external data file/);
+});
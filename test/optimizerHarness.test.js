@@ -0,0 +1,69 @@
+/**
+ * Tests for the optimizers on the toy quadratic of the trajectory harness, and for the precision
+ * of the 8-bit Adam state.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  OPTIMIZERS,
+  OPTIMIZER_DEFAULTS,
+  QUANTIZATION_BLOCK_SIZE,
+  createOptimizerState,
+  applyOptimizerUpdate
+} from '../src/trainers/optimizers.js';
+import { QUANTIZATION_TOLERANCE, compareOptimizerTrajectories } from '../src/trainers/optimizerHarness.js';
+
+test('every optimizer converges on the toy problem', async () => {
+  for (const result of await compareOptimizerTrajectories()) {
+    assert.ok(result.converged, `${result.optimizer} ended at ${result.finalLoss} from ${result.initialLoss}`);
+  }
+});
+
+test('8-bit Adam follows the fp32 AdamW trajectory', async () => {
+  for (const seed of [1, 2, 3]) {
+    const [result] = await compareOptimizerTrajectories({ optimizers: [OPTIMIZERS.ADAM_8BIT], seed });
+    assert.equal(result.fp32Optimizer, OPTIMIZERS.ADAMW);
+    assert.ok(result.matchesFp32, `seed ${seed}: deviation ${result.fp32Deviation} over ${QUANTIZATION_TOLERANCE}`);
+  }
+});
+
+test('a candidate matches only when it follows the reference', async () => {
+  const optimizers = [OPTIMIZERS.ADAMW, OPTIMIZERS.ADAM_8BIT];
+  const same = await compareOptimizerTrajectories({ optimizers, steps: 50, candidate: applyOptimizerUpdate });
+  assert.ok(same.every(result => result.matches && result.maxDeviation === 0));
+
+  const faster = (optimizer, weights, gradients, state, params, shape) =>
+    applyOptimizerUpdate(optimizer, weights, gradients, state, { ...params, learningRate: params.learningRate * 2 }, shape);
+  const different = await compareOptimizerTrajectories({ optimizers, steps: 50, candidate: faster });
+  assert.ok(different.every(result => !result.matches));
+});
+
+test('8-bit Adam keeps the precision of moments far below the block maximum', () => {
+  // One block of gradients spread over 7.5 doublings, so the second moments span 2^-15
+  const size = QUANTIZATION_BLOCK_SIZE;
+  const gradients = Float32Array.from({ length: size }, (_, idx) => (idx % 2 ? -1 : 1) * Math.pow(2, -7.5 * idx / (size - 1)));
+  const shape = { rows: size / 8, cols: 8 };
+  const run = optimizer => {
+    const weights = new Float32Array(size);
+    const state = createOptimizerState(optimizer, shape.rows, shape.cols);
+    const steps = [];
+    for (let step = 1; step <= 3; step++) {
+      const before = weights.slice();
+      const params = { ...OPTIMIZER_DEFAULTS[optimizer], weightDecay: 0, learningRate: 1e-2, step, gradScale: 1 };
+      applyOptimizerUpdate(optimizer, weights, gradients, state, params, shape);
+      steps.push(Float32Array.from(weights, (weight, idx) => weight - before[idx]));
+    }
+    return steps;
+  };
+
+  const reference = run(OPTIMIZERS.ADAMW);
+  const quantized = run(OPTIMIZERS.ADAM_8BIT);
+  for (let step = 0; step < reference.length; step++) {
+    for (let idx = 0; idx < size; idx++) {
+      const relativeError = Math.abs(quantized[step][idx] - reference[step][idx]) / Math.abs(reference[step][idx]);
+      assert.ok(relativeError < 0.05, `step ${step + 1}, gradient ${gradients[idx]}: relative error ${relativeError}`);
+    }
+  }
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for resizing adapter factors and their optimizer state when the rank changes mid-run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resizeLoraFactors, resizeAdapterState } from '../src/trainers/rankReallocation.js';
+import { OPTIMIZERS, optimizerStateSpec, stateTensorName, loraMatrixShapes } from '../src/trainers/optimizers.js';
+import { CPUTrainingBackend } from '../src/trainers/cpuBackend.js';
+import { createRng } from '../src/trainers/loraReference.js';
+
+const ALPHA = 16;
+
+// The layer's delta, scaling · A · B with scaling = alpha / rank, as a row-major [inputDim, outputDim]
+function delta(A, B, { inputDim, outputDim, rank }) {
+  const result = new Float64Array(inputDim * outputDim);
+  for (let i = 0; i < inputDim; i++) {
+    for (let o = 0; o < outputDim; o++) {
+      let sum = 0;
+      for (let r = 0; r < rank; r++) sum += A[i * rank + r] * B[r * outputDim + o];
+      result[i * outputDim + o] = ALPHA / rank * sum;
+    }
+  }
+  return result;
+}
+
+function maxAbsDifference(a, b) {
+  return Math.max(...Array.from(a, (value, idx) => Math.abs(value - b[idx])));
+}
+
+// `count` orthonormal vectors of length `size`, by Gram-Schmidt on random ones
+function orthonormalVectors(size, count, random) {
+  const vectors = [];
+  while (vectors.length < count) {
+    const vector = Float64Array.from({ length: size }, () => random() * 2 - 1);
+    for (const other of vectors) {
+      const dot = vector.reduce((sum, value, idx) => sum + value * other[idx], 0);
+      other.forEach((value, idx) => { vector[idx] -= dot * value; });
+    }
+    const norm = Math.hypot(...vector);
+    vectors.push(vector.map(value => value / norm));
+  }
+  return vectors;
+}
+
+test('growing keeps the delta, adds zero B rows and trainable A columns', () => {
+  const random = createRng(3);
+  const dims = { inputDim: 10, outputDim: 7, rank: 3 };
+  const A = Float32Array.from({ length: 10 * 3 }, () => random() - 0.5);
+  const B = Float32Array.from({ length: 3 * 7 }, () => random() - 0.5);
+
+  const grown = resizeLoraFactors(A, B, dims, 5, createRng(4));
+  const grownDims = { ...dims, rank: 5 };
+
+  assert.equal(grown.retainedEnergy, 1);
+  assert.ok(maxAbsDifference(delta(grown.A, grown.B, grownDims), delta(A, B, dims)) < 1e-6);
+  for (let i = 0; i < dims.inputDim; i++) {
+    assert.deepEqual(grown.A.subarray(i * 5, i * 5 + 3), A.subarray(i * 3, i * 3 + 3), `kept A row ${i}`);
+  }
+  assert.ok(grown.B.subarray(3 * 7).every(value => value === 0), 'new B rows are zero');
+  for (const column of [3, 4]) {
+    const values = Array.from({ length: dims.inputDim }, (_, i) => grown.A[i * 5 + column]);
+    assert.ok(values.some(value => value !== 0), `new A column ${column} is nonzero`);
+  }
+});
+
+test('shrinking keeps the best low-rank approximation of the delta and reports its energy', () => {
+  const random = createRng(5);
+  const dims = { inputDim: 9, outputDim: 6, rank: 4 };
+  // A · B = Σ s_j u_j v_jᵀ with known, unsorted singular values
+  const singularValues = [1, 4, 0.5, 2];
+  const left = orthonormalVectors(dims.inputDim, 4, random);
+  const right = orthonormalVectors(dims.outputDim, 4, random);
+  const A = new Float32Array(dims.inputDim * 4);
+  const B = new Float32Array(4 * dims.outputDim);
+  for (let j = 0; j < 4; j++) {
+    for (let i = 0; i < dims.inputDim; i++) A[i * 4 + j] = left[j][i] * singularValues[j];
+    for (let o = 0; o < dims.outputDim; o++) B[j * dims.outputDim + o] = right[j][o];
+  }
+
+  const shrunk = resizeLoraFactors(A, B, dims, 2);
+
+  // The best rank-2 approximation keeps the components of 4 and 2, at the old scaling
+  const expected = new Float64Array(dims.inputDim * dims.outputDim);
+  for (const j of [1, 3]) {
+    for (let i = 0; i < dims.inputDim; i++) {
+      for (let o = 0; o < dims.outputDim; o++) {
+        expected[i * dims.outputDim + o] += ALPHA / 4 * singularValues[j] * left[j][i] * right[j][o];
+      }
+    }
+  }
+  assert.ok(maxAbsDifference(delta(shrunk.A, shrunk.B, { ...dims, rank: 2 }), expected) < 1e-5);
+  assert.ok(Math.abs(shrunk.retainedEnergy - (16 + 4) / (1 + 16 + 0.25 + 4)) < 1e-6);
+});
+
+test('resizing an adapter state resizes every layer and its optimizer state', async () => {
+  const layerShapes = {
+    q_proj: { inputDim: 16, outputDim: 16 },
+    v_proj: { inputDim: 16, outputDim: 8 }
+  };
+  const targetRanks = { q_proj: 6, v_proj: 2 };
+
+  for (const optimizer of Object.values(OPTIMIZERS)) {
+    const backend = new CPUTrainingBackend({ optimizer, random: createRng(1) });
+    backend.ensureLayers(Object.keys(layerShapes), layerShapes, { rank: 4, alpha: ALPHA });
+    // One step, so the weights and the optimizer state are not at their initial values
+    const random = createRng(2);
+    for (const [layerName, { inputDim, outputDim }] of Object.entries(layerShapes)) {
+      const input = Float32Array.from({ length: 2 * inputDim }, () => random() - 0.5);
+      const gradOutput = Float32Array.from({ length: 2 * outputDim }, () => random() - 0.5);
+      await backend.accumulateGradients(layerName, { input, gradOutput, numTokens: 2 });
+    }
+    await backend.applyGradients({ learningRate: 1e-2, beta1: 0.9, beta2: 0.999, epsilon: 1e-8, weightDecay: 0, step: 1 });
+
+    const state = await backend.exportState();
+    const { state: resized, retainedEnergy } = resizeAdapterState(state, targetRanks, { optimizer, random: createRng(3) });
+
+    assert.equal(retainedEnergy.q_proj, 1);
+    assert.ok(retainedEnergy.v_proj > 0 && retainedEnergy.v_proj <= 1);
+    for (const [layerName, rank] of Object.entries(targetRanks)) {
+      const dims = { ...layerShapes[layerName], rank };
+      assert.deepEqual(resized.layers[layerName], dims);
+      assert.equal(resized.tensors[`${layerName}.A`].length, dims.inputDim * rank);
+      assert.equal(resized.tensors[`${layerName}.B`].length, rank * dims.outputDim);
+      const shapes = loraMatrixShapes(dims);
+      for (const matrix of ['A', 'B']) {
+        for (const { name, ArrayType, length } of optimizerStateSpec(optimizer, shapes[matrix].rows, shapes[matrix].cols)) {
+          const array = resized.tensors[stateTensorName(layerName, name, matrix)];
+          assert.ok(array instanceof ArrayType, `${optimizer} ${layerName}.${name}${matrix}`);
+          assert.equal(array.length, length, `${optimizer} ${layerName}.${name}${matrix}`);
+        }
+      }
+    }
+
+    // Growth keeps the state of the entries both shapes share (B gets new rows; A has no
+    // gradient in the first step because B starts at zero)
+    if (optimizer === OPTIMIZERS.ADAMW) {
+      const before = state.tensors[stateTensorName('q_proj', 'momentum', 'B')];
+      const after = resized.tensors[stateTensorName('q_proj', 'momentum', 'B')];
+      assert.ok(before.some(value => value !== 0));
+      assert.deepEqual(after.subarray(0, before.length), before);
+      assert.ok(after.subarray(before.length).every(value => value === 0));
+    }
+
+    // The resized state loads back into a backend
+    const restored = new CPUTrainingBackend({ optimizer });
+    restored.importState(resized, { rank: 4, alpha: ALPHA, rankPattern: targetRanks });
+    assert.deepEqual(Object.keys(restored.layers), Object.keys(targetRanks));
+  }
+});
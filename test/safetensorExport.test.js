@@ -0,0 +1,35 @@
+/**
+ * Tests for the adapter content hash.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hashAdapter } from '../src/utils/safetensorExport.js';
+
+function adapter(layers) {
+  return { rank: 2, alpha: 4, layers };
+}
+
+const q = {
+  A: { data: [0.5, -1, 0.25, 2], shape: [2, 2] },
+  B: { data: [1, 0, 0, 1, 3, -3], shape: [2, 3] }
+};
+
+test('the hash depends on the weights, not on how they are stored', async () => {
+  const hash = await hashAdapter(adapter({ q_proj: q }));
+
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(await hashAdapter(adapter({
+    q_proj: { A: { ...q.A, data: Float32Array.from(q.A.data) }, B: { ...q.B, data: Float32Array.from(q.B.data) } }
+  })), hash);
+  assert.notEqual(await hashAdapter(adapter({ q_proj: { ...q, B: { ...q.B, data: [1, 0, 0, 1, 3, -2] } } })), hash);
+  assert.notEqual(await hashAdapter({ ...adapter({ q_proj: q }), alpha: 8 }), hash);
+});
+
+test('layers missing lora_A or lora_B are left out of the hash', async () => {
+  const hash = await hashAdapter(adapter({ q_proj: q }));
+
+  assert.equal(await hashAdapter(adapter({ q_proj: q, k_proj: { A: null, B: q.B } })), hash);
+  assert.equal(await hashAdapter(adapter({ q_proj: q, v_proj: { A: q.A, B: null } })), hash);
+});
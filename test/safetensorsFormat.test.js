@@ -0,0 +1,78 @@
+/**
+ * Tests for the safetensors reader and writer against golden files written by the Python
+ * `safetensors` library (regenerate them with test/fixtures/generate_safetensors.py).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { serialize, deserialize, readHeader, tensorToFloat32 } from '../src/utils/safetensorsFormat.js';
+
+const fixture = name => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+// What generate_safetensors.py stores, as decoded values
+const GOLDEN_TENSORS = {
+  'layers.0.lora_A.weight': { dtype: 'F32', shape: [2, 3], values: [0.5, -1.25, 3, 0, 2, -0.125] },
+  'layers.0.lora_B.weight': { dtype: 'F16', shape: [6], values: [1, -2.5, 65504, 2 ** -24, -0, Infinity] },
+  'layers.1.lora_A.weight': { dtype: 'BF16', shape: [2, 2], values: [1, -3.5, 2 ** -10, 256] },
+  'quantized.weight': { dtype: 'I8', shape: [5], values: [-128, -1, 0, 1, 127] },
+  'quantized.zero_point': { dtype: 'U8', shape: [3], values: [0, 7, 255] }
+};
+// Key order of the Python library, which writes metadata sorted by key
+const GOLDEN_METADATA = { description: 'LoRA Lab golden file, rank=2 ✓', format: 'pt' };
+
+function assertGoldenTensors(tensors) {
+  assert.deepEqual(Object.keys(tensors).sort(), Object.keys(GOLDEN_TENSORS).sort());
+  for (const [name, { dtype, shape, values }] of Object.entries(GOLDEN_TENSORS)) {
+    assert.equal(tensors[name].dtype, dtype, name);
+    assert.deepEqual(tensors[name].shape, shape, name);
+    assert.deepEqual(Array.from(tensorToFloat32(tensors[name])), values, name);
+  }
+}
+
+test('reads every dtype and the string metadata of a file written by Python', () => {
+  const { tensors, metadata } = deserialize(fixture('mixed_dtypes.safetensors'));
+
+  assert.deepEqual(metadata, GOLDEN_METADATA);
+  assertGoldenTensors(tensors);
+  assert.ok(tensors['quantized.weight'].data instanceof Int8Array);
+  assert.ok(tensors['quantized.zero_point'].data instanceof Uint8Array);
+});
+
+test('reads a file without metadata', () => {
+  const { tensors, metadata } = deserialize(fixture('no_metadata.safetensors'));
+
+  assert.deepEqual(metadata, {});
+  assert.deepEqual(tensors.bias, { data: Float32Array.of(0.25, -0.75), shape: [2], dtype: 'F32' });
+});
+
+test('writes the same bytes as Python for the same tensors', () => {
+  const tensors = Object.fromEntries(
+    Object.entries(GOLDEN_TENSORS).map(([name, { dtype, shape, values }]) => [name, { dtype, shape, data: values }])
+  );
+
+  assert.deepEqual(serialize(tensors, GOLDEN_METADATA), fixture('mixed_dtypes.safetensors'));
+  assert.deepEqual(serialize({ bias: { shape: [2], data: [0.25, -0.75] } }), fixture('no_metadata.safetensors'));
+});
+
+test('serialized files parse back to the same tensors and metadata', () => {
+  const golden = deserialize(fixture('mixed_dtypes.safetensors'));
+  const roundTrip = deserialize(serialize(golden.tensors, { ...golden.metadata, rank: 2 }));
+
+  assert.deepEqual(roundTrip.metadata, { ...GOLDEN_METADATA, rank: '2' });
+  assertGoldenTensors(roundTrip.tensors);
+  // Data starts 8-byte aligned, as the Python library requires
+  assert.equal(readHeader(serialize(golden.tensors)).dataStart % 8, 0);
+});
+
+test('rejects malformed files', () => {
+  const bytes = fixture('no_metadata.safetensors');
+
+  assert.throws(() => deserialize(bytes.subarray(0, 4)), /too small/);
+  assert.throws(() => deserialize(bytes.subarray(0, bytes.length - 1)), /invalid data offsets/);
+  assert.throws(() => deserialize(Uint8Array.of(...bytes, 0)), /Data section/);
+  const hugeHeader = bytes.slice();
+  new DataView(hugeHeader.buffer).setBigUint64(0, 1n << 40n, true);
+  assert.throws(() => deserialize(hugeHeader), /Invalid header length/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for building training sequences: packing, sample boundaries, the stream tail, the
+ * padding report and the validation split.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PACKING_MODES, buildSequences, splitSamples } from '../src/data/sequencePacking.js';
+import { IGNORE_INDEX, createRng } from '../src/trainers/loraReference.js';
+
+const EOS = 2;
+const PAD = 0;
+const X = IGNORE_INDEX;
+
+test('packing fills sequences first-fit by length, ending each sample with EOS', () => {
+  const samples = [
+    { inputIds: [10, 11, 12] },
+    { inputIds: [20, 21, 22, 23, 24] },
+    { inputIds: [30] },
+    { inputIds: [40, 41] }
+  ];
+  const { sequences, stats } = buildSequences(samples, { mode: PACKING_MODES.PACK, sequenceLength: 8, eosTokenId: EOS, padTokenId: PAD });
+
+  // Longest first: [20..24] opens row 0, [10..12] row 1, [40, 41] fits only row 1 and [30] closes row 0
+  assert.equal(sequences.length, 2);
+  assert.deepEqual(sequences[0].input, [20, 21, 22, 23, 24, EOS, 30, EOS]);
+  assert.deepEqual(sequences[0].labels, [21, 22, 23, 24, EOS, X, EOS, X]);
+  assert.deepEqual(sequences[0].attentionMask, [1, 1, 1, 1, 1, 1, 1, 1]);
+  assert.deepEqual(sequences[1].input, [10, 11, 12, EOS, 40, 41, EOS, PAD]);
+  assert.deepEqual(sequences[1].labels, [11, 12, EOS, X, 41, EOS, X, X]);
+  assert.deepEqual(sequences[1].attentionMask, [1, 1, 1, 1, 1, 1, 1, 0]);
+  assert.deepEqual(sequences.map(sequence => [sequence.numSamples, sequence.trainedTokens, sequence.paddingTokens]), [[2, 6, 0], [2, 5, 1]]);
+  assert.equal(stats.samplesPerSequence, 2);
+
+  // A masked prompt trains only the completion, and the EOS follows the completion's mask
+  const chat = buildSequences([{ inputIds: [5, 6, 7, 8], trainMask: Uint8Array.of(0, 0, 1, 1) }], {
+    mode: PACKING_MODES.PACK, sequenceLength: 8, eosTokenId: EOS, padTokenId: PAD
+  });
+  assert.deepEqual(chat.sequences[0].labels, [X, 7, 8, EOS, X, X, X, X]);
+  assert.equal(chat.sequences[0].trainedTokens, 3);
+});
+
+test('positions and segments restart with every packed sample', () => {
+  const samples = [{ inputIds: [1, 1, 1] }, { inputIds: [3, 3] }, { inputIds: [4, 4, 4, 4] }];
+  const { sequences } = buildSequences(samples, { mode: PACKING_MODES.PACK, sequenceLength: 12, eosTokenId: EOS, padTokenId: PAD });
+
+  assert.equal(sequences.length, 1);
+  assert.deepEqual(sequences[0].input, [4, 4, 4, 4, EOS, 1, 1, 1, EOS, 3, 3, EOS]);
+  assert.deepEqual(sequences[0].positionIds, [0, 1, 2, 3, 4, 0, 1, 2, 3, 0, 1, 2]);
+  assert.deepEqual(sequences[0].segmentIds, [1, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3]);
+});
+
+test('labels never cross a sample boundary', () => {
+  const random = createRng(5);
+  // Distinct token ids per sample, some longer than a sequence
+  const samples = Array.from({ length: 40 }, (_, sample) => ({
+    inputIds: Array.from({ length: 1 + Math.floor(random() * 24) }, (_, idx) => 100 * (sample + 1) + idx)
+  }));
+  const tokenCount = samples.reduce((sum, sample) => sum + sample.inputIds.length + 1, 0);
+
+  for (const mode of [PACKING_MODES.PACK, PACKING_MODES.TRUNCATE]) {
+    const { sequences, stats } = buildSequences(samples, { mode, sequenceLength: 16, eosTokenId: EOS, padTokenId: PAD });
+    for (const { input, labels, positionIds, segmentIds, attentionMask } of sequences) {
+      for (let j = 0; j < input.length; j++) {
+        assert.equal(attentionMask[j], segmentIds[j] > 0 ? 1 : 0);
+        const sameSegment = j + 1 < input.length && segmentIds[j + 1] === segmentIds[j] && segmentIds[j] > 0;
+        if (labels[j] !== X) {
+          assert.ok(sameSegment, `${mode}: label at ${j} reaches into the next sample`);
+          assert.equal(labels[j], input[j + 1]);
+        }
+        if (j > 0 && segmentIds[j] > 0) {
+          assert.equal(positionIds[j], segmentIds[j] === segmentIds[j - 1] ? positionIds[j - 1] + 1 : 0);
+        }
+      }
+    }
+    // Packing splits long samples instead of cutting them
+    if (mode === PACKING_MODES.PACK) {
+      assert.equal(stats.realTokens, tokenCount);
+      assert.equal(stats.truncatedSamples, 0);
+    }
+  }
+});
+
+test('a stream keeps its tail as a padded last window', () => {
+  const samples = [{ inputIds: [1, 2, 3, 4] }, { inputIds: [5, 6, 7, 8, 9, 10] }];
+  const { sequences, stats } = buildSequences(samples, { mode: PACKING_MODES.STREAM, sequenceLength: 4, padTokenId: PAD });
+
+  assert.deepEqual(sequences.map(sequence => sequence.input), [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, PAD, PAD]]);
+  assert.deepEqual(sequences.map(sequence => sequence.labels), [[2, 3, 4, 5], [6, 7, 8, 9], [10, X, X, X]]);
+  assert.deepEqual(sequences[2].attentionMask, [1, 1, 0, 0]);
+  assert.equal(stats.paddingTokens, 2);
+
+  // A single token left over only serves as the last label
+  const nine = buildSequences([{ inputIds: [1, 2, 3, 4, 5, 6, 7, 8, 9] }], { mode: PACKING_MODES.STREAM, sequenceLength: 4 });
+  assert.equal(nine.sequences.length, 2);
+  assert.equal(nine.sequences[1].labels[3], 9);
+
+  // Overlapping windows with a stride
+  const strided = buildSequences([{ inputIds: [1, 2, 3, 4, 5, 6] }], { mode: PACKING_MODES.STREAM, sequenceLength: 4, stride: 2 });
+  assert.deepEqual(strided.sequences.map(sequence => sequence.input), [[1, 2, 3, 4], [3, 4, 5, 6]]);
+});
+
+test('the report counts truncation, dropped tokens and padding', () => {
+  const samples = [{ inputIds: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20] }, { inputIds: [21, 22] }];
+  const { sequences, stats } = buildSequences(samples, { mode: PACKING_MODES.TRUNCATE, sequenceLength: 6, eosTokenId: EOS, padTokenId: PAD });
+
+  assert.deepEqual(sequences[0].input, [11, 12, 13, 14, 15, 16]);
+  assert.deepEqual(sequences[1].input, [21, 22, EOS, PAD, PAD, PAD]);
+  assert.deepEqual(stats, {
+    mode: PACKING_MODES.TRUNCATE,
+    samples: 2,
+    sequences: 2,
+    samplesPerSequence: 1,
+    realTokens: 9,
+    paddingTokens: 3,
+    paddingRatio: 3 / 12,
+    truncatedSamples: 1,
+    droppedTokens: 5
+  });
+
+  assert.throws(() => buildSequences(samples, { mode: 'zip' }), /Unknown packing mode: zip/);
+});
+
+test('a seeded split is deterministic and holds out whole samples', () => {
+  const samples = Array.from({ length: 20 }, (_, idx) => ({ inputIds: [idx, idx] }));
+  const first = splitSamples(samples, 0.2, createRng(9));
+  const second = splitSamples(samples, 0.2, createRng(9));
+
+  assert.deepEqual(second, first);
+  assert.equal(first.validation.length, 4);
+  assert.equal(first.train.length, 16);
+  // Disjoint, complete, and in dataset order within each split
+  const ids = split => split.map(sample => sample.inputIds[0]);
+  assert.deepEqual([...ids(first.train), ...ids(first.validation)].sort((a, b) => a - b), ids(samples));
+  assert.deepEqual(ids(first.validation), [...ids(first.validation)].sort((a, b) => a - b));
+  assert.notDeepEqual(ids(splitSamples(samples, 0.2, createRng(10)).validation), ids(first.validation));
+
+  // A single stream keeps its tail for validation
+  const stream = splitSamples([{ inputIds: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], trainMask: null }], 0.3, createRng(9));
+  assert.deepEqual(stream.train.map(sample => sample.inputIds), [[1, 2, 3, 4, 5, 6, 7]]);
+  assert.deepEqual(stream.validation.map(sample => sample.inputIds), [[8, 9, 10]]);
+  assert.deepEqual(splitSamples(samples, 0).validation, []);
+});